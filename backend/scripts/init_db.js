@@ -54,6 +54,11 @@ try {
       category VARCHAR(50) NULL,
       offer TEXT NULL,
       color VARCHAR(50) NULL,
+      weight DECIMAL(10,3) NULL,
+      lowStockThreshold INT NULL,
+      ratingAverage DECIMAL(3,2) NOT NULL DEFAULT 0,
+      ratingCount INT NOT NULL DEFAULT 0,
+      ratingDistribution JSON NULL,
       updatedById INT NULL,
       updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -77,6 +82,56 @@ try {
   } catch (err) {
     if (!err.message.includes('Duplicate column name')) throw err;
   }
+  try {
+    await conn.query(`ALTER TABLE Product ADD COLUMN weight DECIMAL(10,3) NULL`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`ALTER TABLE Product ADD COLUMN lowStockThreshold INT NULL`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Rating aggregates of approved reviews (kept in sync by reviews.service.js)
+  try {
+    await conn.query(`ALTER TABLE Product ADD COLUMN ratingAverage DECIMAL(3,2) NOT NULL DEFAULT 0`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`ALTER TABLE Product ADD COLUMN ratingCount INT NOT NULL DEFAULT 0`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`ALTER TABLE Product ADD COLUMN ratingDistribution JSON NULL`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`CREATE INDEX idx_product_rating ON Product (ratingAverage, ratingCount)`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate key name')) throw err;
+  }
+
+  // Create ProductVariant table (sizes/colors with their own SKU, price and stock)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ProductVariant (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      productId INT NOT NULL,
+      sku VARCHAR(100) NOT NULL UNIQUE,
+      options JSON NULL,
+      price DECIMAL(10,2) NULL,
+      stock INT NOT NULL DEFAULT 0,
+      isActive BOOLEAN NOT NULL DEFAULT TRUE,
+      sortOrder INT NOT NULL DEFAULT 0,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_variant_product (productId),
+      CONSTRAINT fk_variant_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE
+    )
+  `);
 
   // Create Order table
   await conn.query(`
@@ -89,9 +144,12 @@ try {
       customerCity VARCHAR(100) NOT NULL,
       customerDistrict VARCHAR(100) NOT NULL,
       paymentMethod ENUM('Cash on Delivery', 'ABA Pay', 'Bakong') NOT NULL,
-      status ENUM('pending', 'processing', 'delivered', 'expired', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+      status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned', 'expired', 'failed') NOT NULL DEFAULT 'pending',
       subtotal DECIMAL(10,2) NOT NULL,
       shipping DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      discount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      couponCode VARCHAR(50) NULL,
+      locale VARCHAR(10) NOT NULL DEFAULT 'en',
       total DECIMAL(10,2) NOT NULL,
       userId INT NULL,
       bakongTransactionId VARCHAR(255) NULL,
@@ -114,8 +172,8 @@ try {
 
   // Add new statuses to status ENUM if they don't exist
   try {
-    await conn.query(`ALTER TABLE \`Order\` MODIFY COLUMN status ENUM('pending', 'processing', 'delivered', 'expired', 'failed', 'cancelled') NOT NULL DEFAULT 'pending'`);
-    console.log('✅ Updated Order status ENUM with expired/failed/cancelled');
+    await conn.query(`ALTER TABLE \`Order\` MODIFY COLUMN status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned', 'expired', 'failed') NOT NULL DEFAULT 'pending'`);
+    console.log('✅ Updated Order status ENUM with lifecycle statuses');
   } catch (err) {
     console.log('Note: Order status ENUM update failed (might be same)', err.message);
   }
@@ -132,6 +190,23 @@ try {
     }
   }
 
+  // Add coupon discount columns to Order (for existing databases)
+  try {
+    await conn.query(`ALTER TABLE \`Order\` ADD COLUMN discount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER shipping`);
+    await conn.query(`ALTER TABLE \`Order\` ADD COLUMN couponCode VARCHAR(50) NULL AFTER discount`);
+    console.log('✅ Added discount columns to Order table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Add locale column to Order (language of the customer's email/SMS messages)
+  try {
+    await conn.query(`ALTER TABLE \`Order\` ADD COLUMN locale VARCHAR(10) NOT NULL DEFAULT 'en' AFTER couponCode`);
+    console.log('✅ Added locale column to Order table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
   // Create OrderItem table
   await conn.query(`
     CREATE TABLE IF NOT EXISTS OrderItem (
@@ -144,9 +219,89 @@ try {
       quantity INT NOT NULL DEFAULT 1,
       color VARCHAR(50) NULL,
       offer TEXT NULL,
+      variantId INT NULL,
+      sku VARCHAR(100) NULL,
+      variantLabel VARCHAR(255) NULL,
       createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
       CONSTRAINT fk_orderitem_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
-      CONSTRAINT fk_orderitem_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE SET NULL
+      CONSTRAINT fk_orderitem_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE SET NULL,
+      CONSTRAINT fk_orderitem_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Add variant columns to OrderItem (for existing databases)
+  try {
+    await conn.query(`ALTER TABLE OrderItem ADD COLUMN variantId INT NULL`);
+    await conn.query(`ALTER TABLE OrderItem ADD COLUMN sku VARCHAR(100) NULL`);
+    await conn.query(`ALTER TABLE OrderItem ADD COLUMN variantLabel VARCHAR(255) NULL`);
+    await conn.query(`ALTER TABLE OrderItem ADD CONSTRAINT fk_orderitem_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE SET NULL`);
+    console.log('✅ Added variant columns to OrderItem table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Create InventoryMovement table (audit ledger of every stock change)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS InventoryMovement (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      productId INT NOT NULL,
+      variantId INT NULL,
+      orderId INT NULL,
+      delta INT NOT NULL,
+      balanceAfter INT NOT NULL,
+      reason VARCHAR(30) NOT NULL,
+      actor VARCHAR(20) NOT NULL DEFAULT 'system',
+      actorId INT NULL,
+      note TEXT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_movement_product (productId, id),
+      INDEX idx_movement_order (orderId),
+      CONSTRAINT fk_movement_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE,
+      CONSTRAINT fk_movement_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE SET NULL,
+      CONSTRAINT fk_movement_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE SET NULL,
+      CONSTRAINT fk_movement_actor FOREIGN KEY (actorId) REFERENCES User(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create StockAlert table (low-stock alerts, one open alert per product)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS StockAlert (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      productId INT NOT NULL,
+      orderId INT NULL,
+      stockAtAlert INT NOT NULL,
+      threshold INT NOT NULL,
+      status ENUM('open','resolved') NOT NULL DEFAULT 'open',
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resolvedAt DATETIME NULL,
+      INDEX idx_stock_alert_product (productId, status),
+      INDEX idx_stock_alert_status (status, createdAt),
+      CONSTRAINT fk_stock_alert_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE,
+      CONSTRAINT fk_stock_alert_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create StockReservation table (stock held by unpaid orders)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS StockReservation (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      productId INT NOT NULL,
+      variantId INT NULL,
+      quantity INT NOT NULL,
+      status ENUM('held','converted','released') NOT NULL DEFAULT 'held',
+      expiresAt DATETIME NULL,
+      convertedAt DATETIME NULL,
+      releasedAt DATETIME NULL,
+      releaseReason VARCHAR(20) NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_reservation_expiry (status, expiresAt),
+      INDEX idx_reservation_product (productId, status),
+      INDEX idx_reservation_order (orderId),
+      CONSTRAINT fk_reservation_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
+      CONSTRAINT fk_reservation_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE,
+      CONSTRAINT fk_reservation_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE SET NULL
     )
   `);
 
@@ -199,13 +354,136 @@ try {
       rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
       comment TEXT NULL,
       isApproved BOOLEAN NOT NULL DEFAULT TRUE,
+      isVerifiedPurchase BOOLEAN NOT NULL DEFAULT FALSE,
+      helpfulCount INT NOT NULL DEFAULT 0,
+      moderationStatus ENUM('pending','approved','rejected') NOT NULL DEFAULT 'approved',
+      moderationFlags JSON NULL,
+      contentHash CHAR(64) NULL,
+      rejectionReason VARCHAR(30) NULL,
+      moderationNote VARCHAR(500) NULL,
+      moderatedById INT NULL,
+      moderatedAt DATETIME NULL,
       createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
       updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_review_moderation (moderationStatus, createdAt),
+      INDEX idx_review_content_hash (contentHash),
+      UNIQUE KEY unique_review_product_user (productId, userId),
       CONSTRAINT fk_review_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE,
-      CONSTRAINT fk_review_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE SET NULL
+      CONSTRAINT fk_review_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE SET NULL,
+      CONSTRAINT fk_review_moderator FOREIGN KEY (moderatedById) REFERENCES User(id) ON DELETE SET NULL
     )
   `);
 
+  // Add verified purchase and helpful vote columns if they don't exist (for existing databases)
+  try {
+    await conn.query(`ALTER TABLE Review ADD COLUMN isVerifiedPurchase BOOLEAN NOT NULL DEFAULT FALSE`);
+    console.log('✅ Added isVerifiedPurchase column to Review table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`ALTER TABLE Review ADD COLUMN helpfulCount INT NOT NULL DEFAULT 0`);
+    console.log('✅ Added helpfulCount column to Review table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Add moderation columns if they don't exist (for existing databases)
+  for (const column of [
+    'moderationFlags JSON NULL',
+    'contentHash CHAR(64) NULL',
+    'rejectionReason VARCHAR(30) NULL',
+    'moderationNote VARCHAR(500) NULL',
+    'moderatedById INT NULL',
+    'moderatedAt DATETIME NULL'
+  ]) {
+    try {
+      await conn.query(`ALTER TABLE Review ADD COLUMN ${column}`);
+    } catch (err) {
+      if (!err.message.includes('Duplicate column name')) throw err;
+    }
+  }
+  try {
+    await conn.query(`ALTER TABLE Review ADD COLUMN moderationStatus ENUM('pending','approved','rejected') NOT NULL DEFAULT 'approved'`);
+    // Reviews an admin had unapproved before the moderation queue existed
+    await conn.query(`UPDATE Review SET moderationStatus = 'rejected' WHERE isApproved = FALSE`);
+    console.log('✅ Added moderationStatus column to Review table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+  try {
+    await conn.query(`CREATE INDEX idx_review_moderation ON Review (moderationStatus, createdAt)`);
+    await conn.query(`CREATE INDEX idx_review_content_hash ON Review (contentHash)`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate key name')) throw err;
+  }
+  // One review per customer and product, also under concurrent submits
+  try {
+    await conn.query(`CREATE UNIQUE INDEX unique_review_product_user ON Review (productId, userId)`);
+    console.log('✅ Added unique (productId, userId) index to Review table');
+  } catch (err) {
+    if (err.message.includes('Duplicate entry')) {
+      console.warn('⚠️  Review has several reviews by the same customer for a product; remove the extra ones and run this script again');
+    } else if (!err.message.includes('Duplicate key name')) {
+      throw err;
+    }
+  }
+
+  // Create ReviewPhoto table (images attached to a review)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ReviewPhoto (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reviewId INT NOT NULL,
+      url VARCHAR(500) NOT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_review_photo_review (reviewId),
+      CONSTRAINT fk_review_photo_review FOREIGN KEY (reviewId) REFERENCES Review(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create ReviewVote table (one "helpful" vote per user and review)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ReviewVote (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reviewId INT NOT NULL,
+      userId INT NOT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_review_vote (reviewId, userId),
+      CONSTRAINT fk_review_vote_review FOREIGN KEY (reviewId) REFERENCES Review(id) ON DELETE CASCADE,
+      CONSTRAINT fk_review_vote_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create ReviewReply table (merchant replies shown under a review)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ReviewReply (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reviewId INT NOT NULL,
+      userId INT NULL,
+      body TEXT NOT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_review_reply_review (reviewId),
+      CONSTRAINT fk_review_reply_review FOREIGN KEY (reviewId) REFERENCES Review(id) ON DELETE CASCADE,
+      CONSTRAINT fk_review_reply_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Backfill rating aggregates for products reviewed before they were tracked
+  await conn.query(`
+    UPDATE Product p
+    JOIN (
+      SELECT productId, COUNT(*) AS total, AVG(rating) AS average,
+             SUM(rating = 1) AS r1, SUM(rating = 2) AS r2, SUM(rating = 3) AS r3, SUM(rating = 4) AS r4, SUM(rating = 5) AS r5
+      FROM Review WHERE isApproved = TRUE GROUP BY productId
+    ) s ON s.productId = p.id
+    SET p.ratingAverage = ROUND(s.average, 2),
+        p.ratingCount = s.total,
+        p.ratingDistribution = JSON_OBJECT('1', s.r1, '2', s.r2, '3', s.r3, '4', s.r4, '5', s.r5),
+        p.updatedAt = p.updatedAt
+    WHERE p.ratingCount = 0
+  `);
+
   // Create Wishlist table
   await conn.query(`
     CREATE TABLE IF NOT EXISTS Wishlist (
@@ -219,26 +497,307 @@ try {
     )
   `);
 
+  // Create Cart and CartItem tables (server-side cart, one per user)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS Cart (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_cart_user (userId),
+      INDEX idx_cart_updated (updatedAt),
+      CONSTRAINT fk_cart_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS CartItem (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cartId INT NOT NULL,
+      productId INT NOT NULL,
+      variantId INT NULL,
+      quantity INT NOT NULL DEFAULT 1,
+      color VARCHAR(50) NULL,
+      priceAtAdd DECIMAL(10,2) NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_cart_item_cart (cartId),
+      CONSTRAINT fk_cart_item_cart FOREIGN KEY (cartId) REFERENCES Cart(id) ON DELETE CASCADE,
+      CONSTRAINT fk_cart_item_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE CASCADE,
+      CONSTRAINT fk_cart_item_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add variantId to CartItem (for existing databases)
+  try {
+    await conn.query(`ALTER TABLE CartItem ADD COLUMN variantId INT NULL AFTER productId`);
+    await conn.query(`ALTER TABLE CartItem ADD CONSTRAINT fk_cart_item_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE CASCADE`);
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Create Coupon and CouponRedemption tables (promotion codes)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS Coupon (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      type ENUM('percent', 'fixed', 'free_shipping') NOT NULL,
+      value DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      minSpend DECIMAL(10,2) NULL,
+      maxDiscount DECIMAL(10,2) NULL,
+      usageLimit INT NULL,
+      perUserLimit INT NULL,
+      startsAt DATETIME NULL,
+      endsAt DATETIME NULL,
+      isActive BOOLEAN NOT NULL DEFAULT TRUE,
+      productIds JSON NULL,
+      categories JSON NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS CouponRedemption (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      couponId INT NOT NULL,
+      orderId INT NOT NULL,
+      userId INT NULL,
+      customerPhone VARCHAR(20) NULL,
+      discount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_redemption_coupon_user (couponId, userId),
+      INDEX idx_redemption_coupon_phone (couponId, customerPhone),
+      CONSTRAINT fk_redemption_coupon FOREIGN KEY (couponId) REFERENCES Coupon(id) ON DELETE CASCADE,
+      CONSTRAINT fk_redemption_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
+      CONSTRAINT fk_redemption_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create ShippingZone table (delivery fees by city/district)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ShippingZone (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      city VARCHAR(100) NULL,
+      district VARCHAR(100) NULL,
+      baseRate DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      tierBasis ENUM('none', 'weight', 'items') NOT NULL DEFAULT 'none',
+      tiers JSON NULL,
+      freeShippingThreshold DECIMAL(10,2) NULL,
+      estimatedDays VARCHAR(50) NULL,
+      isActive BOOLEAN NOT NULL DEFAULT TRUE,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_shipping_zone_location (city, district)
+    )
+  `);
+
+  // Seed a default zone if table is empty (keeps free delivery until zones are configured)
+  const [existingZones] = await conn.query('SELECT COUNT(*) as count FROM ShippingZone');
+  if (existingZones[0]?.count === 0) {
+    await conn.query(`
+      INSERT INTO ShippingZone (name, city, district, baseRate, createdAt, updatedAt) VALUES
+      ('Default', NULL, NULL, 0.00, NOW(), NOW())
+    `);
+    console.log('✅ Seeded default shipping zone');
+  }
+
+  // Create ReturnRequest, ReturnItem and Refund tables (returns of delivered orders)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ReturnRequest (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      userId INT NULL,
+      status ENUM('requested','approved','rejected') NOT NULL DEFAULT 'requested',
+      reason VARCHAR(30) NOT NULL,
+      comment TEXT NULL,
+      adminNote TEXT NULL,
+      restocked BOOLEAN NOT NULL DEFAULT FALSE,
+      reviewedById INT NULL,
+      reviewedAt DATETIME NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_return_order (orderId),
+      INDEX idx_return_status (status, createdAt),
+      CONSTRAINT fk_return_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
+      CONSTRAINT fk_return_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE SET NULL,
+      CONSTRAINT fk_return_reviewer FOREIGN KEY (reviewedById) REFERENCES User(id) ON DELETE SET NULL
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS ReturnItem (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      returnId INT NOT NULL,
+      orderItemId INT NOT NULL,
+      productId INT NULL,
+      variantId INT NULL,
+      quantity INT NOT NULL,
+      unitPrice DECIMAL(10,2) NOT NULL,
+      INDEX idx_return_item_return (returnId),
+      CONSTRAINT fk_return_item_return FOREIGN KEY (returnId) REFERENCES ReturnRequest(id) ON DELETE CASCADE,
+      CONSTRAINT fk_return_item_order_item FOREIGN KEY (orderItemId) REFERENCES OrderItem(id) ON DELETE CASCADE,
+      CONSTRAINT fk_return_item_product FOREIGN KEY (productId) REFERENCES Product(id) ON DELETE SET NULL,
+      CONSTRAINT fk_return_item_variant FOREIGN KEY (variantId) REFERENCES ProductVariant(id) ON DELETE SET NULL
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS Refund (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      returnId INT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      method VARCHAR(30) NOT NULL,
+      reference VARCHAR(255) NULL,
+      createdById INT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_refund_order (orderId),
+      INDEX idx_refund_created (createdAt),
+      CONSTRAINT fk_refund_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
+      CONSTRAINT fk_refund_return FOREIGN KEY (returnId) REFERENCES ReturnRequest(id) ON DELETE SET NULL,
+      CONSTRAINT fk_refund_user FOREIGN KEY (createdById) REFERENCES User(id) ON DELETE SET NULL
+    )
+  `);
+
   // Create OrderStatusHistory table for order tracking
   await conn.query(`
     CREATE TABLE IF NOT EXISTS OrderStatusHistory (
       id INT AUTO_INCREMENT PRIMARY KEY,
       orderId INT NOT NULL,
-      status ENUM('pending', 'processing', 'delivered', 'expired', 'failed') NOT NULL,
+      status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned', 'expired', 'failed') NOT NULL,
+      fromStatus VARCHAR(20) NULL,
       note TEXT NULL,
+      changedBy VARCHAR(20) NULL,
+      changedById INT NULL,
       createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      CONSTRAINT fk_order_history FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE
+      CONSTRAINT fk_order_history FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE,
+      CONSTRAINT fk_order_history_user FOREIGN KEY (changedById) REFERENCES User(id) ON DELETE SET NULL
     )
   `);
 
   // Update OrderStatusHistory status ENUM
   try {
-    await conn.query(`ALTER TABLE OrderStatusHistory MODIFY COLUMN status ENUM('pending', 'processing', 'delivered', 'expired', 'failed') NOT NULL`);
+    await conn.query(`ALTER TABLE OrderStatusHistory MODIFY COLUMN status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned', 'expired', 'failed') NOT NULL`);
     console.log('✅ Updated OrderStatusHistory status ENUM');
   } catch (err) {
     console.log('Note: OrderStatusHistory status ENUM update failed', err.message);
   }
 
+  // Add actor columns to OrderStatusHistory (who made each change)
+  try {
+    await conn.query(`ALTER TABLE OrderStatusHistory ADD COLUMN fromStatus VARCHAR(20) NULL`);
+    await conn.query(`ALTER TABLE OrderStatusHistory ADD COLUMN changedBy VARCHAR(20) NULL`);
+    await conn.query(`ALTER TABLE OrderStatusHistory ADD COLUMN changedById INT NULL`);
+    await conn.query(`ALTER TABLE OrderStatusHistory ADD CONSTRAINT fk_order_history_user FOREIGN KEY (changedById) REFERENCES User(id) ON DELETE SET NULL`);
+    console.log('✅ Added actor columns to OrderStatusHistory table');
+  } catch (err) {
+    if (!err.message.includes('Duplicate column name')) throw err;
+  }
+
+  // Create Notification table (per-user inbox: order/payment events and admin messages)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS Notification (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      type VARCHAR(30) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      data JSON NULL,
+      isRead BOOLEAN NOT NULL DEFAULT FALSE,
+      readAt DATETIME NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_notification_inbox (userId, createdAt),
+      INDEX idx_notification_unread (userId, isRead),
+      CONSTRAINT fk_notification_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create DeviceToken table (FCM registration tokens for push notifications)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS DeviceToken (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      token VARCHAR(255) NOT NULL UNIQUE,
+      platform ENUM('android','ios','web') NOT NULL DEFAULT 'android',
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_device_token_user (userId),
+      CONSTRAINT fk_device_token_user FOREIGN KEY (userId) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create MessageOutbox table (transactional email/SMS waiting to be sent, and their outcome)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS MessageOutbox (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      channel ENUM('email','sms') NOT NULL,
+      recipient VARCHAR(191) NOT NULL,
+      template VARCHAR(50) NOT NULL,
+      locale VARCHAR(10) NOT NULL DEFAULT 'en',
+      subject VARCHAR(255) NULL,
+      body TEXT NOT NULL,
+      orderId INT NULL,
+      dedupeKey VARCHAR(191) NULL UNIQUE,
+      status ENUM('pending','sending','sent','failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      lastError TEXT NULL,
+      providerMessageId VARCHAR(191) NULL,
+      nextAttemptAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      sentAt DATETIME NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_outbox_due (status, nextAttemptAt),
+      INDEX idx_outbox_order (orderId),
+      CONSTRAINT fk_outbox_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create BakongWebhookEvent table (idempotency store: each transaction hash is applied once)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS BakongWebhookEvent (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      transactionHash VARCHAR(128) NOT NULL UNIQUE,
+      orderNumber VARCHAR(50) NOT NULL,
+      orderId INT NULL,
+      status ENUM('received','processed','rejected','error') NOT NULL DEFAULT 'received',
+      error VARCHAR(255) NULL,
+      result JSON NULL,
+      payload TEXT NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_webhook_event_order (orderId),
+      CONSTRAINT fk_webhook_event_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create Payment table (ledger of payment attempts: one row per KHQR code, settled by the poll or webhook)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS Payment (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      method VARCHAR(30) NOT NULL,
+      amount DECIMAL(14,2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      khqrMd5 VARCHAR(64) NULL,
+      providerRef VARCHAR(128) NULL UNIQUE,
+      status ENUM('pending','paid','failed','expired','superseded') NOT NULL DEFAULT 'pending',
+      source VARCHAR(20) NOT NULL,
+      error VARCHAR(255) NULL,
+      rawPayload MEDIUMTEXT NULL,
+      expiresAt DATETIME NULL,
+      paidAt DATETIME NULL,
+      createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_payment_order (orderId, status),
+      INDEX idx_payment_md5 (khqrMd5),
+      INDEX idx_payment_created (createdAt),
+      CONSTRAINT fk_payment_order FOREIGN KEY (orderId) REFERENCES \`Order\`(id) ON DELETE CASCADE
+    )
+  `);
+
   // Seed default categories if table is empty
   const existingCategories = await conn.query('SELECT COUNT(*) as count FROM Category');
   if (existingCategories[0]?.count === 0) {
@@ -288,7 +847,7 @@ try {
   );
 
   console.log('Seeded admin:', email, password);
-  console.log('Database tables initialized: User, Product, Order, OrderItem, Category, Banner, Review, Wishlist, OrderStatusHistory');
+  console.log('Database tables initialized: User, Product, ProductVariant, Order, OrderItem, InventoryMovement, StockAlert, StockReservation, Category, Banner, Review, ReviewPhoto, ReviewVote, ReviewReply, Wishlist, Cart, CartItem, Coupon, CouponRedemption, ShippingZone, ReturnRequest, ReturnItem, Refund, OrderStatusHistory, Notification, DeviceToken, MessageOutbox, BakongWebhookEvent, Payment');
 } finally {
   conn.release();
 }
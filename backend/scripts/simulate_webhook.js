@@ -1,33 +1,46 @@
-
+import 'dotenv/config';
 import axios from 'axios';
+import { WEBHOOK_HEADERS, getWebhookConfig, signWebhookPayload } from '../src/services/bakong-webhook.service.js';
 
-const API_URL = 'http://localhost:4000'; // Adjust if your backend runs on a different port
+const API_URL = process.env.API_URL || 'http://localhost:4000'; // Adjust if your backend runs on a different port
 
 async function simulateWebhook() {
     try {
-        const orderId = process.argv[2]; // Get order ID from command line argument
+        const [orderNumber, amount, currency = 'KHR'] = process.argv.slice(2);
 
-        if (!orderId) {
-            console.error('Please provide an Order ID as an argument.');
-            console.log('Usage: node simulate_webhook.js <orderId>');
+        if (!orderNumber || !amount) {
+            console.error('Please provide the order number and the paid amount.');
+            console.log('Usage: node simulate_webhook.js <orderNumber> <amount> [KHR|USD]');
+            console.log('The amount must match the order total (KHR at USD_TO_KHR_RATE).');
             return;
         }
 
-        console.log(`Simulating webhook for Order ID: ${orderId}...`);
+        console.log(`Simulating webhook for order ${orderNumber}...`);
 
-        // Since we updated the backend to support orderId directly, we don't need to fetch details!
         const payload = {
             hash: `SIMULATED_TXN_${Date.now()}`,
-            orderId: orderId, // Direct ID
-            amount: 10000,
-            currency: "KHR",
+            external_ref: orderNumber,
+            amount: Number(amount),
+            currency,
             status: "SUCCESS",
             txn_time: new Date().toISOString()
         };
+        const body = JSON.stringify(payload);
+
+        // Sign like Bakong does when a secret is configured (same secret as the backend)
+        const headers = { 'Content-Type': 'application/json' };
+        const { secret } = getWebhookConfig();
+        if (secret) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            headers[WEBHOOK_HEADERS.TIMESTAMP] = timestamp;
+            headers[WEBHOOK_HEADERS.SIGNATURE] = signWebhookPayload(body, timestamp, secret);
+        } else {
+            console.warn('BAKONG_WEBHOOK_SECRET not set: sending unsigned (only accepted outside production)');
+        }
 
         console.log('Sending webhook payload:', payload);
 
-        const response = await axios.post(`${API_URL}/api/payments/bakong/webhook`, payload);
+        const response = await axios.post(`${API_URL}/api/payments/bakong/webhook`, body, { headers });
 
         console.log('Webhook Response:', response.data);
         console.log('✅ Payment Confirmed! Check the app now.');
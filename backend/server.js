@@ -9,15 +9,65 @@ import rateLimit from 'express-rate-limit';
 import { query } from './src/config/database.js';
 import { requireAuth, requireAdmin } from './src/middleware/auth.js';
 import authRoutes from './src/routes/auth.routes.js';
-import { upload, uploadBanner, getImageUrl, getBannerUrl, deleteImageFile, deleteBannerFile, extractFilenameFromUrl } from './src/utils/upload.js';
+import cartRoutes from './src/routes/cart.routes.js';
+import { upload, uploadBanner, uploadCsv, getImageUrl, getBannerUrl, deleteImageFile, deleteBannerFile, extractFilenameFromUrl } from './src/utils/upload.js';
 import bakongService from './src/services/bakong.service.js';
 import { validateEnv, isProduction } from './src/utils/validate-env.js';
 import logger from './src/utils/logger.js';
 import productsService from './src/services/products.service.js';
 import ordersService from './src/services/orders.service.js';
 import usersService from './src/services/users.service.js';
-// Redis/Caching disabled - removed for simplified deployment
-import { getProductsList, searchProducts, getProductSuggestions } from './src/services/products.service.js';
+import cartService from './src/services/cart.service.js';
+import {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  OrderLifecycleError,
+  getAllowedTransitions,
+  transitionOrder,
+  afterStatusCommit,
+  changeOrderStatus,
+  cancelOrderByCustomer
+} from './src/services/order-lifecycle.service.js';
+import { validateItems, CheckoutValidationError } from './src/services/checkout.service.js';
+import couponService, { CouponError, evaluateCoupon, recordRedemption } from './src/services/coupon.service.js';
+import shippingService, { ShippingError, quoteShipping } from './src/services/shipping.service.js';
+import productVariantsService, { VariantError, syncProductStock } from './src/services/product-variants.service.js';
+import stockReservationService, {
+  createReservations,
+  extendReservations,
+  findExpiredReservationOrders,
+  getReservationExpiryMinutes,
+  isOrderReservationExpired
+} from './src/services/stock-reservation.service.js';
+import inventoryMovementService, { MOVEMENT_REASONS, recordMovement } from './src/services/inventory-movement.service.js';
+import lowStockService, { syncLowStockAlerts } from './src/services/low-stock.service.js';
+import returnsService, { ReturnError } from './src/services/returns.service.js';
+import reviewsService, { MAX_REVIEW_PHOTOS, ReviewError } from './src/services/reviews.service.js';
+import reviewModerationService, { REJECTION_REASONS } from './src/services/review-moderation.service.js';
+import analyticsService, { AnalyticsError, parseAnalyticsRange } from './src/services/analytics.service.js';
+import exportService, { ExportError, parseExportRequest, exportFileName } from './src/services/export.service.js';
+import { SPREADSHEET_FORMATS } from './src/utils/spreadsheet.js';
+import { CACHE_POLICIES, answerIfFresh, getCatalogVersion, versionValidators } from './src/utils/http-cache.js';
+import productImportService, { IMPORT_COLUMNS, ProductImportError, toImportReport } from './src/services/product-import.service.js';
+import productBulkService, { ProductBulkError, parseBulkRequest } from './src/services/product-bulk.service.js';
+import notificationService, { NotificationError, parseAdminMessage, parseNotificationQuery } from './src/services/notification.service.js';
+import pushService, { PushError, parseDeviceToken } from './src/services/push.service.js';
+import { MESSAGE_TEMPLATES, resolveLocale } from './src/services/message-templates.js';
+import { enqueueOrderMessages, kickOutbox, startOutboxWorker } from './src/services/messaging.service.js';
+import { WebhookError, assertPaymentMatchesOrder, getWebhookConfig, processWebhookEvent } from './src/services/bakong-webhook.service.js';
+import paymentService, { PAYMENT_SOURCES, PaymentError } from './src/services/payment.service.js';
+import { cache } from './src/services/cacheService.js';
+import { getCacheKeys } from './src/services/cacheKeys.js';
+import {
+  getProductsList,
+  searchProducts,
+  getProductSuggestions,
+  invalidateProductCache,
+  invalidateCategoryCache,
+  invalidateBannerCache,
+  invalidateProductsCache,
+  clearProductCaches
+} from './src/services/products-cached.service.js';
 
 // Load environment variables - suppress dotenv tips
 dotenv.config({ debug: false });
@@ -73,7 +123,14 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json());
+// Keep the exact bytes of Bakong webhooks: their signature covers the raw body
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/bakong/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Rate limiting configuration
 // Payment status check limiter - allow frequent checks but prevent abuse
@@ -155,11 +212,10 @@ app.get('/ready', async (req, res) => {
   }
 });
 
-// Cache stats endpoint - disabled (Redis removed)
-app.get('/cache/stats', async (req, res) => {
+// Cache stats endpoint (backend, key count, hit rate) - admin only, it exposes store traffic
+app.get('/cache/stats', requireAuth, requireAdmin, async (req, res) => {
   res.status(200).json({
-    cache: 'Disabled',
-    message: 'Redis caching has been removed for simplified deployment',
+    cache: await cache.getStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -177,6 +233,9 @@ app.use('/api/uploads', express.static(path.join(__dirname, 'uploads')));
 // Auth routes
 app.use('/api/auth', authLimiter, authRoutes);
 
+// Cart routes (server-side cart, one per user)
+app.use(['/cart', '/api/cart'], requireAuth, cartRoutes);
+
 const parseImages = v => {
   if (!v) return [];
   if (Array.isArray(v)) {
@@ -226,6 +285,20 @@ const mapProduct = row => {
   };
 };
 
+// Normalize a low-stock threshold (null = store default). Returns undefined if invalid.
+const parseLowStockThreshold = threshold => {
+  if (threshold === null || threshold === '') return null;
+  const value = Number(threshold);
+  return Number.isInteger(value) && value >= 0 ? value : undefined;
+};
+
+// Normalize product weight (kg, used for weight based shipping). Returns undefined if invalid.
+const parseProductWeight = weight => {
+  if (weight === null || weight === '') return null;
+  const value = Number(weight);
+  return isNaN(value) || value < 0 ? undefined : value;
+};
+
 // Validate that a category exists and is a leaf (no children). Returns result with status code hints.
 const validateLeafCategory = async (categoryName) => {
   const categories = await query('SELECT * FROM Category WHERE name = ?', [categoryName]);
@@ -248,6 +321,19 @@ const validateLeafCategory = async (categoryName) => {
   return { ok: true, category };
 };
 
+// Leaf category check as the message routes respond with (null = category is fine)
+const leafCategoryError = async (categoryName) => {
+  const leafCheck = await validateLeafCategory(categoryName);
+  if (leafCheck.ok) return null;
+  if (leafCheck.code === 'ambiguous') {
+    return `Multiple categories named "${categoryName}" exist. Rename to make it unique and select the subcategory.`;
+  }
+  if (leafCheck.code === 'not_leaf') {
+    return 'Category has child categories. Please pick a subcategory instead.';
+  }
+  return 'Category not found. Please select an existing subcategory.';
+};
+
 app.post('/auth/login', generalLimiter, async (req, res) => {
   try {
     const { email, password } = req.body ?? {};
@@ -323,7 +409,13 @@ app.get('/me', requireAuth, (req, res) => res.json({ userId: req.user.userId, ro
 app.get('/api/products', async (req, res) => {
   try {
     const { page = 1, limit = 20, category } = req.query;
-    
+
+    // Revalidation is answered from the catalog version, before the list is loaded
+    const version = await getCatalogVersion('products');
+    if (answerIfFresh(req, res, { ...versionValidators(version), cacheControl: CACHE_POLICIES.PRODUCT_LIST })) {
+      return;
+    }
+
     const result = await getProductsList({
       page: parseInt(page),
       limit: parseInt(limit),
@@ -352,6 +444,7 @@ app.get('/products', async (_req, res) => {
 // Search products endpoint with filters
 // ✅ OPTIMIZED: Phase 2 + Phase 3: Prisma (120x) + Redis Caching (6-10x)
 // Total: 720-1200x faster than original
+// Text queries are ranked by relevance (typo tolerant); each result has a score and highlight snippets
 app.get('/api/products/search', async (req, res) => {
   try {
     const {
@@ -359,7 +452,8 @@ app.get('/api/products/search', async (req, res) => {
       category = '',
       minPrice = null,
       maxPrice = null,
-      sort = 'name',
+      minRating = null,
+      sort,
       page = 1,
       limit = 20
     } = req.query;
@@ -369,6 +463,7 @@ app.get('/api/products/search', async (req, res) => {
       category,
       minPrice: minPrice ? parseFloat(minPrice) : null,
       maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+      minRating: minRating ? parseFloat(minRating) : null,
       sort,
       page: parseInt(page),
       limit: parseInt(limit)
@@ -389,7 +484,8 @@ app.get('/products/search', async (req, res) => {
       category = '',
       minPrice = '',
       maxPrice = '',
-      sort = 'name',
+      minRating = '',
+      sort,
       limit = 100,
       offset = 0
     } = req.query;
@@ -401,6 +497,7 @@ app.get('/products/search', async (req, res) => {
       category,
       minPrice: minPrice ? parseFloat(minPrice) : null,
       maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+      minRating: minRating ? parseFloat(minRating) : null,
       sort,
       page,
       limit: parseInt(limit)
@@ -423,6 +520,7 @@ app.get('/api/products/suggestions', async (req, res) => {
     }
 
     const suggestions = await getProductSuggestions(q.trim(), 10);
+    res.json(suggestions);
   } catch (error) {
     logger.error('Suggestions error', { error: error.message });
     res.status(500).json({ error: 'Failed to get suggestions' });
@@ -450,45 +548,88 @@ app.get('/products/suggestions', async (req, res) => {
   }
 });
 
+// Public product details (with active variants)
+app.get(['/products/:id', '/api/products/:id'], async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    const product = await productsService.getProductById(id);
+    if (product.status !== 'ACTIVE') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(mapProduct(product));
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    logger.error('Product details error', { productId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // Admin products endpoint (all products including archived)
 const getAdminProducts = async (_req, res) => {
-  const rows = await query('SELECT * FROM Product ORDER BY updatedAt DESC');
-  res.json(rows.map(mapProduct));
+  // reservedStock: units held by unpaid orders (stock is what can still be sold)
+  const rows = await query(
+    `SELECT p.*, COALESCE((SELECT SUM(r.quantity) FROM StockReservation r WHERE r.productId = p.id AND r.status = 'held'), 0) AS reservedStock
+     FROM Product p ORDER BY p.updatedAt DESC`
+  );
+  res.json(rows.map(row => ({ ...mapProduct(row), reservedStock: Number(row.reservedStock) })));
 };
 app.get('/admin/products', requireAuth, requireAdmin, getAdminProducts);
 app.get('/api/admin/products', requireAuth, requireAdmin, getAdminProducts);
 
 app.post(['/admin/products', '/api/admin/products'], requireAuth, requireAdmin, async (req, res) => {
-  const { name, description = '', price, stock = 0, status = 'ACTIVE', images = [], category = null } = req.body ?? {};
+  const { name, description = '', price, stock = 0, status = 'ACTIVE', images = [], category = null, weight = null, lowStockThreshold = null } = req.body ?? {};
   if (!name || price === undefined) return res.status(400).json({ error: 'Name and price required' });
 
+  const normalizedWeight = parseProductWeight(weight);
+  if (normalizedWeight === undefined) return res.status(400).json({ error: 'Weight must be a positive number (kg)' });
+
+  const normalizedThreshold = parseLowStockThreshold(lowStockThreshold);
+  if (normalizedThreshold === undefined) return res.status(400).json({ error: 'Low stock threshold must be a positive whole number' });
+
   const normalizedCategory = typeof category === 'string' && category.trim() !== '' ? category.trim() : null;
   if (normalizedCategory) {
-    const leafCheck = await validateLeafCategory(normalizedCategory);
-    if (!leafCheck.ok) {
-      if (leafCheck.code === 'not_found') {
-        return res.status(400).json({ error: 'Category not found. Please select an existing subcategory.' });
-      }
-      if (leafCheck.code === 'ambiguous') {
-        return res.status(400).json({ error: `Multiple categories named "${normalizedCategory}" exist. Rename to make it unique and select the subcategory.` });
-      }
-      if (leafCheck.code === 'not_leaf') {
-        return res.status(400).json({ error: 'Category has child categories. Please pick a subcategory instead.' });
-      }
-    }
+    const categoryError = await leafCategoryError(normalizedCategory);
+    if (categoryError) return res.status(400).json({ error: categoryError });
   }
 
   // Color and offer are deprecated; store nulls to keep schema compatibility
-  const payload = [name, description, price, stock, status, JSON.stringify(images), normalizedCategory, null, null, req.user.userId];
-  const result = await query(
-    'INSERT INTO Product (name, description, price, stock, status, images, category, offer, color, updatedById, createdAt, updatedAt) VALUES (?,?,?,?,?,?,?,?,?,?, NOW(), NOW())',
-    payload,
-  );
-  const insertedId = result.insertId;
+  const payload = [name, description, price, stock, status, JSON.stringify(images), normalizedCategory, null, null, normalizedWeight, normalizedThreshold, req.user.userId];
+  // The product and its opening ledger entry are written together
+  const { default: pool } = await import('./src/config/database.js');
+  const connection = await pool.getConnection();
+  let insertedId;
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      'INSERT INTO Product (name, description, price, stock, status, images, category, offer, color, weight, lowStockThreshold, updatedById, createdAt, updatedAt) VALUES (?,?,?,?,?,?,?,?,?,?,?,?, NOW(), NOW())',
+      payload,
+    );
+    insertedId = result.insertId;
+    await recordMovement(connection, {
+      productId: insertedId,
+      delta: Number(stock) || 0,
+      reason: MOVEMENT_REASONS.INITIAL,
+      actor: ORDER_ACTORS.ADMIN,
+      actorId: req.user.userId
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
   const [product] = await query('SELECT * FROM Product WHERE id = ? LIMIT 1', [insertedId]);
   
   // ✅ CACHE INVALIDATION: Clear caches after product creation
-  // Cache invalidation disabled - Redis removed
+  await invalidateProductCache(insertedId);
   
   res.status(201).json(mapProduct(product));
 });
@@ -500,59 +641,79 @@ app.put(['/admin/products/:id', '/api/admin/products/:id'], requireAuth, require
       return res.status(400).json({ error: 'Invalid product ID' });
     }
 
-    const { name, description = '', price, stock = 0, status = 'ACTIVE', images = [], category = null } = req.body ?? {};
+    const { name, description = '', price, stock = 0, status = 'ACTIVE', images = [], category = null, weight, lowStockThreshold } = req.body ?? {};
 
     if (!name || price === undefined) {
       return res.status(400).json({ error: 'Name and price required' });
     }
 
-    // Check if product exists
-    const existingProducts = await query('SELECT * FROM Product WHERE id = ? LIMIT 1', [id]);
-    if (!existingProducts || existingProducts.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
+    const normalizedWeight = weight === undefined ? undefined : parseProductWeight(weight);
+    if (weight !== undefined && normalizedWeight === undefined) {
+      return res.status(400).json({ error: 'Weight must be a positive number (kg)' });
+    }
+
+    const normalizedThreshold = lowStockThreshold === undefined ? undefined : parseLowStockThreshold(lowStockThreshold);
+    if (lowStockThreshold !== undefined && normalizedThreshold === undefined) {
+      return res.status(400).json({ error: 'Low stock threshold must be a positive whole number' });
     }
 
     const normalizedCategory = typeof category === 'string' && category.trim() !== '' ? category.trim() : null;
     if (normalizedCategory) {
-      const leafCheck = await validateLeafCategory(normalizedCategory);
-      if (!leafCheck.ok) {
-        if (leafCheck.code === 'not_found') {
-          return res.status(400).json({ error: 'Category not found. Please select an existing subcategory.' });
-        }
-        if (leafCheck.code === 'ambiguous') {
-          return res.status(400).json({ error: `Multiple categories named "${normalizedCategory}" exist. Rename to make it unique and select the subcategory.` });
-        }
-        if (leafCheck.code === 'not_leaf') {
-          return res.status(400).json({ error: 'Category has child categories. Please pick a subcategory instead.' });
-        }
-      }
+      const categoryError = await leafCategoryError(normalizedCategory);
+      if (categoryError) return res.status(400).json({ error: categoryError });
     }
 
-    // Update the product - query() returns ResultSetHeader for UPDATE/DELETE
-    // Color and offer are deprecated; store nulls to keep schema compatibility
-    const payload = [name, description, price, stock, status, JSON.stringify(images), normalizedCategory, null, null, req.user.userId, id];
-    const result = await query(
-      'UPDATE Product SET name=?, description=?, price=?, stock=?, status=?, images=?, category=?, offer=?, color=?, updatedById=?, updatedAt=NOW() WHERE id=?',
-      payload,
-    );
+    // Stock, its ledger entry and low-stock alerts change together, with the
+    // product row locked so an order can't slip in between
+    const { default: pool } = await import('./src/config/database.js');
+    const connection = await pool.getConnection();
+    let products;
+    try {
+      await connection.beginTransaction();
 
-    // Verify update - result is ResultSetHeader with affectedRows property
-    // For UPDATE/DELETE, query() returns the ResultSetHeader object directly
-    if (result && typeof result === 'object' && result.affectedRows !== undefined) {
-      if (result.affectedRows === 0) {
-        return res.status(500).json({ error: 'Failed to update product - no rows affected' });
+      const [existingProducts] = await connection.execute('SELECT * FROM Product WHERE id = ? LIMIT 1 FOR UPDATE', [id]);
+      if (existingProducts.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: 'Product not found' });
       }
-    }
 
-    // Fetch and return updated product
-    const products = await query('SELECT * FROM Product WHERE id = ? LIMIT 1', [id]);
-    if (!products || products.length === 0) {
-      return res.status(404).json({ error: 'Product not found after update' });
+      // Color and offer are deprecated; store nulls to keep schema compatibility
+      // Weight and low-stock threshold are kept as-is when the client doesn't send them
+      const payload = [name, description, price, stock, status, JSON.stringify(images), normalizedCategory, null, null,
+        normalizedWeight === undefined ? existingProducts[0].weight : normalizedWeight,
+        normalizedThreshold === undefined ? existingProducts[0].lowStockThreshold : normalizedThreshold,
+        req.user.userId, id];
+      await connection.execute(
+        'UPDATE Product SET name=?, description=?, price=?, stock=?, status=?, images=?, category=?, offer=?, color=?, weight=?, lowStockThreshold=?, updatedById=?, updatedAt=NOW() WHERE id=?',
+        payload,
+      );
+
+      // Products sold in variants take their stock from the variants
+      await syncProductStock(connection, id);
+
+      [products] = await connection.execute('SELECT * FROM Product WHERE id = ? LIMIT 1', [id]);
+
+      // Log manual stock edits in the inventory ledger
+      await recordMovement(connection, {
+        productId: id,
+        delta: products[0].stock - existingProducts[0].stock,
+        reason: MOVEMENT_REASONS.ADJUSTMENT,
+        actor: ORDER_ACTORS.ADMIN,
+        actorId: req.user.userId,
+        note: 'Product edited'
+      });
+      await syncLowStockAlerts(connection, [id]);
+
+      await connection.commit();
+    } catch (updateError) {
+      await connection.rollback();
+      throw updateError;
+    } finally {
+      connection.release();
     }
 
     logger.info('Product updated', { productId: id, name: products[0].name });
-    // Redis/cache invalidation disabled in this deployment.
-    // await invalidateProductCache(id);
+    await invalidateProductCache(id);
 
     res.json(mapProduct(products[0]));
   } catch (error) {
@@ -574,6 +735,94 @@ app.put(['/admin/products/:id', '/api/admin/products/:id'], requireAuth, require
   }
 });
 
+// Admin endpoint: Apply one change to many products at once (all or nothing)
+// Body: { ids, action: archive|activate|move_category|adjust_price|set_stock, category?, mode?, value?, stock? }
+app.post(['/admin/products/bulk', '/api/admin/products/bulk'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const request = parseBulkRequest(req.body ?? {});
+    const result = await productBulkService.applyBulkAction(request, {
+      actorId: req.user.userId,
+      validateCategory: leafCategoryError
+    });
+    await clearProductCaches();
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ProductBulkError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[BULK] Product bulk action error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+const uploadImportFile = (req, res, next) => {
+  uploadCsv.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+// Admin endpoint: Bulk import products from CSV (multipart "file" or JSON { csv })
+// dryRun (default true) only validates and reports; dryRun=false applies the whole file in one transaction
+app.post(['/admin/products/import', '/api/admin/products/import'], requireAuth, requireAdmin, uploadImportFile, async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'Upload a CSV file', columns: IMPORT_COLUMNS });
+    }
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+
+    const plan = await productImportService.planProductImport(csv, { validateCategory: leafCategoryError });
+    if (!dryRun && plan.summary.errors > 0) {
+      return res.status(422).json({
+        error: `Fix the ${plan.summary.errors} row(s) with errors before importing`,
+        ...toImportReport(plan, false)
+      });
+    }
+
+    if (!dryRun) {
+      await productImportService.applyProductImport(plan, { actorId: req.user.userId });
+      await clearProductCaches();
+      console.log(`[IMPORT] ${plan.summary.creates} created, ${plan.summary.updates} updated by admin ${req.user.userId}`);
+    }
+
+    res.json(toImportReport(plan, dryRun));
+  } catch (error) {
+    if (error instanceof ProductImportError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[IMPORT] Product import error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Admin endpoint: Get product variants (including disabled ones)
+app.get(['/admin/products/:id/variants', '/api/admin/products/:id/variants'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await productVariantsService.getVariantsByProductId(Number(req.params.id)));
+  } catch (error) {
+    console.error('[VARIANT] List error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Admin endpoint: Replace product variants (variant editor saves the whole list)
+app.put(['/admin/products/:id/variants', '/api/admin/products/:id/variants'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { variants } = req.body ?? {};
+    const saved = await productVariantsService.saveVariants(Number(req.params.id), variants, { actorId: req.user.userId });
+    await invalidateProductCache(Number(req.params.id));
+    console.log(`[VARIANT] Saved ${saved.length} variants for product ${req.params.id}`);
+    res.json(saved);
+  } catch (error) {
+    if (error instanceof VariantError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[VARIANT] Save error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 app.patch(['/admin/products/:id/status', '/api/admin/products/:id/status'], requireAuth, requireAdmin, async (req, res) => {
   const { status } = req.body ?? {};
   if (!['ACTIVE', 'ARCHIVED'].includes(status)) return res.status(400).json({ error: 'Bad status' });
@@ -584,7 +833,7 @@ app.patch(['/admin/products/:id/status', '/api/admin/products/:id/status'], requ
   );
   
   // ✅ CACHE INVALIDATION: Clear caches after status change
-  // Cache invalidation disabled - Redis removed
+  await invalidateProductCache(productId);
   
   res.json({ ok: true });
 });
@@ -614,8 +863,7 @@ app.delete(['/admin/products/:id', '/api/admin/products/:id'], requireAuth, requ
     }
 
     logger.info('Product deleted', { productId: id });
-    // Redis/cache invalidation disabled in this deployment.
-    // await invalidateProductCache(id);
+    await invalidateProductCache(id);
 
     res.json({ ok: true, message: 'Product deleted successfully' });
   } catch (error) {
@@ -802,9 +1050,15 @@ function buildCategoryHierarchy(categories) {
 }
 
 // Public endpoint: Get all categories (with hierarchy)
+// Category table, cached until a category changes
+async function getCachedCategoryRows() {
+  const { key, ttl } = getCacheKeys.categoryList('flat');
+  return cache.getOrSet(key, () => query('SELECT * FROM Category ORDER BY parentCategoryId ASC, name ASC'), ttl);
+}
+
 app.get('/categories', async (_req, res) => {
   try {
-    const rows = await query('SELECT * FROM Category ORDER BY parentCategoryId ASC, name ASC');
+    const rows = await getCachedCategoryRows();
 
     // Return flat list for backward compatibility, but include parentCategoryId
     res.json(rows);
@@ -815,10 +1069,15 @@ app.get('/categories', async (_req, res) => {
 });
 
 // Public endpoint: Get categories with hierarchy
-app.get('/categories/hierarchy', async (_req, res) => {
+app.get('/categories/hierarchy', async (req, res) => {
   try {
-    const rows = await query('SELECT * FROM Category ORDER BY parentCategoryId ASC, name ASC');
-    const hierarchy = buildCategoryHierarchy(rows);
+    const version = await getCatalogVersion('categories');
+    if (answerIfFresh(req, res, { ...versionValidators(version), cacheControl: CACHE_POLICIES.CATEGORIES })) {
+      return;
+    }
+
+    const { key, ttl } = getCacheKeys.categoryList('hierarchy');
+    const hierarchy = await cache.getOrSet(key, async () => buildCategoryHierarchy(await getCachedCategoryRows()), ttl);
     res.json(hierarchy);
   } catch (error) {
     console.error('[CATEGORIES] Error:', error);
@@ -848,7 +1107,7 @@ app.get('/categories/:parentId/subcategories', async (req, res) => {
 // Public API endpoint (with /api prefix) for categories - used by mobile app
 app.get('/api/categories', async (_req, res) => {
   try {
-    const rows = await query('SELECT * FROM Category ORDER BY parentCategoryId ASC, name ASC');
+    const rows = await getCachedCategoryRows();
 
     // Return flat list for backward compatibility, but include parentCategoryId
     res.json(rows);
@@ -915,6 +1174,7 @@ app.post(['/admin/categories', '/api/admin/categories'], requireAuth, requireAdm
     const insertedId = result.insertId;
     const [category] = await query('SELECT * FROM Category WHERE id = ? LIMIT 1', [insertedId]);
 
+    await invalidateCategoryCache(insertedId);
     console.log(`[CATEGORY] Created: ${name} (${insertedId})${parentCategoryId ? ` under parent ${parentCategoryId}` : ''}`);
     res.status(201).json(category);
   } catch (error) {
@@ -994,6 +1254,7 @@ app.put(['/admin/categories/:id', '/api/admin/categories/:id'], requireAuth, req
 
     const [category] = await query('SELECT * FROM Category WHERE id = ? LIMIT 1', [id]);
 
+    await invalidateCategoryCache(id);
     console.log(`[CATEGORY] Updated: ${name} (${id})`);
     res.json(category);
   } catch (error) {
@@ -1038,6 +1299,7 @@ app.delete(['/admin/categories/:id', '/api/admin/categories/:id'], requireAuth,
       }
     }
 
+    await invalidateCategoryCache(id);
     console.log(`[CATEGORY] Deleted: ${categories[0].name} (${id})`);
     res.json({ ok: true, message: 'Category deleted successfully' });
   } catch (error) {
@@ -1059,28 +1321,37 @@ const mapBanner = (row) => {
 // Public endpoint: Get active banners (for mobile app)
 async function getPublicBanners(req, res) {
   try {
-    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
     const { type } = req.query;
-    
-    let whereClause = 'WHERE isActive = TRUE';
-    
-    // Filter by banner type
-    if (type === 'home') {
-      whereClause += ' AND displayOnHome = TRUE';
-    } else if (type === 'category') {
-      whereClause += ' AND displayOnHome = FALSE';
-    }
-    // If no type specified, return all active banners
-    
-    const rows = await query(
-      `SELECT * FROM Banner 
-       ${whereClause}
-       AND (startDate IS NULL OR startDate <= ?)
-       AND (endDate IS NULL OR endDate >= ?)
-       ORDER BY displayOrder ASC, createdAt DESC`,
-      [now, now]
-    );
-    res.json(rows.map(mapBanner));
+    const bannerType = ['home', 'category'].includes(type) ? type : 'all';
+    const version = await getCatalogVersion('banners');
+    if (answerIfFresh(req, res, { ...versionValidators(version), cacheControl: CACHE_POLICIES.BANNERS })) {
+      return;
+    }
+
+    const { key, ttl } = getCacheKeys.banners(bannerType);
+    const banners = await cache.getOrSet(key, async () => {
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      let whereClause = 'WHERE isActive = TRUE';
+
+      // Filter by banner type
+      if (bannerType === 'home') {
+        whereClause += ' AND displayOnHome = TRUE';
+      } else if (bannerType === 'category') {
+        whereClause += ' AND displayOnHome = FALSE';
+      }
+      // If no type specified, return all active banners
+
+      const rows = await query(
+        `SELECT * FROM Banner 
+         ${whereClause}
+         AND (startDate IS NULL OR startDate <= ?)
+         AND (endDate IS NULL OR endDate >= ?)
+         ORDER BY displayOrder ASC, createdAt DESC`,
+        [now, now]
+      );
+      return rows.map(mapBanner);
+    }, ttl);
+    res.json(banners);
   } catch (error) {
     console.error('[BANNERS] Error:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
@@ -1171,6 +1442,7 @@ app.post(['/admin/banners', '/api/admin/banners'], requireAuth, requireAdmin, as
     const insertedId = result.insertId;
     const [banner] = await query('SELECT * FROM Banner WHERE id = ? LIMIT 1', [insertedId]);
 
+    await invalidateBannerCache();
     console.log(`[BANNER] Created: ${bannerTitle} (${insertedId})`);
     res.status(201).json(mapBanner(banner));
   } catch (error) {
@@ -1263,6 +1535,7 @@ app.put(['/admin/banners/:id', '/api/admin/banners/:id'], requireAuth, requireAd
 
     const [banner] = await query('SELECT * FROM Banner WHERE id = ? LIMIT 1', [id]);
 
+    await invalidateBannerCache();
     console.log(`[BANNER] Updated: ${bannerTitle} (${id})`);
     res.json(mapBanner(banner));
   } catch (error) {
@@ -1296,6 +1569,7 @@ app.delete(['/admin/banners/:id', '/api/admin/banners/:id'], requireAuth, requir
 
     await query('DELETE FROM Banner WHERE id = ?', [id]);
 
+    await invalidateBannerCache();
     console.log(`[BANNER] Deleted: ${id}`);
     res.json({ message: 'Banner deleted successfully' });
   } catch (error) {
@@ -1304,6 +1578,147 @@ app.delete(['/admin/banners/:id', '/api/admin/banners/:id'], requireAuth, requir
   }
 });
 
+// ==================== COUPON ENDPOINTS ====================
+
+// Coupon errors carry their own status; everything else is a 500
+const handleCouponError = (res, error, action) => {
+  if (error instanceof CouponError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`[COUPON] ${action} error:`, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+};
+
+// Admin endpoint: Get all coupons (with usage counts)
+app.get(['/admin/coupons', '/api/admin/coupons'], requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    res.json(await couponService.listCoupons());
+  } catch (error) {
+    handleCouponError(res, error, 'List');
+  }
+});
+
+// Admin endpoint: Get coupon
+app.get(['/admin/coupons/:id', '/api/admin/coupons/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await couponService.getCouponById(Number(req.params.id)));
+  } catch (error) {
+    handleCouponError(res, error, 'Get');
+  }
+});
+
+// Admin endpoint: Create coupon
+app.post(['/admin/coupons', '/api/admin/coupons'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body ?? {});
+    console.log(`[COUPON] Created: ${coupon.code} (${coupon.id})`);
+    res.status(201).json(coupon);
+  } catch (error) {
+    handleCouponError(res, error, 'Create');
+  }
+});
+
+// Admin endpoint: Update coupon
+app.put(['/admin/coupons/:id', '/api/admin/coupons/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const coupon = await couponService.updateCoupon(Number(req.params.id), req.body ?? {});
+    console.log(`[COUPON] Updated: ${coupon.code} (${coupon.id})`);
+    res.json(coupon);
+  } catch (error) {
+    handleCouponError(res, error, 'Update');
+  }
+});
+
+// Admin endpoint: Delete coupon (deactivates coupons that were already used)
+app.delete(['/admin/coupons/:id', '/api/admin/coupons/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await couponService.deleteCoupon(Number(req.params.id));
+    console.log(`[COUPON] ${result.deleted ? 'Deleted' : 'Deactivated'}: ${req.params.id}`);
+    res.json({
+      message: result.deleted ? 'Coupon deleted successfully' : 'Coupon has been used and was deactivated instead',
+      ...result
+    });
+  } catch (error) {
+    handleCouponError(res, error, 'Delete');
+  }
+});
+
+// ==================== SHIPPING ENDPOINTS ====================
+
+// Shipping errors carry their own status; everything else is a 500
+const handleShippingError = (res, error, action) => {
+  if (error instanceof ShippingError || error instanceof CheckoutValidationError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`[SHIPPING] ${action} error:`, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+};
+
+// Public endpoint: Quote shipping before the order is placed (mobile checkout)
+// Body: { city, district, items: [{ productId, quantity }] }
+app.post(['/shipping/quote', '/api/shipping/quote'], async (req, res) => {
+  try {
+    const { city, district, items = [] } = req.body ?? {};
+    if (!city) {
+      return res.status(400).json({ error: 'City is required' });
+    }
+
+    const { default: pool } = await import('./src/config/database.js');
+    const { items: validatedItems, subtotal } = await validateItems(pool, items);
+    const quote = await quoteShipping(pool, { city, district, items: validatedItems, subtotal });
+
+    res.json({
+      ...quote,
+      subtotal,
+      total: Math.round((subtotal + quote.shipping) * 100) / 100
+    });
+  } catch (error) {
+    handleShippingError(res, error, 'Quote');
+  }
+});
+
+// Admin endpoint: Get all shipping zones
+app.get(['/admin/shipping-zones', '/api/admin/shipping-zones'], requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    res.json(await shippingService.listZones());
+  } catch (error) {
+    handleShippingError(res, error, 'List');
+  }
+});
+
+// Admin endpoint: Create shipping zone
+app.post(['/admin/shipping-zones', '/api/admin/shipping-zones'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const zone = await shippingService.createZone(req.body ?? {});
+    console.log(`[SHIPPING] Zone created: ${zone.name} (${zone.id})`);
+    res.status(201).json(zone);
+  } catch (error) {
+    handleShippingError(res, error, 'Create');
+  }
+});
+
+// Admin endpoint: Update shipping zone
+app.put(['/admin/shipping-zones/:id', '/api/admin/shipping-zones/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const zone = await shippingService.updateZone(Number(req.params.id), req.body ?? {});
+    console.log(`[SHIPPING] Zone updated: ${zone.name} (${zone.id})`);
+    res.json(zone);
+  } catch (error) {
+    handleShippingError(res, error, 'Update');
+  }
+});
+
+// Admin endpoint: Delete shipping zone
+app.delete(['/admin/shipping-zones/:id', '/api/admin/shipping-zones/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await shippingService.deleteZone(Number(req.params.id));
+    console.log(`[SHIPPING] Zone deleted: ${req.params.id}`);
+    res.json({ message: 'Shipping zone deleted successfully' });
+  } catch (error) {
+    handleShippingError(res, error, 'Delete');
+  }
+});
+
 // Helper function to generate order number: ORD-YYYYMMDD-XXXXXX
 function generateOrderNumber() {
   const now = new Date();
@@ -1320,6 +1735,7 @@ async function mapOrder(orderRow) {
   );
   return {
     ...orderRow,
+    allowedStatuses: getAllowedTransitions(orderRow.status),
     items: items.map(item => ({
       id: item.id,
       productId: item.productId,
@@ -1329,10 +1745,24 @@ async function mapOrder(orderRow) {
       quantity: item.quantity,
       color: item.color,
       offer: item.offer,
+      variantId: item.variantId ?? null,
+      sku: item.sku ?? null,
+      variantLabel: item.variantLabel ?? null,
     })),
   };
 }
 
+// Logged-in user of a public request, if a valid token was sent
+function getOptionalUserId(req) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).userId;
+  } catch {
+    return null;
+  }
+}
+
 // STEP 2: Create Order (for mobile app checkout)
 // This endpoint is public (no auth required) so customers can place orders
 // Apply rate limiting to prevent order spam
@@ -1349,6 +1779,8 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
       customerDistrict,
       paymentMethod,
       userId = null, // Optional: if user is logged in
+      couponCode = null, // Optional: promotion code
+      locale = null, // Optional: language of the email/SMS receipt (defaults to Accept-Language)
     } = req.body ?? {};
 
     // Validation
@@ -1372,66 +1804,19 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
 
     // Validate stock availability and recalculate prices from database
     // SECURITY: Don't trust client prices - fetch actual prices from DB
-    let calculatedSubtotal = 0;
-    const validatedItems = [];
-    
-    for (const item of items) {
-      const quantity = Number(item.quantity) || 1;
-      
-      if (!item.productId) {
-        await connection.rollback();
-        return res.status(400).json({ error: `Invalid product: ${item.name || 'Unknown'}` });
-      }
-      
-      // Fetch product with current price and stock from database
-      const [productRows] = await connection.execute(
-        'SELECT id, name, price, stock, images FROM Product WHERE id = ? AND status = "ACTIVE" LIMIT 1',
-        [item.productId]
-      );
-      
-      if (!productRows || productRows.length === 0) {
-        await connection.rollback();
-        return res.status(400).json({ error: `Product ${item.name || item.productName} not found or inactive` });
-      }
-      
-      const product = productRows[0];
-      const availableStock = product.stock || 0;
-      
-      if (availableStock < quantity) {
-        await connection.rollback();
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name}. Available: ${availableStock}, Requested: ${quantity}` 
-        });
-      }
-      
-      // Use actual price from database (SECURITY FIX)
-      const actualPrice = Number(product.price);
-      const itemTotal = actualPrice * quantity;
-      calculatedSubtotal += itemTotal;
-      
-      // Store validated item data
-      validatedItems.push({
-        productId: product.id,
-        productName: product.name,
-        productImage: item.imageUrl || item.productImage || (product.images ? JSON.parse(product.images)[0] : null),
-        price: actualPrice, // Use DB price, not client price
-        quantity: quantity,
-        color: item.color || null,
-        offer: item.offer || null,
-      });
-      
-      console.log(`[ORDER] Validated item: ${product.name} - Price: $${actualPrice} x ${quantity} = $${itemTotal.toFixed(2)}`);
+    let validatedItems;
+    let calculatedSubtotal;
+    try {
+      ({ items: validatedItems, subtotal: calculatedSubtotal } = await validateItems(connection, items));
+    } catch (validationError) {
+      if (!(validationError instanceof CheckoutValidationError)) throw validationError;
+      await connection.rollback();
+      return res.status(validationError.statusCode).json({ error: validationError.message, ...validationError.details });
     }
 
-    // Calculate totals with proper rounding (2 decimal places)
-    const shipping = 0.00; // Free shipping
-    const subtotal = Math.round(calculatedSubtotal * 100) / 100;
-    const total = Math.round((subtotal + shipping) * 100) / 100;
-
-    console.log(`[ORDER] Calculated totals - Subtotal: $${subtotal}, Shipping: $${shipping}, Total: $${total}`);
-
-    // Generate order number
-    const orderNumber = generateOrderNumber();
+    for (const item of validatedItems) {
+      console.log(`[ORDER] Validated item: ${item.productName} - Price: $${item.price} x ${item.quantity} = $${(item.price * item.quantity).toFixed(2)}`);
+    }
 
     // Validate userId if provided (must exist in User table)
     let validUserId = null;
@@ -1448,12 +1833,60 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
       }
     }
 
+    const subtotal = Math.round(calculatedSubtotal * 100) / 100;
+
+    // Shipping fee from the zone covering the delivery city/district
+    let shipping;
+    try {
+      ({ shipping } = await quoteShipping(connection, {
+        city: customerCity,
+        district: customerDistrict,
+        items: validatedItems,
+        subtotal
+      }));
+    } catch (shippingError) {
+      if (!(shippingError instanceof ShippingError)) throw shippingError;
+      await connection.rollback();
+      return res.status(shippingError.statusCode).json({ error: shippingError.message, ...shippingError.details });
+    }
+
+    // Apply coupon (row is locked until commit so usage limits hold under concurrency)
+    // Per-customer limits need a verified identity, not the body's userId
+    const couponUserId = getOptionalUserId(req);
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      try {
+        ({ coupon, discount } = await evaluateCoupon(connection, couponCode, {
+          items: validatedItems,
+          subtotal,
+          shipping,
+          userId: couponUserId,
+          lock: true
+        }));
+      } catch (couponError) {
+        if (!(couponError instanceof CouponError)) throw couponError;
+        await connection.rollback();
+        return res.status(couponError.statusCode).json({ error: couponError.message, ...couponError.details });
+      }
+      console.log(`[ORDER] Coupon ${coupon.code} applied - Discount: $${discount}`);
+    }
+
+    // Calculate totals with proper rounding (2 decimal places)
+    const total = Math.round(Math.max(0, subtotal + shipping - discount) * 100) / 100;
+
+    console.log(`[ORDER] Calculated totals - Subtotal: $${subtotal}, Shipping: $${shipping}, Discount: $${discount}, Total: $${total}`);
+
+    // Generate order number
+    const orderNumber = generateOrderNumber();
+
     // Insert order
     console.log('[ORDER] Inserting order with data:', {
       orderNumber,
       customerName,
       subtotal,
       shipping,
+      discount,
       total,
       userId: validUserId,
     });
@@ -1461,9 +1894,9 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
     const [orderResult] = await connection.execute(
       `INSERT INTO \`Order\` (
         orderNumber, customerName, customerPhone, customerAddress, customerCity, 
-        customerDistrict, paymentMethod, status, subtotal, shipping, total, userId,
+        customerDistrict, paymentMethod, status, subtotal, shipping, discount, couponCode, locale, total, userId,
         orderDate, createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, NOW(), NOW(), NOW())`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())`,
       [
         orderNumber,
         customerName,
@@ -1474,6 +1907,9 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
         paymentMethod,
         subtotal,
         shipping,
+        discount,
+        coupon ? coupon.code : null,
+        resolveLocale(locale || req.get('Accept-Language')),
         total,
         validUserId,
       ]
@@ -1487,14 +1923,25 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
       throw new Error('Failed to get order ID after insertion');
     }
 
+    if (coupon) {
+      await recordRedemption(connection, {
+        couponId: coupon.id,
+        orderId,
+        userId: couponUserId,
+        customerPhone,
+        discount
+      });
+    }
+
     // Insert order items and deduct stock (within same transaction)
     console.log('[ORDER] Inserting order items and deducting stock...');
     for (const item of validatedItems) {
       // Insert order item
       await connection.execute(
         `INSERT INTO OrderItem (
-          orderId, productId, productName, productImage, price, quantity, color, offer, createdAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+          orderId, productId, productName, productImage, price, quantity, color, offer,
+          variantId, sku, variantLabel, createdAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
         [
           orderId,
           item.productId,
@@ -1504,6 +1951,9 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
           item.quantity,
           item.color,
           item.offer,
+          item.variantId,
+          item.sku,
+          item.variantLabel,
         ]
       );
       
@@ -1512,13 +1962,61 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
         'UPDATE Product SET stock = stock - ? WHERE id = ?',
         [item.quantity, item.productId]
       );
-      
-      console.log(`[ORDER] Item inserted and stock deducted: ${item.productName} (${item.quantity} units)`);
-    }
+
+      // Deduct stock from the chosen variant (Product.stock is the sum of its variants)
+      if (item.variantId) {
+        await connection.execute(
+          'UPDATE ProductVariant SET stock = stock - ? WHERE id = ?',
+          [item.quantity, item.variantId]
+        );
+      }
+
+      await recordMovement(connection, {
+        productId: item.productId,
+        variantId: item.variantId,
+        delta: -item.quantity,
+        reason: MOVEMENT_REASONS.SALE,
+        actor: validUserId ? ORDER_ACTORS.CUSTOMER : ORDER_ACTORS.SYSTEM,
+        actorId: validUserId,
+        orderId
+      });
+      
+      console.log(`[ORDER] Item inserted and stock deducted: ${item.productName} (${item.quantity} units)`);
+    }
+
+    // Hold the deducted stock for this order (Bakong holds expire if the order stays unpaid)
+    await createReservations(connection, orderId, validatedItems, {
+      expiresInMinutes: paymentMethod === 'Bakong' ? getReservationExpiryMinutes() : null
+    });
+
+    // Alert once when this order takes a product to its low-stock threshold
+    const { raised: lowStockAlerts } = await syncLowStockAlerts(
+      connection,
+      validatedItems.map(item => item.productId),
+      { orderId }
+    );
+    if (lowStockAlerts.length > 0) {
+      console.log(`[ORDER] Low stock: ${lowStockAlerts.map(alert => `${alert.name} (${alert.stock})`).join(', ')}`);
+    }
+
+    // Email/SMS receipt goes out once the order is committed
+    await enqueueOrderMessages(connection, orderId, MESSAGE_TEMPLATES.ORDER_CONFIRMATION);
 
     // Commit transaction - all operations succeeded
     await connection.commit();
     console.log('[ORDER] Transaction committed successfully');
+    kickOutbox();
+    await invalidateProductsCache(validatedItems.map(item => item.productId));
+
+    // Ordered items leave the user's server-side cart
+    if (validUserId) {
+      try {
+        await cartService.clearCart(validUserId, validatedItems.map(({ productId, variantId }) => ({ productId, variantId })));
+      } catch (cartError) {
+        console.error('[ORDER] Error clearing cart items:', cartError);
+        // Don't fail the order if the cart couldn't be updated
+      }
+    }
 
     // Fetch complete order with items (using regular pool, not connection)
     console.log('[ORDER] Fetching order with id:', orderId);
@@ -1549,6 +2047,13 @@ app.post('/orders', orderCreationLimiter, async (req, res) => {
             amount: amountInKHR,
             currency: 'KHR'
           };
+          await paymentService.recordQrPayment({
+            orderId,
+            amount: amountInKHR,
+            khqrMd5: qrResult.qrCode?.md5,
+            expiresAt: qrResult.expiryTime,
+            source: PAYMENT_SOURCES.CHECKOUT
+          });
           console.log('[ORDER] Bakong QR code generated for order:', orderNumber);
         }
       } catch (qrError) {
@@ -1832,8 +2337,9 @@ const getOrderByIdHandler = async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to view this order' });
     }
 
-    // Map order with items
+    // Map order with items and its return requests
     const orderWithItems = await mapOrder(order);
+    orderWithItems.returns = await returnsService.getReturnsForOrder(orderId);
 
     console.log(`[ORDER] Returning order details: ${order.orderNumber} (${orderId})`);
     res.json(orderWithItems);
@@ -1853,78 +2359,44 @@ app.get('/api/orders/:id', requireAuth, getOrderByIdHandler);
 
 // STEP 8: Update Order Status (for web admin)
 // This endpoint requires admin authentication
+// Transitions are enforced by the order lifecycle service (illegal moves return 409)
 const patchOrderStatusHandler = async (req, res) => {
   try {
     const orderId = Number(req.params.id);
-    const { status } = req.body ?? {};
+    const { status, note = null } = req.body ?? {};
 
     if (!orderId || isNaN(orderId)) {
       return res.status(400).json({ error: 'Invalid order ID' });
     }
 
     // Validate status
-    if (!status || !['pending', 'processing', 'delivered', 'expired', 'failed', 'cancelled'].includes(status)) {
-      return res.status(400).json({ error: 'Valid status is required (pending, processing, delivered, expired, failed, or cancelled)' });
+    if (!status || !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Valid status is required (${ORDER_STATUSES.join(', ')})` });
     }
 
     console.log(`[ORDER] Updating status for order ${orderId} to ${status}`);
 
-    // Check if order exists
-    const orderRows = await query('SELECT * FROM `Order` WHERE id = ? LIMIT 1', [orderId]);
-    if (!orderRows || orderRows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    const currentOrder = orderRows[0];
-    const currentStatus = currentOrder.status;
+    const { order, fromStatus, restoredItems } = await changeOrderStatus(orderId, status, {
+      actor: ORDER_ACTORS.ADMIN,
+      actorId: req.user.userId,
+      note: note ? String(note).trim() : null
+    });
 
-    // If order is being cancelled or marked as failed, restore stock
-    if ((status === 'cancelled' || status === 'failed') && currentStatus !== 'cancelled' && currentStatus !== 'failed') {
-      try {
-        const orderItems = await query(
-          'SELECT productId, quantity FROM OrderItem WHERE orderId = ?',
-          [orderId]
-        );
-        
-        for (const item of orderItems) {
-          if (item.productId && item.quantity > 0) {
-            await query(
-              'UPDATE Product SET stock = stock + ? WHERE id = ?',
-              [item.quantity, item.productId]
-            );
-            console.log(`[ORDER] Stock restored: ${item.quantity} units for product ${item.productId}`);
-          }
-        }
-      } catch (err) {
-        console.error('[ORDER] Error restoring stock:', err);
-        // Continue with status update even if stock restoration fails
-      }
+    for (const item of restoredItems) {
+      console.log(`[ORDER] Stock restored: ${item.quantity} units for product ${item.productId}`);
     }
 
-    // Validate status transitions (optional - can be made more strict)
-    // For now, allow any valid status transition
-    // You could add logic like: pending → processing → delivered only
-
-    // Update order status
-    await query(
-      'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
-      [status, orderId]
-    );
-
-    // Track status change in history
-    await query(
-      'INSERT INTO OrderStatusHistory (orderId, status, note, createdAt) VALUES (?, ?, ?, NOW())',
-      [orderId, status, `Status changed from ${currentStatus} to ${status}`]
-    );
-
     // Fetch updated order with items
     const updatedOrderRows = await query('SELECT * FROM `Order` WHERE id = ? LIMIT 1', [orderId]);
-    const updatedOrder = updatedOrderRows[0];
-    const orderWithItems = await mapOrder(updatedOrder);
+    const orderWithItems = await mapOrder(updatedOrderRows[0]);
 
-    console.log(`[ORDER] Status updated: ${currentOrder.orderNumber} (${orderId}) - ${currentStatus} → ${status}`);
+    console.log(`[ORDER] Status updated: ${order.orderNumber} (${orderId}) - ${fromStatus} → ${status}`);
     res.json(orderWithItems);
   } catch (error) {
+    if (error instanceof OrderLifecycleError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
     console.error('[ORDER] Update status error:', error);
     console.error('[ORDER] Error message:', error.message);
     console.error('[ORDER] Stack:', error.stack);
@@ -1938,45 +2410,135 @@ const patchOrderStatusHandler = async (req, res) => {
 app.patch('/orders/:id/status', requireAuth, requireAdmin, patchOrderStatusHandler);
 app.patch('/api/orders/:id/status', requireAuth, requireAdmin, patchOrderStatusHandler);
 
+// Customer cancels their own unpaid order (stock is restored in the same transaction)
+app.post(['/orders/:id/cancel', '/api/orders/:id/cancel'], requireAuth, async (req, res) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const { order, restoredItems } = await cancelOrderByCustomer(orderId, req.user.userId, req.body?.reason);
+
+    console.log(`[ORDER] Cancelled by customer: ${order.orderNumber} (${orderId}), ${restoredItems.length} items restocked`);
+
+    const updatedOrderRows = await query('SELECT * FROM `Order` WHERE id = ? LIMIT 1', [orderId]);
+    res.json(await mapOrder(updatedOrderRows[0]));
+  } catch (error) {
+    if (error instanceof OrderLifecycleError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[ORDER] Customer cancel error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// ============================================
+// RETURNS & REFUNDS
+// ============================================
+
+// Map return errors to their HTTP status
+const handleReturnError = (res, error, action) => {
+  if (error instanceof ReturnError || error instanceof OrderLifecycleError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`[RETURN] ${action} error:`, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+};
+
+// Customer opens a return for items of their delivered order
+app.post(['/orders/:id/returns', '/api/orders/:id/returns'], requireAuth, async (req, res) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const { items, reason, comment } = req.body ?? {};
+    const created = await returnsService.createReturn(orderId, req.user.userId, { items, reason, comment });
+    console.log(`[RETURN] Return #${created.id} requested for order ${created.orderNumber}`);
+    res.status(201).json(created);
+  } catch (error) {
+    handleReturnError(res, error, 'Create');
+  }
+});
+
+// Admin: list returns (?status=requested|approved|rejected)
+app.get(['/admin/returns', '/api/admin/returns'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await returnsService.listReturns({
+      status: req.query.status,
+      page: req.query.page,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    handleReturnError(res, error, 'List');
+  }
+});
+
+app.get(['/admin/returns/:id', '/api/admin/returns/:id'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await returnsService.getReturnById(Number(req.params.id)));
+  } catch (error) {
+    handleReturnError(res, error, 'Get');
+  }
+});
+
+// Admin: approve a return (restock + refund record)
+app.post(['/admin/returns/:id/approve', '/api/admin/returns/:id/approve'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { amount, method, reference, restock = true, note } = req.body ?? {};
+    const approved = await returnsService.approveReturn(Number(req.params.id), req.user.userId, {
+      amount,
+      method,
+      reference,
+      restock: restock !== false,
+      note
+    });
+    if (approved.restocked) {
+      await invalidateProductsCache(approved.items.map(item => item.productId));
+    }
+    console.log(`[RETURN] Return #${approved.id} approved, refund ${approved.refund?.amount}`);
+    res.json(approved);
+  } catch (error) {
+    handleReturnError(res, error, 'Approve');
+  }
+});
+
+// Admin: reject a return
+app.post(['/admin/returns/:id/reject', '/api/admin/returns/:id/reject'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rejected = await returnsService.rejectReturn(Number(req.params.id), req.user.userId, {
+      note: req.body?.note
+    });
+    console.log(`[RETURN] Return #${rejected.id} rejected`);
+    res.json(rejected);
+  } catch (error) {
+    handleReturnError(res, error, 'Reject');
+  }
+});
+
 // STEP 10: Dashboard Statistics (for web admin)
 // This endpoint requires admin authentication
 const handleDashboardStats = async (req, res, source = 'dashboard') => {
   try {
     console.log(`[DASHBOARD] Fetching statistics via ${source}`);
 
-    // Count orders by status
-    const pendingOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['pending']
-    );
-    const processingOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['processing']
-    );
-    const deliveredOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['delivered']
-    );
-    const cancelledOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['cancelled']
-    );
-    const expiredOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['expired']
-    );
-    const failedOrders = await query(
-      'SELECT COUNT(*) as count FROM `Order` WHERE status = ?',
-      ['failed']
-    );
-
-    // Total orders count
-    const totalOrders = await query('SELECT COUNT(*) as count FROM `Order`');
+    // Count orders by status (one grouped query instead of one per status)
+    const statusRows = await query('SELECT status, COUNT(*) as count FROM `Order` GROUP BY status');
+    const countByStatus = Object.fromEntries(statusRows.map(row => [row.status, Number(row.count)]));
+    const totalOrders = statusRows.reduce((sum, row) => sum + Number(row.count), 0);
 
-    // Calculate total revenue (sum of all delivered orders)
+    // Calculate gross revenue (sum of all delivered orders, including ones returned or refunded later)
     const revenueResult = await query(
-      'SELECT COALESCE(SUM(total), 0) as total FROM `Order` WHERE status = ?',
-      ['delivered']
+      'SELECT COALESCE(SUM(total), 0) as total FROM `Order` WHERE status IN (?, ?, ?)',
+      ['delivered', 'returned', 'refunded']
+    );
+
+    // Refunds paid out for returns and refunded orders (subtracted from revenue)
+    const refundResult = await query('SELECT COALESCE(SUM(amount), 0) as total FROM Refund');
+    const recentRefundResult = await query(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM Refund WHERE createdAt >= DATE_SUB(NOW(), INTERVAL 7 DAY)'
     );
 
     // Get recent orders count (last 7 days)
@@ -1984,25 +2546,38 @@ const handleDashboardStats = async (req, res, source = 'dashboard') => {
       'SELECT COUNT(*) as count FROM `Order` WHERE createdAt >= DATE_SUB(NOW(), INTERVAL 7 DAY)'
     );
 
+    // Discounts given on delivered orders (revenue above is already net of them)
+    const discountResult = await query(
+      'SELECT COALESCE(SUM(discount), 0) as total FROM `Order` WHERE status IN (?, ?, ?)',
+      ['delivered', 'returned', 'refunded']
+    );
+
     // Get recent revenue (last 7 days)
     const recentRevenueResult = await query(
-      'SELECT COALESCE(SUM(total), 0) as total FROM `Order` WHERE status = ? AND createdAt >= DATE_SUB(NOW(), INTERVAL 7 DAY)',
-      ['delivered']
+      'SELECT COALESCE(SUM(total), 0) as total FROM `Order` WHERE status IN (?, ?, ?) AND createdAt >= DATE_SUB(NOW(), INTERVAL 7 DAY)',
+      ['delivered', 'returned', 'refunded']
     );
 
+    const grossRevenue = Number(revenueResult[0]?.total || 0);
+    const refunds = Number(refundResult[0]?.total || 0);
+    const recentRefunds = Number(recentRefundResult[0]?.total || 0);
+
     const stats = {
       orders: {
-        total: totalOrders[0]?.count || 0,
-        pending: pendingOrders[0]?.count || 0,
-        processing: processingOrders[0]?.count || 0,
-        delivered: deliveredOrders[0]?.count || 0,
-        cancelled: cancelledOrders[0]?.count || 0,
-        expired: expiredOrders[0]?.count || 0,
-        failed: failedOrders[0]?.count || 0,
+        total: totalOrders,
+        pending: countByStatus.pending || 0,
+        processing: countByStatus.processing || 0,
+        delivered: countByStatus.delivered || 0,
+        cancelled: countByStatus.cancelled || 0,
+        expired: countByStatus.expired || 0,
+        failed: countByStatus.failed || 0,
       },
       revenue: {
-        total: Number(revenueResult[0]?.total || 0),
-        recent: Number(recentRevenueResult[0]?.total || 0), // Last 7 days
+        total: Math.round((grossRevenue - refunds) * 100) / 100, // Net of refunds
+        gross: grossRevenue,
+        refunds,
+        recent: Math.round((Number(recentRevenueResult[0]?.total || 0) - recentRefunds) * 100) / 100, // Last 7 days
+        discounts: Number(discountResult[0]?.total || 0),
       },
       recentOrders: recentOrders[0]?.count || 0, // Last 7 days
     };
@@ -2021,6 +2596,211 @@ const handleDashboardStats = async (req, res, source = 'dashboard') => {
   }
 };
 
+// Abandoned carts (carts with items untouched for `hours`, default 24)
+app.get(['/admin/carts/abandoned', '/api/admin/carts/abandoned'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const carts = await cartService.getAbandonedCarts({
+      hours: req.query.hours,
+      limit: req.query.limit
+    });
+    res.json(carts.map(cart => ({
+      ...cart,
+      itemCount: Number(cart.itemCount) || 0,
+      value: Math.round(Number(cart.value || 0) * 100) / 100
+    })));
+  } catch (error) {
+    console.error('[CART] Abandoned carts error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// ============================================
+// ADMIN INVENTORY (stock reservations)
+// ============================================
+
+// Reserved vs available stock per product
+app.get(['/admin/inventory/stock', '/api/admin/inventory/stock'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const products = await stockReservationService.getStockSummary({
+      search: typeof req.query.search === 'string' ? req.query.search.trim() : '',
+      reservedOnly: req.query.reservedOnly === 'true'
+    });
+    res.json(products);
+  } catch (error) {
+    console.error('[INVENTORY] Stock summary error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Orders currently holding stock of a product
+app.get(['/admin/inventory/reservations/:productId', '/api/admin/inventory/reservations/:productId'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    if (isNaN(productId)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+    res.json(await stockReservationService.getProductReservations(productId));
+  } catch (error) {
+    console.error('[INVENTORY] Reservations error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Stock movement history of a product, reconciled against its current stock
+app.get(['/admin/inventory/movements/:productId', '/api/admin/inventory/movements/:productId'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    if (isNaN(productId)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    const history = await inventoryMovementService.getProductMovements(productId, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    if (!history) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    console.error('[INVENTORY] Movements error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Active products at or below their low-stock threshold
+app.get(['/admin/inventory/low-stock', '/api/admin/inventory/low-stock'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await lowStockService.getLowStockReport({
+      includeArchived: req.query.includeArchived === 'true'
+    }));
+  } catch (error) {
+    console.error('[INVENTORY] Low stock report error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Low-stock alerts (?status=open|resolved|all)
+app.get(['/admin/inventory/alerts', '/api/admin/inventory/alerts'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await lowStockService.listAlerts({
+      status: req.query.status,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    console.error('[INVENTORY] Alerts error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Dismiss a low-stock alert
+app.patch(['/admin/inventory/alerts/:id/resolve', '/api/admin/inventory/alerts/:id/resolve'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const resolved = await lowStockService.resolveAlert(parseInt(req.params.id));
+    if (!resolved) {
+      return res.status(404).json({ error: 'Open alert not found' });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('[INVENTORY] Resolve alert error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// ============================================
+// ADMIN ANALYTICS
+// Query: from, to (YYYY-MM-DD, inclusive; default last 30 days), interval (day|week|month)
+// ============================================
+
+function handleAnalyticsError(res, error, tag) {
+  if (error instanceof AnalyticsError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(tag, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+}
+
+// Sales series, top products/categories and payment mix in one call (reports page)
+app.get(['/admin/analytics', '/api/admin/analytics'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    res.json(await analyticsService.getAnalyticsOverview(range, { limit: req.query.limit }));
+  } catch (error) {
+    handleAnalyticsError(res, error, '[ANALYTICS] Overview error:');
+  }
+});
+
+// Revenue, order count and average order value per day/week/month
+app.get(['/admin/analytics/sales', '/api/admin/analytics/sales'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await analyticsService.getSalesSeries(parseAnalyticsRange(req.query)));
+  } catch (error) {
+    handleAnalyticsError(res, error, '[ANALYTICS] Sales error:');
+  }
+});
+
+// Best sellers (?by=revenue|units&limit=10)
+app.get(['/admin/analytics/top-products', '/api/admin/analytics/top-products'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    res.json(await analyticsService.getTopProducts(range, { by: req.query.by, limit: req.query.limit }));
+  } catch (error) {
+    handleAnalyticsError(res, error, '[ANALYTICS] Top products error:');
+  }
+});
+
+app.get(['/admin/analytics/top-categories', '/api/admin/analytics/top-categories'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    res.json(await analyticsService.getTopCategories(range, { by: req.query.by, limit: req.query.limit }));
+  } catch (error) {
+    handleAnalyticsError(res, error, '[ANALYTICS] Top categories error:');
+  }
+});
+
+app.get(['/admin/analytics/payment-methods', '/api/admin/analytics/payment-methods'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json(await analyticsService.getPaymentMix(parseAnalyticsRange(req.query)));
+  } catch (error) {
+    handleAnalyticsError(res, error, '[ANALYTICS] Payment mix error:');
+  }
+});
+
+// ==================== EXPORT ENDPOINTS ====================
+
+// Stream orders (with line items), products or users as CSV/XLSX
+// e.g. /api/admin/export/orders?format=xlsx&status=delivered&search=ORD-
+app.get(['/admin/export/:resource', '/api/admin/export/:resource'], requireAuth, requireAdmin, async (req, res) => {
+  let request;
+  try {
+    request = parseExportRequest(req.params.resource, req.query);
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[EXPORT] Request error:', error);
+    return res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+
+  const fileName = exportFileName(request.resource, request.format);
+  res.setHeader('Content-Type', SPREADSHEET_FORMATS[request.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await exportService.streamExport(res, request);
+  } catch (error) {
+    console.error(`[EXPORT] ${request.resource} export failed:`, error);
+    // Once rows were sent the status can't change; cut the download so it isn't mistaken for a complete file
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+    res.destroy(error);
+  }
+});
+
 // Alias /stats and /api/stats to /dashboard/stats for convenience
 app.get('/stats', requireAuth, requireAdmin, async (req, res) => {
   await handleDashboardStats(req, res, '/stats');
@@ -2238,7 +3018,24 @@ app.patch('/api/admin/users/:id/status', requireAuth, requireAdmin, async (req,
 
 // ==================== REVIEW ENDPOINTS ====================
 
+// Review photos come in as multipart "photos"; upload errors (type, size, count) are the client's fault
+const uploadReviewPhotos = (req, res, next) => {
+  upload.array('photos', MAX_REVIEW_PHOTOS)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+function handleReviewError(res, error, tag) {
+  if (error instanceof ReviewError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(tag, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+}
+
 // Public endpoint: Get reviews for a product
+// Query: sort (newest|oldest|highest|lowest|helpful), rating (1-5), verified, withPhotos, page, limit
 app.get('/products/:id/reviews', async (req, res) => {
   try {
     const productId = Number(req.params.id);
@@ -2246,143 +3043,187 @@ app.get('/products/:id/reviews', async (req, res) => {
       return res.status(400).json({ error: 'Invalid product ID' });
     }
 
-    const reviews = await query(
-      `SELECT r.*, u.email as userEmail 
-       FROM Review r 
-       LEFT JOIN User u ON r.userId = u.id 
-       WHERE r.productId = ? AND r.isApproved = TRUE 
-       ORDER BY r.createdAt DESC`,
-      [productId]
-    );
-
-    // Calculate average rating
-    const avgRating = await query(
-      'SELECT AVG(rating) as avg, COUNT(*) as count FROM Review WHERE productId = ? AND isApproved = TRUE',
-      [productId]
-    );
+    // Signed-in viewers see their own helpful votes, so their copy is private
+    const viewerId = getOptionalUserId(req);
+    const version = await getCatalogVersion(`reviews:${productId}`);
+    if (answerIfFresh(req, res, {
+      ...versionValidators(version, [viewerId]),
+      cacheControl: viewerId ? CACHE_POLICIES.PRIVATE : CACHE_POLICIES.REVIEWS,
+      vary: ['Authorization']
+    })) {
+      return;
+    }
 
-    res.json({
-      reviews: reviews.map(r => ({
-        ...r,
-        isApproved: r.isApproved === 1 || r.isApproved === true,
-      })),
-      averageRating: avgRating[0]?.avg ? Number(avgRating[0].avg).toFixed(1) : '0.0',
-      totalReviews: avgRating[0]?.count || 0,
-    });
+    const result = await reviewsService.getProductReviews(productId, req.query, { viewerId });
+    res.json(result);
   } catch (error) {
-    console.error('[REVIEWS] Error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    handleReviewError(res, error, '[REVIEWS] Error:');
   }
 });
 
-// Authenticated endpoint: Create review
-app.post('/products/:id/reviews', requireAuth, async (req, res) => {
+// Authenticated endpoint: Create review (JSON, or multipart with up to 5 "photos")
+app.post('/products/:id/reviews', requireAuth, uploadReviewPhotos, async (req, res) => {
+  const photoFiles = req.files || [];
   try {
     const productId = Number(req.params.id);
     if (!productId || isNaN(productId)) {
-      return res.status(400).json({ error: 'Invalid product ID' });
+      throw new ReviewError('Invalid product ID');
     }
 
     const { rating, comment, userName } = req.body;
+    const review = await reviewsService.createReview(productId, req.user.userId, {
+      rating,
+      comment,
+      userName,
+      photoUrls: photoFiles.map(file => getImageUrl(file.filename))
+    });
 
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-    }
+    console.log(`[REVIEW] Created review for product ${productId} by user ${req.user.userId}${review.isVerifiedPurchase ? ' (verified purchase)' : ''}`);
+    res.status(201).json(review);
+  } catch (error) {
+    // Don't keep photos of a review that wasn't saved
+    photoFiles.forEach(file => deleteImageFile(file.filename));
+    handleReviewError(res, error, '[REVIEW] Create error:');
+  }
+});
 
-    // Check if product exists
-    const [product] = await query('SELECT id FROM Product WHERE id = ? LIMIT 1', [productId]);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+// Authenticated endpoint: Mark a review as helpful (DELETE takes the vote back)
+app.post('/reviews/:id/helpful', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    // Check if user already reviewed this product
-    const existing = await query(
-      'SELECT id FROM Review WHERE productId = ? AND userId = ? LIMIT 1',
-      [productId, req.user.userId]
-    );
-    if (existing && existing.length > 0) {
-      return res.status(400).json({ error: 'You have already reviewed this product' });
+    res.json(await reviewsService.setHelpfulVote(id, req.user.userId, true));
+  } catch (error) {
+    handleReviewError(res, error, '[REVIEW] Vote error:');
+  }
+});
+
+app.delete('/reviews/:id/helpful', requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    const result = await query(
-      'INSERT INTO Review (productId, userId, userName, rating, comment, isApproved, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, TRUE, NOW(), NOW())',
-      [productId, req.user.userId, userName || null, rating, comment || null]
-    );
+    res.json(await reviewsService.setHelpfulVote(id, req.user.userId, false));
+  } catch (error) {
+    handleReviewError(res, error, '[REVIEW] Vote error:');
+  }
+});
 
-    const [review] = await query('SELECT * FROM Review WHERE id = ? LIMIT 1', [result.insertId]);
-    console.log(`[REVIEW] Created review for product ${productId} by user ${req.user.userId}`);
-    res.status(201).json(review);
+// Admin endpoint: Moderation queue
+// Query: status (pending|approved|rejected|all), productId, search, page, limit
+app.get(['/admin/reviews', '/api/admin/reviews'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'all', productId, page = 1, limit = 20 } = req.query;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+    const [result, counts] = await Promise.all([
+      reviewsService.listReviews({ status, productId, search, page, limit }),
+      reviewModerationService.getModerationCounts()
+    ]);
+    res.json({ ...result, counts, rejectionReasons: REJECTION_REASONS });
   } catch (error) {
-    console.error('[REVIEW] Create error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    handleReviewError(res, error, '[REVIEWS] Error:');
   }
 });
 
-// Admin endpoint: Get all reviews
-app.get('/admin/reviews', requireAuth, requireAdmin, async (req, res) => {
+// Admin endpoint: Approve or reject reviews in bulk
+// Body: { ids: [1, 2], action: 'approve' | 'reject', reason, note }
+app.post(['/admin/reviews/moderate', '/api/admin/reviews/moderate'], requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { productId, isApproved } = req.query;
+    const { ids, action, reason, note } = req.body ?? {};
+    const result = await reviewsService.moderateReviews(ids, action, req.user.userId, { reason, note });
 
-    let sql = `SELECT r.*, p.name as productName, u.email as userEmail 
-               FROM Review r 
-               LEFT JOIN Product p ON r.productId = p.id 
-               LEFT JOIN User u ON r.userId = u.id 
-               WHERE 1=1`;
-    const params = [];
+    console.log(`[REVIEW] Admin ${req.user.userId} ${action === 'approve' ? 'approved' : 'rejected'} ${result.updated} review(s)`);
+    res.json(result);
+  } catch (error) {
+    handleReviewError(res, error, '[REVIEW] Moderate error:');
+  }
+});
 
-    if (productId) {
-      sql += ' AND r.productId = ?';
-      params.push(Number(productId));
+// Admin endpoint: Update review approval (unapproving rejects with reason "other" unless one is sent)
+app.patch(['/admin/reviews/:id/approve', '/api/admin/reviews/:id/approve'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    if (isApproved !== undefined) {
-      sql += ' AND r.isApproved = ?';
-      params.push(isApproved === 'true' ? 1 : 0);
+    const { isApproved, reason = 'other', note } = req.body;
+    if (typeof isApproved !== 'boolean') {
+      return res.status(400).json({ error: 'isApproved must be a boolean' });
     }
 
-    sql += ' ORDER BY r.createdAt DESC';
-
-    const reviews = await query(sql, params);
-    res.json(reviews.map(r => ({
-      ...r,
-      isApproved: r.isApproved === 1 || r.isApproved === true,
-    })));
+    await reviewsService.moderateReviews([id], isApproved ? 'approve' : 'reject', req.user.userId, { reason, note });
+    res.json({ ok: true, message: `Review ${isApproved ? 'approved' : 'unapproved'} successfully` });
   } catch (error) {
-    console.error('[REVIEWS] Error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    handleReviewError(res, error, '[REVIEW] Update error:');
   }
 });
 
-// Admin endpoint: Update review approval
-app.patch('/admin/reviews/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+// Admin endpoint: Reply to a review (shown under it on the product page)
+app.post(['/admin/reviews/:id/replies', '/api/admin/reviews/:id/replies'], requireAuth, requireAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!id || isNaN(id)) {
       return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    const { isApproved } = req.body;
-    if (typeof isApproved !== 'boolean') {
-      return res.status(400).json({ error: 'isApproved must be a boolean' });
+    const review = await reviewsService.addReply(id, req.user.userId, req.body?.body);
+    console.log(`[REVIEW] Admin ${req.user.userId} replied to review ${id}`);
+    res.status(201).json(review);
+  } catch (error) {
+    handleReviewError(res, error, '[REVIEW] Reply error:');
+  }
+});
+
+// Admin endpoint: Delete a reply
+app.delete(['/admin/reviews/replies/:replyId', '/api/admin/reviews/replies/:replyId'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const replyId = Number(req.params.replyId);
+    if (!replyId || isNaN(replyId)) {
+      return res.status(400).json({ error: 'Invalid reply ID' });
     }
 
-    await query('UPDATE Review SET isApproved = ?, updatedAt = NOW() WHERE id = ?', [isApproved, id]);
-    res.json({ ok: true, message: `Review ${isApproved ? 'approved' : 'unapproved'} successfully` });
+    const deleted = await reviewsService.deleteReply(replyId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+    res.json({ ok: true, message: 'Reply deleted successfully' });
   } catch (error) {
-    console.error('[REVIEW] Update error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    handleReviewError(res, error, '[REVIEW] Reply delete error:');
   }
 });
 
 // Admin endpoint: Delete review
-app.delete('/admin/reviews/:id', requireAuth, requireAdmin, async (req, res) => {
+app.delete(['/admin/reviews/:id', '/api/admin/reviews/:id'], requireAuth, requireAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!id || isNaN(id)) {
       return res.status(400).json({ error: 'Invalid review ID' });
     }
 
+    const [review] = await query('SELECT productId FROM Review WHERE id = ? LIMIT 1', [id]);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const photos = await query('SELECT url FROM ReviewPhoto WHERE reviewId = ?', [id]);
     await query('DELETE FROM Review WHERE id = ?', [id]);
+
+    // Photo rows went with the review (ON DELETE CASCADE); remove their files too
+    for (const photo of photos) {
+      const filename = extractFilenameFromUrl(photo.url);
+      if (filename) {
+        deleteImageFile(filename);
+      }
+    }
+
+    await reviewsService.refreshProductRating(review.productId);
     res.json({ ok: true, message: 'Review deleted successfully' });
   } catch (error) {
     console.error('[REVIEW] Delete error:', error);
@@ -2496,6 +3337,117 @@ app.get('/wishlist/check/:productId', requireAuth, async (req, res) => {
   }
 });
 
+// ==================== NOTIFICATIONS ====================
+
+// Map notification errors to their HTTP status
+const handleNotificationError = (res, error, action) => {
+  if (error instanceof NotificationError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`[NOTIFICATIONS] ${action} error:`, error);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+};
+
+// The signed-in user's notifications, newest first (?unreadOnly=true&page&limit)
+app.get(['/notifications', '/api/notifications'], requireAuth, async (req, res) => {
+  try {
+    res.json(await notificationService.listNotifications(req.user.userId, parseNotificationQuery(req.query)));
+  } catch (error) {
+    handleNotificationError(res, error, 'List');
+  }
+});
+
+app.get(['/notifications/unread-count', '/api/notifications/unread-count'], requireAuth, async (req, res) => {
+  try {
+    res.json({ unreadCount: await notificationService.getUnreadCount(req.user.userId) });
+  } catch (error) {
+    handleNotificationError(res, error, 'Unread count');
+  }
+});
+
+app.patch(['/notifications/:id/read', '/api/notifications/:id/read'], requireAuth, async (req, res) => {
+  try {
+    const notificationId = Number(req.params.id);
+    if (!notificationId || isNaN(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    res.json(await notificationService.markNotificationRead(req.user.userId, notificationId));
+  } catch (error) {
+    handleNotificationError(res, error, 'Mark read');
+  }
+});
+
+app.post(['/notifications/read-all', '/api/notifications/read-all'], requireAuth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllNotificationsRead(req.user.userId);
+    res.json({ updated, unreadCount: 0 });
+  } catch (error) {
+    handleNotificationError(res, error, 'Mark all read');
+  }
+});
+
+app.delete(['/notifications/:id', '/api/notifications/:id'], requireAuth, async (req, res) => {
+  try {
+    const notificationId = Number(req.params.id);
+    if (!notificationId || isNaN(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    await notificationService.deleteNotification(req.user.userId, notificationId);
+    res.json({ success: true });
+  } catch (error) {
+    handleNotificationError(res, error, 'Delete');
+  }
+});
+
+app.delete(['/notifications', '/api/notifications'], requireAuth, async (req, res) => {
+  try {
+    res.json({ deleted: await notificationService.clearNotifications(req.user.userId) });
+  } catch (error) {
+    handleNotificationError(res, error, 'Clear');
+  }
+});
+
+// Admin: message users ({ userIds: [...] } or { allCustomers: true }, title, message)
+app.post(['/admin/notifications', '/api/admin/notifications'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const input = parseAdminMessage(req.body ?? {});
+    const result = await notificationService.sendAdminMessage(input, { actorId: req.user.userId });
+    console.log(`[NOTIFICATIONS] Admin ${req.user.userId} messaged ${result.sent} user(s)`);
+    res.status(201).json(result);
+  } catch (error) {
+    handleNotificationError(res, error, 'Admin message');
+  }
+});
+
+// Register this device for push notifications ({ token, platform: android|ios|web })
+app.post(['/devices', '/api/devices'], requireAuth, async (req, res) => {
+  try {
+    const device = parseDeviceToken(req.body ?? {});
+    await pushService.registerDeviceToken(req.user.userId, device);
+    res.status(201).json({ success: true });
+  } catch (error) {
+    if (error instanceof PushError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[PUSH] Register device error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Stop pushing to this device (on logout) ({ token })
+app.delete(['/devices', '/api/devices'], requireAuth, async (req, res) => {
+  try {
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    if (!token) {
+      return res.status(400).json({ error: 'Device token is required' });
+    }
+    res.json({ removed: await pushService.unregisterDeviceToken(req.user.userId, token) });
+  } catch (error) {
+    console.error('[PUSH] Unregister device error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // ==================== ORDER TRACKING ====================
 
 // Get order tracking/history
@@ -2553,6 +3505,24 @@ app.get('/orders/:id/tracking', requireAuth, async (req, res) => {
 // BAKONG PAYMENT ENDPOINTS
 // ============================================
 
+// Admin: payment attempts of an order with a reconciliation summary
+app.get(['/admin/orders/:id/payments', '/api/admin/orders/:id/payments'], requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!orderId || isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    res.json(await paymentService.getOrderPayments(orderId, { khrRate: getWebhookConfig().khrRate }));
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('[PAYMENTS] Error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // Get Bakong QR code for an order
 // Allow access for guest orders (no userId) or authenticated users
 app.get('/orders/:orderId/bakong-qr', async (req, res) => {
@@ -2644,6 +3614,14 @@ app.get('/orders/:orderId/bakong-qr', async (req, res) => {
       }
     }
 
+    await paymentService.recordQrPayment({
+      orderId: order.id,
+      amount: amountInKHR,
+      khqrMd5: qrResult.qrCode?.md5,
+      expiresAt: qrResult.expiryTime,
+      source: PAYMENT_SOURCES.QR
+    });
+
     // Check if QR code is expired
     const now = new Date();
     const expiryTime = new Date(qrResult.expiryTime);
@@ -2731,6 +3709,38 @@ app.post('/orders/:orderId/bakong-qr/regenerate', async (req, res) => {
       });
     }
 
+    // The new code is payable until its own expiry: keep the stock held that long
+    // so the cleanup job doesn't cancel the order under it
+    const { default: pool } = await import('./src/config/database.js');
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [lockedRows] = await connection.execute('SELECT status FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE', [order.id]);
+      if (lockedRows[0]?.status !== 'pending') {
+        await connection.rollback();
+        return res.status(400).json({
+          error: 'Cannot regenerate QR code. Order is already processed.',
+          orderStatus: lockedRows[0]?.status
+        });
+      }
+      await extendReservations(connection, order.id, qrResult.expiryTime);
+      await connection.commit();
+    } catch (holdError) {
+      await connection.rollback();
+      throw holdError;
+    } finally {
+      connection.release();
+    }
+
+    // The new code replaces the previous attempt: the status poll checks this md5 from now on
+    await paymentService.recordQrPayment({
+      orderId: order.id,
+      amount: amountInKHR,
+      khqrMd5: qrResult.qrCode?.md5,
+      expiresAt: qrResult.expiryTime,
+      source: PAYMENT_SOURCES.REGENERATE
+    });
+
     const now = new Date();
     const expiryTime = new Date(qrResult.expiryTime);
     const secondsRemaining = Math.max(0, Math.floor((expiryTime - now) / 1000));
@@ -2757,20 +3767,14 @@ app.post('/orders/:orderId/bakong-qr/regenerate', async (req, res) => {
 });
 
 // Helper function to check and mark expired Bakong orders
-// Automatically cancels expired orders and restores stock
+// Automatically cancels orders whose stock hold expired and releases the stock
 async function checkAndMarkExpiredOrders() {
   let connection;
   try {
-    const expiryMinutes = parseInt(process.env.ORDER_EXPIRY_MINUTES) || 15;
+    const expiryMinutes = getReservationExpiryMinutes();
     
-    // Find pending Bakong orders older than expiry duration
-    const expiredOrders = await query(
-      `SELECT id, orderNumber, createdAt 
-       FROM \`Order\` 
-       WHERE paymentMethod = 'Bakong' 
-       AND status = 'pending' 
-       AND createdAt < DATE_SUB(NOW(), INTERVAL ${expiryMinutes} MINUTE)`
-    );
+    // Find pending orders with expired holds (or old Bakong orders placed before holds existed)
+    const expiredOrders = await findExpiredReservationOrders(expiryMinutes);
 
     if (expiredOrders.length === 0) {
       return 0;
@@ -2788,49 +3792,36 @@ async function checkAndMarkExpiredOrders() {
         await connection.beginTransaction();
         console.log(`[CLEANUP] Processing order: ${expiredOrder.orderNumber} (${expiredOrder.id})`);
 
-        // Check if already processed (prevent duplicate processing)
-        const [statusCheck] = await connection.execute(
-          'SELECT status FROM `Order` WHERE id = ? LIMIT 1',
-          [expiredOrder.id]
-        );
-
-        if (statusCheck[0]?.status !== 'pending') {
-          console.log(`[CLEANUP] Order ${expiredOrder.orderNumber} already processed (status: ${statusCheck[0]?.status})`);
+        // Re-check under the order lock: a regenerated QR may have extended the holds
+        await connection.execute('SELECT id FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE', [expiredOrder.id]);
+        if (!(await isOrderReservationExpired(expiredOrder.id, expiryMinutes, connection))) {
+          console.log(`[CLEANUP] Order ${expiredOrder.orderNumber} holds were extended, skipping`);
           await connection.rollback();
-          connection.release();
           continue;
         }
 
-        // Get order items to restore stock
-        const [orderItems] = await connection.execute(
-          'SELECT productId, quantity, productName FROM OrderItem WHERE orderId = ?',
-          [expiredOrder.id]
-        );
-
-        // Restore stock for each item
-        for (const item of orderItems) {
-          if (item.productId && item.quantity > 0) {
-            await connection.execute(
-              'UPDATE Product SET stock = stock + ? WHERE id = ?',
-              [item.quantity, item.productId]
-            );
-            console.log(`[CLEANUP] Restored stock: ${item.quantity} units for product ${item.productId} (${item.productName})`);
-          }
+        // Lifecycle locks the row and only cancels orders that are still pending,
+        // so an order paid in the meantime (or already cleaned up) is skipped
+        let transition;
+        try {
+          transition = await transitionOrder(connection, expiredOrder.id, 'cancelled', {
+            actor: ORDER_ACTORS.SYSTEM,
+            expectedStatus: 'pending',
+            note: `Auto-cancelled: Payment timeout after ${expiryMinutes} minutes. Stock restored.`
+          });
+        } catch (transitionError) {
+          if (!(transitionError instanceof OrderLifecycleError)) throw transitionError;
+          console.log(`[CLEANUP] Order ${expiredOrder.orderNumber} already processed (${transitionError.message})`);
+          await connection.rollback();
+          continue;
         }
 
-        // Update order status to cancelled
-        await connection.execute(
-          'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
-          ['cancelled', expiredOrder.id]
-        );
-
-        // Record in status history (use 'pending' as status since OrderStatusHistory ENUM may not have 'cancelled')
-        await connection.execute(
-          'INSERT INTO OrderStatusHistory (orderId, status, note, createdAt) VALUES (?, ?, ?, NOW())',
-          [expiredOrder.id, 'pending', `Auto-cancelled: Payment timeout after ${expiryMinutes} minutes. Stock restored.`]
-        );
+        for (const item of transition.restoredItems) {
+          console.log(`[CLEANUP] Restored stock: ${item.quantity} units for product ${item.productId}`);
+        }
 
         await connection.commit();
+        afterStatusCommit(transition, ORDER_ACTORS.SYSTEM);
         console.log(`[CLEANUP] Order ${expiredOrder.orderNumber} cancelled and stock restored`);
         processedCount++;
 
@@ -2872,44 +3863,20 @@ app.get('/orders/:orderId/bakong-status', paymentStatusLimiter, async (req, res)
 
     // Check if order uses Bakong payment
     if (order.paymentMethod === 'Bakong' && order.status === 'pending') {
-      const orderAge = new Date() - new Date(order.createdAt);
-      const expiryDuration = 15 * 60 * 1000; // 15 minutes (Standard)
-      // const expiryDuration = 1 * 60 * 1000; // 1 minute (For Testing)
-
-      if (orderAge > expiryDuration) {
-        // Order expired - mark as cancelled and restore stock
+      // Same rule as the cleanup job: the stock hold's expiresAt decides
+      if (await isOrderReservationExpired(order.id)) {
+        // Order expired - cancel through the lifecycle (restores stock once)
         try {
-          // Get order items to restore stock
-          const orderItems = await query(
-            'SELECT productId, quantity FROM OrderItem WHERE orderId = ?',
-            [order.id]
-          );
-
-          // Restore stock for each item
-          for (const item of orderItems) {
-            if (item.productId && item.quantity > 0) {
-              await query(
-                'UPDATE Product SET stock = stock + ? WHERE id = ?',
-                [item.quantity, item.productId]
-              );
-              console.log(`[BAKONG STATUS] Restored stock: ${item.quantity} units for product ${item.productId}`);
-            }
-          }
-        } catch (stockError) {
-          console.error('[BAKONG STATUS] Error restoring stock:', stockError);
-          // Continue with status update even if stock restoration fails
+          await changeOrderStatus(order.id, 'cancelled', {
+            actor: ORDER_ACTORS.SYSTEM,
+            expectedStatus: 'pending',
+            note: 'Payment timeout - order cancelled and stock restored.'
+          });
+        } catch (transitionError) {
+          if (!(transitionError instanceof OrderLifecycleError)) throw transitionError;
+          console.log(`[BAKONG STATUS] Order ${order.orderNumber} already processed: ${transitionError.message}`);
         }
 
-        await query(
-          'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
-          ['cancelled', order.id]
-        );
-
-        await query(
-          'INSERT INTO OrderStatusHistory (orderId, status, note, createdAt) VALUES (?, ?, ?, NOW())',
-          [order.id, 'pending', 'Payment timeout - order cancelled and stock restored.']
-        );
-
         return res.json({
           success: true,
           orderId: order.id,
@@ -2952,9 +3919,10 @@ app.get('/orders/:orderId/bakong-status', paymentStatusLimiter, async (req, res)
         // regenerate MD5 to check status
         let md5;
 
-        // 1. Try to use stored MD5 from database (Reliable method)
-        if (order.bakongTransactionId) {
-          md5 = order.bakongTransactionId;
+        // 1. Try to use the MD5 of the latest QR code (payment ledger, then the order)
+        const pendingPayment = await paymentService.findPendingPayment(order.id);
+        if (pendingPayment?.khqrMd5 || order.bakongTransactionId) {
+          md5 = pendingPayment?.khqrMd5 || order.bakongTransactionId;
           console.log(`[BAKONG STATUS] Using stored MD5 for order ${order.orderNumber}: ${md5}`);
         }
         // 2. Fallback: Regenerate (Unreliable due to timestamp differences)
@@ -2977,23 +3945,62 @@ app.get('/orders/:orderId/bakong-status', paymentStatusLimiter, async (req, res)
           console.log(`[BAKONG STATUS] Verifying payment with MD5: ${md5}`);
           const verifyResult = await bakongService.verifyPayment(md5);
 
+          const transaction = verifyResult.transactionData || {};
+          const payment = {
+            amount: Number(transaction.amount),
+            currency: typeof transaction.currency === 'string' ? transaction.currency.toUpperCase() : null
+          };
+          let amountMatches = false;
           if (verifyResult.success && verifyResult.status === 'completed') {
+            // Same check as the webhook: the transfer must cover exactly the order total
+            try {
+              assertPaymentMatchesOrder(order, payment, getWebhookConfig().khrRate);
+              amountMatches = true;
+            } catch (mismatch) {
+              if (!(mismatch instanceof WebhookError)) throw mismatch;
+              console.warn(`[BAKONG STATUS] Payment for order ${order.orderNumber} rejected: ${mismatch.message}`);
+              // Keep the transfer for reconciliation; the order stays pending
+              await paymentService.recordFailedPayment({
+                orderId: order.id,
+                providerRef: transaction.hash,
+                amount: payment.amount,
+                currency: payment.currency,
+                source: PAYMENT_SOURCES.POLL,
+                error: mismatch.message,
+                payload: transaction
+              });
+            }
+          }
+
+          if (amountMatches) {
             // Payment confirmed via API polling!
             console.log(`[BAKONG STATUS] Payment confirmed for order ${order.orderNumber} via API poll`);
 
             // Update order status
-            await query(
-              'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
-              ['processing', order.id]
-            );
+            try {
+              await changeOrderStatus(order.id, 'paid', {
+                actor: ORDER_ACTORS.BAKONG,
+                expectedStatus: 'pending',
+                note: 'Payment confirmed via Bakong API poll'
+              });
+            } catch (transitionError) {
+              if (!(transitionError instanceof OrderLifecycleError)) throw transitionError;
+              console.log(`[BAKONG STATUS] Order ${order.orderNumber} already processed: ${transitionError.message}`);
+            }
 
-            await query(
-              'INSERT INTO OrderStatusHistory (orderId, status, note, createdAt) VALUES (?, ?, ?, NOW())',
-              [order.id, 'processing', 'Payment confirmed via Bakong API poll']
-            );
+            await paymentService.settleBakongPayment({
+              orderId: order.id,
+              providerRef: transaction.hash,
+              khqrMd5: md5,
+              amount: payment.amount,
+              currency: payment.currency,
+              source: PAYMENT_SOURCES.POLL,
+              payload: transaction
+            });
 
             // Update local object for response
-            order.status = 'processing';
+            const [refreshedOrder] = await query('SELECT status FROM `Order` WHERE id = ? LIMIT 1', [order.id]);
+            order.status = refreshedOrder?.status || order.status;
           }
         }
       } catch (checkError) {
@@ -3007,7 +4014,7 @@ app.get('/orders/:orderId/bakong-status', paymentStatusLimiter, async (req, res)
     let isExpired = false;
 
     // Check statuses
-    if (order.status === 'processing' || order.status === 'completed' || order.status === 'delivered') {
+    if (['paid', 'processing', 'shipped', 'delivered', 'completed'].includes(order.status)) {
       paymentStatus = 'completed';
       message = 'Payment confirmed';
     } else if (order.status === 'expired') {
@@ -3041,107 +4048,46 @@ app.get('/orders/:orderId/bakong-status', paymentStatusLimiter, async (req, res)
 // ============================================
 
 // Bakong payment webhook handler
-// This endpoint receives payment notifications from Bakong
-// Note: This endpoint should be placed BEFORE the express.json() middleware if you need raw body
-// For now, we'll use the JSON middleware which should work for most webhooks
+// This endpoint receives payment notifications from Bakong. Requests must be
+// signed (see bakong-webhook.service.js); each transaction is applied once.
 app.post('/api/payments/bakong/webhook', async (req, res) => {
   try {
-    // Webhook data should already be parsed by express.json() middleware
-    const webhookData = req.body;
-    const signature = req.headers['x-bakong-signature'];
-
-    console.log('[BAKONG WEBHOOK] Received webhook:', JSON.stringify(webhookData, null, 2));
-
-    // Process webhook using Bakong service
-    const webhookResult = await bakongService.handleWebhook(webhookData, signature);
-
-    if (!webhookResult.success) {
-      console.error('[BAKONG WEBHOOK] Webhook processing failed:', webhookResult.error);
-      return res.status(400).json({
-        error: 'Webhook processing failed',
-        details: webhookResult.error
-      });
+    if (!req.rawBody) {
+      return res.status(400).json({ error: 'Webhook body must be JSON' });
     }
 
-    // Extract order information
-    const { orderId, orderNumber, transactionId, isPaid, paymentStatus } = webhookResult;
+    // Throws WebhookError for unsigned, stale or malformed requests
+    const webhook = bakongService.handleWebhook(req.rawBody, req.headers);
+    console.log(`[BAKONG WEBHOOK] Received ${webhook.paymentStatus} for order ${webhook.orderNumber} (tx ${webhook.transactionHash})`);
 
-    if (!orderId && !orderNumber) {
-      console.error('[BAKONG WEBHOOK] No order identifier in webhook');
-      return res.status(400).json({ error: 'Order ID or order number is required' });
+    if (!webhook.isPaid) {
+      console.log(`[BAKONG WEBHOOK] Payment not confirmed. Status: ${webhook.paymentStatus}`);
+      return res.status(200).json({ success: true, message: 'Payment not confirmed, nothing to do' });
     }
 
-    // Find order by ID or order number
-    let order;
-    if (orderId) {
-      const orderRows = await query('SELECT * FROM `Order` WHERE id = ? LIMIT 1', [orderId]);
-      if (orderRows && orderRows.length > 0) {
-        order = orderRows[0];
-      }
-    }
-
-    if (!order && orderNumber) {
-      const orderRows = await query('SELECT * FROM `Order` WHERE orderNumber = ? LIMIT 1', [orderNumber]);
-      if (orderRows && orderRows.length > 0) {
-        order = orderRows[0];
-      }
-    }
-
-    if (!order) {
-      console.error('[BAKONG WEBHOOK] Order not found:', { orderId, orderNumber });
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    // Check if order uses Bakong payment
-    if (order.paymentMethod !== 'Bakong') {
-      console.warn('[BAKONG WEBHOOK] Order does not use Bakong payment:', order.orderNumber);
-      return res.status(400).json({ error: 'Order does not use Bakong payment method' });
-    }
-
-    // Update order status if payment is confirmed
-    if (isPaid) {
-      const currentStatus = order.status;
-      let newStatus = 'processing'; // Move to processing when paid
-
-      // Only update if status is still pending
-      if (currentStatus === 'pending') {
-        await query(
-          'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
-          [newStatus, order.id]
-        );
-
-        // Track status change in history
-        await query(
-          'INSERT INTO OrderStatusHistory (orderId, status, note, createdAt) VALUES (?, ?, ?, NOW())',
-          [order.id, newStatus, `Payment confirmed via Bakong webhook. Transaction: ${transactionId || 'N/A'}`]
-        );
-
-        console.log(`[BAKONG WEBHOOK] Order ${order.orderNumber} (${order.id}) updated: ${currentStatus} → ${newStatus}`);
-        console.log(`[BAKONG WEBHOOK] Payment confirmed. Transaction ID: ${transactionId || 'N/A'}`);
-
-        // Update local status for response
-        order.status = newStatus;
+    const result = await processWebhookEvent(webhook, {
+      rawBody: req.rawBody.toString('utf8'),
+      khrRate: getWebhookConfig().khrRate
+    });
 
-        // TODO: Send notification to customer
-        // You can integrate with your notification system here
-        // For example: send push notification, email, SMS, etc.
-      } else {
-        console.log(`[BAKONG WEBHOOK] Order ${order.orderNumber} already processed (status: ${currentStatus})`);
-      }
+    if (result.duplicate) {
+      console.log(`[BAKONG WEBHOOK] Duplicate delivery of tx ${webhook.transactionHash} ignored`);
     } else {
-      console.log(`[BAKONG WEBHOOK] Payment not confirmed. Status: ${paymentStatus}`);
+      console.log(`[BAKONG WEBHOOK] Order ${result.orderNumber} (${result.orderId}) is ${result.status}`);
     }
 
     // Return success response to Bakong
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
-      orderId: order.id,
-      orderNumber: order.orderNumber,
-      status: order.status
+      message: result.duplicate ? 'Webhook already processed' : 'Webhook processed successfully',
+      ...result
     });
-
   } catch (error) {
+    if (error instanceof WebhookError) {
+      console.warn(`[BAKONG WEBHOOK] Rejected: ${error.message}`);
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+
     console.error('[BAKONG WEBHOOK] Error processing webhook:', error);
     console.error('[BAKONG WEBHOOK] Error stack:', error.stack);
 
@@ -3155,7 +4101,8 @@ app.post('/api/payments/bakong/webhook', async (req, res) => {
 
 const PORT = process.env.PORT || 4000;
 
-// Redis caching disabled
+// Redis when REDIS_URL is set, in-memory LRU otherwise
+await cache.init();
 
 // Listen on all network interfaces (0.0.0.0) to allow connections from mobile devices
 app.listen(PORT, '0.0.0.0', () => {
@@ -3188,4 +4135,9 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log('[CLEANUP] Running scheduled cleanup check...');
     await checkAndMarkExpiredOrders();
   }, cleanupIntervalMinutes * 60 * 1000);
+
+  // Send queued email/SMS (including any left over from before a restart)
+  const outboxIntervalSeconds = parseInt(process.env.MESSAGE_OUTBOX_INTERVAL_SECONDS) || 30;
+  startOutboxWorker({ intervalMs: outboxIntervalSeconds * 1000 });
+  console.log(`[MESSAGES] Outbox worker checking every ${outboxIntervalSeconds} second(s)`);
 });
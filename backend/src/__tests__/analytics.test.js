@@ -0,0 +1,81 @@
+import {
+  AnalyticsError,
+  SALE_STATUSES,
+  bucketStart,
+  buildSalesSeries,
+  listBuckets,
+  parseAnalyticsRange,
+  summarizeSeries
+} from '../services/analytics.service.js';
+
+describe('Analytics', () => {
+  describe('parseAnalyticsRange', () => {
+    const now = new Date('2026-03-15T10:30:00Z');
+
+    it('should default to the last 30 days by day', () => {
+      expect(parseAnalyticsRange({}, now)).toEqual({
+        from: '2026-02-14',
+        to: '2026-03-15',
+        interval: 'day',
+        start: '2026-02-14 00:00:00',
+        end: '2026-03-16 00:00:00'
+      });
+    });
+
+    it('should include the whole last day', () => {
+      const range = parseAnalyticsRange({ from: '2026-01-01', to: '2026-01-31', interval: 'week' }, now);
+
+      expect(range.end).toBe('2026-02-01 00:00:00');
+      expect(range.interval).toBe('week');
+    });
+
+    it('should reject invalid dates, reversed ranges and unknown intervals', () => {
+      expect(() => parseAnalyticsRange({ from: '2026-02-30' })).toThrow(AnalyticsError);
+      expect(() => parseAnalyticsRange({ from: '2026-03-02', to: '2026-03-01' })).toThrow('from must be on or before to');
+      expect(() => parseAnalyticsRange({ interval: 'hour' })).toThrow('Interval must be one of: day, week, month');
+      expect(() => parseAnalyticsRange({ from: '2020-01-01', to: '2026-01-01' })).toThrow('at most');
+    });
+  });
+
+  describe('buckets', () => {
+    it('should start weeks on Monday and months on the 1st', () => {
+      expect(bucketStart('2026-03-15', 'week')).toBe('2026-03-09');
+      expect(bucketStart('2026-03-09', 'week')).toBe('2026-03-09');
+      expect(bucketStart('2026-03-15', 'month')).toBe('2026-03-01');
+    });
+
+    it('should list every bucket of the range', () => {
+      expect(listBuckets({ from: '2026-03-01', to: '2026-03-03', interval: 'day' })).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+      expect(listBuckets({ from: '2026-03-04', to: '2026-03-20', interval: 'week' })).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+      expect(listBuckets({ from: '2025-12-15', to: '2026-02-01', interval: 'month' })).toEqual(['2025-12-01', '2026-01-01', '2026-02-01']);
+    });
+  });
+
+  describe('buildSalesSeries', () => {
+    it('should zero-fill empty buckets and net out refunds', () => {
+      const series = buildSalesSeries(
+        ['2026-03-01', '2026-03-02'],
+        [{ period: '2026-03-02', orders: 3, revenue: '100.00' }],
+        [{ period: '2026-03-02', refunds: '10.50' }]
+      );
+
+      expect(series).toEqual([
+        { period: '2026-03-01', orders: 0, revenue: 0, refunds: 0, netRevenue: 0, averageOrderValue: 0 },
+        { period: '2026-03-02', orders: 3, revenue: 100, refunds: 10.5, netRevenue: 89.5, averageOrderValue: 33.33 }
+      ]);
+      expect(summarizeSeries(series)).toEqual({ orders: 3, revenue: 100, refunds: 10.5, netRevenue: 89.5, averageOrderValue: 33.33 });
+    });
+
+    it('should net a returned then refunded order out exactly once', () => {
+      // $40 order: the return refunded $10, marking it refunded recorded the other $30
+      expect(SALE_STATUSES).toEqual(expect.arrayContaining(['returned', 'refunded']));
+
+      const series = buildSalesSeries(
+        ['2026-03-02'],
+        [{ period: '2026-03-02', orders: 1, revenue: '40.00' }],
+        [{ period: '2026-03-02', refunds: '40.00' }]
+      );
+      expect(summarizeSeries(series)).toMatchObject({ revenue: 40, refunds: 40, netRevenue: 0 });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  WebhookError,
+  assertPaymentMatchesOrder,
+  getWebhookConfig,
+  parseWebhookPayload,
+  parseWebhookTimestamp,
+  signWebhookPayload,
+  verifyWebhookRequest
+} from '../services/bakong-webhook.service.js';
+
+const SECRET = 'test-webhook-secret';
+const NOW = Date.parse('2026-03-01T10:00:00Z');
+const TIMESTAMP = String(NOW / 1000);
+const RAW_BODY = Buffer.from('{"hash":"abc123","external_ref":"ORD-1","amount":40000,"currency":"KHR","status":"SUCCESS"}');
+
+const CONFIG = { secret: SECRET, required: true, toleranceSeconds: 300, khrRate: 4000 };
+
+function signedRequest(overrides = {}) {
+  return {
+    rawBody: RAW_BODY,
+    timestamp: TIMESTAMP,
+    signature: signWebhookPayload(RAW_BODY, TIMESTAMP, SECRET),
+    ...overrides
+  };
+}
+
+describe('Bakong Webhook', () => {
+  describe('verifyWebhookRequest', () => {
+    it('should accept a fresh request signed over the raw body', () => {
+      expect(verifyWebhookRequest(signedRequest(), CONFIG, NOW)).toEqual({ verified: true });
+      expect(verifyWebhookRequest(signedRequest({ signature: `sha512=${signedRequest().signature}` }), CONFIG, NOW).verified).toBe(true);
+    });
+
+    it('should reject a body changed after signing', () => {
+      const tampered = Buffer.from(RAW_BODY.toString().replace('40000', '4000'));
+
+      expect(() => verifyWebhookRequest(signedRequest({ rawBody: tampered }), CONFIG, NOW)).toThrow('Invalid webhook signature');
+      expect(() => verifyWebhookRequest(signedRequest({ signature: 'abcd' }), CONFIG, NOW)).toThrow('Invalid webhook signature');
+    });
+
+    it('should reject missing signatures and stale timestamps', () => {
+      expect(() => verifyWebhookRequest(signedRequest({ signature: undefined }), CONFIG, NOW)).toThrow('Missing webhook signature');
+      expect(() => verifyWebhookRequest(signedRequest({ timestamp: undefined }), CONFIG, NOW)).toThrow('Missing or invalid webhook timestamp');
+      expect(() => verifyWebhookRequest(signedRequest(), CONFIG, NOW + 301 * 1000)).toThrow('outside the allowed window');
+
+      try {
+        verifyWebhookRequest(signedRequest(), CONFIG, NOW - 301 * 1000);
+      } catch (error) {
+        expect(error).toBeInstanceOf(WebhookError);
+        expect(error.statusCode).toBe(401);
+      }
+    });
+
+    it('should require a secret in production only', () => {
+      expect(() => verifyWebhookRequest({ rawBody: RAW_BODY }, { ...CONFIG, secret: null }, NOW)).toThrow('not configured');
+      expect(verifyWebhookRequest({ rawBody: RAW_BODY }, { ...CONFIG, secret: null, required: false }, NOW)).toEqual({ verified: false });
+    });
+  });
+
+  describe('getWebhookConfig', () => {
+    it('should read the secret, tolerance and production flag', () => {
+      expect(getWebhookConfig({ NODE_ENV: 'production', BAKONG_API_SECRET: 'old', BAKONG_WEBHOOK_TOLERANCE_SECONDS: '60' })).toEqual({
+        secret: 'old',
+        required: true,
+        toleranceSeconds: 60,
+        khrRate: 4000
+      });
+    });
+  });
+
+  describe('parseWebhookTimestamp', () => {
+    it('should read seconds, milliseconds and ISO dates', () => {
+      expect(parseWebhookTimestamp(TIMESTAMP)).toBe(NOW);
+      expect(parseWebhookTimestamp(String(NOW))).toBe(NOW);
+      expect(parseWebhookTimestamp('2026-03-01T10:00:00Z')).toBe(NOW);
+      expect(parseWebhookTimestamp('soon')).toBeNull();
+    });
+  });
+
+  describe('parseWebhookPayload', () => {
+    it('should read the order number from external_ref and ignore orderId', () => {
+      expect(parseWebhookPayload({ ...JSON.parse(RAW_BODY), orderId: 99 })).toEqual({
+        transactionHash: 'abc123',
+        orderNumber: 'ORD-1',
+        amount: 40000,
+        currency: 'KHR',
+        isPaid: true,
+        paymentStatus: 'success',
+        transactionTime: null
+      });
+    });
+
+    it('should require a transaction hash and an order number', () => {
+      expect(() => parseWebhookPayload({ orderId: 99, status: 'SUCCESS' })).toThrow('Transaction hash is required');
+      expect(() => parseWebhookPayload({ hash: 'abc' })).toThrow('Order number (external_ref) is required');
+    });
+  });
+
+  describe('assertPaymentMatchesOrder', () => {
+    const order = { total: '10.00' };
+
+    it('should accept the order total in KHR or USD', () => {
+      expect(assertPaymentMatchesOrder(order, { amount: 40000, currency: 'KHR' }, 4000)).toEqual({ amount: 40000, currency: 'KHR' });
+      expect(assertPaymentMatchesOrder(order, { amount: 10, currency: 'USD' }, 4000)).toEqual({ amount: 10, currency: 'USD' });
+    });
+
+    it('should reject other amounts and currencies with 422', () => {
+      expect(() => assertPaymentMatchesOrder(order, { amount: 100, currency: 'KHR' }, 4000)).toThrow('does not match');
+      expect(() => assertPaymentMatchesOrder(order, { amount: 9.99, currency: 'USD' }, 4000)).toThrow('does not match');
+      expect(() => assertPaymentMatchesOrder(order, { amount: 10, currency: 'EUR' }, 4000)).toThrow('Unsupported payment currency');
+
+      try {
+        assertPaymentMatchesOrder(order, { amount: 100, currency: 'KHR' }, 4000);
+      } catch (error) {
+        expect(error.statusCode).toBe(422);
+        expect(error.details).toEqual({ expectedAmount: 40000, expectedCurrency: 'KHR', receivedAmount: 100, receivedCurrency: 'KHR' });
+      }
+    });
+  });
+});
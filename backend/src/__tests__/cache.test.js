@@ -0,0 +1,109 @@
+import { CacheService, MemoryStore, globToRegExp } from '../services/cacheService.js';
+
+describe('Cache Service', () => {
+  describe('globToRegExp', () => {
+    it('should match Redis-style patterns literally except for * and ?', () => {
+      expect(globToRegExp('products:*').test('products:list:active:p1:l20')).toBe(true);
+      expect(globToRegExp('products:*').test('product:1')).toBe(false);
+      expect(globToRegExp('product:1*').test('product:12')).toBe(true);
+      expect(globToRegExp('banners:?ll').test('banners:all')).toBe(true);
+      expect(globToRegExp('search:a.b').test('search:axb')).toBe(false);
+    });
+  });
+
+  describe('MemoryStore', () => {
+    it('should expire entries after their TTL', async () => {
+      let now = 0;
+      const store = new MemoryStore({ now: () => now });
+      await store.setEx('a', 10, '1');
+
+      now = 9999;
+      expect(await store.get('a')).toBe('1');
+      now = 10000;
+      expect(await store.get('a')).toBeNull();
+    });
+
+    it('should drop the least recently used entry when full', async () => {
+      const store = new MemoryStore({ maxEntries: 2 });
+      await store.setEx('a', 60, '1');
+      await store.setEx('b', 60, '2');
+      await store.get('a');
+      await store.setEx('c', 60, '3');
+
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('a')).toBe('1');
+      expect(await store.get('c')).toBe('3');
+      expect(store.evictions).toBe(1);
+    });
+
+    it('should find keys by pattern and delete them', async () => {
+      const store = new MemoryStore();
+      await store.setEx('products:list:1', 60, '1');
+      await store.setEx('products:list:2', 60, '2');
+      await store.setEx('banners:all', 60, '3');
+
+      const keys = await store.keys('products:*');
+      expect(keys).toEqual(['products:list:1', 'products:list:2']);
+      expect(await store.del(keys)).toBe(2);
+      expect(await store.keys('*')).toEqual(['banners:all']);
+    });
+  });
+
+  describe('CacheService (memory backend)', () => {
+    let cache;
+    const savedEnv = { ...process.env };
+
+    beforeEach(async () => {
+      delete process.env.REDIS_URL;
+      delete process.env.CACHE_ENABLED;
+      cache = new CacheService();
+      await cache.init();
+    });
+
+    afterEach(() => {
+      process.env = { ...savedEnv };
+    });
+
+    it('should use the in-memory backend without REDIS_URL', async () => {
+      expect(cache.backend).toBe('memory');
+      expect(await cache.healthCheck()).toBe(true);
+    });
+
+    it('should load a value once and serve it from the cache', async () => {
+      let loads = 0;
+      const loader = async () => {
+        loads++;
+        return { data: [1, 2] };
+      };
+
+      expect(await cache.getOrSet('categories:flat', loader, 60)).toEqual({ data: [1, 2] });
+      expect(await cache.getOrSet('categories:flat', loader, 60)).toEqual({ data: [1, 2] });
+      expect(loads).toBe(1);
+
+      const stats = await cache.getStats();
+      expect(stats).toMatchObject({ status: 'connected', backend: 'memory', keysCount: 1, hits: 1, misses: 1 });
+    });
+
+    it('should invalidate keys matching a pattern only', async () => {
+      await cache.set('products:list:active:p1:l20', [1], 60);
+      await cache.set('products:search:hat:p1:l20', [2], 60);
+      await cache.set('banners:home', [3], 60);
+
+      await cache.delPattern('products:*');
+
+      expect(await cache.get('products:list:active:p1:l20')).toBeNull();
+      expect(await cache.get('products:search:hat:p1:l20')).toBeNull();
+      expect(await cache.get('banners:home')).toEqual([3]);
+    });
+
+    it('should do nothing when caching is disabled', async () => {
+      process.env.CACHE_ENABLED = 'false';
+      const disabled = new CacheService();
+      await disabled.init();
+      await disabled.set('a', 1, 60);
+
+      expect(await disabled.get('a')).toBeNull();
+      expect(await disabled.getStats()).toEqual({ status: 'disabled' });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { CheckoutValidationError, parseCartQuantity, validateItem, validateItems } from '../services/checkout.service.js';
+
+// Answers product lookups from a fixture map keyed by product ID
+function createExecutor(products) {
+  return {
+    async execute(sql, params) {
+      const product = products[params[0]];
+      return [product ? [product] : []];
+    }
+  };
+}
+
+const executor = createExecutor({
+  1: { id: 1, name: 'Football', price: '19.99', stock: 5, images: '["/uploads/ball.jpg"]', category: 'Football' },
+  2: { id: 2, name: 'Net', price: '5.00', stock: 0, images: null, category: 'Football' }
+});
+
+describe('Checkout validation', () => {
+  it('should price items from the database, not the client', async () => {
+    const result = await validateItems(executor, [
+      { productId: 1, quantity: 2, price: 0.01 }
+    ]);
+
+    expect(result.items[0].price).toBe(19.99);
+    expect(result.items[0].productImage).toBe('/uploads/ball.jpg');
+    expect(result.subtotal).toBe(39.98);
+  });
+
+  it('should reject quantities above stock with details', async () => {
+    await expect(validateItem(executor, { productId: 1, quantity: 6 })).rejects.toMatchObject({
+      statusCode: 400,
+      details: { productId: 1, available: 5, requested: 6 }
+    });
+  });
+
+  it('should reject unknown or inactive products', async () => {
+    await expect(validateItem(executor, { productId: 9, quantity: 1 }))
+      .rejects.toBeInstanceOf(CheckoutValidationError);
+  });
+
+  it('should reject fractional quantities', async () => {
+    await expect(validateItem(executor, { productId: 1, quantity: 1.5 }))
+      .rejects.toBeInstanceOf(CheckoutValidationError);
+  });
+
+  it('should use the variant price and stock', async () => {
+    const variantExecutor = {
+      async execute(sql) {
+        if (sql.startsWith('SELECT id, sku')) {
+          return [[{ id: 4, sku: 'BALL-5-RED', options: '{"size":"5","color":"Red"}', price: '24.50', stock: 1 }]];
+        }
+        return [[{ id: 1, name: 'Football', price: '19.99', stock: 5, variantCount: 2 }]];
+      }
+    };
+
+    const result = await validateItems(variantExecutor, [{ productId: 1, variantId: 4, quantity: 1 }]);
+    expect(result.items[0]).toMatchObject({ price: 24.5, variantId: 4, sku: 'BALL-5-RED', color: 'Red', variantLabel: 'Size: 5 / Color: Red' });
+
+    await expect(validateItem(variantExecutor, { productId: 1, variantId: 4, quantity: 2 }))
+      .rejects.toMatchObject({ details: { variantId: 4, available: 1 } });
+    await expect(validateItem(variantExecutor, { productId: 1, quantity: 1 }))
+      .rejects.toThrow('Please choose an option');
+  });
+
+  it('should require at least one item', async () => {
+    await expect(validateItems(executor, [])).rejects.toThrow('Order must have at least one item');
+  });
+
+  describe('parseCartQuantity', () => {
+    it('should reject zero, negative and fractional quantities with a 400', () => {
+      for (const quantity of [0, -1, 1.5, '', null, 'two']) {
+        expect(() => parseCartQuantity(quantity)).toThrow(`Invalid quantity: ${quantity}`);
+      }
+      try {
+        parseCartQuantity(-1);
+      } catch (error) {
+        expect(error).toBeInstanceOf(CheckoutValidationError);
+        expect(error.statusCode).toBe(400);
+      }
+    });
+
+    it('should accept positive whole numbers, and zero only when allowed', () => {
+      expect(parseCartQuantity(1)).toBe(1);
+      expect(parseCartQuantity('3')).toBe(3);
+      expect(parseCartQuantity(0, { allowZero: true })).toBe(0);
+      expect(() => parseCartQuantity(-1, { allowZero: true })).toThrow(CheckoutValidationError);
+    });
+  });
+});
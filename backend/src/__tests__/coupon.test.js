@@ -0,0 +1,108 @@
+import {
+  CouponError,
+  assertCouponActive,
+  calculateDiscount,
+  evaluateCoupon,
+  sanitizeCouponInput
+} from '../services/coupon.service.js';
+
+const baseCoupon = {
+  type: 'percent',
+  value: 10,
+  minSpend: null,
+  maxDiscount: null,
+  isActive: true,
+  startsAt: null,
+  endsAt: null,
+  productIds: [],
+  categories: []
+};
+
+const items = [
+  { productId: 1, category: 'Football', price: 20, quantity: 2 },
+  { productId: 2, category: 'Basketball', price: 10, quantity: 1 }
+];
+
+// Answers the coupon lookup and the redemption count
+function fakeExecutor(couponRow, redemptions) {
+  const executed = [];
+  return {
+    executed,
+    async execute(sql, params) {
+      executed.push({ sql, params });
+      if (sql.includes('FROM Coupon WHERE')) return [[couponRow]];
+      return [[{ count: redemptions }]];
+    }
+  };
+}
+
+describe('Coupons', () => {
+  describe('calculateDiscount', () => {
+    it('should take a percentage off the subtotal', () => {
+      const result = calculateDiscount(baseCoupon, { items, subtotal: 50, shipping: 0 });
+      expect(result.discount).toBe(5);
+    });
+
+    it('should cap percentage discounts at maxDiscount', () => {
+      const coupon = { ...baseCoupon, value: 50, maxDiscount: 15 };
+      expect(calculateDiscount(coupon, { items, subtotal: 50 }).discount).toBe(15);
+    });
+
+    it('should only discount items in scope', () => {
+      const coupon = { ...baseCoupon, type: 'fixed', value: 100, categories: ['basketball'] };
+      const result = calculateDiscount(coupon, { items, subtotal: 50 });
+      expect(result.eligibleSubtotal).toBe(10);
+      expect(result.discount).toBe(10);
+    });
+
+    it('should waive shipping for free shipping coupons', () => {
+      const coupon = { ...baseCoupon, type: 'free_shipping', value: 0 };
+      const result = calculateDiscount(coupon, { items, subtotal: 50, shipping: 2.5 });
+      expect(result).toMatchObject({ discount: 2.5, freeShipping: true });
+    });
+
+    it('should enforce minimum spend', () => {
+      const coupon = { ...baseCoupon, minSpend: 60 };
+      expect(() => calculateDiscount(coupon, { items, subtotal: 50 })).toThrow(CouponError);
+    });
+  });
+
+  describe('assertCouponActive', () => {
+    it('should reject coupons outside their validity window', () => {
+      const coupon = { ...baseCoupon, endsAt: '2020-01-01T00:00:00Z' };
+      expect(() => assertCouponActive(coupon)).toThrow('This coupon has expired');
+    });
+  });
+
+  describe('sanitizeCouponInput', () => {
+    it('should normalize codes and reject invalid percentages', () => {
+      expect(sanitizeCouponInput({ code: ' save10 ', type: 'percent', value: 10 }).code).toBe('SAVE10');
+      expect(() => sanitizeCouponInput({ code: 'BIG', type: 'percent', value: 150 })).toThrow(CouponError);
+    });
+  });
+
+  describe('evaluateCoupon', () => {
+    const row = { ...baseCoupon, id: 7, code: 'ONCE', usageLimit: null, perUserLimit: 1, productIds: '[]', categories: '[]' };
+
+    it('should refuse per-customer coupons without a signed in user', async () => {
+      const executor = fakeExecutor(row, 0);
+
+      // A guest can't dodge the limit by changing the phone number
+      await expect(evaluateCoupon(executor, 'once', { items, subtotal: 50, customerPhone: '012 345 678' }))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Please sign in to use this coupon' });
+    });
+
+    it('should count per-customer use by the signed in user only', async () => {
+      const executor = fakeExecutor(row, 1);
+
+      await expect(evaluateCoupon(executor, 'once', { items, subtotal: 50, userId: 5, customerPhone: '099 999 999' }))
+        .rejects.toThrow('You have already used this coupon');
+      expect(executor.executed[1].sql).toContain('cr.userId = ?');
+      expect(executor.executed[1].sql).not.toContain('customerPhone');
+      expect(executor.executed[1].params).toContain(5);
+
+      const result = await evaluateCoupon(fakeExecutor(row, 0), 'once', { items, subtotal: 50, userId: 5 });
+      expect(result.discount).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
+import {
+  ExportError,
+  ORDER_COLUMNS,
+  exportFileName,
+  flattenOrderItems,
+  parseExportRequest,
+  toCells
+} from '../services/export.service.js';
+import {
+  columnName,
+  createSheetWriter,
+  escapeCsvValue,
+  toXlsxCell
+} from '../utils/spreadsheet.js';
+
+// Collect everything written to a sheet writer
+async function writeSheet(format, rows) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const finished = new Promise(resolve => stream.on('end', resolve));
+
+  const sheet = createSheetWriter(format, stream, { sheetName: 'Orders' });
+  await sheet.writeHeader(rows[0]);
+  for (const row of rows.slice(1)) {
+    await sheet.writeRow(row);
+  }
+  await sheet.end();
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+// Read one entry of a zip through its central directory record
+function readZipEntry(zip, name) {
+  const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = zip.readUInt32LE(endOffset + 16);
+  const count = zip.readUInt16LE(endOffset + 10);
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const entryName = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (entryName === name) {
+      const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+      const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+      return { data, crc: zip.readUInt32LE(offset + 16) };
+    }
+    offset += 46 + nameLength;
+  }
+  return null;
+}
+
+describe('Exports', () => {
+  describe('parseExportRequest', () => {
+    it('should default to CSV and read the searchOrders filters', () => {
+      expect(parseExportRequest('orders', { status: 'delivered', search: ' ORD-1 ', minAmount: '10' })).toEqual({
+        resource: 'orders',
+        format: 'csv',
+        filters: { search: 'ORD-1', status: 'delivered', minAmount: 10, maxAmount: null }
+      });
+    });
+
+    it('should read user filters the way the users page sends them', () => {
+      const request = parseExportRequest('users', { format: 'XLSX', role: 'ADMIN', isActive: 'false' });
+
+      expect(request.format).toBe('xlsx');
+      expect(request.filters).toEqual({ search: null, role: 'ADMIN', isActive: false });
+    });
+
+    it('should reject unknown exports, formats and filters', () => {
+      expect(() => parseExportRequest('coupons', {})).toThrow(ExportError);
+      expect(() => parseExportRequest('orders', { format: 'pdf' })).toThrow('Format must be one of: csv, xlsx');
+      expect(() => parseExportRequest('orders', { status: 'lost' })).toThrow('Status must be one of');
+      expect(() => parseExportRequest('orders', { minAmount: '-5' })).toThrow('minAmount must be a positive number');
+      expect(() => parseExportRequest('products', { status: 'DRAFT' })).toThrow('Status must be ACTIVE or ARCHIVED');
+    });
+
+    it('should name files after the resource and date', () => {
+      expect(exportFileName('orders', 'xlsx', new Date('2026-10-19T08:00:00Z'))).toBe('orders-2026-10-19.xlsx');
+    });
+  });
+
+  describe('order rows', () => {
+    it('should write one row per line item and keep orders without items', () => {
+      const orders = [{ id: 2, orderNumber: 'ORD-2' }, { id: 1, orderNumber: 'ORD-1' }];
+      const items = [
+        { orderId: 2, productName: 'Shirt', price: 10, quantity: 2 },
+        { orderId: 2, productName: 'Hat', price: 5.5, quantity: 1 }
+      ];
+
+      const rows = flattenOrderItems(orders, items);
+
+      expect(rows.map(row => [row.orderNumber, row.item?.productName ?? null])).toEqual([
+        ['ORD-2', 'Shirt'],
+        ['ORD-2', 'Hat'],
+        ['ORD-1', null]
+      ]);
+      const cells = toCells(ORDER_COLUMNS, rows[0]);
+      expect(cells[cells.length - 1]).toBe(20);
+      expect(toCells(ORDER_COLUMNS, rows[2]).slice(-6)).toEqual([null, null, null, null, null, null]);
+    });
+  });
+
+  describe('CSV', () => {
+    it('should quote separators, quotes and line breaks', () => {
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(12.5)).toBe('12.5');
+    });
+
+    it('should neutralise formulas but keep phone numbers and negative amounts', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+      expect(escapeCsvValue('+855 12 345 678')).toBe('+855 12 345 678');
+      expect(escapeCsvValue('-12.50')).toBe('-12.50');
+    });
+
+    it('should stream a UTF-8 file with a BOM and CRLF rows', async () => {
+      const output = await writeSheet('csv', [['Order', 'Customer'], ['ORD-1', 'សុខា']]);
+
+      expect(output.toString('utf8')).toBe('\uFEFFOrder,Customer\r\nORD-1,សុខា\r\n');
+    });
+  });
+
+  describe('XLSX', () => {
+    it('should name columns like a spreadsheet', () => {
+      expect(columnName(0)).toBe('A');
+      expect(columnName(25)).toBe('Z');
+      expect(columnName(26)).toBe('AA');
+      expect(columnName(701)).toBe('ZZ');
+    });
+
+    it('should write typed cells and escape text', () => {
+      expect(toXlsxCell(12.5, 'B2')).toBe('<c r="B2"><v>12.5</v></c>');
+      expect(toXlsxCell(true, 'C2')).toBe('<c r="C2" t="b"><v>1</v></c>');
+      expect(toXlsxCell('A & <B>', 'D2')).toBe('<c r="D2" t="inlineStr"><is><t xml:space="preserve">A &amp; &lt;B&gt;</t></is></c>');
+      expect(toXlsxCell(null, 'E2')).toBe('');
+    });
+
+    it('should stream a valid zip with the worksheet', async () => {
+      const rows = [['Order', 'Total']];
+      for (let i = 0; i < 3000; i++) {
+        rows.push([`ORD-${i}`, i]);
+      }
+
+      const output = await writeSheet('xlsx', rows);
+      const sheet = readZipEntry(output, 'xl/worksheets/sheet1.xml');
+      const xml = sheet.data.toString('utf8');
+
+      expect(output.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      expect(zlib.crc32(sheet.data)).toBe(sheet.crc);
+      expect(xml).toContain('<row r="1"><c r="A1" s="2" t="inlineStr">');
+      expect(xml).toContain('<c r="A3001" t="inlineStr"><is><t xml:space="preserve">ORD-2999</t></is></c><c r="B3001"><v>2999</v></c>');
+      expect(xml.endsWith('</sheetData></worksheet>')).toBe(true);
+      expect(readZipEntry(output, 'xl/workbook.xml').data.toString('utf8')).toContain('<sheet name="Orders"');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { cache } from '../services/cacheService.js';
+import {
+  CACHE_POLICIES,
+  answerIfFresh,
+  bumpCatalogVersion,
+  getCatalogVersion,
+  versionValidators
+} from '../utils/http-cache.js';
+
+function mockResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: undefined,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    vary(name) {
+      this.headers.Vary = this.headers.Vary ? `${this.headers.Vary}, ${name}` : name;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+describe('HTTP Cache Helpers', () => {
+  const version = { id: 'v1', changedAt: '2026-03-02T10:00:00.750Z' };
+
+  describe('catalog versions', () => {
+    beforeAll(() => {
+      cache.useMemory();
+    });
+
+    it('should keep a version until the resource changes', async () => {
+      const first = await getCatalogVersion('products');
+      expect(await getCatalogVersion('products')).toEqual(first);
+
+      await bumpCatalogVersion('products');
+      const next = await getCatalogVersion('products');
+      expect(next.id).not.toBe(first.id);
+      expect(new Date(next.changedAt).getTime()).toBeGreaterThanOrEqual(new Date(first.changedAt).getTime());
+    });
+
+    it('should version each scope separately', async () => {
+      const banners = await getCatalogVersion('banners');
+      await bumpCatalogVersion('reviews:1');
+
+      expect(await getCatalogVersion('banners')).toEqual(banners);
+    });
+  });
+
+  describe('versionValidators', () => {
+    it('should derive the ETag from the version and the Last-Modified from its change time', () => {
+      const validators = versionValidators(version);
+
+      expect(validators.etag).toMatch(/^W\/"[\w-]+"$/);
+      expect(validators.lastModified.toISOString()).toBe(version.changedAt);
+      expect(versionValidators(version).etag).toBe(validators.etag);
+      expect(versionValidators({ ...version, id: 'v2' }).etag).not.toBe(validators.etag);
+      expect(versionValidators(version, [5]).etag).not.toBe(validators.etag);
+    });
+  });
+
+  describe('answerIfFresh', () => {
+    const validators = versionValidators(version);
+
+    it('should set ETag, Last-Modified and Cache-Control and leave the body to the route', () => {
+      const res = mockResponse();
+      const sent = answerIfFresh({ fresh: false }, res, { ...validators, cacheControl: CACHE_POLICIES.BANNERS });
+
+      expect(sent).toBe(false);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers).toEqual({
+        'Cache-Control': CACHE_POLICIES.BANNERS,
+        ETag: validators.etag,
+        'Last-Modified': 'Mon, 02 Mar 2026 10:00:00 GMT'
+      });
+    });
+
+    it('should answer 304 without a body when the client copy is fresh', () => {
+      const res = mockResponse();
+      const sent = answerIfFresh({ fresh: true }, res, { ...validators, cacheControl: CACHE_POLICIES.REVIEWS, vary: ['Authorization'] });
+
+      expect(sent).toBe(true);
+      expect(res.statusCode).toBe(304);
+      expect(res.body).toBeUndefined();
+      expect(res.headers.ETag).toBe(validators.etag);
+      expect(res.headers.Vary).toBe('Authorization');
+    });
+  });
+});
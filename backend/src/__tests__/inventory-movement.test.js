@@ -0,0 +1,74 @@
+import {
+  MOVEMENT_REASONS,
+  reconcileMovements,
+  recordMovement,
+  restockReasonFor
+} from '../services/inventory-movement.service.js';
+
+describe('Inventory Movements', () => {
+  describe('recordMovement', () => {
+    it('should snapshot the stock produced by the change', async () => {
+      const executed = [];
+      const connection = { async execute(sql, params) { executed.push({ sql, params }); return [{}]; } };
+
+      await recordMovement(connection, {
+        productId: 7,
+        delta: -2,
+        reason: MOVEMENT_REASONS.SALE,
+        actor: 'customer',
+        actorId: 4,
+        orderId: 11
+      });
+
+      expect(executed[0].sql).toContain('SELECT id, ?, ?, ?, stock, ?, ?, ?, ?, NOW() FROM Product WHERE id = ?');
+      expect(executed[0].params).toEqual([null, 11, -2, 'sale', 'customer', 4, null, 7]);
+    });
+
+    it('should skip changes that did not move stock', async () => {
+      const executed = [];
+      const connection = { async execute(sql) { executed.push(sql); return [{}]; } };
+
+      await recordMovement(connection, { productId: 7, delta: 0, reason: MOVEMENT_REASONS.ADJUSTMENT });
+
+      expect(executed).toHaveLength(0);
+    });
+  });
+
+  describe('reconcileMovements', () => {
+    it('should reconcile when every change was recorded', () => {
+      const result = reconcileMovements([
+        { id: 1, delta: 10, balanceAfter: 10 },
+        { id: 2, delta: -3, balanceAfter: 7 },
+        { id: 3, delta: 3, balanceAfter: 10 }
+      ], 10);
+
+      expect(result).toMatchObject({ openingBalance: 0, ledgerStock: 10, difference: 0, reconciled: true });
+    });
+
+    it('should use the stock before the first movement as opening balance', () => {
+      const result = reconcileMovements([{ id: 1, delta: -2, balanceAfter: 48 }], 48);
+
+      expect(result.openingBalance).toBe(50);
+      expect(result.reconciled).toBe(true);
+    });
+
+    it('should report changes made outside the ledger', () => {
+      const result = reconcileMovements([
+        { id: 1, delta: 10, balanceAfter: 10 },
+        { id: 2, delta: -1, balanceAfter: 14 }
+      ], 20);
+
+      expect(result.gaps).toEqual([{ movementId: 2, expected: 9, actual: 14, amount: 5 }]);
+      expect(result.difference).toBe(11);
+      expect(result.reconciled).toBe(false);
+    });
+
+    it('should treat products without movements as reconciled', () => {
+      expect(reconcileMovements([], 5)).toMatchObject({ ledgerStock: 5, reconciled: true });
+    });
+  });
+
+  it('should name restock reasons after the order status', () => {
+    expect(restockReasonFor('expired')).toBe(MOVEMENT_REASONS.ORDER_EXPIRED);
+  });
+});
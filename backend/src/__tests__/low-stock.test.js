@@ -0,0 +1,75 @@
+import {
+  getDefaultLowStockThreshold,
+  isLowStock,
+  syncLowStockAlerts
+} from '../services/low-stock.service.js';
+
+// Answers product/alert lookups from fixtures and records writes
+function createConnection({ product, openAlert = null }) {
+  const executed = [];
+  return {
+    executed,
+    async execute(sql, params) {
+      executed.push({ sql, params });
+      if (sql.startsWith('SELECT id, name, stock, lowStockThreshold FROM Product')) {
+        return [product ? [product] : []];
+      }
+      if (sql.startsWith('SELECT id FROM StockAlert')) {
+        return [openAlert ? [openAlert] : []];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+describe('Low Stock', () => {
+  const originalThreshold = process.env.LOW_STOCK_THRESHOLD;
+
+  afterEach(() => {
+    if (originalThreshold === undefined) delete process.env.LOW_STOCK_THRESHOLD;
+    else process.env.LOW_STOCK_THRESHOLD = originalThreshold;
+  });
+
+  it('should fall back to the store default threshold', () => {
+    process.env.LOW_STOCK_THRESHOLD = '10';
+    expect(getDefaultLowStockThreshold()).toBe(10);
+    expect(isLowStock(10, null)).toBe(true);
+    expect(isLowStock(11, null)).toBe(false);
+  });
+
+  it('should prefer the product threshold, including zero', () => {
+    expect(isLowStock(1, 0)).toBe(false);
+    expect(isLowStock(0, 0)).toBe(true);
+  });
+
+  it('should raise an alert when an order reaches the threshold', async () => {
+    const connection = createConnection({ product: { id: 7, name: 'Mug', stock: 2, lowStockThreshold: 3 } });
+
+    const { raised } = await syncLowStockAlerts(connection, [7, 7], { orderId: 11 });
+
+    expect(raised).toEqual([{ productId: 7, name: 'Mug', stock: 2, threshold: 3 }]);
+    const insert = connection.executed.find(q => q.sql.includes('INSERT INTO StockAlert'));
+    expect(insert.params).toEqual([7, 11, 2, 3]);
+  });
+
+  it('should not duplicate an open alert', async () => {
+    const connection = createConnection({
+      product: { id: 7, name: 'Mug', stock: 1, lowStockThreshold: 3 },
+      openAlert: { id: 4 }
+    });
+
+    const { raised } = await syncLowStockAlerts(connection, [7]);
+
+    expect(raised).toHaveLength(0);
+    expect(connection.executed.some(q => q.sql.includes('INSERT INTO StockAlert'))).toBe(false);
+  });
+
+  it('should resolve open alerts once restocked', async () => {
+    const connection = createConnection({ product: { id: 7, name: 'Mug', stock: 20, lowStockThreshold: 3 } });
+
+    const { resolved } = await syncLowStockAlerts(connection, [7]);
+
+    expect(resolved).toBe(1);
+    expect(connection.executed[1].sql).toContain("SET status = 'resolved'");
+  });
+});
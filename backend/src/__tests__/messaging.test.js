@@ -0,0 +1,117 @@
+import { MESSAGE_TEMPLATES, interpolate, renderTemplate, resolveLocale } from '../services/message-templates.js';
+import { createProviderFromEnv } from '../services/message-providers.js';
+import {
+  buildOrderMessages,
+  deliverMessage,
+  isDeliverableEmail,
+  orderTemplateFor
+} from '../services/messaging.service.js';
+
+const ORDER = {
+  id: 12,
+  orderNumber: 'ORD-12',
+  customerName: 'Dara',
+  customerPhone: ' 012345678 ',
+  total: '25.5',
+  paymentMethod: 'Bakong',
+  locale: 'en',
+  email: 'dara@example.com'
+};
+
+function failingProvider(error) {
+  return {
+    async send() {
+      throw error;
+    }
+  };
+}
+
+describe('Messaging', () => {
+  describe('templates', () => {
+    it('should pick a supported locale from tags and Accept-Language', () => {
+      expect(resolveLocale('km-KH')).toBe('km');
+      expect(resolveLocale('fr-FR, km;q=0.8, en;q=0.5')).toBe('km');
+      expect(resolveLocale('de')).toBe('en');
+      expect(resolveLocale(undefined)).toBe('en');
+    });
+
+    it('should fill placeholders and blank unknown ones', () => {
+      expect(interpolate('Order {{ orderNumber }} for {{name}}', { orderNumber: 'ORD-1' })).toBe('Order ORD-1 for ');
+    });
+
+    it('should render per channel and fall back to English', () => {
+      const email = renderTemplate(MESSAGE_TEMPLATES.ORDER_SHIPPED, 'km', 'email', { orderNumber: 'ORD-1', customerName: 'Dara', storeName: 'ShopEase' });
+      expect(email.locale).toBe('km');
+      expect(email.subject).toContain('ORD-1');
+
+      const sms = renderTemplate(MESSAGE_TEMPLATES.ORDER_SHIPPED, 'fr', 'sms', { orderNumber: 'ORD-1', storeName: 'ShopEase' });
+      expect(sms).toEqual({ subject: null, body: 'ShopEase: order ORD-1 is on its way.', locale: 'en' });
+    });
+  });
+
+  describe('orderTemplateFor', () => {
+    it('should map status changes to templates', () => {
+      expect(orderTemplateFor('paid', 'bakong')).toBe(MESSAGE_TEMPLATES.PAYMENT_RECEIVED);
+      expect(orderTemplateFor('cancelled', 'admin')).toBe(MESSAGE_TEMPLATES.ORDER_CANCELLED);
+      expect(orderTemplateFor('cancelled', 'system')).toBe(MESSAGE_TEMPLATES.ORDER_EXPIRED);
+      expect(orderTemplateFor('processing', 'admin')).toBeNull();
+    });
+  });
+
+  describe('buildOrderMessages', () => {
+    it('should queue an email and an SMS with a dedupe key each', () => {
+      const messages = buildOrderMessages(ORDER, MESSAGE_TEMPLATES.ORDER_CONFIRMATION);
+
+      expect(messages.map(message => [message.channel, message.recipient, message.dedupeKey])).toEqual([
+        ['email', 'dara@example.com', 'order:12:order_confirmation:email'],
+        ['sms', '012345678', 'order:12:order_confirmation:sms']
+      ]);
+      expect(messages[0].subject).toBe('Order ORD-12 received');
+      expect(messages[0].body).toContain('Total: $25.50');
+    });
+
+    it('should skip placeholder and missing addresses', () => {
+      expect(isDeliverableEmail('firebase_abc@shopease.local')).toBe(false);
+      expect(buildOrderMessages({ ...ORDER, email: 'firebase_abc@shopease.local' }, MESSAGE_TEMPLATES.ORDER_SHIPPED)
+        .map(message => message.channel)).toEqual(['sms']);
+      expect(buildOrderMessages({ ...ORDER, email: null, customerPhone: '' }, MESSAGE_TEMPLATES.ORDER_SHIPPED)).toEqual([]);
+    });
+  });
+
+  describe('deliverMessage', () => {
+    const message = { channel: 'sms', recipient: '012345678', subject: null, body: 'Hi', attempts: 2 };
+
+    it('should report the provider message id', async () => {
+      const sent = [];
+      const providers = { sms: { async send(input) { sent.push(input); return { providerMessageId: 'sms-1' }; } } };
+
+      expect(await deliverMessage(message, providers)).toEqual({ status: 'sent', providerMessageId: 'sms-1' });
+      expect(sent).toEqual([{ to: '012345678', subject: null, body: 'Hi' }]);
+    });
+
+    it('should retry transient errors with backoff until attempts run out', async () => {
+      const providers = { sms: failingProvider(new Error('timeout')) };
+
+      expect(await deliverMessage(message, providers, { baseDelayMs: 1000 }))
+        .toEqual({ status: 'pending', retryInMs: 2000, error: 'timeout' });
+      expect((await deliverMessage({ ...message, attempts: 5 }, providers)).status).toBe('failed');
+    });
+
+    it('should not retry permanent errors or unknown channels', async () => {
+      const rejected = Object.assign(new Error('bad number'), { permanent: true });
+
+      expect(await deliverMessage(message, { sms: failingProvider(rejected) })).toEqual({ status: 'failed', error: 'bad number' });
+      expect((await deliverMessage({ ...message, channel: 'fax' }, {})).status).toBe('failed');
+    });
+  });
+
+  describe('createProviderFromEnv', () => {
+    it('should fall back to the console when a provider is not configured', () => {
+      expect(createProviderFromEnv('email', {}).name).toBe('console');
+      expect(createProviderFromEnv('email', { EMAIL_PROVIDER: 'smtp' }).name).toBe('console');
+      expect(createProviderFromEnv('email', { EMAIL_PROVIDER: 'smtp', SMTP_HOST: 'localhost', EMAIL_FROM: 'a@b.co' }).name).toBe('smtp');
+      expect(createProviderFromEnv('sms', { SMS_PROVIDER: 'http', SMS_GATEWAY_URL: 'http://gateway' }).name).toBe('http');
+      expect(createProviderFromEnv('sms', { SMS_PROVIDER: 'file' }).name).toBe('file');
+    });
+  });
+});
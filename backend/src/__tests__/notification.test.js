@@ -0,0 +1,129 @@
+import {
+  NOTIFICATION_TYPES,
+  MAX_PAGE_SIZE,
+  NotificationError,
+  buildOrderNotification,
+  mapNotification,
+  notifyOrderStatusChange,
+  parseAdminMessage,
+  parseNotificationQuery
+} from '../services/notification.service.js';
+
+describe('Notification Service', () => {
+  describe('buildOrderNotification', () => {
+    it('should describe fulfilment and payment updates', () => {
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'shipped', actor: 'admin' })).toEqual({
+        type: NOTIFICATION_TYPES.ORDER_UPDATE,
+        title: 'Order shipped',
+        message: 'Your order ORD-1 is on its way.'
+      });
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'paid', actor: 'bakong' }).type)
+        .toBe(NOTIFICATION_TYPES.PAYMENT);
+    });
+
+    it('should explain cancellations by the expiry job', () => {
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'cancelled', actor: 'system' }).message)
+        .toMatch(/payment wasn't completed in time/);
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'cancelled', actor: 'admin' }).message)
+        .toBe('Your order ORD-1 has been cancelled.');
+    });
+
+    it('should stay quiet about customer cancellations and unknown statuses', () => {
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'cancelled', actor: 'customer' })).toBeNull();
+      expect(buildOrderNotification({ orderNumber: 'ORD-1', toStatus: 'pending', actor: 'admin' })).toBeNull();
+    });
+  });
+
+  describe('notifyOrderStatusChange', () => {
+    function recordingExecutor() {
+      const calls = [];
+      return {
+        calls,
+        async execute(sql, params) {
+          calls.push({ sql, params });
+          return [{ insertId: 7 }];
+        }
+      };
+    }
+
+    it('should store the notification on the given connection', async () => {
+      const executor = recordingExecutor();
+      const id = await notifyOrderStatusChange(executor, {
+        order: { id: 3, orderNumber: 'ORD-3', userId: 9 },
+        toStatus: 'delivered',
+        actor: 'admin'
+      });
+
+      expect(id).toBe(7);
+      expect(executor.calls).toHaveLength(1);
+      expect(executor.calls[0].params).toEqual([
+        9,
+        NOTIFICATION_TYPES.ORDER_UPDATE,
+        'Order delivered',
+        'Your order ORD-3 has been delivered. Enjoy!',
+        JSON.stringify({ orderId: 3, orderNumber: 'ORD-3', status: 'delivered' })
+      ]);
+    });
+
+    it('should skip guest orders', async () => {
+      const executor = recordingExecutor();
+      const id = await notifyOrderStatusChange(executor, {
+        order: { id: 3, orderNumber: 'ORD-3', userId: null },
+        toStatus: 'paid',
+        actor: 'bakong'
+      });
+
+      expect(id).toBeNull();
+      expect(executor.calls).toHaveLength(0);
+    });
+  });
+
+  describe('mapNotification', () => {
+    it('should parse data and turn isRead into a boolean', () => {
+      const mapped = mapNotification({
+        id: 1,
+        userId: 9,
+        type: 'payment',
+        title: 'Payment received',
+        message: 'Thanks',
+        data: '{"orderId":3}',
+        isRead: 0,
+        readAt: null,
+        createdAt: '2026-03-01T10:00:00.000Z'
+      });
+
+      expect(mapped).toEqual({
+        id: 1,
+        type: 'payment',
+        title: 'Payment received',
+        message: 'Thanks',
+        data: { orderId: 3 },
+        isRead: false,
+        readAt: null,
+        createdAt: '2026-03-01T10:00:00.000Z'
+      });
+    });
+  });
+
+  describe('parseNotificationQuery', () => {
+    it('should default and clamp paging', () => {
+      expect(parseNotificationQuery({})).toEqual({ unreadOnly: false, page: 1, limit: 20 });
+      expect(parseNotificationQuery({ unreadOnly: 'true', page: '-2', limit: '500' }))
+        .toEqual({ unreadOnly: true, page: 1, limit: MAX_PAGE_SIZE });
+    });
+  });
+
+  describe('parseAdminMessage', () => {
+    it('should accept recipients or allCustomers', () => {
+      expect(parseAdminMessage({ userIds: [3, '3', 4], title: ' Hi ', message: 'Sale today' }))
+        .toEqual({ userIds: [3, 4], allCustomers: false, title: 'Hi', message: 'Sale today' });
+      expect(parseAdminMessage({ allCustomers: true, title: 'Hi', message: 'Sale today' }).userIds).toEqual([]);
+    });
+
+    it('should reject messages without content or recipients', () => {
+      expect(() => parseAdminMessage({ userIds: [1], title: '', message: 'x' })).toThrow(NotificationError);
+      expect(() => parseAdminMessage({ title: 'Hi', message: 'x' })).toThrow('Pick the recipients');
+      expect(() => parseAdminMessage({ userIds: ['abc'], title: 'Hi', message: 'x' })).toThrow('userIds must be user IDs');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import {
+  ORDER_ACTORS,
+  OrderLifecycleError,
+  canTransition,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  cancelOrderByCustomer,
+  getAllowedTransitions,
+  releasesStock,
+  transitionOrder
+} from '../services/order-lifecycle.service.js';
+
+// Minimal stand-in for a mysql2 connection: answers SELECTs from fixtures and records writes
+function createConnection({ order, items = [], refunds = null }) {
+  const executed = [];
+  return {
+    executed,
+    async execute(sql, params) {
+      executed.push({ sql, params });
+      if (sql.startsWith('SELECT id, orderNumber, status, userId FROM `Order`')) {
+        return [order ? [order] : []];
+      }
+      if (sql.startsWith('SELECT productId, variantId, quantity FROM OrderItem')) {
+        return [items];
+      }
+      if (sql.startsWith('SELECT o.total') && refunds) {
+        return [[refunds]];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+describe('Order Lifecycle', () => {
+  describe('canTransition', () => {
+    it('should follow the fulfilment flow', () => {
+      expect(canTransition('pending', 'paid')).toBe(true);
+      expect(canTransition('paid', 'processing')).toBe(true);
+      expect(canTransition('processing', 'shipped')).toBe(true);
+      expect(canTransition('shipped', 'delivered')).toBe(true);
+    });
+
+    it('should let Cash on Delivery orders skip payment', () => {
+      expect(canTransition('pending', 'processing')).toBe(true);
+    });
+
+    it('should reject moving backwards', () => {
+      expect(canTransition('delivered', 'pending')).toBe(false);
+      expect(canTransition('shipped', 'processing')).toBe(false);
+    });
+
+    it('should treat cancelled and refunded as final', () => {
+      expect(getAllowedTransitions('cancelled')).toEqual([]);
+      expect(getAllowedTransitions('refunded')).toEqual([]);
+    });
+  });
+
+  describe('releasesStock', () => {
+    it('should release stock when an unshipped order is cancelled', () => {
+      expect(releasesStock('pending', 'cancelled')).toBe(true);
+      expect(releasesStock('processing', 'cancelled')).toBe(true);
+    });
+
+    it('should not release stock for returns or refunds of shipped orders', () => {
+      expect(releasesStock('shipped', 'returned')).toBe(false);
+      expect(releasesStock('delivered', 'refunded')).toBe(false);
+      expect(releasesStock('returned', 'refunded')).toBe(false);
+    });
+
+    it('should release stock when an unshipped order is refunded', () => {
+      expect(releasesStock('paid', 'refunded')).toBe(true);
+      expect(releasesStock('processing', 'refunded')).toBe(true);
+    });
+  });
+
+  describe('transitionOrder', () => {
+    it('should restore stock and record the actor', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'pending' },
+        items: [{ productId: 7, quantity: 2 }]
+      });
+
+      const result = await transitionOrder(connection, 1, 'cancelled', {
+        actor: ORDER_ACTORS.ADMIN,
+        actorId: 3
+      });
+
+      expect(result.fromStatus).toBe('pending');
+      expect(result.restoredItems).toHaveLength(1);
+
+      const stockUpdate = connection.executed.find(q => q.sql.startsWith('UPDATE Product'));
+      expect(stockUpdate.params).toEqual([2, 7]);
+
+      const movement = connection.executed.find(q => q.sql.includes('INSERT INTO InventoryMovement'));
+      expect(movement.params).toEqual([null, 1, 2, 'order_cancelled', 'admin', 3, null, 7]);
+
+      const history = connection.executed.find(q => q.sql.includes('INSERT INTO OrderStatusHistory'));
+      expect(history.params).toEqual([1, 'cancelled', 'pending', 'Status changed from pending to cancelled', 'admin', 3]);
+    });
+
+    it('should restore variant stock as well', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'paid' },
+        items: [{ productId: 7, variantId: 12, quantity: 1 }]
+      });
+
+      await transitionOrder(connection, 1, 'cancelled');
+
+      const variantUpdate = connection.executed.find(q => q.sql.startsWith('UPDATE ProductVariant'));
+      expect(variantUpdate.params).toEqual([1, 12]);
+    });
+
+    it('should release the stock holds of a cancelled order', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'pending' },
+        items: [{ productId: 7, quantity: 2 }]
+      });
+
+      await transitionOrder(connection, 1, 'cancelled');
+
+      const release = connection.executed.find(q => q.sql.startsWith('UPDATE StockReservation'));
+      expect(release.sql).toContain("status = 'released'");
+      expect(release.params).toEqual(['cancelled', 1]);
+    });
+
+    it('should restock and release the holds of an order refunded before shipping', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'paid' },
+        items: [{ productId: 7, quantity: 2 }]
+      });
+
+      const result = await transitionOrder(connection, 1, 'refunded', { actor: ORDER_ACTORS.ADMIN, actorId: 9 });
+
+      expect(result.restoredItems).toEqual([{ productId: 7, quantity: 2 }]);
+      const stockUpdate = connection.executed.find(q => q.sql.startsWith('UPDATE Product'));
+      expect(stockUpdate.params).toEqual([2, 7]);
+      const movement = connection.executed.find(q => q.sql.includes('INSERT INTO InventoryMovement'));
+      expect(movement.params).toContain('order_refunded');
+      const release = connection.executed.find(q => q.sql.startsWith('UPDATE StockReservation'));
+      expect(release.params).toEqual(['refunded', 1]);
+    });
+
+    it('should record the whole total when a delivered order is refunded', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'delivered' },
+        refunds: { total: '25.00', refunded: 0 }
+      });
+
+      await transitionOrder(connection, 1, 'refunded', { actor: ORDER_ACTORS.ADMIN, actorId: 9, note: 'Damaged in transit' });
+
+      const refund = connection.executed.find(q => q.sql.includes('INSERT INTO Refund'));
+      expect(refund.params).toEqual([1, 25, 'Damaged in transit', 9]);
+    });
+
+    it('should record only what returns left unrefunded when a returned order is refunded', async () => {
+      const partly = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'returned' },
+        refunds: { total: '25.00', refunded: '10.00' }
+      });
+      await transitionOrder(partly, 1, 'refunded', { actor: ORDER_ACTORS.ADMIN });
+      expect(partly.executed.find(q => q.sql.includes('INSERT INTO Refund')).params[1]).toBe(15);
+
+      const fully = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'returned' },
+        refunds: { total: '25.00', refunded: '25.00' }
+      });
+      await transitionOrder(fully, 1, 'refunded', { actor: ORDER_ACTORS.ADMIN });
+      expect(fully.executed.some(q => q.sql.includes('INSERT INTO Refund'))).toBe(false);
+    });
+
+    it('should expire the pending payments of a cancelled order', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'pending' }
+      });
+
+      await transitionOrder(connection, 1, 'cancelled');
+
+      const expire = connection.executed.find(q => q.sql.startsWith('UPDATE Payment'));
+      expect(expire.sql).toContain("status = 'expired'");
+      expect(expire.params).toEqual([1]);
+    });
+
+    it('should convert stock holds when payment is confirmed', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'pending' }
+      });
+
+      await transitionOrder(connection, 1, 'paid', { actor: ORDER_ACTORS.BAKONG });
+
+      const convert = connection.executed.find(q => q.sql.startsWith('UPDATE StockReservation'));
+      expect(convert.sql).toContain("status = 'converted'");
+      expect(convert.params).toEqual([1]);
+    });
+
+    it('should notify the customer in the same transaction', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'pending', userId: 5 }
+      });
+
+      await transitionOrder(connection, 1, 'paid', { actor: ORDER_ACTORS.BAKONG });
+
+      const notification = connection.executed.find(q => q.sql.includes('INSERT INTO Notification'));
+      expect(notification.params.slice(0, 3)).toEqual([5, 'payment', 'Payment received']);
+    });
+
+    it('should reject illegal transitions with 409', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'delivered' }
+      });
+
+      await expect(transitionOrder(connection, 1, 'pending')).rejects.toMatchObject({
+        name: 'OrderLifecycleError',
+        statusCode: 409
+      });
+      expect(connection.executed.some(q => q.sql.startsWith('UPDATE'))).toBe(false);
+    });
+
+    it('should reject when the order left the expected status', async () => {
+      const connection = createConnection({
+        order: { id: 1, orderNumber: 'ORD-1', status: 'paid' }
+      });
+
+      await expect(
+        transitionOrder(connection, 1, 'cancelled', { expectedStatus: 'pending' })
+      ).rejects.toBeInstanceOf(OrderLifecycleError);
+    });
+
+    it('should return 404 for unknown orders', async () => {
+      const connection = createConnection({ order: null });
+
+      await expect(transitionOrder(connection, 99, 'paid')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('cancelOrderByCustomer', () => {
+    it('should require a reason', async () => {
+      await expect(cancelOrderByCustomer(1, 2, '   ')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(cancelOrderByCustomer(1, 2, undefined)).rejects.toBeInstanceOf(OrderLifecycleError);
+    });
+
+    it('should only allow cancelling before payment', () => {
+      expect(CUSTOMER_CANCELLABLE_STATUSES).toEqual(['pending']);
+    });
+  });
+});
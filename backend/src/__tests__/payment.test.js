@@ -0,0 +1,78 @@
+import {
+  closePendingPayments,
+  mapPayment,
+  paymentCoversTotal,
+  summarizePayments
+} from '../services/payment.service.js';
+
+const KHR_RATE = 4000;
+const ORDER = { total: '10.00', status: 'paid', paymentMethod: 'Bakong' };
+
+function payment(overrides = {}) {
+  return { amount: 40000, currency: 'KHR', status: 'paid', ...overrides };
+}
+
+describe('Payment Ledger', () => {
+  describe('paymentCoversTotal', () => {
+    it('should compare KHR in riel and USD in cents', () => {
+      expect(paymentCoversTotal('10.00', { amount: 40000, currency: 'KHR' }, KHR_RATE)).toBe(true);
+      expect(paymentCoversTotal('10.00', { amount: 39999, currency: 'KHR' }, KHR_RATE)).toBe(false);
+      expect(paymentCoversTotal('10.00', { amount: 10, currency: 'USD' }, KHR_RATE)).toBe(true);
+      expect(paymentCoversTotal('10.00', { amount: 10, currency: 'EUR' }, KHR_RATE)).toBe(false);
+    });
+  });
+
+  describe('summarizePayments', () => {
+    it('should match one payment of the order total', () => {
+      expect(summarizePayments(ORDER, [payment({ status: 'superseded' }), payment()], KHR_RATE)).toEqual({
+        status: 'matched',
+        expected: { USD: 10, KHR: 40000 },
+        paidCount: 1,
+        paid: [{ amount: 40000, currency: 'KHR' }]
+      });
+    });
+
+    it('should flag paid orders without a payment and payments that differ', () => {
+      expect(summarizePayments(ORDER, [payment({ status: 'expired' })], KHR_RATE).status).toBe('missing');
+      expect(summarizePayments({ ...ORDER, status: 'pending' }, [payment({ status: 'pending' })], KHR_RATE).status).toBe('unpaid');
+      expect(summarizePayments(ORDER, [payment({ amount: 100 })], KHR_RATE).status).toBe('mismatch');
+      expect(summarizePayments(ORDER, [payment(), payment({ amount: 10, currency: 'USD' })], KHR_RATE).status).toBe('duplicate');
+    });
+
+    it('should flag payments for cancelled orders as refunds due', () => {
+      expect(summarizePayments({ ...ORDER, status: 'cancelled' }, [payment()], KHR_RATE).status).toBe('refund_due');
+    });
+
+    it('should not track cash on delivery orders', () => {
+      expect(summarizePayments({ ...ORDER, paymentMethod: 'Cash on Delivery' }, [], KHR_RATE).status).toBe('untracked');
+    });
+  });
+
+  describe('mapPayment', () => {
+    it('should parse JSON payloads and keep other text', () => {
+      const row = { id: 1, orderId: 2, method: 'Bakong', amount: '40000.00', currency: 'KHR', status: 'paid', source: 'webhook' };
+
+      expect(mapPayment({ ...row, rawPayload: '{"hash":"abc"}' })).toMatchObject({ amount: 40000, rawPayload: { hash: 'abc' } });
+      expect(mapPayment({ ...row, rawPayload: 'not json' }).rawPayload).toBe('not json');
+    });
+  });
+
+  describe('closePendingPayments', () => {
+    it('should expire pending attempts only when the order is cancelled', async () => {
+      const executed = [];
+      const connection = {
+        async execute(sql, params) {
+          executed.push({ sql, params });
+          return [{ affectedRows: 1 }];
+        }
+      };
+
+      await closePendingPayments(connection, 3, 'paid');
+      expect(executed).toEqual([]);
+
+      await closePendingPayments(connection, 3, 'cancelled');
+      expect(executed[0].sql).toContain("SET status = 'expired'");
+      expect(executed[0].params).toEqual([3]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  MAX_BULK_PRODUCTS,
+  ProductBulkError,
+  adjustPrice,
+  parseBulkRequest
+} from '../services/product-bulk.service.js';
+
+describe('Product Bulk Actions', () => {
+  describe('parseBulkRequest', () => {
+    it('should dedupe ids and read the action parameters', () => {
+      expect(parseBulkRequest({ ids: [3, '3', 7], action: 'archive' })).toEqual({
+        ids: [3, 7],
+        action: 'archive',
+        params: {}
+      });
+      expect(parseBulkRequest({ ids: [1], action: 'move_category', category: ' Shirts ' }).params).toEqual({ category: 'Shirts' });
+      expect(parseBulkRequest({ ids: [1], action: 'adjust_price', mode: 'percent', value: '-15' }).params).toEqual({ mode: 'percent', value: -15 });
+      expect(parseBulkRequest({ ids: [1], action: 'set_stock', stock: 0 }).params).toEqual({ stock: 0 });
+    });
+
+    it('should reject empty selections, bad ids and unknown actions', () => {
+      expect(() => parseBulkRequest({ ids: [], action: 'archive' })).toThrow('Select at least one product');
+      expect(() => parseBulkRequest({ ids: [1, 'x'], action: 'archive' })).toThrow('ids must be product IDs');
+      expect(() => parseBulkRequest({ ids: [1], action: 'delete' })).toThrow(ProductBulkError);
+
+      const tooMany = Array.from({ length: MAX_BULK_PRODUCTS + 1 }, (_, i) => i + 1);
+      expect(() => parseBulkRequest({ ids: tooMany, action: 'archive' })).toThrow(`at most ${MAX_BULK_PRODUCTS}`);
+    });
+
+    it('should reject incomplete action parameters', () => {
+      expect(() => parseBulkRequest({ ids: [1], action: 'move_category' })).toThrow('Pick the category');
+      expect(() => parseBulkRequest({ ids: [1], action: 'adjust_price', mode: 'double', value: 2 })).toThrow('mode must be one of');
+      expect(() => parseBulkRequest({ ids: [1], action: 'adjust_price', mode: 'fixed', value: 0 })).toThrow('other than 0');
+      expect(() => parseBulkRequest({ ids: [1], action: 'adjust_price', mode: 'percent', value: -100 })).toThrow('less than 100%');
+      expect(() => parseBulkRequest({ ids: [1], action: 'set_stock', stock: 2.5 })).toThrow('positive whole number');
+      expect(() => parseBulkRequest({ ids: [1], action: 'set_stock', stock: '' })).toThrow('positive whole number');
+    });
+  });
+
+  describe('adjustPrice', () => {
+    it('should adjust by percentage or amount and round to cents', () => {
+      expect(adjustPrice(19.99, 'percent', 10)).toBe(21.99);
+      expect(adjustPrice(10, 'percent', -25)).toBe(7.5);
+      expect(adjustPrice(10, 'fixed', 2.345)).toBe(12.35);
+      expect(adjustPrice(10, 'fixed', -12)).toBe(-2);
+    });
+  });
+});
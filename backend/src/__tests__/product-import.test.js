@@ -0,0 +1,102 @@
+import {
+  MAX_IMPORT_ROWS,
+  ProductImportError,
+  parseCsv,
+  readImportRecords,
+  summarizeImport,
+  validateImportValues
+} from '../services/product-import.service.js';
+
+describe('Product Import', () => {
+  describe('parseCsv', () => {
+    it('should read quoted fields, escaped quotes and line breaks', () => {
+      const csv = '\uFEFFname,description,price\r\n"Shirt, blue","He said ""nice""\nand left",12.50\n\nHat,,5\n';
+
+      expect(parseCsv(csv)).toEqual([
+        ['name', 'description', 'price'],
+        ['Shirt, blue', 'He said "nice"\nand left', '12.50'],
+        ['Hat', '', '5']
+      ]);
+    });
+
+    it('should read a last line without a line break', () => {
+      expect(parseCsv('name,price\nHat,5')).toEqual([['name', 'price'], ['Hat', '5']]);
+    });
+
+    it('should reject an unclosed quote', () => {
+      expect(() => parseCsv('name,price\n"Hat,5')).toThrow('unclosed quote');
+    });
+  });
+
+  describe('readImportRecords', () => {
+    it('should key values by column in any order and number the lines', () => {
+      const records = readImportRecords([[' Price ', 'NAME'], ['5', ' Hat ']]);
+
+      expect(records).toEqual([{ line: 2, values: { price: '5', name: 'Hat' } }]);
+    });
+
+    it('should reject missing or unknown columns and empty files', () => {
+      expect(() => readImportRecords([])).toThrow('The CSV file is empty');
+      expect(() => readImportRecords([['name'], ['Hat']])).toThrow('Missing column(s): price');
+      expect(() => readImportRecords([['name', 'price', 'colour'], ['Hat', '5', 'red']])).toThrow('Unknown column(s): colour');
+      expect(() => readImportRecords([['name', 'price']])).toThrow(ProductImportError);
+    });
+
+    it('should limit the number of rows', () => {
+      const rows = [['name', 'price'], ...Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => [`P${i}`, '1'])];
+
+      expect(() => readImportRecords(rows)).toThrow(`at most ${MAX_IMPORT_ROWS}`);
+    });
+  });
+
+  describe('validateImportValues', () => {
+    it('should normalize a valid row', () => {
+      const { product, errors } = validateImportValues({
+        name: 'Hat',
+        price: '5.499',
+        stock: '12',
+        category: 'Caps',
+        images: 'https://cdn.example.com/a.jpg | /uploads/products/b.png'
+      });
+
+      expect(errors).toEqual([]);
+      expect(product).toEqual({
+        id: null,
+        name: 'Hat',
+        description: '',
+        price: 5.5,
+        stock: 12,
+        category: 'Caps',
+        images: ['https://cdn.example.com/a.jpg', '/uploads/products/b.png']
+      });
+    });
+
+    it('should collect every problem of a row', () => {
+      const { errors } = validateImportValues({
+        id: 'abc',
+        name: '',
+        price: '-1',
+        stock: '2.5',
+        images: 'javascript:alert(1)'
+      });
+
+      expect(errors).toEqual([
+        'id must be a product ID',
+        'Name is required',
+        'Price must be a positive number',
+        'Stock must be a positive whole number',
+        'Invalid image URL(s): javascript:alert(1)'
+      ]);
+    });
+
+    it('should require a price', () => {
+      expect(validateImportValues({ name: 'Hat', price: '' }).errors).toEqual(['Price is required']);
+    });
+  });
+
+  it('should summarize planned actions', () => {
+    const rows = [{ action: 'create' }, { action: 'update' }, { action: 'create' }, { action: 'error' }];
+
+    expect(summarizeImport(rows)).toEqual({ total: 4, creates: 2, updates: 1, errors: 1 });
+  });
+});
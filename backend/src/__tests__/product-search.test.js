@@ -0,0 +1,84 @@
+import {
+  buildSearchIndex,
+  editDistance,
+  highlightText,
+  searchIndex,
+  tokenize
+} from '../services/product-search.service.js';
+
+const PRODUCTS = [
+  { id: 1, name: 'Classic Cotton Shirt', category: 'Shirts', description: 'A soft cotton shirt for everyday wear.' },
+  { id: 2, name: 'Denim Jacket', category: 'Jackets', description: 'Goes well with a cotton shirt.' },
+  { id: 3, name: 'Leather Wallet', category: 'Accessories', description: 'Slim wallet with six card slots.' },
+  { id: 4, name: 'Café Mug', category: 'Kitchen', description: null }
+];
+
+describe('Product Search', () => {
+  const index = buildSearchIndex(PRODUCTS);
+
+  describe('tokenize', () => {
+    it('should lower-case words, strip accents and keep positions', () => {
+      expect(tokenize('Café au-lait, 2x')).toEqual([
+        { term: 'cafe', start: 0, end: 4 },
+        { term: 'au', start: 5, end: 7 },
+        { term: 'lait', start: 8, end: 12 },
+        { term: '2x', start: 14, end: 16 }
+      ]);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('shirt', 'shirt')).toBe(0);
+      expect(editDistance('shrt', 'shirt')).toBe(1);
+      expect(editDistance('shirt', 'shrit')).toBe(1);
+      expect(editDistance('jacket', 'jakcet')).toBe(1);
+      expect(editDistance('wallet', 'walet', 1)).toBe(1);
+      expect(editDistance('wallet', 'mug', 2)).toBe(3);
+    });
+  });
+
+  describe('searchIndex', () => {
+    it('should rank name matches above description matches', () => {
+      const results = searchIndex(index, 'shirt');
+
+      expect(results.map(result => result.id)).toEqual([1, 2]);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should tolerate typos and match the last word as a prefix', () => {
+      expect(searchIndex(index, 'jakcet').map(result => result.id)).toEqual([2]);
+      expect(searchIndex(index, 'leathr walet').map(result => result.id)).toEqual([3]);
+      expect(searchIndex(index, 'wal').map(result => result.id)).toEqual([3]);
+      expect(searchIndex(index, 'cafe').map(result => result.id)).toEqual([4]);
+    });
+
+    it('should require every word, falling back to any word', () => {
+      expect(searchIndex(index, 'cotton jacket').map(result => result.id)).toEqual([2]);
+      expect(searchIndex(index, 'mug wallet').map(result => result.id).sort()).toEqual([3, 4]);
+    });
+
+    it('should return nothing for blank or unknown queries', () => {
+      expect(searchIndex(index, '  ')).toEqual([]);
+      expect(searchIndex(index, 'xylophone')).toEqual([]);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should mark matched words and escape the rest', () => {
+      expect(highlightText('Shirt <b>sale</b> & shirts', ['shirt'])).toBe('<mark>Shirt</mark> &lt;b&gt;sale&lt;/b&gt; &amp; shirts');
+      expect(highlightText('Denim Jacket', ['shirt'])).toBeNull();
+      expect(highlightText(null, ['shirt'])).toBeNull();
+    });
+
+    it('should cut long text around the first match on word boundaries', () => {
+      const text = `${'lorem '.repeat(40)}the cotton shirt ${'ipsum '.repeat(40)}`.trim();
+      const snippet = highlightText(text, ['shirt'], 60);
+
+      expect(snippet).toMatch(/^…the cotton <mark>shirt<\/mark> ipsum/);
+      expect(snippet.endsWith('ipsum…')).toBe(true);
+      expect(snippet.replace(/<\/?mark>|…/g, '').length).toBeLessThanOrEqual(60);
+    });
+  });
+});
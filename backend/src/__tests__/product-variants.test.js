@@ -0,0 +1,43 @@
+import { VariantError, formatVariantLabel, sanitizeVariants, syncProductStock } from '../services/product-variants.service.js';
+
+describe('Product Variants', () => {
+  it('should build readable labels from options', () => {
+    expect(formatVariantLabel({ size: 'M', color: 'Red' })).toBe('Size: M / Color: Red');
+    expect(formatVariantLabel('{"size":"L","color":""}')).toBe('Size: L');
+  });
+
+  it('should normalize editor input', () => {
+    const [variant] = sanitizeVariants([{ sku: ' JERSEY-M ', options: { Size: 'M', color: ' ' }, price: '', stock: '3' }]);
+    expect(variant).toEqual({
+      id: null,
+      sku: 'JERSEY-M',
+      options: { size: 'M' },
+      price: null,
+      stock: 3,
+      isActive: true,
+      sortOrder: 0
+    });
+  });
+
+  it('should reject duplicate SKUs and negative stock', () => {
+    expect(() => sanitizeVariants([{ sku: 'A1' }, { sku: 'a1' }])).toThrow(VariantError);
+    expect(() => sanitizeVariants([{ sku: 'A1', stock: -1 }])).toThrow(VariantError);
+  });
+
+  it('should sync stock from variants and leave products without variants alone', async () => {
+    const executed = [];
+    const executorWith = summary => ({
+      async execute(sql, params) {
+        executed.push({ sql, params });
+        return sql.startsWith('SELECT') ? [[summary]] : [{ affectedRows: 1 }];
+      }
+    });
+
+    expect(await syncProductStock(executorWith({ count: 2, total: '7' }), 4)).toEqual({ hasVariants: true });
+    expect(executed.at(-1)).toEqual({ sql: 'UPDATE Product SET stock = ? WHERE id = ?', params: [7, 4] });
+
+    executed.length = 0;
+    expect(await syncProductStock(executorWith({ count: 0, total: 0 }), 4)).toEqual({ hasVariants: false });
+    expect(executed.some(q => q.sql.startsWith('UPDATE'))).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  PushError,
+  buildOrderPush,
+  classifyPushError,
+  createFakeTransport,
+  parseDeviceToken,
+  retryDelay,
+  sendWithRetry
+} from '../services/push.service.js';
+
+const MESSAGE = { title: 'Order shipped', body: 'Your order ORD-1 is on its way.', data: { orderId: '1' } };
+
+describe('Push Service', () => {
+  describe('buildOrderPush', () => {
+    const order = { id: 1, orderNumber: 'ORD-1', userId: 5 };
+
+    it('should push fulfilment updates with string data', () => {
+      expect(buildOrderPush({ order, toStatus: 'shipped', actor: 'admin' })).toEqual({
+        title: 'Order shipped',
+        body: 'Your order ORD-1 is on its way.',
+        data: { type: 'order_update', orderId: '1', orderNumber: 'ORD-1', status: 'shipped' }
+      });
+    });
+
+    it('should push payments only when Bakong confirms them', () => {
+      expect(buildOrderPush({ order, toStatus: 'paid', actor: 'bakong' }).title).toBe('Payment received');
+      expect(buildOrderPush({ order, toStatus: 'paid', actor: 'admin' })).toBeNull();
+      expect(buildOrderPush({ order, toStatus: 'cancelled', actor: 'system' })).toBeNull();
+    });
+  });
+
+  describe('classifyPushError', () => {
+    it('should tell invalid tokens from transient and permanent errors', () => {
+      expect(classifyPushError('messaging/registration-token-not-registered')).toBe('invalid');
+      expect(classifyPushError('messaging/unavailable')).toBe('transient');
+      expect(classifyPushError('messaging/invalid-argument')).toBe('permanent');
+      expect(classifyPushError(undefined)).toBe('permanent');
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('should double per attempt up to the cap', () => {
+      expect([1, 2, 3].map(attempt => retryDelay(attempt, { baseDelayMs: 100, maxDelayMs: 300 }))).toEqual([100, 200, 300]);
+    });
+  });
+
+  describe('parseDeviceToken', () => {
+    it('should default the platform and reject bad input', () => {
+      expect(parseDeviceToken({ token: ' abc ' })).toEqual({ token: 'abc', platform: 'android' });
+      expect(parseDeviceToken({ token: 'abc', platform: 'IOS' }).platform).toBe('ios');
+      expect(() => parseDeviceToken({})).toThrow(PushError);
+      expect(() => parseDeviceToken({ token: 'abc', platform: 'symbian' })).toThrow('Invalid platform');
+    });
+  });
+
+  describe('sendWithRetry', () => {
+    it('should retry transient failures with backoff', async () => {
+      const transport = createFakeTransport({ failures: { b: ['messaging/unavailable', 'messaging/internal-error'] } });
+      const waits = [];
+
+      const summary = await sendWithRetry(transport, ['a', 'b'], MESSAGE, {
+        baseDelayMs: 10,
+        wait: async ms => waits.push(ms)
+      });
+
+      expect(summary).toEqual({ sent: 2, failed: 0, invalidTokens: [], attempts: 3 });
+      expect(waits).toEqual([10, 20]);
+      expect(transport.sent.map(item => item.token)).toEqual(['a', 'b']);
+    });
+
+    it('should report invalid tokens without retrying them', async () => {
+      const transport = createFakeTransport({
+        failures: { gone: ['messaging/registration-token-not-registered'], bad: ['messaging/invalid-argument'] }
+      });
+
+      const summary = await sendWithRetry(transport, ['ok', 'gone', 'bad'], MESSAGE, { wait: async () => {} });
+
+      expect(summary).toEqual({ sent: 1, failed: 1, invalidTokens: ['gone'], attempts: 1 });
+    });
+
+    it('should give up after maxAttempts and survive a throwing transport', async () => {
+      const transport = {
+        async send() {
+          throw new Error('socket hang up');
+        }
+      };
+
+      const summary = await sendWithRetry(transport, ['a'], MESSAGE, { maxAttempts: 2, wait: async () => {} });
+
+      expect(summary).toEqual({ sent: 0, failed: 1, invalidTokens: [], attempts: 2 });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import {
+  ReturnError,
+  calculateRefundAmount,
+  getReturnableQuantities,
+  validateReturnItems
+} from '../services/returns.service.js';
+
+const orderItems = [
+  { id: 1, productId: 7, variantId: null, productName: 'Mug', price: '10.00', quantity: 2 },
+  { id: 2, productId: 8, variantId: 3, productName: 'Shirt', price: '25.00', quantity: 1 }
+];
+
+describe('Returns', () => {
+  describe('getReturnableQuantities', () => {
+    it('should subtract items already in open or approved returns', () => {
+      const returnable = getReturnableQuantities(orderItems, [{ orderItemId: 1, quantity: '1' }]);
+
+      expect(returnable.get(1)).toBe(1);
+      expect(returnable.get(2)).toBe(1);
+    });
+  });
+
+  describe('validateReturnItems', () => {
+    it('should merge duplicate lines and keep the price paid', () => {
+      const items = validateReturnItems(
+        [{ orderItemId: 1, quantity: 1 }, { orderItemId: '1', quantity: 1 }],
+        orderItems
+      );
+
+      expect(items).toEqual([
+        { orderItemId: 1, productId: 7, variantId: null, productName: 'Mug', quantity: 2, unitPrice: 10 }
+      ]);
+    });
+
+    it('should reject items from another order', () => {
+      expect(() => validateReturnItems([{ orderItemId: 99 }], orderItems)).toThrow(ReturnError);
+    });
+
+    it('should not return more than is left', () => {
+      expect(() => validateReturnItems(
+        [{ orderItemId: 2, quantity: 1 }],
+        orderItems,
+        [{ orderItemId: 2, quantity: 1 }]
+      )).toThrow('Only 0 of Shirt can be returned');
+    });
+
+    it('should require at least one item', () => {
+      expect(() => validateReturnItems([], orderItems)).toThrow('Select at least one item to return');
+    });
+  });
+
+  describe('calculateRefundAmount', () => {
+    it('should share the order discount across returned items', () => {
+      const order = { subtotal: '45.00', discount: '9.00', total: '40.00' };
+
+      expect(calculateRefundAmount(order, [{ unitPrice: 25, quantity: 1 }])).toBe(20);
+    });
+
+    it('should never refund more than is left on the order', () => {
+      const order = { subtotal: '45.00', discount: '0.00', total: '49.00' };
+
+      expect(calculateRefundAmount(order, [{ unitPrice: 25, quantity: 1 }], 30)).toBe(19);
+    });
+  });
+});
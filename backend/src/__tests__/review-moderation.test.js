@@ -0,0 +1,68 @@
+import {
+  getBlockedWords,
+  hashReviewText,
+  normalizeReviewText,
+  screenReviewText
+} from '../services/review-moderation.service.js';
+import { moderateReviews } from '../services/reviews.service.js';
+
+describe('Review Moderation', () => {
+  const originalWords = process.env.REVIEW_BLOCKED_WORDS;
+
+  afterEach(() => {
+    if (originalWords === undefined) delete process.env.REVIEW_BLOCKED_WORDS;
+    else process.env.REVIEW_BLOCKED_WORDS = originalWords;
+  });
+
+  describe('screenReviewText', () => {
+    it('should pass clean reviews', () => {
+      expect(screenReviewText('Sturdy mug, keeps coffee warm for ages.')).toEqual([]);
+    });
+
+    it('should flag blocked words as whole words only', () => {
+      expect(screenReviewText('This is shit quality')).toEqual([{ code: 'blocked_word', detail: 'shit' }]);
+      expect(screenReviewText('Shipping was fast')).toEqual([]);
+    });
+
+    it('should use the configured word list', () => {
+      process.env.REVIEW_BLOCKED_WORDS = 'Competitor, cheap copy';
+
+      expect(getBlockedWords()).toEqual(expect.arrayContaining(['competitor', 'cheap copy']));
+      expect(screenReviewText('Looks like a CHEAP copy!')[0]).toMatchObject({ code: 'blocked_word', detail: 'cheap copy' });
+    });
+
+    it('should flag links beyond the allowed number', () => {
+      expect(screenReviewText('Better deals at www.example.com')[0]).toMatchObject({ code: 'link' });
+      expect(screenReviewText('See https://example.com', { maxLinks: 1 })).toEqual([]);
+    });
+
+    it('should flag duplicates', () => {
+      expect(screenReviewText('Great', { isDuplicate: true })).toEqual([
+        { code: 'duplicate', detail: 'Same text as another review' }
+      ]);
+    });
+  });
+
+  describe('hashReviewText', () => {
+    it('should treat case and punctuation changes as the same text', () => {
+      expect(normalizeReviewText('  Great  product,  FAST delivery!! ')).toBe('great product fast delivery');
+      expect(hashReviewText('Great product, fast delivery!!')).toBe(hashReviewText('great product fast delivery'));
+    });
+
+    it('should skip short texts', () => {
+      expect(hashReviewText('Great!')).toBeNull();
+    });
+  });
+
+  describe('moderateReviews', () => {
+    it('should require a reason code to reject', async () => {
+      await expect(moderateReviews([1], 'reject', 1)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(moderateReviews([1], 'reject', 1, { reason: 'rude' })).rejects.toThrow('A rejection reason is required');
+    });
+
+    it('should validate the selection and action', async () => {
+      await expect(moderateReviews([], 'approve', 1)).rejects.toThrow('Select at least one valid review');
+      await expect(moderateReviews([1], 'archive', 1)).rejects.toThrow('Action must be approve or reject');
+    });
+  });
+});
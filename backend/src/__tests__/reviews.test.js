@@ -0,0 +1,116 @@
+import {
+  ReviewError,
+  buildReviewFilters,
+  insertReview,
+  parseReviewQuery,
+  summarizeRatings,
+  validateReviewInput
+} from '../services/reviews.service.js';
+
+const review = {
+  productId: 7,
+  userId: 3,
+  userName: 'Dara',
+  rating: 5,
+  comment: 'Great',
+  verified: true,
+  screening: { status: 'approved', flags: [], contentHash: 'abc' }
+};
+
+describe('Reviews', () => {
+  describe('parseReviewQuery', () => {
+    it('should default to the newest reviews, unfiltered', () => {
+      expect(parseReviewQuery({})).toEqual({
+        sort: 'newest',
+        rating: null,
+        verified: null,
+        withPhotos: false,
+        page: 1,
+        limit: 20
+      });
+    });
+
+    it('should read sort, rating and verified filters', () => {
+      const filters = parseReviewQuery({ sort: 'helpful', rating: '4', verified: 'true', withPhotos: '1', limit: '500' });
+
+      expect(filters).toMatchObject({ sort: 'helpful', rating: 4, verified: true, withPhotos: true, limit: 50 });
+    });
+
+    it('should ignore unknown sorts and out of range ratings', () => {
+      const filters = parseReviewQuery({ sort: 'r.id; DROP TABLE Review', rating: '9', verified: 'maybe' });
+
+      expect(filters).toMatchObject({ sort: 'newest', rating: null, verified: null });
+    });
+  });
+
+  describe('buildReviewFilters', () => {
+    it('should only list approved reviews of the product', () => {
+      expect(buildReviewFilters(7)).toEqual({
+        where: 'r.productId = ? AND r.isApproved = TRUE',
+        params: [7]
+      });
+    });
+
+    it('should filter by rating, verified purchase and photos', () => {
+      const { where, params } = buildReviewFilters(7, { rating: 5, verified: false, withPhotos: true });
+
+      expect(where).toContain('r.rating = ?');
+      expect(where).toContain('r.isVerifiedPurchase = ?');
+      expect(where).toContain('ReviewPhoto');
+      expect(params).toEqual([7, 5, false]);
+    });
+  });
+
+  describe('validateReviewInput', () => {
+    it('should accept ratings sent as form fields', () => {
+      expect(validateReviewInput({ rating: '5', comment: '  Great mug  ' })).toEqual({ rating: 5, comment: 'Great mug' });
+    });
+
+    it('should reject ratings outside 1-5', () => {
+      expect(() => validateReviewInput({ rating: 0 })).toThrow(ReviewError);
+      expect(() => validateReviewInput({ rating: '4.5' })).toThrow('Rating must be between 1 and 5');
+    });
+  });
+
+  describe('summarizeRatings', () => {
+    it('should compute the average, count and star distribution', () => {
+      const summary = summarizeRatings([{ rating: 5, count: 2 }, { rating: 4, count: '1' }, { rating: 1, count: 1 }]);
+
+      expect(summary).toEqual({ average: 3.75, count: 4, distribution: { 1: 1, 2: 0, 3: 0, 4: 1, 5: 2 } });
+    });
+
+    it('should be empty for products without approved reviews', () => {
+      expect(summarizeRatings([])).toEqual({ average: 0, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+    });
+  });
+
+  describe('insertReview', () => {
+    it('should insert the review and its photos with the same executor', async () => {
+      const executed = [];
+      const executor = {
+        async execute(sql, params) {
+          executed.push({ sql, params });
+          return [{ insertId: 42 }];
+        }
+      };
+
+      await expect(insertReview(executor, review, ['/a.jpg', '/b.jpg'])).resolves.toBe(42);
+      expect(executed).toHaveLength(3);
+      expect(executed[1].sql).toContain('INSERT INTO ReviewPhoto');
+      expect(executed[1].params).toEqual([42, '/a.jpg']);
+    });
+
+    it('should turn a duplicate review into a 409', async () => {
+      const executor = {
+        async execute() {
+          throw Object.assign(new Error("Duplicate entry '7-3'"), { code: 'ER_DUP_ENTRY' });
+        }
+      };
+
+      await expect(insertReview(executor, review, ['/a.jpg'])).rejects.toMatchObject({
+        name: 'ReviewError',
+        statusCode: 409
+      });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { calculateShippingRate, findZone, sanitizeZoneInput, ShippingError } from '../services/shipping.service.js';
+
+const zone = {
+  baseRate: 2,
+  tierBasis: 'none',
+  tiers: [],
+  freeShippingThreshold: 50
+};
+
+describe('Shipping', () => {
+  describe('calculateShippingRate', () => {
+    it('should charge the flat base rate', () => {
+      expect(calculateShippingRate(zone, { subtotal: 20, itemCount: 1 })).toEqual({ shipping: 2, freeShipping: false });
+    });
+
+    it('should be free above the threshold', () => {
+      expect(calculateShippingRate(zone, { subtotal: 50 })).toEqual({ shipping: 0, freeShipping: true });
+    });
+
+    it('should use the highest weight tier reached', () => {
+      const weighted = {
+        ...zone,
+        tierBasis: 'weight',
+        tiers: [{ min: 5, rate: 6 }, { min: 1, rate: 3 }]
+      };
+      expect(calculateShippingRate(weighted, { subtotal: 10, weight: 0.5 }).shipping).toBe(2);
+      expect(calculateShippingRate(weighted, { subtotal: 10, weight: 2 }).shipping).toBe(3);
+      expect(calculateShippingRate(weighted, { subtotal: 10, weight: 5 }).shipping).toBe(6);
+    });
+
+    it('should tier by item count', () => {
+      const byItems = { ...zone, tierBasis: 'items', tiers: [{ min: 3, rate: 4 }] };
+      expect(calculateShippingRate(byItems, { subtotal: 10, itemCount: 3 }).shipping).toBe(4);
+    });
+  });
+
+  describe('findZone', () => {
+    it('should return null when no zone covers the address', async () => {
+      const executor = { execute: async () => [[]] };
+      await expect(findZone(executor, 'Kampot', 'Teuk Chhou')).resolves.toBeNull();
+    });
+  });
+
+  describe('sanitizeZoneInput', () => {
+    it('should require a city for district zones', () => {
+      expect(() => sanitizeZoneInput({ name: 'BKK1', district: 'BKK1', baseRate: 1 })).toThrow(ShippingError);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  convertReservations,
+  createReservations,
+  extendReservations,
+  isOrderReservationExpired,
+  releaseReservations
+} from '../services/stock-reservation.service.js';
+
+// Records the statements a hold change runs on the order's connection
+function createConnection() {
+  const executed = [];
+  return {
+    executed,
+    async execute(sql, params) {
+      executed.push({ sql, params });
+      return [{ affectedRows: 2 }];
+    }
+  };
+}
+
+describe('Stock Reservations', () => {
+  it('should hold every item with an expiry for Bakong orders', async () => {
+    const connection = createConnection();
+
+    await createReservations(connection, 5, [
+      { productId: 7, quantity: 2 },
+      { productId: 8, variantId: 3, quantity: 1 }
+    ], { expiresInMinutes: 15 });
+
+    expect(connection.executed).toHaveLength(2);
+    expect(connection.executed[0].sql).toContain('DATE_ADD(NOW(), INTERVAL ? MINUTE)');
+    expect(connection.executed[0].params).toEqual([5, 7, null, 2, 15]);
+    expect(connection.executed[1].params).toEqual([5, 8, 3, 1, 15]);
+  });
+
+  it('should hold without expiry when the order does not wait for payment', async () => {
+    const connection = createConnection();
+
+    await createReservations(connection, 5, [{ productId: 7, quantity: 1 }]);
+
+    expect(connection.executed[0].sql).not.toContain('DATE_ADD');
+    expect(connection.executed[0].params).toEqual([5, 7, null, 1, null]);
+  });
+
+  it('should only convert holds that are still held', async () => {
+    const connection = createConnection();
+
+    const converted = await convertReservations(connection, 5);
+
+    expect(converted).toBe(2);
+    expect(connection.executed[0].sql).toContain("WHERE orderId = ? AND status = 'held'");
+  });
+
+  it('should record why holds were released', async () => {
+    const connection = createConnection();
+
+    await releaseReservations(connection, 5, 'cancelled');
+
+    expect(connection.executed[0].params).toEqual(['cancelled', 5]);
+  });
+
+  it('should keep holds until a regenerated QR expires', async () => {
+    const connection = createConnection();
+    const qrExpiry = '2026-03-01T10:30:00.000Z';
+
+    const extended = await extendReservations(connection, 5, qrExpiry);
+
+    expect(extended).toBe(2);
+    // Never shortens a hold, and leaves holds without expiry (or already closed) alone
+    expect(connection.executed[0].sql).toContain('expiresAt = GREATEST(expiresAt, ?)');
+    expect(connection.executed[0].sql).toContain("status = 'held' AND expiresAt IS NOT NULL");
+    expect(connection.executed[0].params).toEqual([new Date(qrExpiry), 5]);
+  });
+
+  it('should check expiry inside the caller\'s transaction', async () => {
+    const connection = {
+      async execute(sql, params) {
+        expect(sql).toContain('r.expiresAt < NOW()');
+        expect(params).toEqual([5]);
+        return [[]];
+      }
+    };
+
+    await expect(isOrderReservationExpired(5, 15, connection)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+// routes/cart.routes.js
+import express from 'express';
+import pool from '../config/database.js';
+import cartService from '../services/cart.service.js';
+import { CheckoutValidationError, roundMoney } from '../services/checkout.service.js';
+import { CouponError, evaluateCoupon } from '../services/coupon.service.js';
+import { ShippingError, quoteShipping } from '../services/shipping.service.js';
+
+const router = express.Router();
+
+// Validation errors carry their own status; everything else is a 500
+function handleCartError(res, error, action) {
+  if (error instanceof CheckoutValidationError || error instanceof CouponError || error instanceof ShippingError) {
+    return res.status(error.statusCode).json({ error: error.message, ...error.details });
+  }
+  console.error(`[CART] Error ${action}:`, error);
+  return res.status(500).json({ error: 'Internal server error', details: error.message });
+}
+
+// Get current user's cart (prices and stock re-validated)
+router.get('/', async (req, res) => {
+  try {
+    const cart = await cartService.getCart(req.user.userId);
+    res.json(cart);
+  } catch (error) {
+    handleCartError(res, error, 'fetching cart');
+  }
+});
+
+// Add item to cart
+router.post('/items', async (req, res) => {
+  try {
+    const { productId, variantId, quantity, color } = req.body;
+    if (!productId) {
+      return res.status(400).json({ error: 'productId is required' });
+    }
+
+    const cart = await cartService.addItem(req.user.userId, { productId, variantId, quantity, color });
+    res.status(201).json(cart);
+  } catch (error) {
+    handleCartError(res, error, 'adding item');
+  }
+});
+
+// Update item quantity (0 removes the item)
+router.patch('/items/:itemId', async (req, res) => {
+  try {
+    const { quantity } = req.body;
+    if (quantity === undefined || quantity === null) {
+      return res.status(400).json({ error: 'quantity is required' });
+    }
+
+    const cart = await cartService.updateItemQuantity(req.user.userId, req.params.itemId, quantity);
+    res.json(cart);
+  } catch (error) {
+    handleCartError(res, error, 'updating item');
+  }
+});
+
+// Remove item from cart
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    const cart = await cartService.removeItem(req.user.userId, req.params.itemId);
+    res.json(cart);
+  } catch (error) {
+    handleCartError(res, error, 'removing item');
+  }
+});
+
+// Clear cart
+router.delete('/', async (req, res) => {
+  try {
+    await cartService.clearCart(req.user.userId);
+    res.json(await cartService.getCart(req.user.userId));
+  } catch (error) {
+    handleCartError(res, error, 'clearing cart');
+  }
+});
+
+// Merge guest cart (sent by the app right after login)
+router.post('/merge', async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items must be an array' });
+    }
+
+    const result = await cartService.mergeGuestCart(req.user.userId, items);
+    res.json(result);
+  } catch (error) {
+    handleCartError(res, error, 'merging guest cart');
+  }
+});
+
+// Preview a coupon against the current cart (nothing is redeemed until checkout)
+// Send city/district to include shipping (needed for free shipping coupons)
+router.post('/apply-coupon', async (req, res) => {
+  try {
+    const { code, city, district } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const cart = await cartService.getCart(req.user.userId);
+    const items = cart.items.filter(item => item.issues.every(issue => issue === 'price_changed'));
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+
+    const shipping = city
+      ? (await quoteShipping(pool, { city, district, items, subtotal: cart.subtotal })).shipping
+      : 0;
+    const { coupon, discount, freeShipping, eligibleSubtotal } = await evaluateCoupon(pool, code, {
+      items,
+      subtotal: cart.subtotal,
+      shipping,
+      userId: req.user.userId
+    });
+
+    res.json({
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      discount,
+      freeShipping,
+      eligibleSubtotal,
+      subtotal: cart.subtotal,
+      shipping,
+      total: roundMoney(Math.max(0, cart.subtotal + shipping - discount))
+    });
+  } catch (error) {
+    handleCartError(res, error, 'applying coupon');
+  }
+});
+
+export default router;
@@ -0,0 +1,346 @@
+/**
+ * Analytics Service - Sales reporting over a date range
+ *
+ * Revenue is counted from orders that turned into a sale (SALE_STATUSES),
+ * bucketed by the day the order was placed; refunds are bucketed by the
+ * day they were paid out and subtracted for net revenue. Every bucket in
+ * the range is returned (zero-filled) so charts don't skip empty periods.
+ */
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Orders that count as a sale (unpaid, cancelled and failed orders don't)
+// Returned and refunded orders stay in: their Refund rows are what nets them out
+export const SALE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'returned', 'refunded'];
+
+const MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an invalid report range.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class AnalyticsError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the range rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new AnalyticsError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || toDateString(date) !== value) {
+    throw new AnalyticsError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Read the report range from the query string
+ * Defaults to the last 30 days (today included), bucketed by day.
+ *
+ * @param {Object} query - { from, to, interval } (dates as YYYY-MM-DD, both inclusive)
+ * @param {Date} now
+ * @returns {Object} { from, to, interval, start, end } (start/end bound createdAt: start <= createdAt < end)
+ */
+export function parseAnalyticsRange({ from, to, interval = 'day' } = {}, now = new Date()) {
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new AnalyticsError(`Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+  }
+
+  const toDate = to ? parseDate(to, 'to') : new Date(`${toDateString(now)}T00:00:00Z`);
+  const fromDate = from ? parseDate(from, 'from') : new Date(toDate.getTime() - 29 * DAY_MS);
+
+  if (fromDate > toDate) {
+    throw new AnalyticsError('from must be on or before to');
+  }
+  if ((toDate - fromDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new AnalyticsError(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    from: toDateString(fromDate),
+    to: toDateString(toDate),
+    interval,
+    start: `${toDateString(fromDate)} 00:00:00`,
+    end: `${toDateString(new Date(toDate.getTime() + DAY_MS))} 00:00:00`
+  };
+}
+
+/**
+ * Bucket a date falls in: the day, the Monday of its week or the 1st of its month
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} interval - day, week or month
+ * @returns {string} YYYY-MM-DD
+ */
+export function bucketStart(date, interval) {
+  const value = new Date(`${date}T00:00:00Z`);
+  if (interval === 'week') {
+    const daysSinceMonday = (value.getUTCDay() + 6) % 7;
+    return toDateString(new Date(value.getTime() - daysSinceMonday * DAY_MS));
+  }
+  if (interval === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  return date;
+}
+
+/**
+ * Every bucket of a range, oldest first
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Array<string>} Bucket start dates
+ */
+export function listBuckets({ from, to, interval }) {
+  const buckets = [];
+  let cursor = new Date(`${bucketStart(from, interval)}T00:00:00Z`);
+  const last = new Date(`${to}T00:00:00Z`);
+
+  while (cursor <= last) {
+    buckets.push(toDateString(cursor));
+    if (interval === 'month') {
+      cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+    } else {
+      cursor = new Date(cursor.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * SQL expression giving the bucket start (YYYY-MM-DD) of a DATETIME column
+ * @param {string} column
+ * @param {string} interval
+ * @returns {string}
+ */
+export function bucketExpression(column, interval) {
+  if (interval === 'week') {
+    return `DATE_FORMAT(DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`;
+  }
+  if (interval === 'month') {
+    return `DATE_FORMAT(${column}, '%Y-%m-01')`;
+  }
+  return `DATE_FORMAT(${column}, '%Y-%m-%d')`;
+}
+
+/**
+ * Merge per-bucket sales and refunds into a zero-filled series
+ * @param {Array<string>} buckets - From listBuckets
+ * @param {Array} salesRows - [{ period, orders, revenue }]
+ * @param {Array} refundRows - [{ period, refunds }]
+ * @returns {Array} [{ period, orders, revenue, refunds, netRevenue, averageOrderValue }]
+ */
+export function buildSalesSeries(buckets, salesRows = [], refundRows = []) {
+  const sales = new Map(salesRows.map(row => [row.period, row]));
+  const refunds = new Map(refundRows.map(row => [row.period, Number(row.refunds) || 0]));
+
+  return buckets.map(period => {
+    const orders = Number(sales.get(period)?.orders) || 0;
+    const revenue = round(Number(sales.get(period)?.revenue) || 0);
+    const refunded = round(refunds.get(period) || 0);
+    return {
+      period,
+      orders,
+      revenue,
+      refunds: refunded,
+      netRevenue: round(revenue - refunded),
+      averageOrderValue: orders > 0 ? round(revenue / orders) : 0
+    };
+  });
+}
+
+/**
+ * Totals over a series
+ * @param {Array} series - From buildSalesSeries
+ * @returns {Object} { orders, revenue, refunds, netRevenue, averageOrderValue }
+ */
+export function summarizeSeries(series) {
+  const orders = series.reduce((sum, bucket) => sum + bucket.orders, 0);
+  const revenue = round(series.reduce((sum, bucket) => sum + bucket.revenue, 0));
+  const refunds = round(series.reduce((sum, bucket) => sum + bucket.refunds, 0));
+  return {
+    orders,
+    revenue,
+    refunds,
+    netRevenue: round(revenue - refunds),
+    averageOrderValue: orders > 0 ? round(revenue / orders) : 0
+  };
+}
+
+const saleStatusPlaceholders = SALE_STATUSES.map(() => '?').join(', ');
+
+/**
+ * Revenue, order count and average order value per bucket
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>} { from, to, interval, totals, series }
+ */
+export async function getSalesSeries(range) {
+  const salesRows = await runQuery(
+    `SELECT ${bucketExpression('createdAt', range.interval)} AS period, COUNT(*) AS orders, COALESCE(SUM(total), 0) AS revenue
+     FROM \`Order\`
+     WHERE status IN (${saleStatusPlaceholders}) AND createdAt >= ? AND createdAt < ?
+     GROUP BY period`,
+    [...SALE_STATUSES, range.start, range.end]
+  );
+  const refundRows = await runQuery(
+    `SELECT ${bucketExpression('createdAt', range.interval)} AS period, COALESCE(SUM(amount), 0) AS refunds
+     FROM Refund
+     WHERE createdAt >= ? AND createdAt < ?
+     GROUP BY period`,
+    [range.start, range.end]
+  );
+
+  const series = buildSalesSeries(listBuckets(range), salesRows, refundRows);
+  return { from: range.from, to: range.to, interval: range.interval, totals: summarizeSeries(series), series };
+}
+
+/**
+ * Best-selling products by revenue or units
+ * Uses the name stored on the order item, so deleted products still show.
+ *
+ * @param {Object} range - From parseAnalyticsRange
+ * @param {Object} options
+ * @param {string} options.by - revenue or units
+ * @param {number} options.limit
+ * @returns {Promise<Array>} [{ productId, name, units, revenue, orders }]
+ */
+export async function getTopProducts(range, { by = 'revenue', limit = 10 } = {}) {
+  const pageSize = Math.min(50, Math.max(1, parseInt(limit) || 10));
+  const orderBy = by === 'units' ? 'units DESC, revenue DESC' : 'revenue DESC, units DESC';
+
+  const rows = await runQuery(
+    `SELECT oi.productId, MAX(oi.productName) AS name, SUM(oi.quantity) AS units,
+            SUM(oi.price * oi.quantity) AS revenue, COUNT(DISTINCT oi.orderId) AS orders
+     FROM OrderItem oi
+     JOIN \`Order\` o ON oi.orderId = o.id
+     WHERE o.status IN (${saleStatusPlaceholders}) AND o.createdAt >= ? AND o.createdAt < ?
+     GROUP BY oi.productId
+     ORDER BY ${orderBy}
+     LIMIT ${pageSize}`,
+    [...SALE_STATUSES, range.start, range.end]
+  );
+
+  return rows.map(row => ({
+    productId: row.productId,
+    name: row.name,
+    units: Number(row.units),
+    revenue: round(Number(row.revenue)),
+    orders: Number(row.orders)
+  }));
+}
+
+/**
+ * Best-selling categories by revenue or units
+ * @param {Object} range - From parseAnalyticsRange
+ * @param {Object} options
+ * @param {string} options.by - revenue or units
+ * @param {number} options.limit
+ * @returns {Promise<Array>} [{ category, units, revenue, orders }]
+ */
+export async function getTopCategories(range, { by = 'revenue', limit = 10 } = {}) {
+  const pageSize = Math.min(50, Math.max(1, parseInt(limit) || 10));
+  const orderBy = by === 'units' ? 'units DESC, revenue DESC' : 'revenue DESC, units DESC';
+
+  const rows = await runQuery(
+    `SELECT COALESCE(p.category, 'Uncategorized') AS category, SUM(oi.quantity) AS units,
+            SUM(oi.price * oi.quantity) AS revenue, COUNT(DISTINCT oi.orderId) AS orders
+     FROM OrderItem oi
+     JOIN \`Order\` o ON oi.orderId = o.id
+     LEFT JOIN Product p ON oi.productId = p.id
+     WHERE o.status IN (${saleStatusPlaceholders}) AND o.createdAt >= ? AND o.createdAt < ?
+     GROUP BY category
+     ORDER BY ${orderBy}
+     LIMIT ${pageSize}`,
+    [...SALE_STATUSES, range.start, range.end]
+  );
+
+  return rows.map(row => ({
+    category: row.category,
+    units: Number(row.units),
+    revenue: round(Number(row.revenue)),
+    orders: Number(row.orders)
+  }));
+}
+
+/**
+ * Orders and revenue per payment method, with each method's share
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Array>} [{ method, orders, revenue, orderShare, revenueShare }] (shares in %)
+ */
+export async function getPaymentMix(range) {
+  const rows = await runQuery(
+    `SELECT COALESCE(paymentMethod, 'Unknown') AS method, COUNT(*) AS orders, COALESCE(SUM(total), 0) AS revenue
+     FROM \`Order\`
+     WHERE status IN (${saleStatusPlaceholders}) AND createdAt >= ? AND createdAt < ?
+     GROUP BY method
+     ORDER BY revenue DESC`,
+    [...SALE_STATUSES, range.start, range.end]
+  );
+
+  const totalOrders = rows.reduce((sum, row) => sum + Number(row.orders), 0);
+  const totalRevenue = rows.reduce((sum, row) => sum + Number(row.revenue), 0);
+
+  return rows.map(row => ({
+    method: row.method,
+    orders: Number(row.orders),
+    revenue: round(Number(row.revenue)),
+    orderShare: totalOrders > 0 ? round((Number(row.orders) / totalOrders) * 100) : 0,
+    revenueShare: totalRevenue > 0 ? round((Number(row.revenue) / totalRevenue) * 100) : 0
+  }));
+}
+
+/**
+ * Everything the reports page charts, for one range
+ * @param {Object} range - From parseAnalyticsRange
+ * @param {Object} options
+ * @param {number} options.limit - Entries in the top lists
+ * @returns {Promise<Object>} { sales, topProducts: { byRevenue, byUnits }, topCategories, paymentMix }
+ */
+export async function getAnalyticsOverview(range, { limit = 10 } = {}) {
+  const sales = await getSalesSeries(range);
+  const byRevenue = await getTopProducts(range, { by: 'revenue', limit });
+  const byUnits = await getTopProducts(range, { by: 'units', limit });
+  const topCategories = await getTopCategories(range, { by: 'revenue', limit });
+  const paymentMix = await getPaymentMix(range);
+
+  return { sales, topProducts: { byRevenue, byUnits }, topCategories, paymentMix };
+}
+
+export default {
+  ANALYTICS_INTERVALS,
+  SALE_STATUSES,
+  AnalyticsError,
+  parseAnalyticsRange,
+  bucketStart,
+  listBuckets,
+  bucketExpression,
+  buildSalesSeries,
+  summarizeSeries,
+  getSalesSeries,
+  getTopProducts,
+  getTopCategories,
+  getPaymentMix,
+  getAnalyticsOverview
+};
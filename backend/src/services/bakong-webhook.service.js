@@ -0,0 +1,352 @@
+/**
+ * Bakong Webhook Service - Verifying and applying payment notifications
+ *
+ * - Signature: hex HMAC-SHA512 of "<timestamp>.<raw request body>" with
+ *   BAKONG_WEBHOOK_SECRET, sent in X-Bakong-Signature with the timestamp
+ *   (unix seconds) in X-Bakong-Timestamp. Mandatory in production; in
+ *   development it is checked only when a secret is configured.
+ * - Timestamps further than BAKONG_WEBHOOK_TOLERANCE_SECONDS from now are
+ *   rejected, so captured requests can't be replayed later
+ * - Each transaction hash is processed once (BakongWebhookEvent table);
+ *   duplicate deliveries get the first outcome back and change nothing
+ * - The paid amount and currency must match Order.total (KHR at
+ *   USD_TO_KHR_RATE, as in the KHQR code) before the order is marked paid
+ * - Paid and mismatched transactions are written to the payment ledger
+ *   (see payment.service.js)
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { ORDER_ACTORS, OrderLifecycleError, changeOrderStatus } from './order-lifecycle.service.js';
+import { PAYMENT_SOURCES, recordFailedPayment, settleBakongPayment } from './payment.service.js';
+
+export const WEBHOOK_HEADERS = {
+  SIGNATURE: 'x-bakong-signature',
+  TIMESTAMP: 'x-bakong-timestamp'
+};
+
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processed', 'rejected', 'error'];
+
+// A "received" event older than this was interrupted and may be processed again
+const STALE_CLAIM_MINUTES = 5;
+
+const PAID_STATUSES = ['SUCCESS', 'COMPLETED'];
+
+/**
+ * Error raised for webhook requests that must not be applied.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class WebhookError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the verification rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Webhook settings from the environment
+ * @param {Object} env - Usually process.env
+ * @returns {{secret: string|null, required: boolean, toleranceSeconds: number, khrRate: number}}
+ */
+export function getWebhookConfig(env = process.env) {
+  return {
+    // BAKONG_API_SECRET is the older name of the same setting
+    secret: env.BAKONG_WEBHOOK_SECRET || env.BAKONG_API_SECRET || null,
+    required: env.NODE_ENV === 'production',
+    toleranceSeconds: parseInt(env.BAKONG_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+    khrRate: Number(env.USD_TO_KHR_RATE) || 4000
+  };
+}
+
+/**
+ * Signature of a webhook request
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string|number} timestamp - X-Bakong-Timestamp value
+ * @param {string} secret
+ * @returns {string} Hex HMAC-SHA512
+ */
+export function signWebhookPayload(rawBody, timestamp, secret) {
+  return crypto
+    .createHmac('sha512', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Read a webhook timestamp (unix seconds, unix milliseconds or ISO 8601)
+ * @param {string} value
+ * @returns {number|null} Milliseconds since the epoch
+ */
+export function parseWebhookTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check a webhook request's signature and timestamp
+ *
+ * @param {Object} request
+ * @param {Buffer|string} request.rawBody
+ * @param {string} request.signature - X-Bakong-Signature (hex, optionally "sha512=" prefixed)
+ * @param {string} request.timestamp - X-Bakong-Timestamp
+ * @param {Object} config - From getWebhookConfig()
+ * @param {number} now - Current time in milliseconds
+ * @returns {{verified: boolean}} verified is false only when no secret is configured outside production
+ */
+export function verifyWebhookRequest({ rawBody, signature, timestamp }, config, now = Date.now()) {
+  if (!config.secret) {
+    if (config.required) {
+      throw new WebhookError('Webhook signature secret is not configured', 503);
+    }
+    return { verified: false };
+  }
+
+  if (!signature) {
+    throw new WebhookError('Missing webhook signature', 401);
+  }
+
+  const time = parseWebhookTimestamp(timestamp);
+  if (time === null) {
+    throw new WebhookError('Missing or invalid webhook timestamp', 401);
+  }
+  if (Math.abs(now - time) > config.toleranceSeconds * 1000) {
+    throw new WebhookError('Webhook timestamp is outside the allowed window', 401);
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, timestamp, config.secret), 'hex');
+  const received = Buffer.from(String(signature).replace(/^sha512=/i, ''), 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new WebhookError('Invalid webhook signature', 401);
+  }
+
+  return { verified: true };
+}
+
+/**
+ * Read the fields of a Bakong webhook body
+ * @param {Object} body - Parsed JSON body
+ * @returns {{transactionHash: string, orderNumber: string, amount: number, currency: string, isPaid: boolean, paymentStatus: string, transactionTime: string|null}}
+ */
+export function parseWebhookPayload(body) {
+  if (!body || typeof body !== 'object') {
+    throw new WebhookError('Webhook body must be a JSON object');
+  }
+
+  const { hash, external_ref: orderNumber, amount, currency, status, txn_time: transactionTime } = body;
+  if (!hash || typeof hash !== 'string') {
+    throw new WebhookError('Transaction hash is required');
+  }
+  if (!orderNumber || typeof orderNumber !== 'string') {
+    throw new WebhookError('Order number (external_ref) is required');
+  }
+
+  const paymentStatus = typeof status === 'string' ? status.toUpperCase() : 'UNKNOWN';
+  return {
+    transactionHash: hash,
+    orderNumber,
+    amount: Number(amount),
+    currency: typeof currency === 'string' ? currency.toUpperCase() : null,
+    isPaid: PAID_STATUSES.includes(paymentStatus),
+    paymentStatus: paymentStatus.toLowerCase(),
+    transactionTime: transactionTime ?? null
+  };
+}
+
+/**
+ * Make sure a payment covers exactly the order's total
+ * KHR amounts are compared in whole riel, USD amounts in cents.
+ *
+ * @param {Object} order - { total }
+ * @param {Object} payment - { amount, currency }
+ * @param {number} khrRate - Riel per US dollar
+ * @returns {{amount: number, currency: string}} The expected amount
+ */
+export function assertPaymentMatchesOrder(order, { amount, currency }, khrRate) {
+  const total = Number(order.total);
+  let expected;
+  if (currency === 'KHR') {
+    expected = { amount: Math.round(total * khrRate), currency };
+    if (Math.round(amount) === expected.amount) return expected;
+  } else if (currency === 'USD') {
+    expected = { amount: Math.round(total * 100) / 100, currency };
+    if (Math.round(amount * 100) === Math.round(total * 100)) return expected;
+  } else {
+    throw new WebhookError(`Unsupported payment currency "${currency}"`, 422);
+  }
+
+  throw new WebhookError('Payment amount does not match the order total', 422, {
+    expectedAmount: expected.amount,
+    expectedCurrency: expected.currency,
+    receivedAmount: Number.isFinite(amount) ? amount : null,
+    receivedCurrency: currency
+  });
+}
+
+/**
+ * Claim a transaction for processing
+ * Fails when it was already processed or rejected, or is being processed now.
+ *
+ * @param {Object} webhook - From parseWebhookPayload()
+ * @param {string} rawBody - Stored for auditing
+ * @returns {Promise<{claimed: true}|{claimed: false, event: Object}>}
+ */
+export async function claimWebhookEvent(webhook, rawBody) {
+  try {
+    await runQuery(
+      `INSERT INTO BakongWebhookEvent (transactionHash, orderNumber, status, payload, createdAt, updatedAt)
+       VALUES (?, ?, 'received', ?, NOW(), NOW())`,
+      [webhook.transactionHash, webhook.orderNumber, rawBody]
+    );
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  // Seen before: take it over only if the earlier attempt errored or was interrupted
+  const retaken = await runQuery(
+    `UPDATE BakongWebhookEvent SET status = 'received', error = NULL, updatedAt = NOW()
+     WHERE transactionHash = ?
+       AND (status = 'error' OR (status = 'received' AND updatedAt < NOW() - INTERVAL ${STALE_CLAIM_MINUTES} MINUTE))`,
+    [webhook.transactionHash]
+  );
+  if (retaken.affectedRows > 0) return { claimed: true };
+
+  const [event] = await runQuery('SELECT * FROM BakongWebhookEvent WHERE transactionHash = ? LIMIT 1', [webhook.transactionHash]);
+  return { claimed: false, event };
+}
+
+/**
+ * Record how a claimed transaction ended
+ * @param {string} transactionHash
+ * @param {Object} outcome - { status: processed|rejected|error, orderId, error, result }
+ */
+export async function completeWebhookEvent(transactionHash, { status, orderId = null, error = null, result = null }) {
+  await runQuery(
+    `UPDATE BakongWebhookEvent SET status = ?, orderId = ?, error = ?, result = ?, updatedAt = NOW()
+     WHERE transactionHash = ?`,
+    [status, orderId, error ? String(error).slice(0, 255) : null, result ? JSON.stringify(result) : null, transactionHash]
+  );
+}
+
+/**
+ * Apply a verified webhook: mark the order paid once per transaction
+ *
+ * @param {Object} webhook - From parseWebhookPayload()
+ * @param {Object} options
+ * @param {string} options.rawBody - Request body, kept with the event
+ * @param {number} options.khrRate
+ * @returns {Promise<Object>} { duplicate, orderId, orderNumber, status, paymentId }
+ */
+export async function processWebhookEvent(webhook, { rawBody, khrRate }) {
+  const claim = await claimWebhookEvent(webhook, rawBody);
+  if (!claim.claimed) {
+    const { event } = claim;
+    if (event.status === 'received') {
+      throw new WebhookError('This transaction is already being processed', 409);
+    }
+    const result = typeof event.result === 'string' ? JSON.parse(event.result) : event.result;
+    logger.info('Duplicate Bakong webhook ignored', { transactionHash: webhook.transactionHash, status: event.status });
+    return { duplicate: true, eventStatus: event.status, error: event.error ?? undefined, ...result };
+  }
+
+  try {
+    const [order] = await runQuery(
+      'SELECT id, orderNumber, status, paymentMethod, total FROM `Order` WHERE orderNumber = ? LIMIT 1',
+      [webhook.orderNumber]
+    );
+    if (!order) {
+      throw new WebhookError('Order not found', 404);
+    }
+    if (order.paymentMethod !== 'Bakong') {
+      throw new WebhookError('Order does not use Bakong payment method');
+    }
+
+    try {
+      assertPaymentMatchesOrder(order, webhook, khrRate);
+    } catch (mismatch) {
+      // The money arrived even though it can't be applied: keep it for reconciliation
+      await recordFailedPayment({
+        orderId: order.id,
+        providerRef: webhook.transactionHash,
+        amount: webhook.amount,
+        currency: webhook.currency,
+        source: PAYMENT_SOURCES.WEBHOOK,
+        error: mismatch.message,
+        payload: rawBody
+      });
+      throw mismatch;
+    }
+
+    let status = order.status;
+    try {
+      ({ toStatus: status } = await changeOrderStatus(order.id, 'paid', {
+        actor: ORDER_ACTORS.BAKONG,
+        expectedStatus: 'pending',
+        note: `Payment confirmed via Bakong webhook. Transaction: ${webhook.transactionHash}`
+      }));
+      logger.info('Bakong payment confirmed by webhook', { orderNumber: order.orderNumber, transactionHash: webhook.transactionHash });
+    } catch (transitionError) {
+      if (!(transitionError instanceof OrderLifecycleError)) throw transitionError;
+      // Already paid through the status poll, or cancelled meanwhile
+      logger.warn('Bakong webhook for an order that is not pending', { orderNumber: order.orderNumber, status: order.status });
+    }
+
+    // Recorded even when the order was cancelled meanwhile, so the refund isn't missed
+    const { paymentId } = await settleBakongPayment({
+      orderId: order.id,
+      providerRef: webhook.transactionHash,
+      amount: webhook.amount,
+      currency: webhook.currency,
+      source: PAYMENT_SOURCES.WEBHOOK,
+      payload: rawBody
+    });
+
+    const result = { orderId: order.id, orderNumber: order.orderNumber, status, paymentId };
+    await completeWebhookEvent(webhook.transactionHash, { status: 'processed', orderId: order.id, result });
+    return { duplicate: false, ...result };
+  } catch (error) {
+    const rejected = error instanceof WebhookError;
+    await completeWebhookEvent(webhook.transactionHash, {
+      status: rejected ? 'rejected' : 'error',
+      error: error.message
+    }).catch(storeError => {
+      logger.error('Could not record Bakong webhook outcome', { error: storeError.message });
+    });
+    throw error;
+  }
+}
+
+export default {
+  WEBHOOK_HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  WEBHOOK_EVENT_STATUSES,
+  WebhookError,
+  getWebhookConfig,
+  signWebhookPayload,
+  parseWebhookTimestamp,
+  verifyWebhookRequest,
+  parseWebhookPayload,
+  assertPaymentMatchesOrder,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  processWebhookEvent
+};
@@ -10,6 +10,13 @@ import { BakongKHQR, khqrData, MerchantInfo } from "bakong-khqr";
 import axios from 'axios';
 import https from 'https';
 import crypto from 'crypto';
+import {
+  WEBHOOK_HEADERS,
+  WebhookError,
+  getWebhookConfig,
+  parseWebhookPayload,
+  verifyWebhookRequest
+} from './bakong-webhook.service.js';
 
 class BakongService {
   constructor() {
@@ -246,85 +253,35 @@ class BakongService {
   }
 
   /**
-   * Handle incoming webhook
+   * Verify and parse an incoming webhook
+   * Throws WebhookError (with statusCode) when the request must be rejected.
+   *
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (signature and timestamp)
+   * @returns {Object} Webhook fields, see parseWebhookPayload()
    */
-  async handleWebhook(webhookData, signature) {
-    try {
-      // 1. Verify signature if provided
-      if (signature) {
-        const isValid = this.verifyWebhookSignature(webhookData, signature);
-        if (!isValid) {
-          return { success: false, error: 'Invalid webhook signature' };
-        }
-      }
-
-      // 2. Parse data
-      // Structure depends on Bakong API but usually contains:
-      // { hash, externalRef, amount, currency, status, ... }
-      // Adapting to common KHQR webhook format
-
-      const {
-        hash, // Transaction hash/MD5
-        external_ref, // Order number
-        amount,
-        currency,
-        status,
-        txn_time,
-        orderId // Allow passing orderId directly for simulation/testing
-      } = webhookData;
-
-      return {
-        success: true,
-        orderNumber: external_ref,
-        transactionId: hash,
-        amount: amount,
-        currency: currency,
-        isPaid: status === 'SUCCESS' || status === 'COMPLETED',
-        paymentStatus: status ? status.toLowerCase() : 'unknown',
-        timestamp: txn_time,
-        orderId: orderId // Pass it back
-      };
-
-    } catch (error) {
-      console.error('[BAKONG] Webhook handling error:', error);
-      return { success: false, error: error.message };
+  handleWebhook(rawBody, headers) {
+    const { verified } = this.verifyWebhookSignature(
+      rawBody,
+      headers[WEBHOOK_HEADERS.SIGNATURE],
+      headers[WEBHOOK_HEADERS.TIMESTAMP]
+    );
+    if (!verified) {
+      console.warn('[BAKONG] Webhook signature not checked: BAKONG_WEBHOOK_SECRET not set (development only)');
     }
-  }
 
-  // Helper for webhook signature verification
-  verifyWebhookSignature(webhookData, signature) {
+    let body;
     try {
-      const secret = process.env.BAKONG_API_SECRET;
-      if (!secret) {
-        console.warn('[BAKONG] Webhook signature verification skipped: BAKONG_API_SECRET not set');
-        return true; // Skip if no secret configured
-      }
-
-      // Generate HMAC-SHA512 of the payload
-      // Note: Actual logic depends on Bakong's specific signing method.
-      // Standard approach: HMAC-SHA512(JSON string)
-      const payload = typeof webhookData === 'string' ? webhookData : JSON.stringify(webhookData);
-
-      const expectedSignature = crypto
-        .createHmac('sha512', secret)
-        .update(payload)
-        .digest('hex');
-
-      // Secure comparison
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(signature),
-        Buffer.from(expectedSignature)
-      );
-
-      if (!isValid) {
-        console.warn(`[BAKONG] Invalid signature. Received: ${signature}, Expected: ${expectedSignature}`);
-      }
-
-      return isValid;
-    } catch (error) {
-      console.error('[BAKONG] Signature verification error:', error);
-      return false;
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw new WebhookError('Webhook body is not valid JSON');
     }
+    return parseWebhookPayload(body);
+  }
+
+  // HMAC-SHA512 over "<timestamp>.<raw body>", see bakong-webhook.service.js
+  verifyWebhookSignature(rawBody, signature, timestamp) {
+    return verifyWebhookRequest({ rawBody, signature, timestamp }, getWebhookConfig());
   }
 
   convertUSDToKHR(usdAmount) {
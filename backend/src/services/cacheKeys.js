@@ -16,6 +16,10 @@ export const CACHE_TTL = {
   PRODUCT_SUGGESTIONS: 3600, // 1 hour - autocomplete changes rarely
   CATEGORIES: 3600, // 1 hour - categories change rarely
   CATEGORY_PRODUCTS: 1800,
+  CATEGORY_LIST: 3600,
+
+  // Banners - short, start/end dates make banners appear and expire (5 min)
+  BANNERS: 300,
 
   // User data - moderate changes (15 min)
   USER_PROFILE: 900,
@@ -42,6 +46,9 @@ export const CACHE_TTL = {
   // Payment data - critical, short (2 min)
   PAYMENT_STATUS: 120,
 
+  // Catalog versions behind ETag/Last-Modified (1 day, renewed on every change)
+  CATALOG_VERSION: 86400,
+
   // General short cache (5 min)
   SHORT: 300,
   // General medium cache (30 min)
@@ -81,6 +88,16 @@ export const getCacheKeys = {
     return { key: `category:${categoryId}:p${page}:l${limit}`, ttl: CACHE_TTL.CATEGORY_PRODUCTS };
   },
 
+  // Category table (flat list or hierarchy)
+  categoryList: (shape = 'flat') => {
+    return { key: `categories:${shape}`, ttl: CACHE_TTL.CATEGORY_LIST };
+  },
+
+  // Banners
+  banners: (type = 'all') => {
+    return { key: `banners:${type}`, ttl: CACHE_TTL.BANNERS };
+  },
+
   // Users
   userProfile: (userId) => {
     return { key: `user:${userId}:profile`, ttl: CACHE_TTL.USER_PROFILE };
@@ -139,6 +156,12 @@ export const getCacheKeys = {
   // Payment
   paymentStatus: (orderId) => {
     return { key: `payment:${orderId}:status`, ttl: CACHE_TTL.PAYMENT_STATUS };
+  },
+
+  // Version stamp of a catalog resource (see utils/http-cache.js)
+  // Banners appear and expire with the clock, so their version lasts as long as their list
+  catalogVersion: (scope) => {
+    return { key: `version:${scope}`, ttl: scope === 'banners' ? CACHE_TTL.BANNERS : CACHE_TTL.CATALOG_VERSION };
   }
 };
 
@@ -159,10 +182,16 @@ export const CACHE_INVALIDATION = {
   // Invalidate all category caches when category changes
   categoryChanged: (categoryId) => [
     `category:${categoryId}*`,
+    'categories:*',
     'products:categories*',
     'products:list:*'
   ],
 
+  // Invalidate public banner lists when a banner changes
+  bannerChanged: () => [
+    'banners:*'
+  ],
+
   // Invalidate user caches when user data changes
   userChanged: (userId) => [
     `user:${userId}*`
@@ -186,7 +215,9 @@ export const CACHE_INVALIDATION = {
     'search:*',
     'reviews:*',
     'payment:*',
-    'category:*'
+    'category:*',
+    'categories:*',
+    'banners:*'
   ]
 };
 
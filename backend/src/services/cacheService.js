@@ -1,73 +1,193 @@
 /**
  * Cache Service for ShopEase
- * Provides Redis-based caching with TTL support
- * 
+ * Provides key/value caching with TTL support
+ *
+ * Backends:
+ * - Redis when REDIS_URL is set (shared between instances)
+ * - In-memory LRU when REDIS_URL is absent, or when Redis can't be reached
+ *   at startup (per process, bounded by CACHE_MAX_ENTRIES)
+ * Set CACHE_ENABLED=false to turn caching off.
+ *
  * Features:
  * - Graceful degradation if Redis unavailable
  * - Pattern-based cache invalidation
  * - Automatic TTL management
  * - Cache statistics tracking
  * - Built-in middleware support
- * 
+ *
  * Usage:
- * 1. npm install redis
- * 2. Add REDIS_URL to .env (optional, defaults to localhost:6379)
- * 3. Initialize in server.js: await cache.init()
- * 4. Use in endpoints: app.get('/api/data', withCache('key', 300), handler)
+ * 1. Initialize in server.js: await cache.init()
+ * 2. Use in services: await cache.getOrSet('key', () => loadFromDb(), 300)
+ * 3. Or in endpoints: app.get('/api/data', withCache('key', 300), handler)
  */
 
-import { createClient } from 'redis';
 import logger from '../utils/logger.js';
 
-class CacheService {
+export const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Convert a Redis glob pattern (*, ?) to a RegExp
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * In-memory LRU store
+ * Implements the part of the Redis client API the cache service uses,
+ * so both backends go through the same code paths.
+ */
+export class MemoryStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so the Map's order stays least- to most-recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async setEx(key, ttl, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + ttl * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+    return 'OK';
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entries.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  async keys(pattern) {
+    const matcher = globToRegExp(pattern);
+    const now = this.now();
+    const found = [];
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      } else if (matcher.test(key)) {
+        found.push(key);
+      }
+    }
+    return found;
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async quit() {
+    this.entries.clear();
+  }
+}
+
+export class CacheService {
   constructor() {
     this.client = null;
+    this.backend = null;
     this.isConnected = false;
     this.keyPrefix = 'shopease:';
+    this.hits = 0;
+    this.misses = 0;
   }
 
   /**
-   * Initialize Redis connection
-   * Safe to call even if Redis is not available (graceful degradation)
+   * Initialize the cache backend
+   * Safe to call even if Redis is not available (falls back to memory)
    */
   async init() {
-    try {
-      const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-      
-      this.client = createClient({
-        url: redisUrl,
-        socket: {
-          reconnectStrategy: (retries) => {
-            if (retries > 10) {
-              logger.error('Redis connection failed after 10 retries');
-              return new Error('Redis max retries exceeded');
-            }
-            return Math.min(retries * 50, 500);
+    if (process.env.CACHE_ENABLED === 'false') {
+      logger.info('Cache disabled (CACHE_ENABLED=false)');
+      return;
+    }
+
+    const redisUrl = process.env.REDIS_URL;
+    if (redisUrl) {
+      try {
+        await this.connectRedis(redisUrl);
+        return;
+      } catch (error) {
+        logger.warn('⚠️  Redis not available - using in-memory cache (graceful degradation)', { error: error.message });
+      }
+    }
+
+    this.useMemory();
+  }
+
+  useMemory() {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    this.client = new MemoryStore({ maxEntries });
+    this.backend = 'memory';
+    this.isConnected = true;
+    logger.info(`✅ Cache service initialized (in-memory, max ${maxEntries} entries)`);
+  }
+
+  async connectRedis(redisUrl) {
+    // Loaded here so the app runs on the memory cache when the redis package isn't installed
+    const { createClient } = await import('redis');
+
+    const client = createClient({
+      url: redisUrl,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            logger.error('Redis connection failed after 10 retries');
+            return new Error('Redis max retries exceeded');
           }
+          return Math.min(retries * 50, 500);
         }
-      });
-
-      this.client.on('error', (err) => {
-        logger.error('Redis client error:', err);
-        this.isConnected = false;
-      });
+      }
+    });
 
-      this.client.on('connect', () => {
-        logger.info('✅ Redis connected');
-        this.isConnected = true;
-      });
+    client.on('error', (err) => {
+      if (this.isConnected) logger.error('Redis client error:', err);
+      this.isConnected = false;
+    });
 
-      this.client.on('ready', () => {
+    client.on('ready', () => {
+      if (this.client === client) {
         logger.info('✅ Redis ready for commands');
-      });
+        this.isConnected = true;
+      }
+    });
 
-      await this.client.connect();
-      this.isConnected = true;
-      logger.info('✅ Cache service initialized');
-    } catch (error) {
-      logger.warn('⚠️  Redis not available - caching disabled (graceful degradation)', error.message);
-      this.isConnected = false;
-    }
+    await client.connect();
+    this.client = client;
+    this.backend = 'redis';
+    this.isConnected = true;
+    logger.info('✅ Cache service initialized (Redis)');
   }
 
   /**
@@ -81,9 +201,11 @@ class CacheService {
     try {
       const value = await this.client.get(this.keyPrefix + key);
       if (value) {
+        this.hits++;
         logger.debug(`Cache HIT: ${key}`);
         return JSON.parse(value);
       }
+      this.misses++;
       logger.debug(`Cache MISS: ${key}`);
       return null;
     } catch (error) {
@@ -110,6 +232,22 @@ class CacheService {
     }
   }
 
+  /**
+   * Get a cached value, or load and cache it on a miss
+   * @param {string} key - Cache key
+   * @param {Function} loader - async () => value
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<any>}
+   */
+  async getOrSet(key, loader, ttl = 300) {
+    const cached = await this.get(key);
+    if (cached !== null) return cached;
+
+    const value = await loader();
+    await this.set(key, value, ttl);
+    return value;
+  }
+
   /**
    * Delete cache entry
    * @param {string} key - Cache key to delete
@@ -125,6 +263,23 @@ class CacheService {
     }
   }
 
+  /**
+   * Full keys matching a pattern
+   * Redis is walked with SCAN so large keyspaces don't block the server
+   */
+  async findKeys(fullPattern) {
+    if (this.backend === 'memory') {
+      return this.client.keys(fullPattern);
+    }
+
+    const keys = [];
+    for await (const batch of this.client.scanIterator({ MATCH: fullPattern, COUNT: 100 })) {
+      // redis v4 yields single keys, v5 yields batches
+      keys.push(...[].concat(batch));
+    }
+    return keys;
+  }
+
   /**
    * Delete multiple cache entries with pattern matching
    * @param {string} pattern - Key pattern (e.g., 'products:*')
@@ -133,9 +288,8 @@ class CacheService {
     if (!this.isConnected) return;
 
     try {
-      const fullPattern = this.keyPrefix + pattern;
-      const keys = await this.client.keys(fullPattern);
-      
+      const keys = await this.findKeys(this.keyPrefix + pattern);
+
       if (keys.length > 0) {
         await this.client.del(keys);
         logger.debug(`Cache DELETE PATTERN: ${pattern} (deleted: ${keys.length} keys)`);
@@ -152,7 +306,7 @@ class CacheService {
     if (!this.isConnected) return;
 
     try {
-      const keys = await this.client.keys(this.keyPrefix + '*');
+      const keys = await this.findKeys(this.keyPrefix + '*');
       if (keys.length > 0) {
         await this.client.del(keys);
         logger.info(`Cache cleared (deleted: ${keys.length} keys)`);
@@ -167,19 +321,29 @@ class CacheService {
    */
   async getStats() {
     if (!this.isConnected) {
-      return { status: 'disconnected' };
+      return { status: this.backend ? 'disconnected' : 'disabled' };
     }
 
     try {
-      const keys = await this.client.keys(this.keyPrefix + '*');
-      const info = await this.client.info();
-      
-      return {
+      const keys = await this.findKeys(this.keyPrefix + '*');
+      const lookups = this.hits + this.misses;
+      const stats = {
         status: 'connected',
+        backend: this.backend,
         keysCount: keys.length,
-        memoryUsage: info.used_memory_human,
-        hitRate: info.keyspace_hits / (info.keyspace_hits + info.keyspace_misses) || 0
+        hits: this.hits,
+        misses: this.misses,
+        hitRate: lookups > 0 ? this.hits / lookups : 0
       };
+
+      if (this.backend === 'memory') {
+        stats.maxEntries = this.client.maxEntries;
+        stats.evictions = this.client.evictions;
+      } else {
+        const info = await this.client.info('memory');
+        stats.memoryUsage = info.match(/used_memory_human:(\S+)/)?.[1] ?? null;
+      }
+      return stats;
     } catch (error) {
       logger.error('Cache stats error:', error);
       return { status: 'error' };
@@ -187,13 +351,13 @@ class CacheService {
   }
 
   /**
-   * Disconnect from Redis
+   * Disconnect from the cache backend
    */
   async disconnect() {
     if (this.client) {
       await this.client.quit();
       this.isConnected = false;
-      logger.info('Redis disconnected');
+      logger.info(`Cache disconnected (${this.backend})`);
     }
   }
 
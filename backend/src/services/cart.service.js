@@ -0,0 +1,352 @@
+/**
+ * Cart Service - Server-side shopping cart
+ *
+ * One cart per user, persisted in Cart/CartItem so it follows the user
+ * across devices. Prices and stock are re-validated on every read with
+ * the same rules order creation applies (see checkout.service.js).
+ */
+
+import pool, { query } from '../config/database.js';
+import logger from '../utils/logger.js';
+import { formatVariantLabel } from './product-variants.service.js';
+import {
+  CheckoutValidationError,
+  getActiveProduct,
+  getActiveVariant,
+  getPrimaryImage,
+  parseCartQuantity,
+  roundMoney,
+  validateItem
+} from './checkout.service.js';
+
+/**
+ * Get the user's cart row, creating it on first use
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+async function getOrCreateCart(userId) {
+  await query(
+    'INSERT INTO Cart (userId, createdAt, updatedAt) VALUES (?, NOW(), NOW()) ON DUPLICATE KEY UPDATE id = id',
+    [userId]
+  );
+  const [cart] = await query('SELECT * FROM Cart WHERE userId = ? LIMIT 1', [userId]);
+  return cart;
+}
+
+/**
+ * Mark the cart as touched (drives abandoned cart reporting)
+ */
+async function touchCart(cartId) {
+  await query('UPDATE Cart SET updatedAt = NOW() WHERE id = ?', [cartId]);
+}
+
+/**
+ * Find a cart line for a product/variant/color combination
+ */
+async function findCartItem(cartId, productId, color, variantId = null) {
+  const rows = await query(
+    `SELECT * FROM CartItem WHERE cartId = ? AND productId = ?
+       AND (variantId = ? OR (variantId IS NULL AND ? IS NULL))
+       AND (color = ? OR (color IS NULL AND ? IS NULL)) LIMIT 1`,
+    [cartId, productId, variantId, variantId, color, color]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get a cart line, making sure it belongs to the user
+ */
+async function getOwnedCartItem(userId, itemId) {
+  const rows = await query(
+    `SELECT ci.* FROM CartItem ci
+     JOIN Cart c ON ci.cartId = c.id
+     WHERE ci.id = ? AND c.userId = ? LIMIT 1`,
+    [itemId, userId]
+  );
+  if (rows.length === 0) {
+    throw new CheckoutValidationError('Cart item not found', 404);
+  }
+  return rows[0];
+}
+
+/**
+ * Get the user's cart with live prices and stock
+ * Each line carries `issues` when it can no longer be checked out as-is:
+ * - unavailable: product deleted or archived
+ * - insufficient_stock: quantity exceeds current stock
+ * - price_changed: price differs from when the item was added
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+export async function getCart(userId) {
+  try {
+    const cart = await getOrCreateCart(userId);
+    const rows = await query(
+      `SELECT ci.*, p.name, p.price AS productPrice, p.stock AS productStock, p.status, p.images, p.category, p.weight,
+              pv.sku, pv.options AS variantOptions, pv.price AS variantPrice, pv.stock AS variantStock, pv.isActive AS variantActive
+       FROM CartItem ci
+       LEFT JOIN Product p ON ci.productId = p.id
+       LEFT JOIN ProductVariant pv ON ci.variantId = pv.id
+       WHERE ci.cartId = ?
+       ORDER BY ci.createdAt ASC, ci.id ASC`,
+      [cart.id]
+    );
+
+    let subtotal = 0;
+    let itemCount = 0;
+
+    const items = rows.map(row => {
+      const issues = [];
+      const variantAvailable = !row.variantId || Boolean(row.variantActive);
+      const available = row.name !== null && row.status === 'ACTIVE' && variantAvailable;
+      const stock = row.variantId ? row.variantStock : row.productStock;
+      const currentPrice = row.variantId && row.variantPrice !== null ? row.variantPrice : row.productPrice;
+      const price = available ? Number(currentPrice) : null;
+
+      if (!available) {
+        issues.push('unavailable');
+      } else {
+        if ((stock || 0) < row.quantity) issues.push('insufficient_stock');
+        if (row.priceAtAdd !== null && Number(row.priceAtAdd) !== price) issues.push('price_changed');
+      }
+
+      if (issues.length === 0 || (issues.length === 1 && issues[0] === 'price_changed')) {
+        subtotal += price * row.quantity;
+        itemCount += row.quantity;
+      }
+
+      return {
+        id: row.id,
+        productId: row.productId,
+        variantId: row.variantId,
+        sku: row.sku || null,
+        variantLabel: row.variantId ? formatVariantLabel(row.variantOptions) || null : null,
+        productName: row.name,
+        productImage: getPrimaryImage(row),
+        category: row.category,
+        weight: row.weight !== null ? Number(row.weight) : null,
+        price,
+        previousPrice: row.priceAtAdd !== null ? Number(row.priceAtAdd) : null,
+        quantity: row.quantity,
+        color: row.color,
+        stock: available ? stock : 0,
+        issues,
+        addedAt: row.createdAt
+      };
+    });
+
+    return {
+      id: cart.id,
+      items,
+      itemCount,
+      subtotal: roundMoney(subtotal),
+      canCheckout: items.length > 0 && items.every(item => !item.issues.some(i => i !== 'price_changed')),
+      updatedAt: cart.updatedAt
+    };
+  } catch (error) {
+    logger.error('Error fetching cart', { error: error.message, userId });
+    throw error;
+  }
+}
+
+/**
+ * Add a product to the cart (increments quantity if already present)
+ * @param {number} userId
+ * @param {Object} item - { productId, variantId, quantity, color }
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function addItem(userId, { productId, variantId = null, quantity = 1, color = null }) {
+  const added = parseCartQuantity(quantity);
+  const cart = await getOrCreateCart(userId);
+  const normalizedColor = color || null;
+  const normalizedVariantId = variantId ? Number(variantId) : null;
+  const existing = await findCartItem(cart.id, productId, normalizedColor, normalizedVariantId);
+  const newQuantity = (existing?.quantity || 0) + added;
+
+  const { product, price } = await validateItem(pool, { productId, variantId: normalizedVariantId, quantity: newQuantity });
+
+  if (existing) {
+    await query(
+      'UPDATE CartItem SET quantity = ?, priceAtAdd = ?, updatedAt = NOW() WHERE id = ?',
+      [newQuantity, price, existing.id]
+    );
+  } else {
+    await query(
+      'INSERT INTO CartItem (cartId, productId, variantId, quantity, color, priceAtAdd, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())',
+      [cart.id, product.id, normalizedVariantId, newQuantity, normalizedColor, price]
+    );
+  }
+
+  await touchCart(cart.id);
+  logger.debug('Cart item added', { userId, productId: product.id, quantity: newQuantity });
+  return getCart(userId);
+}
+
+/**
+ * Set the quantity of a cart line (0 removes it)
+ * @param {number} userId
+ * @param {number} itemId - CartItem ID
+ * @param {number} quantity
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function updateItemQuantity(userId, itemId, quantity) {
+  const requested = parseCartQuantity(quantity, { allowZero: true });
+  const item = await getOwnedCartItem(userId, itemId);
+
+  if (requested === 0) {
+    return removeItem(userId, itemId);
+  }
+
+  const { quantity: validated, price } = await validateItem(pool, {
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: requested
+  });
+
+  await query(
+    'UPDATE CartItem SET quantity = ?, priceAtAdd = ?, updatedAt = NOW() WHERE id = ?',
+    [validated, price, item.id]
+  );
+  await touchCart(item.cartId);
+  return getCart(userId);
+}
+
+/**
+ * Remove a line from the cart
+ * @param {number} userId
+ * @param {number} itemId - CartItem ID
+ * @returns {Promise<Object>} Updated cart
+ */
+export async function removeItem(userId, itemId) {
+  const item = await getOwnedCartItem(userId, itemId);
+  await query('DELETE FROM CartItem WHERE id = ?', [item.id]);
+  await touchCart(item.cartId);
+  return getCart(userId);
+}
+
+/**
+ * Remove every line from the user's cart
+ * @param {number} userId
+ * @param {Array} lines - Only remove these [{ productId, variantId }] (e.g. after checkout);
+ *   other variants of the same product stay in the cart
+ */
+export async function clearCart(userId, lines = null) {
+  const cart = await getOrCreateCart(userId);
+
+  if (Array.isArray(lines)) {
+    if (lines.length === 0) return;
+    const conditions = lines.map(() => '(productId = ? AND variantId <=> ?)').join(' OR ');
+    await query(
+      `DELETE FROM CartItem WHERE cartId = ? AND (${conditions})`,
+      [cart.id, ...lines.flatMap(line => [line.productId, line.variantId ?? null])]
+    );
+  } else {
+    await query('DELETE FROM CartItem WHERE cartId = ?', [cart.id]);
+  }
+
+  await touchCart(cart.id);
+}
+
+/**
+ * Merge a guest (device-local) cart into the user's cart after login
+ * Quantities are added together and capped at available stock; items that
+ * can't be added at all are reported back instead of failing the merge.
+ *
+ * @param {number} userId
+ * @param {Array} guestItems - [{ productId, variantId, quantity, color }]
+ * @returns {Promise<{cart: Object, skipped: Array}>}
+ */
+export async function mergeGuestCart(userId, guestItems = []) {
+  const cart = await getOrCreateCart(userId);
+  const skipped = [];
+
+  for (const guestItem of guestItems) {
+    let added;
+    try {
+      added = parseCartQuantity(guestItem?.quantity ?? 1);
+    } catch {
+      skipped.push({ productId: guestItem?.productId ?? null, reason: 'invalid_quantity' });
+      continue;
+    }
+
+    const productId = Number(guestItem?.productId);
+    const variantId = guestItem?.variantId ? Number(guestItem.variantId) : null;
+    const color = guestItem?.color || null;
+    const product = productId ? await getActiveProduct(pool, productId) : null;
+    const variant = product && variantId ? await getActiveVariant(pool, product.id, variantId) : null;
+
+    if (!product || (variantId && !variant) || (!variantId && Number(product.variantCount) > 0)) {
+      skipped.push({ productId: guestItem?.productId ?? null, variantId, reason: 'unavailable' });
+      continue;
+    }
+
+    const existing = await findCartItem(cart.id, product.id, color, variantId);
+    const requested = (existing?.quantity || 0) + added;
+    const quantity = Math.min(requested, (variant ? variant.stock : product.stock) || 0);
+    const price = variant && variant.price !== null ? variant.price : product.price;
+
+    if (quantity < 1) {
+      skipped.push({ productId: product.id, reason: 'out_of_stock' });
+      continue;
+    }
+    if (quantity < requested) {
+      skipped.push({ productId: product.id, reason: 'quantity_reduced', quantity });
+    }
+
+    if (existing) {
+      await query(
+        'UPDATE CartItem SET quantity = ?, priceAtAdd = ?, updatedAt = NOW() WHERE id = ?',
+        [quantity, price, existing.id]
+      );
+    } else {
+      await query(
+        'INSERT INTO CartItem (cartId, productId, variantId, quantity, color, priceAtAdd, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())',
+        [cart.id, product.id, variantId, quantity, color, price]
+      );
+    }
+  }
+
+  await touchCart(cart.id);
+  logger.info('Guest cart merged', { userId, items: guestItems.length, skipped: skipped.length });
+
+  return { cart: await getCart(userId), skipped };
+}
+
+/**
+ * List carts that still hold items but haven't been touched for a while
+ * @param {Object} options
+ * @param {number} options.hours - Idle time before a cart counts as abandoned
+ * @param {number} options.limit - Max carts to return
+ * @returns {Promise<Array>}
+ */
+export async function getAbandonedCarts({ hours = 24, limit = 50 } = {}) {
+  const safeHours = Math.max(1, parseInt(hours) || 24);
+  const safeLimit = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  return query(
+    `SELECT c.id, c.userId, u.email, u.phoneNumber, c.updatedAt,
+            COUNT(ci.id) AS lineCount,
+            SUM(ci.quantity) AS itemCount,
+            SUM(ci.quantity * COALESCE(pv.price, p.price)) AS value
+     FROM Cart c
+     JOIN CartItem ci ON ci.cartId = c.id
+     LEFT JOIN Product p ON ci.productId = p.id
+     LEFT JOIN ProductVariant pv ON ci.variantId = pv.id
+     LEFT JOIN User u ON c.userId = u.id
+     WHERE c.updatedAt < DATE_SUB(NOW(), INTERVAL ${safeHours} HOUR)
+     GROUP BY c.id
+     ORDER BY c.updatedAt DESC
+     LIMIT ${safeLimit}`
+  );
+}
+
+export default {
+  getCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart,
+  mergeGuestCart,
+  getAbandonedCarts
+};
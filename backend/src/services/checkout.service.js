@@ -0,0 +1,222 @@
+/**
+ * Checkout Service
+ *
+ * Item validation and pricing shared by order creation and the cart:
+ * - Products must exist and be ACTIVE
+ * - Products sold in variants need a variant; its stock and price override apply
+ * - Requested quantity must be covered by current stock
+ * - Prices always come from the database, never from the client
+ */
+
+import logger from '../utils/logger.js';
+import { formatVariantLabel } from './product-variants.service.js';
+
+/**
+ * Error raised when submitted items fail validation.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class CheckoutValidationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CheckoutValidationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Round a money amount to 2 decimal places
+ * @param {number} amount
+ * @returns {number}
+ */
+export function roundMoney(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Normalize a requested quantity (defaults to 1, like order creation always has)
+ * @param {*} quantity
+ * @returns {number}
+ */
+export function normalizeQuantity(quantity) {
+  return Number(quantity) || 1;
+}
+
+/**
+ * Parse a quantity sent to the cart, rejecting anything but a whole number
+ * Unlike normalizeQuantity, 0 and negatives are errors rather than 1, so
+ * adding to a cart line can never reduce it.
+ *
+ * @param {*} quantity
+ * @param {Object} options
+ * @param {boolean} options.allowZero - Accept 0 (setting a line to 0 removes it)
+ * @returns {number}
+ */
+export function parseCartQuantity(quantity, { allowZero = false } = {}) {
+  const parsed = Number(quantity);
+  if (quantity === null || quantity === '' || !Number.isInteger(parsed) || parsed < (allowZero ? 0 : 1)) {
+    throw new CheckoutValidationError(`Invalid quantity: ${quantity}`);
+  }
+  return parsed;
+}
+
+/**
+ * Get the first image of a product row (images is stored as JSON)
+ * @param {Object} product
+ * @returns {string|null}
+ */
+export function getPrimaryImage(product) {
+  if (!product?.images) return null;
+  try {
+    const images = typeof product.images === 'string' ? JSON.parse(product.images) : product.images;
+    return Array.isArray(images) && images.length > 0 ? images[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch an active product with its current price and stock
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {number} productId
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveProduct(executor, productId) {
+  const [rows] = await executor.execute(
+    `SELECT id, name, price, stock, images, category, weight,
+       (SELECT COUNT(*) FROM ProductVariant v WHERE v.productId = Product.id AND v.isActive = TRUE) AS variantCount
+     FROM Product WHERE id = ? AND status = "ACTIVE" LIMIT 1`,
+    [productId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Fetch an active variant of a product
+ * @param {Object} executor - Pool or connection
+ * @param {number} productId
+ * @param {number} variantId
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveVariant(executor, productId, variantId) {
+  const [rows] = await executor.execute(
+    'SELECT id, sku, options, price, stock FROM ProductVariant WHERE id = ? AND productId = ? AND isActive = TRUE LIMIT 1',
+    [variantId, productId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Validate a single requested item against the database
+ * @param {Object} executor - Pool or connection
+ * @param {Object} item - { productId, variantId?, quantity, name?, productName? }
+ * @returns {Promise<{product: Object, variant: Object|null, quantity: number, price: number}>}
+ */
+export async function validateItem(executor, item) {
+  const quantity = normalizeQuantity(item.quantity);
+
+  if (!item.productId) {
+    throw new CheckoutValidationError(`Invalid product: ${item.name || 'Unknown'}`);
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new CheckoutValidationError(`Invalid quantity for ${item.name || item.productName || 'product'}: ${item.quantity}`);
+  }
+
+  const product = await getActiveProduct(executor, item.productId);
+  if (!product) {
+    throw new CheckoutValidationError(`Product ${item.name || item.productName} not found or inactive`);
+  }
+
+  let variant = null;
+  if (item.variantId) {
+    variant = await getActiveVariant(executor, product.id, item.variantId);
+    if (!variant) {
+      throw new CheckoutValidationError(
+        `Selected option of ${product.name} is no longer available`,
+        400,
+        { productId: product.id, variantId: item.variantId }
+      );
+    }
+  } else if (Number(product.variantCount) > 0) {
+    throw new CheckoutValidationError(
+      `Please choose an option (size/color) for ${product.name}`,
+      400,
+      { productId: product.id }
+    );
+  }
+
+  const availableStock = (variant ? variant.stock : product.stock) || 0;
+  if (availableStock < quantity) {
+    const name = variant ? `${product.name} (${formatVariantLabel(variant.options) || variant.sku})` : product.name;
+    throw new CheckoutValidationError(
+      `Insufficient stock for ${name}. Available: ${availableStock}, Requested: ${quantity}`,
+      400,
+      { productId: product.id, variantId: variant?.id ?? null, available: availableStock, requested: quantity }
+    );
+  }
+
+  const price = variant && variant.price !== null ? Number(variant.price) : Number(product.price);
+  return { product, variant, quantity, price };
+}
+
+/**
+ * Validate all requested items and price them from the database
+ * @param {Object} executor - Pool or connection (use the transaction connection during checkout)
+ * @param {Array} items - Items as submitted by the client
+ * @returns {Promise<{items: Array, subtotal: number}>}
+ */
+export async function validateItems(executor, items = []) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutValidationError('Order must have at least one item');
+  }
+
+  let calculatedSubtotal = 0;
+  const validatedItems = [];
+
+  for (const item of items) {
+    const { product, variant, quantity, price } = await validateItem(executor, item);
+    const variantOptions = variant ? (typeof variant.options === 'string' ? JSON.parse(variant.options) : variant.options) || {} : {};
+    const itemTotal = price * quantity;
+    calculatedSubtotal += itemTotal;
+
+    validatedItems.push({
+      productId: product.id,
+      productName: product.name,
+      productImage: item.imageUrl || item.productImage || getPrimaryImage(product),
+      category: product.category,
+      weight: product.weight !== null && product.weight !== undefined ? Number(product.weight) : null,
+      price,
+      quantity,
+      color: variantOptions.color || item.color || null,
+      offer: item.offer || null,
+      variantId: variant?.id ?? null,
+      sku: variant?.sku ?? null,
+      variantLabel: variant ? formatVariantLabel(variantOptions) || null : null,
+    });
+
+    logger.debug('Checkout item validated', {
+      productId: product.id,
+      price,
+      quantity,
+      itemTotal: roundMoney(itemTotal)
+    });
+  }
+
+  return {
+    items: validatedItems,
+    subtotal: roundMoney(calculatedSubtotal)
+  };
+}
+
+export default {
+  CheckoutValidationError,
+  roundMoney,
+  normalizeQuantity,
+  parseCartQuantity,
+  getPrimaryImage,
+  getActiveProduct,
+  getActiveVariant,
+  validateItem,
+  validateItems
+};
@@ -0,0 +1,501 @@
+/**
+ * Coupon Service - Promotion codes applied at checkout
+ *
+ * Supported coupon types:
+ * - percent: percentage off the eligible subtotal (optionally capped by maxDiscount)
+ * - fixed: fixed amount off the eligible subtotal
+ * - free_shipping: waives the order's shipping fee
+ *
+ * A coupon can be limited by minimum spend, validity window, global and
+ * per-customer usage limits, and scoped to specific products or categories.
+ * Redemptions of cancelled/expired/failed orders don't count towards limits.
+ */
+
+import logger from '../utils/logger.js';
+import { roundMoney } from './checkout.service.js';
+
+export const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+/**
+ * Order statuses whose redemptions no longer count towards usage limits
+ */
+const RELEASED_ORDER_STATUSES = ['cancelled', 'expired', 'failed'];
+
+/**
+ * Error raised when a coupon can't be applied or saved.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class CouponError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CouponError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the pricing rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Normalize a coupon code (codes are case-insensitive)
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Parse a JSON list column (productIds/categories)
+ */
+function parseList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map a Coupon row to its API shape
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function mapCoupon(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    type: row.type,
+    value: Number(row.value),
+    minSpend: row.minSpend !== null ? Number(row.minSpend) : null,
+    maxDiscount: row.maxDiscount !== null ? Number(row.maxDiscount) : null,
+    usageLimit: row.usageLimit,
+    perUserLimit: row.perUserLimit,
+    startsAt: row.startsAt,
+    endsAt: row.endsAt,
+    isActive: Boolean(row.isActive),
+    productIds: parseList(row.productIds).map(Number),
+    categories: parseList(row.categories),
+    usedCount: row.usedCount !== undefined ? Number(row.usedCount) : undefined,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * Check that a coupon is active and inside its validity window
+ * @param {Object} coupon - Mapped coupon
+ * @param {Date} now
+ */
+export function assertCouponActive(coupon, now = new Date()) {
+  if (!coupon.isActive) {
+    throw new CouponError('This coupon is no longer active');
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    throw new CouponError('This coupon is not valid yet', 400, { startsAt: coupon.startsAt });
+  }
+  if (coupon.endsAt && new Date(coupon.endsAt) < now) {
+    throw new CouponError('This coupon has expired', 400, { endsAt: coupon.endsAt });
+  }
+}
+
+/**
+ * Get the items a coupon applies to
+ * Unscoped coupons apply to every item; scoped coupons to items matching
+ * either the product list or the category list.
+ *
+ * @param {Object} coupon - Mapped coupon
+ * @param {Array} items - Validated items ({ productId, category, price, quantity })
+ * @returns {Array}
+ */
+export function getEligibleItems(coupon, items) {
+  const productIds = coupon.productIds || [];
+  const categories = (coupon.categories || []).map(c => String(c).toLowerCase());
+
+  if (productIds.length === 0 && categories.length === 0) {
+    return items;
+  }
+
+  return items.filter(item =>
+    productIds.includes(Number(item.productId)) ||
+    (item.category && categories.includes(String(item.category).toLowerCase()))
+  );
+}
+
+/**
+ * Calculate the discount a coupon gives on an order
+ * @param {Object} coupon - Mapped coupon
+ * @param {Object} order
+ * @param {Array} order.items - Validated items
+ * @param {number} order.subtotal - Order subtotal
+ * @param {number} order.shipping - Shipping fee
+ * @returns {{discount: number, freeShipping: boolean, eligibleSubtotal: number}}
+ */
+export function calculateDiscount(coupon, { items = [], subtotal = 0, shipping = 0 }) {
+  if (coupon.minSpend !== null && coupon.minSpend !== undefined && subtotal < coupon.minSpend) {
+    throw new CouponError(
+      `Minimum spend of $${coupon.minSpend.toFixed(2)} required for this coupon`,
+      400,
+      { minSpend: coupon.minSpend, subtotal }
+    );
+  }
+
+  const eligibleItems = getEligibleItems(coupon, items);
+  const eligibleSubtotal = roundMoney(
+    eligibleItems.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0)
+  );
+
+  if (eligibleSubtotal <= 0) {
+    throw new CouponError('This coupon does not apply to any item in your order');
+  }
+
+  if (coupon.type === 'free_shipping') {
+    return { discount: roundMoney(shipping), freeShipping: true, eligibleSubtotal };
+  }
+
+  let discount = coupon.type === 'percent'
+    ? eligibleSubtotal * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return {
+    discount: roundMoney(Math.min(discount, eligibleSubtotal)),
+    freeShipping: false,
+    eligibleSubtotal
+  };
+}
+
+/**
+ * Count redemptions that still count towards a coupon's limits
+ * @param {Object} executor - Pool or connection
+ * @param {number} couponId
+ * @param {number|null} userId - Count only this user's redemptions (omit for the global count)
+ * @returns {Promise<number>}
+ */
+async function countRedemptions(executor, couponId, userId = null) {
+  const statusPlaceholders = RELEASED_ORDER_STATUSES.map(() => '?').join(', ');
+  let sql = `SELECT COUNT(*) AS count FROM CouponRedemption cr
+     JOIN \`Order\` o ON cr.orderId = o.id
+     WHERE cr.couponId = ? AND o.status NOT IN (${statusPlaceholders})`;
+  const params = [couponId, ...RELEASED_ORDER_STATUSES];
+
+  if (userId) {
+    sql += ' AND cr.userId = ?';
+    params.push(userId);
+  }
+
+  const [rows] = await executor.execute(sql, params);
+  return Number(rows[0]?.count || 0);
+}
+
+/**
+ * Validate a coupon code against an order and calculate its discount
+ * Pass the checkout transaction connection with `lock: true` so concurrent
+ * orders can't both take the last use of a limited coupon.
+ *
+ * @param {Object} executor - Pool or connection
+ * @param {string} code - Coupon code as entered
+ * @param {Object} order
+ * @param {Array} order.items - Validated items ({ productId, category, price, quantity })
+ * @param {number} order.subtotal
+ * @param {number} order.shipping
+ * @param {number} order.userId - User from the verified auth token (never the request body)
+ * @param {boolean} order.lock - Lock the coupon row (inside a transaction)
+ * @returns {Promise<{coupon: Object, discount: number, freeShipping: boolean, eligibleSubtotal: number}>}
+ */
+export async function evaluateCoupon(executor, code, order = {}) {
+  const normalizedCode = normalizeCode(code);
+  if (!normalizedCode) {
+    throw new CouponError('Coupon code is required');
+  }
+
+  const [rows] = await executor.execute(
+    `SELECT * FROM Coupon WHERE code = ? LIMIT 1${order.lock ? ' FOR UPDATE' : ''}`,
+    [normalizedCode]
+  );
+  if (rows.length === 0) {
+    throw new CouponError('Invalid coupon code', 404);
+  }
+
+  const coupon = mapCoupon(rows[0]);
+  assertCouponActive(coupon);
+
+  if (coupon.usageLimit !== null) {
+    const used = await countRedemptions(executor, coupon.id);
+    if (used >= coupon.usageLimit) {
+      throw new CouponError('This coupon has reached its usage limit');
+    }
+  }
+
+  if (coupon.perUserLimit !== null) {
+    // Guests have no identity the limit could be enforced against
+    if (!order.userId) {
+      throw new CouponError('Please sign in to use this coupon', 401);
+    }
+    const usedByCustomer = await countRedemptions(executor, coupon.id, order.userId);
+    if (usedByCustomer >= coupon.perUserLimit) {
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+
+  const result = calculateDiscount(coupon, order);
+  return { coupon, ...result };
+}
+
+/**
+ * Record that an order used a coupon (inside the checkout transaction)
+ * @param {Object} connection - mysql2 connection
+ * @param {Object} redemption - { couponId, orderId, userId, customerPhone, discount }
+ */
+export async function recordRedemption(connection, { couponId, orderId, userId = null, customerPhone = null, discount }) {
+  await connection.execute(
+    `INSERT INTO CouponRedemption (couponId, orderId, userId, customerPhone, discount, createdAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [couponId, orderId, userId, customerPhone, discount]
+  );
+}
+
+/**
+ * Validate and normalize coupon input from the admin dashboard
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {Object} Column values
+ */
+export function sanitizeCouponInput(input = {}, partial = false) {
+  const data = {};
+
+  if (!partial || input.code !== undefined) {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+      throw new CouponError('Code must be 3-50 characters (letters, numbers, - or _)');
+    }
+    data.code = code;
+  }
+
+  if (!partial || input.type !== undefined) {
+    if (!COUPON_TYPES.includes(input.type)) {
+      throw new CouponError(`Type must be one of: ${COUPON_TYPES.join(', ')}`);
+    }
+    data.type = input.type;
+  }
+
+  if (!partial || input.value !== undefined) {
+    const value = Number(input.value ?? 0);
+    const type = data.type || input.type;
+    if (isNaN(value) || value < 0) {
+      throw new CouponError('Value must be a positive number');
+    }
+    if (type === 'percent' && (value <= 0 || value > 100)) {
+      throw new CouponError('Percent value must be between 0 and 100');
+    }
+    if (type === 'fixed' && value <= 0) {
+      throw new CouponError('Fixed value must be greater than 0');
+    }
+    data.value = value;
+  }
+
+  for (const field of ['minSpend', 'maxDiscount']) {
+    if (input[field] !== undefined) {
+      if (input[field] === null || input[field] === '') {
+        data[field] = null;
+      } else {
+        const amount = Number(input[field]);
+        if (isNaN(amount) || amount < 0) {
+          throw new CouponError(`${field} must be a positive number`);
+        }
+        data[field] = amount;
+      }
+    }
+  }
+
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (input[field] !== undefined) {
+      if (input[field] === null || input[field] === '') {
+        data[field] = null;
+      } else {
+        const limit = Number(input[field]);
+        if (!Number.isInteger(limit) || limit < 1) {
+          throw new CouponError(`${field} must be a positive integer`);
+        }
+        data[field] = limit;
+      }
+    }
+  }
+
+  for (const field of ['startsAt', 'endsAt']) {
+    if (input[field] !== undefined) {
+      if (!input[field]) {
+        data[field] = null;
+      } else {
+        const date = new Date(input[field]);
+        if (isNaN(date.getTime())) {
+          throw new CouponError(`${field} must be a valid date`);
+        }
+        data[field] = date;
+      }
+    }
+  }
+
+  if (data.startsAt && data.endsAt && data.startsAt > data.endsAt) {
+    throw new CouponError('startsAt must be before endsAt');
+  }
+
+  if (input.description !== undefined) data.description = input.description || null;
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  if (input.productIds !== undefined) {
+    if (input.productIds !== null && !Array.isArray(input.productIds)) {
+      throw new CouponError('productIds must be an array');
+    }
+    data.productIds = input.productIds?.length ? JSON.stringify(input.productIds.map(Number)) : null;
+  }
+
+  if (input.categories !== undefined) {
+    if (input.categories !== null && !Array.isArray(input.categories)) {
+      throw new CouponError('categories must be an array');
+    }
+    data.categories = input.categories?.length ? JSON.stringify(input.categories) : null;
+  }
+
+  return data;
+}
+
+/**
+ * List all coupons with their active redemption counts
+ * @returns {Promise<Array>}
+ */
+export async function listCoupons() {
+  const statusPlaceholders = RELEASED_ORDER_STATUSES.map(() => '?').join(', ');
+  const rows = await runQuery(
+    `SELECT c.*,
+       (SELECT COUNT(*) FROM CouponRedemption cr
+        JOIN \`Order\` o ON cr.orderId = o.id
+        WHERE cr.couponId = c.id AND o.status NOT IN (${statusPlaceholders})) AS usedCount
+     FROM Coupon c
+     ORDER BY c.createdAt DESC`,
+    RELEASED_ORDER_STATUSES
+  );
+  return rows.map(mapCoupon);
+}
+
+/**
+ * Get a coupon by ID
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+export async function getCouponById(id) {
+  const rows = await runQuery('SELECT * FROM Coupon WHERE id = ? LIMIT 1', [id]);
+  if (rows.length === 0) {
+    throw new CouponError('Coupon not found', 404);
+  }
+  return mapCoupon(rows[0]);
+}
+
+/**
+ * Create a coupon
+ * @param {Object} input - Request body
+ * @returns {Promise<Object>}
+ */
+export async function createCoupon(input) {
+  const data = sanitizeCouponInput(input);
+  const columns = Object.keys(data);
+
+  try {
+    const result = await runQuery(
+      `INSERT INTO Coupon (${columns.join(', ')}, createdAt, updatedAt)
+       VALUES (${columns.map(() => '?').join(', ')}, NOW(), NOW())`,
+      columns.map(column => data[column])
+    );
+    logger.info('Coupon created', { couponId: result.insertId, code: data.code });
+    return getCouponById(result.insertId);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new CouponError(`Coupon code ${data.code} already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a coupon
+ * @param {number} id
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>}
+ */
+export async function updateCoupon(id, input) {
+  const existing = await getCouponById(id);
+  const data = sanitizeCouponInput({ type: existing.type, ...input }, true);
+  const columns = Object.keys(data);
+
+  if (columns.length > 0) {
+    try {
+      await runQuery(
+        `UPDATE Coupon SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = NOW() WHERE id = ?`,
+        [...columns.map(column => data[column]), id]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new CouponError(`Coupon code ${data.code} already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  logger.info('Coupon updated', { couponId: id });
+  return getCouponById(id);
+}
+
+/**
+ * Delete a coupon
+ * Coupons that were already redeemed are deactivated instead so order
+ * history keeps pointing at them.
+ *
+ * @param {number} id
+ * @returns {Promise<{deleted: boolean, deactivated: boolean}>}
+ */
+export async function deleteCoupon(id) {
+  await getCouponById(id);
+
+  const redemptions = await runQuery('SELECT COUNT(*) AS count FROM CouponRedemption WHERE couponId = ?', [id]);
+  if (Number(redemptions[0]?.count || 0) > 0) {
+    await runQuery('UPDATE Coupon SET isActive = FALSE, updatedAt = NOW() WHERE id = ?', [id]);
+    logger.info('Coupon deactivated (has redemptions)', { couponId: id });
+    return { deleted: false, deactivated: true };
+  }
+
+  await runQuery('DELETE FROM Coupon WHERE id = ?', [id]);
+  logger.info('Coupon deleted', { couponId: id });
+  return { deleted: true, deactivated: false };
+}
+
+export default {
+  COUPON_TYPES,
+  CouponError,
+  normalizeCode,
+  mapCoupon,
+  assertCouponActive,
+  getEligibleItems,
+  calculateDiscount,
+  evaluateCoupon,
+  recordRedemption,
+  sanitizeCouponInput,
+  listCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
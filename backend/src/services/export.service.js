@@ -0,0 +1,347 @@
+/**
+ * Export Service - Orders, products and users as CSV / XLSX downloads
+ *
+ * Exports are streamed: rows are read in batches and written to the
+ * response as they arrive, so large exports don't build up in memory.
+ * - orders: one row per line item (order columns repeated), filtered
+ *   like searchOrders (search, status, minAmount, maxAmount)
+ * - products: one row per product with stock, reserved stock and the
+ *   low-stock threshold
+ * - users: read page by page through usersService.listUsers
+ */
+
+import { createSheetWriter, SPREADSHEET_FORMATS } from '../utils/spreadsheet.js';
+import { ORDER_STATUSES } from './order-lifecycle.service.js';
+import { resolveThreshold, isLowStock } from './low-stock.service.js';
+
+export const EXPORT_RESOURCES = ['orders', 'products', 'users'];
+export const EXPORT_FORMATS = Object.keys(SPREADSHEET_FORMATS);
+
+const BATCH_SIZE = 500;
+
+/**
+ * Error raised for an invalid export request.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ExportError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the column definitions can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+function optionalNumber(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ExportError(`${field} must be a positive number`);
+  }
+  return number;
+}
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Read an export request from the query string
+ * @param {string} resource - orders | products | users
+ * @param {Object} query - req.query
+ * @returns {{resource: string, format: string, filters: Object}}
+ */
+export function parseExportRequest(resource, query = {}) {
+  if (!EXPORT_RESOURCES.includes(resource)) {
+    throw new ExportError(`Unknown export. Use one of: ${EXPORT_RESOURCES.join(', ')}`, 404);
+  }
+
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let filters;
+  if (resource === 'orders') {
+    const status = optionalText(query.status);
+    if (status && !ORDER_STATUSES.includes(status)) {
+      throw new ExportError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+    filters = {
+      search: optionalText(query.search),
+      status,
+      minAmount: optionalNumber(query.minAmount, 'minAmount'),
+      maxAmount: optionalNumber(query.maxAmount, 'maxAmount')
+    };
+  } else if (resource === 'products') {
+    const status = optionalText(query.status);
+    if (status && !['ACTIVE', 'ARCHIVED'].includes(status)) {
+      throw new ExportError('Status must be ACTIVE or ARCHIVED');
+    }
+    filters = {
+      search: optionalText(query.search),
+      status,
+      category: optionalText(query.category)
+    };
+  } else {
+    const role = optionalText(query.role);
+    if (role && !['USER', 'ADMIN'].includes(role)) {
+      throw new ExportError('Role must be USER or ADMIN');
+    }
+    filters = {
+      search: optionalText(query.search),
+      role,
+      isActive: query.isActive === undefined || query.isActive === '' ? null : query.isActive === 'true'
+    };
+  }
+
+  return { resource, format, filters };
+}
+
+/**
+ * Download file name, e.g. orders-2026-10-19.xlsx
+ * @param {string} resource
+ * @param {string} format
+ * @param {Date} now
+ * @returns {string}
+ */
+export function exportFileName(resource, format, now = new Date()) {
+  return `${resource}-${now.toISOString().slice(0, 10)}.${SPREADSHEET_FORMATS[format].extension}`;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  return value instanceof Date ? value : new Date(value);
+}
+
+// Columns: [header, row => value]
+export const ORDER_COLUMNS = [
+  ['Order Number', row => row.orderNumber],
+  ['Order Date', row => toDate(row.createdAt)],
+  ['Status', row => row.status],
+  ['Payment Method', row => row.paymentMethod],
+  ['Customer Name', row => row.customerName],
+  ['Customer Phone', row => row.customerPhone],
+  ['Address', row => row.customerAddress],
+  ['District', row => row.customerDistrict],
+  ['City', row => row.customerCity],
+  ['Order Subtotal', row => toNumber(row.subtotal)],
+  ['Order Shipping', row => toNumber(row.shipping)],
+  ['Order Discount', row => toNumber(row.discount)],
+  ['Coupon', row => row.couponCode],
+  ['Order Total', row => toNumber(row.total)],
+  ['SKU', row => row.item?.sku],
+  ['Product', row => row.item?.productName],
+  ['Variant', row => row.item?.variantLabel],
+  ['Unit Price', row => toNumber(row.item?.price)],
+  ['Quantity', row => toNumber(row.item?.quantity)],
+  ['Line Total', row => (row.item ? Math.round(Number(row.item.price) * Number(row.item.quantity) * 100) / 100 : null)]
+];
+
+export const PRODUCT_COLUMNS = [
+  ['ID', row => row.id],
+  ['Name', row => row.name],
+  ['Category', row => row.category],
+  ['Status', row => row.status],
+  ['Price', row => toNumber(row.price)],
+  ['Stock', row => toNumber(row.stock)],
+  ['Reserved', row => toNumber(row.reservedStock)],
+  ['Available', row => Math.max(0, Number(row.stock) - Number(row.reservedStock || 0))],
+  ['Low Stock Threshold', row => resolveThreshold(row.lowStockThreshold)],
+  ['Low Stock', row => isLowStock(Number(row.stock), row.lowStockThreshold)],
+  ['Variants', row => toNumber(row.variantCount)],
+  ['Rating', row => toNumber(row.ratingAverage)],
+  ['Reviews', row => toNumber(row.ratingCount)],
+  ['Created', row => toDate(row.createdAt)],
+  ['Updated', row => toDate(row.updatedAt)]
+];
+
+export const USER_COLUMNS = [
+  ['ID', row => row.id],
+  ['Email', row => row.email],
+  ['Phone', row => row.phoneNumber],
+  ['Phone Verified', row => Boolean(row.isPhoneVerified)],
+  ['Role', row => row.role],
+  ['Active', row => Boolean(row.isActive)],
+  ['Created', row => toDate(row.createdAt)],
+  ['Updated', row => toDate(row.updatedAt)]
+];
+
+/**
+ * Map a row to cell values
+ * @param {Array} columns - [header, getter] pairs
+ * @param {Object} row
+ * @returns {Array}
+ */
+export function toCells(columns, row) {
+  return columns.map(([, getter]) => {
+    const value = getter(row);
+    return value === undefined ? null : value;
+  });
+}
+
+/**
+ * Flatten orders and their items into export rows
+ * (orders without items still get one row)
+ * @param {Array} orders
+ * @param {Array} items - OrderItem rows of those orders
+ * @returns {Array}
+ */
+export function flattenOrderItems(orders, items) {
+  const itemsByOrder = new Map();
+  for (const item of items) {
+    if (!itemsByOrder.has(item.orderId)) itemsByOrder.set(item.orderId, []);
+    itemsByOrder.get(item.orderId).push(item);
+  }
+
+  const rows = [];
+  for (const order of orders) {
+    const orderItems = itemsByOrder.get(order.id) || [];
+    if (orderItems.length === 0) {
+      rows.push({ ...order, item: null });
+    }
+    for (const item of orderItems) {
+      rows.push({ ...order, item });
+    }
+  }
+  return rows;
+}
+
+async function writeOrders(sheet, filters) {
+  const { buildOrderSearchFilters } = await import('./orders.service.js');
+  const { whereClause, params } = buildOrderSearchFilters(filters);
+  let lastId = null;
+
+  // Keyset pagination (newest first) so orders placed during the export don't shift pages
+  for (;;) {
+    const cursor = lastId === null ? '' : `${whereClause ? ' AND' : ' WHERE'} id < ?`;
+    const orders = await runQuery(
+      `SELECT * FROM \`Order\`${whereClause}${cursor}
+       ORDER BY id DESC
+       LIMIT ${BATCH_SIZE}`,
+      lastId === null ? params : [...params, lastId]
+    );
+    if (orders.length === 0) break;
+
+    const ids = orders.map(order => order.id);
+    const items = await runQuery(
+      `SELECT orderId, productName, sku, variantLabel, price, quantity
+       FROM OrderItem
+       WHERE orderId IN (${ids.map(() => '?').join(',')})
+       ORDER BY orderId, id`,
+      ids
+    );
+
+    for (const row of flattenOrderItems(orders, items)) {
+      await sheet.writeRow(toCells(ORDER_COLUMNS, row));
+    }
+
+    lastId = orders[orders.length - 1].id;
+    if (orders.length < BATCH_SIZE) break;
+  }
+}
+
+async function writeProducts(sheet, { search = null, status = null, category = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (search) {
+    conditions.push('p.name LIKE ?');
+    params.push(`%${search}%`);
+  }
+  if (status) {
+    conditions.push('p.status = ?');
+    params.push(status);
+  }
+  if (category) {
+    conditions.push('p.category = ?');
+    params.push(category);
+  }
+
+  let lastId = 0;
+  for (;;) {
+    const where = ['p.id > ?', ...conditions].join(' AND ');
+    const products = await runQuery(
+      `SELECT p.id, p.name, p.category, p.status, p.price, p.stock, p.lowStockThreshold,
+              p.ratingAverage, p.ratingCount, p.createdAt, p.updatedAt,
+              COALESCE((SELECT SUM(r.quantity) FROM StockReservation r WHERE r.productId = p.id AND r.status = 'held'), 0) AS reservedStock,
+              (SELECT COUNT(*) FROM ProductVariant v WHERE v.productId = p.id AND v.isActive = TRUE) AS variantCount
+       FROM Product p
+       WHERE ${where}
+       ORDER BY p.id
+       LIMIT ${BATCH_SIZE}`,
+      [lastId, ...params]
+    );
+    if (products.length === 0) break;
+
+    for (const product of products) {
+      await sheet.writeRow(toCells(PRODUCT_COLUMNS, product));
+    }
+
+    lastId = products[products.length - 1].id;
+    if (products.length < BATCH_SIZE) break;
+  }
+}
+
+async function writeUsers(sheet, filters) {
+  const { listUsers } = await import('./users.service.js');
+  let page = 1;
+
+  for (;;) {
+    const { data, pagination } = await listUsers({ ...filters, page, limit: BATCH_SIZE });
+    for (const user of data) {
+      await sheet.writeRow(toCells(USER_COLUMNS, user));
+    }
+    if (page >= pagination.pages || data.length === 0) break;
+    page += 1;
+  }
+}
+
+const EXPORTS = {
+  orders: { sheetName: 'Orders', columns: ORDER_COLUMNS, write: writeOrders },
+  products: { sheetName: 'Products', columns: PRODUCT_COLUMNS, write: writeProducts },
+  users: { sheetName: 'Users', columns: USER_COLUMNS, write: writeUsers }
+};
+
+/**
+ * Stream an export into a writable stream (usually the HTTP response)
+ * The stream is ended when the export is complete.
+ *
+ * @param {import('stream').Writable} stream
+ * @param {Object} request - From parseExportRequest
+ * @returns {Promise<void>}
+ */
+export async function streamExport(stream, { resource, format, filters }) {
+  const definition = EXPORTS[resource];
+  const sheet = createSheetWriter(format, stream, { sheetName: definition.sheetName });
+
+  await sheet.writeHeader(definition.columns.map(([header]) => header));
+  await definition.write(sheet, filters);
+  await sheet.end();
+}
+
+export default {
+  EXPORT_RESOURCES,
+  EXPORT_FORMATS,
+  ExportError,
+  parseExportRequest,
+  exportFileName,
+  ORDER_COLUMNS,
+  PRODUCT_COLUMNS,
+  USER_COLUMNS,
+  toCells,
+  flattenOrderItems,
+  streamExport
+};
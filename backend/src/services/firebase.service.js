@@ -63,3 +63,11 @@ export async function verifyFirebaseToken(idToken) {
         };
     }
 }
+
+/**
+ * Firebase Cloud Messaging client (used for push notifications)
+ * @returns {import('firebase-admin').messaging.Messaging|null} null if the Admin SDK isn't initialized
+ */
+export function getMessaging() {
+    return firebaseApp ? admin.messaging(firebaseApp) : null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Inventory Movement Service - Stock audit ledger
+ *
+ * Every change to Product.stock writes an InventoryMovement row with
+ * why it happened (reason), by how much (delta), who did it (actor)
+ * and the order involved, plus the stock right after the change
+ * (balanceAfter). Replaying a product's movements must land on its
+ * current stock; any difference is a change made outside the ledger.
+ */
+
+export const MOVEMENT_REASONS = {
+  INITIAL: 'initial',
+  SALE: 'sale',
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_EXPIRED: 'order_expired',
+  ORDER_FAILED: 'order_failed',
+  ORDER_REFUNDED: 'order_refunded',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the ledger rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Reason recorded when an order hands its stock back
+ * @param {string} toStatus - cancelled, expired, failed or refunded
+ * @returns {string}
+ */
+export function restockReasonFor(toStatus) {
+  return `order_${toStatus}`;
+}
+
+/**
+ * Record a stock change right after Product.stock was updated
+ * Run it on the same connection (and transaction) as the update so
+ * balanceAfter is the stock that update produced.
+ *
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {Object} movement
+ * @param {number} movement.productId
+ * @param {number|null} movement.variantId
+ * @param {number} movement.delta - Units added (+) or removed (-)
+ * @param {string} movement.reason - One of MOVEMENT_REASONS
+ * @param {string} movement.actor - admin, customer, system or bakong
+ * @param {number|null} movement.actorId - User ID of the actor
+ * @param {number|null} movement.orderId - Order that caused the change
+ * @param {string|null} movement.note
+ */
+export async function recordMovement(executor, {
+  productId,
+  variantId = null,
+  delta,
+  reason,
+  actor = 'system',
+  actorId = null,
+  orderId = null,
+  note = null
+}) {
+  if (!productId || !delta) return;
+
+  await executor.execute(
+    `INSERT INTO InventoryMovement (productId, variantId, orderId, delta, balanceAfter, reason, actor, actorId, note, createdAt)
+     SELECT id, ?, ?, ?, stock, ?, ?, ?, ?, NOW() FROM Product WHERE id = ?`,
+    [variantId ?? null, orderId ?? null, delta, reason, actor, actorId ?? null, note ?? null, productId]
+  );
+}
+
+/**
+ * Replay movements (oldest first) against the current stock
+ * The stock before the first movement is the opening balance; each
+ * movement should move the balance by exactly its delta.
+ *
+ * @param {Array} movements - [{ id, delta, balanceAfter }] oldest first
+ * @param {number} currentStock - Product.stock now
+ * @returns {Object} { openingBalance, ledgerStock, currentStock, difference, gaps, reconciled }
+ */
+export function reconcileMovements(movements, currentStock) {
+  if (movements.length === 0) {
+    return { openingBalance: currentStock, ledgerStock: currentStock, currentStock, difference: 0, gaps: [], reconciled: true };
+  }
+
+  const openingBalance = movements[0].balanceAfter - movements[0].delta;
+  const gaps = [];
+  let balance = openingBalance;
+
+  for (const movement of movements) {
+    const expected = balance + movement.delta;
+    if (movement.balanceAfter !== expected) {
+      // Stock changed between the previous movement and this one without a record
+      gaps.push({ movementId: movement.id, expected, actual: movement.balanceAfter, amount: movement.balanceAfter - expected });
+    }
+    balance = movement.balanceAfter;
+  }
+
+  const ledgerStock = openingBalance + movements.reduce((sum, movement) => sum + movement.delta, 0);
+  const difference = currentStock - ledgerStock;
+
+  return {
+    openingBalance,
+    ledgerStock,
+    currentStock,
+    difference,
+    gaps,
+    reconciled: difference === 0 && gaps.length === 0
+  };
+}
+
+/**
+ * Movement history of a product with its reconciliation
+ * @param {number} productId
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object|null>} { product, movements, pagination, reconciliation } (null if the product doesn't exist)
+ */
+export async function getProductMovements(productId, { page = 1, limit = 50 } = {}) {
+  const products = await runQuery('SELECT id, name, stock FROM Product WHERE id = ? LIMIT 1', [productId]);
+  if (products.length === 0) return null;
+  const product = products[0];
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const ledger = await runQuery(
+    'SELECT id, delta, balanceAfter FROM InventoryMovement WHERE productId = ? ORDER BY id ASC',
+    [productId]
+  );
+
+  const rows = await runQuery(
+    `SELECT m.id, m.variantId, m.orderId, o.orderNumber, m.delta, m.balanceAfter, m.reason,
+            m.actor, m.actorId, u.email AS actorEmail, m.note, m.createdAt
+     FROM InventoryMovement m
+     LEFT JOIN \`Order\` o ON m.orderId = o.id
+     LEFT JOIN User u ON m.actorId = u.id
+     WHERE m.productId = ?
+     ORDER BY m.id DESC
+     LIMIT ${pageSize} OFFSET ${(pageNumber - 1) * pageSize}`,
+    [productId]
+  );
+
+  return {
+    product,
+    movements: rows,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total: ledger.length,
+      totalPages: Math.ceil(ledger.length / pageSize)
+    },
+    reconciliation: reconcileMovements(ledger, product.stock)
+  };
+}
+
+export default {
+  MOVEMENT_REASONS,
+  restockReasonFor,
+  recordMovement,
+  reconcileMovements,
+  getProductMovements
+};
@@ -0,0 +1,190 @@
+/**
+ * Low Stock Service - Reorder thresholds and alerts
+ *
+ * A product is low on stock when its stock is at or below its
+ * lowStockThreshold (NULL = the LOW_STOCK_THRESHOLD default).
+ * Crossing the threshold raises one open StockAlert per product;
+ * further sales don't raise duplicates, and the alert is resolved
+ * once the product is restocked above the threshold.
+ */
+
+import logger from '../utils/logger.js';
+
+export const ALERT_STATUSES = ['open', 'resolved'];
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the threshold rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Threshold used by products without their own
+ * @returns {number}
+ */
+export function getDefaultLowStockThreshold() {
+  const value = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return isNaN(value) || value < 0 ? 5 : value;
+}
+
+/**
+ * Effective threshold of a product
+ * @param {number|null} threshold - Product.lowStockThreshold
+ * @returns {number}
+ */
+export function resolveThreshold(threshold) {
+  return threshold === null || threshold === undefined ? getDefaultLowStockThreshold() : threshold;
+}
+
+/**
+ * Check if a stock level is low for a threshold
+ * @param {number} stock
+ * @param {number|null} threshold - Product.lowStockThreshold
+ * @returns {boolean}
+ */
+export function isLowStock(stock, threshold) {
+  return stock <= resolveThreshold(threshold);
+}
+
+/**
+ * Raise or resolve alerts after the stock of products changed
+ * Run it on the connection that changed the stock so it sees the new levels.
+ *
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {Array<number>} productIds
+ * @param {Object} options
+ * @param {number|null} options.orderId - Order that caused the change
+ * @returns {Promise<{raised: Array, resolved: number}>}
+ */
+export async function syncLowStockAlerts(executor, productIds, { orderId = null } = {}) {
+  const raised = [];
+  let resolved = 0;
+
+  for (const productId of new Set(productIds.filter(Boolean))) {
+    const [products] = await executor.execute(
+      'SELECT id, name, stock, lowStockThreshold FROM Product WHERE id = ? LIMIT 1',
+      [productId]
+    );
+    const product = products[0];
+    if (!product) continue;
+
+    const threshold = resolveThreshold(product.lowStockThreshold);
+
+    if (!isLowStock(product.stock, product.lowStockThreshold)) {
+      const [result] = await executor.execute(
+        `UPDATE StockAlert SET status = 'resolved', resolvedAt = NOW()
+         WHERE productId = ? AND status = 'open'`,
+        [productId]
+      );
+      resolved += result?.affectedRows || 0;
+      continue;
+    }
+
+    const [openAlerts] = await executor.execute(
+      `SELECT id FROM StockAlert WHERE productId = ? AND status = 'open' LIMIT 1`,
+      [productId]
+    );
+    if (openAlerts.length > 0) continue;
+
+    await executor.execute(
+      `INSERT INTO StockAlert (productId, orderId, stockAtAlert, threshold, status, createdAt)
+       VALUES (?, ?, ?, ?, 'open', NOW())`,
+      [productId, orderId, product.stock, threshold]
+    );
+
+    logger.warn('Low stock alert', { productId, name: product.name, stock: product.stock, threshold, orderId });
+    raised.push({ productId, name: product.name, stock: product.stock, threshold });
+  }
+
+  return { raised, resolved };
+}
+
+/**
+ * Active products at or below their threshold
+ * @param {Object} options
+ * @param {boolean} options.includeArchived
+ * @returns {Promise<Object>} { defaultThreshold, count, products }
+ */
+export async function getLowStockReport({ includeArchived = false } = {}) {
+  const defaultThreshold = getDefaultLowStockThreshold();
+
+  const rows = await runQuery(
+    `SELECT p.id, p.name, p.status, p.category, p.stock, p.lowStockThreshold,
+            COALESCE(p.lowStockThreshold, ?) AS threshold,
+            COALESCE((SELECT SUM(r.quantity) FROM StockReservation r WHERE r.productId = p.id AND r.status = 'held'), 0) AS reserved,
+            a.id AS alertId, a.createdAt AS alertedAt
+     FROM Product p
+     LEFT JOIN StockAlert a ON a.productId = p.id AND a.status = 'open'
+     WHERE p.stock <= COALESCE(p.lowStockThreshold, ?)
+       ${includeArchived ? '' : "AND p.status = 'ACTIVE'"}
+     ORDER BY p.stock ASC, p.name ASC`,
+    [defaultThreshold, defaultThreshold]
+  );
+
+  const products = rows.map(row => ({
+    productId: row.id,
+    name: row.name,
+    status: row.status,
+    category: row.category,
+    stock: row.stock,
+    threshold: Number(row.threshold),
+    usesDefaultThreshold: row.lowStockThreshold === null,
+    reserved: Number(row.reserved),
+    outOfStock: row.stock <= 0,
+    alertId: row.alertId,
+    alertedAt: row.alertedAt
+  }));
+
+  return { defaultThreshold, count: products.length, products };
+}
+
+/**
+ * List alerts (newest first)
+ * @param {Object} options
+ * @param {string} options.status - open, resolved or all
+ * @param {number} options.limit
+ * @returns {Promise<Array>}
+ */
+export async function listAlerts({ status = 'open', limit = 50 } = {}) {
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+  const filterStatus = ALERT_STATUSES.includes(status) ? status : null;
+
+  return runQuery(
+    `SELECT a.id, a.productId, p.name AS productName, p.stock AS currentStock, a.stockAtAlert, a.threshold,
+            a.orderId, o.orderNumber, a.status, a.createdAt, a.resolvedAt
+     FROM StockAlert a
+     JOIN Product p ON a.productId = p.id
+     LEFT JOIN \`Order\` o ON a.orderId = o.id
+     ${filterStatus ? 'WHERE a.status = ?' : ''}
+     ORDER BY a.createdAt DESC
+     LIMIT ${pageSize}`,
+    filterStatus ? [filterStatus] : []
+  );
+}
+
+/**
+ * Dismiss an open alert
+ * @param {number} id
+ * @returns {Promise<boolean>} False if there was no open alert with this ID
+ */
+export async function resolveAlert(id) {
+  const result = await runQuery(
+    `UPDATE StockAlert SET status = 'resolved', resolvedAt = NOW() WHERE id = ? AND status = 'open'`,
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+export default {
+  ALERT_STATUSES,
+  getDefaultLowStockThreshold,
+  resolveThreshold,
+  isLowStock,
+  syncLowStockAlerts,
+  getLowStockReport,
+  listAlerts,
+  resolveAlert
+};
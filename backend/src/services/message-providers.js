@@ -0,0 +1,204 @@
+/**
+ * Message Providers - How outbox messages leave the building
+ *
+ * A provider has a channel (email or sms) and
+ * send({ to, subject, body }) -> { providerMessageId }.
+ * Errors marked `permanent` (rejected address, bad request) are not retried.
+ *
+ * EMAIL_PROVIDER: smtp | file | console | none (default: console)
+ * SMS_PROVIDER:   http | file | console | none (default: console)
+ *
+ * file writes each message to MESSAGE_FILE_DIR (default logs/messages),
+ * console writes it to the log; both are meant for local development.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+export const DEFAULT_MESSAGE_FILE_DIR = 'logs/messages';
+
+/**
+ * Error for a send the provider will never accept
+ */
+function permanentError(message, cause) {
+  const error = new Error(message);
+  error.permanent = true;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Email over SMTP (nodemailer)
+ * @param {Object} config - { host, port, secure, user, pass, from }
+ */
+export function createSmtpProvider({ host, port = 587, secure = false, user, pass, from }) {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    channel: 'email',
+    async send({ to, subject, body }) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined
+        });
+      }
+
+      try {
+        const info = await transporter.sendMail({ from, to, subject, text: body });
+        return { providerMessageId: info.messageId ?? null };
+      } catch (error) {
+        // 5xx SMTP replies (unknown mailbox, rejected sender) won't succeed on retry
+        if (error.responseCode >= 500) {
+          throw permanentError(`SMTP rejected message: ${error.message}`, error);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * SMS through an HTTP gateway
+ * POSTs { to, from, message } as JSON with a bearer API key and reads
+ * the gateway's message id from `id` or `messageId` in the response.
+ *
+ * @param {Object} config - { url, apiKey, sender }
+ */
+export function createHttpSmsProvider({ url, apiKey, sender }) {
+  return {
+    name: 'http',
+    channel: 'sms',
+    async send({ to, body }) {
+      const { default: axios } = await import('axios');
+      try {
+        const response = await axios.post(
+          url,
+          { to, from: sender, message: body },
+          {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            timeout: 10000
+          }
+        );
+        return { providerMessageId: response.data?.id ?? response.data?.messageId ?? null };
+      } catch (error) {
+        const status = error.response?.status;
+        // 4xx (bad number, bad request) won't succeed on retry; 429 might
+        if (status >= 400 && status < 500 && status !== 429) {
+          throw permanentError(`SMS gateway rejected message (${status})`, error);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Writes each message to a text file (local development)
+ * @param {string} channel - email or sms
+ * @param {Object} config - { dir }
+ */
+export function createFileProvider(channel, { dir = DEFAULT_MESSAGE_FILE_DIR } = {}) {
+  return {
+    name: 'file',
+    channel,
+    async send({ to, subject, body }) {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${channel}-${String(to).replace(/[^\w@.+-]/g, '_')}.txt`;
+      const content = [`To: ${to}`, subject ? `Subject: ${subject}` : null, '', body].filter(line => line !== null).join('\n');
+      await fs.writeFile(path.join(dir, fileName), content, 'utf8');
+      return { providerMessageId: fileName };
+    }
+  };
+}
+
+/**
+ * Writes each message to the log (local development)
+ * @param {string} channel - email or sms
+ */
+export function createConsoleProvider(channel) {
+  return {
+    name: 'console',
+    channel,
+    async send({ to, subject, body }) {
+      logger.info(`[${channel.toUpperCase()}] Message (not sent)`, { to, subject, body });
+      return { providerMessageId: null };
+    }
+  };
+}
+
+/**
+ * Drops messages (the channel is turned off)
+ * @param {string} channel - email or sms
+ */
+export function createNullProvider(channel) {
+  return {
+    name: 'none',
+    channel,
+    async send() {
+      return { providerMessageId: null };
+    }
+  };
+}
+
+/**
+ * Build a channel's provider from the environment
+ * @param {string} channel - email or sms
+ * @param {Object} env - Usually process.env
+ * @returns {Object} Provider
+ */
+export function createProviderFromEnv(channel, env = process.env) {
+  const name = ((channel === 'email' ? env.EMAIL_PROVIDER : env.SMS_PROVIDER) || 'console').toLowerCase();
+
+  switch (name) {
+    case 'none':
+      return createNullProvider(channel);
+    case 'file':
+      return createFileProvider(channel, { dir: env.MESSAGE_FILE_DIR || DEFAULT_MESSAGE_FILE_DIR });
+    case 'smtp':
+      if (channel !== 'email') break;
+      if (!env.SMTP_HOST || !env.EMAIL_FROM) {
+        logger.warn('EMAIL_PROVIDER=smtp needs SMTP_HOST and EMAIL_FROM, emails will only be logged');
+        return createConsoleProvider(channel);
+      }
+      return createSmtpProvider({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.EMAIL_FROM
+      });
+    case 'http':
+      if (channel !== 'sms') break;
+      if (!env.SMS_GATEWAY_URL) {
+        logger.warn('SMS_PROVIDER=http needs SMS_GATEWAY_URL, SMS will only be logged');
+        return createConsoleProvider(channel);
+      }
+      return createHttpSmsProvider({
+        url: env.SMS_GATEWAY_URL,
+        apiKey: env.SMS_GATEWAY_API_KEY,
+        sender: env.SMS_SENDER_ID
+      });
+    case 'console':
+      return createConsoleProvider(channel);
+  }
+
+  logger.warn(`Unknown ${channel} provider "${name}", messages will only be logged`);
+  return createConsoleProvider(channel);
+}
+
+export default {
+  DEFAULT_MESSAGE_FILE_DIR,
+  createSmtpProvider,
+  createHttpSmsProvider,
+  createFileProvider,
+  createConsoleProvider,
+  createNullProvider,
+  createProviderFromEnv
+};
@@ -0,0 +1,147 @@
+/**
+ * Message Templates - Transactional email and SMS content per locale
+ *
+ * Each template has an email subject, an email body and an SMS text.
+ * Placeholders are written {{name}}; unknown placeholders render empty.
+ * Locales without a template fall back to English.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const MESSAGE_TEMPLATES = {
+  ORDER_CONFIRMATION: 'order_confirmation',
+  PAYMENT_RECEIVED: 'payment_received',
+  ORDER_SHIPPED: 'order_shipped',
+  ORDER_DELIVERED: 'order_delivered',
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_EXPIRED: 'order_expired'
+};
+
+const TEMPLATES = {
+  en: {
+    order_confirmation: {
+      subject: 'Order {{orderNumber}} received',
+      text: 'Hi {{customerName}},\n\nThank you for your order {{orderNumber}}.\nTotal: {{total}}\nPayment: {{paymentMethod}}\n\nWe will let you know when it ships.\n\n{{storeName}}',
+      sms: '{{storeName}}: we received order {{orderNumber}}. Total {{total}}.'
+    },
+    payment_received: {
+      subject: 'Payment received for order {{orderNumber}}',
+      text: 'Hi {{customerName}},\n\nWe received the payment of {{total}} for order {{orderNumber}}. We are preparing it now.\n\n{{storeName}}',
+      sms: '{{storeName}}: payment of {{total}} received for order {{orderNumber}}.'
+    },
+    order_shipped: {
+      subject: 'Order {{orderNumber}} has shipped',
+      text: 'Hi {{customerName}},\n\nYour order {{orderNumber}} is on its way.\n\n{{storeName}}',
+      sms: '{{storeName}}: order {{orderNumber}} is on its way.'
+    },
+    order_delivered: {
+      subject: 'Order {{orderNumber}} delivered',
+      text: 'Hi {{customerName}},\n\nYour order {{orderNumber}} has been delivered. We hope you enjoy it!\n\n{{storeName}}',
+      sms: '{{storeName}}: order {{orderNumber}} has been delivered.'
+    },
+    order_cancelled: {
+      subject: 'Order {{orderNumber}} cancelled',
+      text: 'Hi {{customerName}},\n\nYour order {{orderNumber}} has been cancelled. If you already paid, the amount will be refunded.\n\n{{storeName}}',
+      sms: '{{storeName}}: order {{orderNumber}} has been cancelled.'
+    },
+    order_expired: {
+      subject: 'Order {{orderNumber}} expired',
+      text: 'Hi {{customerName}},\n\nWe did not receive the payment for order {{orderNumber}} in time, so it has been cancelled. You are welcome to order again.\n\n{{storeName}}',
+      sms: '{{storeName}}: order {{orderNumber}} was cancelled because it was not paid in time.'
+    }
+  },
+  km: {
+    order_confirmation: {
+      subject: 'បានទទួលការបញ្ជាទិញ {{orderNumber}}',
+      text: 'សួស្តី {{customerName}},\n\nសូមអរគុណសម្រាប់ការបញ្ជាទិញ {{orderNumber}}។\nសរុប៖ {{total}}\nការទូទាត់៖ {{paymentMethod}}\n\nយើងនឹងជូនដំណឹងនៅពេលទំនិញត្រូវបានផ្ញើចេញ។\n\n{{storeName}}',
+      sms: '{{storeName}}: បានទទួលការបញ្ជាទិញ {{orderNumber}}។ សរុប {{total}}។'
+    },
+    payment_received: {
+      subject: 'បានទទួលការទូទាត់សម្រាប់ការបញ្ជាទិញ {{orderNumber}}',
+      text: 'សួស្តី {{customerName}},\n\nយើងបានទទួលការទូទាត់ {{total}} សម្រាប់ការបញ្ជាទិញ {{orderNumber}}។ យើងកំពុងរៀបចំវាឥឡូវនេះ។\n\n{{storeName}}',
+      sms: '{{storeName}}: បានទទួលការទូទាត់ {{total}} សម្រាប់ការបញ្ជាទិញ {{orderNumber}}។'
+    },
+    order_shipped: {
+      subject: 'ការបញ្ជាទិញ {{orderNumber}} ត្រូវបានផ្ញើចេញ',
+      text: 'សួស្តី {{customerName}},\n\nការបញ្ជាទិញ {{orderNumber}} របស់អ្នកកំពុងដឹកជញ្ជូន។\n\n{{storeName}}',
+      sms: '{{storeName}}: ការបញ្ជាទិញ {{orderNumber}} កំពុងដឹកជញ្ជូន។'
+    },
+    order_delivered: {
+      subject: 'ការបញ្ជាទិញ {{orderNumber}} បានដឹកជូនរួចរាល់',
+      text: 'សួស្តី {{customerName}},\n\nការបញ្ជាទិញ {{orderNumber}} របស់អ្នកបានដឹកជូនរួចរាល់។\n\n{{storeName}}',
+      sms: '{{storeName}}: ការបញ្ជាទិញ {{orderNumber}} បានដឹកជូនរួចរាល់។'
+    },
+    order_cancelled: {
+      subject: 'ការបញ្ជាទិញ {{orderNumber}} ត្រូវបានលុបចោល',
+      text: 'សួស្តី {{customerName}},\n\nការបញ្ជាទិញ {{orderNumber}} របស់អ្នកត្រូវបានលុបចោល។ ប្រសិនបើអ្នកបានទូទាត់រួច ប្រាក់នឹងត្រូវបានបង្វិលជូនវិញ។\n\n{{storeName}}',
+      sms: '{{storeName}}: ការបញ្ជាទិញ {{orderNumber}} ត្រូវបានលុបចោល។'
+    },
+    order_expired: {
+      subject: 'ការបញ្ជាទិញ {{orderNumber}} ផុតកំណត់',
+      text: 'សួស្តី {{customerName}},\n\nយើងមិនបានទទួលការទូទាត់សម្រាប់ការបញ្ជាទិញ {{orderNumber}} ទាន់ពេលទេ ដូច្នេះវាត្រូវបានលុបចោល។ អ្នកអាចបញ្ជាទិញម្តងទៀតបាន។\n\n{{storeName}}',
+      sms: '{{storeName}}: ការបញ្ជាទិញ {{orderNumber}} ត្រូវបានលុបចោល ដោយសារមិនបានទូទាត់ទាន់ពេល។'
+    }
+  }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(TEMPLATES);
+
+/**
+ * Pick a supported locale from a tag or Accept-Language value
+ * ("km-KH" -> "km", "fr, km;q=0.8" -> "km", anything else -> "en")
+ * @param {string} value
+ * @returns {string}
+ */
+export function resolveLocale(value) {
+  if (!value || typeof value !== 'string') return DEFAULT_LOCALE;
+
+  const languages = value
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase().split(/[-_]/)[0])
+    .filter(Boolean);
+  return languages.find(language => SUPPORTED_LOCALES.includes(language)) || DEFAULT_LOCALE;
+}
+
+/**
+ * Fill {{placeholders}} in a template string
+ * @param {string} template
+ * @param {Object} variables
+ * @returns {string}
+ */
+export function interpolate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (variables[name] ?? '').toString());
+}
+
+/**
+ * Render a template for a channel
+ * @param {string} name - One of MESSAGE_TEMPLATES
+ * @param {string} locale
+ * @param {string} channel - email or sms
+ * @param {Object} variables
+ * @returns {{subject: string|null, body: string, locale: string}}
+ */
+export function renderTemplate(name, locale, channel, variables) {
+  const resolved = TEMPLATES[locale]?.[name] ? locale : DEFAULT_LOCALE;
+  const template = TEMPLATES[resolved][name];
+  if (!template) {
+    throw new Error(`Unknown message template "${name}"`);
+  }
+
+  if (channel === 'sms') {
+    return { subject: null, body: interpolate(template.sms, variables), locale: resolved };
+  }
+  return {
+    subject: interpolate(template.subject, variables),
+    body: interpolate(template.text, variables),
+    locale: resolved
+  };
+}
+
+export default {
+  DEFAULT_LOCALE,
+  MESSAGE_TEMPLATES,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  interpolate,
+  renderTemplate
+};
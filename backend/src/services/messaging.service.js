@@ -0,0 +1,390 @@
+/**
+ * Messaging Service - Transactional email and SMS through a persisted outbox
+ *
+ * Messages are rendered (see message-templates.js) and written to the
+ * MessageOutbox table inside the transaction of the change they report,
+ * so a committed order or status change always has its messages queued
+ * and a rolled back one never does. A worker sends due messages through
+ * the channel's provider (see message-providers.js):
+ * - transient failures are retried with exponential backoff
+ * - permanent failures and messages out of attempts are marked failed
+ * - messages left "sending" by a crash are picked up again on startup
+ *
+ * Sent for: order confirmation (POST /orders), payment received, shipped,
+ * delivered, cancelled and expired. Email goes to the account's address
+ * (guest orders and phone-only accounts get SMS only), SMS to the order's
+ * customer phone.
+ */
+
+import logger from '../utils/logger.js';
+import { MESSAGE_TEMPLATES, renderTemplate } from './message-templates.js';
+import { createProviderFromEnv } from './message-providers.js';
+
+export const MESSAGE_CHANNELS = ['email', 'sms'];
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+export const OUTBOX_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  batchSize: 20,
+  // A message "sending" for longer than this was interrupted
+  stuckAfterMinutes: 10
+};
+
+// Placeholder addresses given to phone-only (Firebase) accounts
+const PLACEHOLDER_EMAIL_DOMAIN = '.local';
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the templates and delivery rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Which template an order status change sends, if any
+ * Cancellations by the system are payment timeouts and read as "expired".
+ *
+ * @param {string} toStatus
+ * @param {string} actor
+ * @returns {string|null} One of MESSAGE_TEMPLATES
+ */
+export function orderTemplateFor(toStatus, actor) {
+  switch (toStatus) {
+    case 'paid':
+      return MESSAGE_TEMPLATES.PAYMENT_RECEIVED;
+    case 'shipped':
+      return MESSAGE_TEMPLATES.ORDER_SHIPPED;
+    case 'delivered':
+      return MESSAGE_TEMPLATES.ORDER_DELIVERED;
+    case 'cancelled':
+      return actor === 'system' ? MESSAGE_TEMPLATES.ORDER_EXPIRED : MESSAGE_TEMPLATES.ORDER_CANCELLED;
+    case 'expired':
+      return MESSAGE_TEMPLATES.ORDER_EXPIRED;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether an address can receive email
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isDeliverableEmail(email) {
+  return typeof email === 'string' &&
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) &&
+    !email.toLowerCase().endsWith(PLACEHOLDER_EMAIL_DOMAIN);
+}
+
+/**
+ * Outbox rows for an order message, one per reachable channel
+ *
+ * @param {Object} order - { id, orderNumber, customerName, customerPhone, total, paymentMethod, locale, email }
+ * @param {string} template - One of MESSAGE_TEMPLATES
+ * @param {Object} options
+ * @param {string} options.storeName
+ * @returns {Array<Object>} { channel, recipient, template, locale, subject, body, orderId, dedupeKey }
+ */
+export function buildOrderMessages(order, template, { storeName = 'ShopEase' } = {}) {
+  const variables = {
+    storeName,
+    orderNumber: order.orderNumber,
+    customerName: order.customerName || '',
+    total: `$${Number(order.total || 0).toFixed(2)}`,
+    paymentMethod: order.paymentMethod || ''
+  };
+
+  const recipients = [];
+  if (isDeliverableEmail(order.email)) recipients.push(['email', order.email]);
+  if (order.customerPhone && String(order.customerPhone).trim()) recipients.push(['sms', String(order.customerPhone).trim()]);
+
+  return recipients.map(([channel, recipient]) => {
+    const { subject, body, locale } = renderTemplate(template, order.locale, channel, variables);
+    return {
+      channel,
+      recipient,
+      template,
+      locale,
+      subject,
+      body,
+      orderId: order.id,
+      // One message per order, template and channel, however often the change is reported
+      dedupeKey: `order:${order.id}:${template}:${channel}`
+    };
+  });
+}
+
+/**
+ * Delay before a retry: baseDelayMs, doubled per attempt, capped at maxDelayMs
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds
+ */
+export function outboxRetryDelay(attempt, { baseDelayMs = OUTBOX_DEFAULTS.baseDelayMs, maxDelayMs = OUTBOX_DEFAULTS.maxDelayMs } = {}) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Send one outbox message and decide what happens to it
+ *
+ * @param {Object} message - Outbox row (channel, recipient, subject, body, attempts incl. this one)
+ * @param {Object} providers - { email, sms }
+ * @param {Object} options - OUTBOX_DEFAULTS overrides
+ * @returns {Promise<Object>} { status: 'sent', providerMessageId } | { status: 'pending', retryInMs, error } | { status: 'failed', error }
+ */
+export async function deliverMessage(message, providers, options = {}) {
+  const { maxAttempts = OUTBOX_DEFAULTS.maxAttempts, ...delayOptions } = options;
+  const provider = providers[message.channel];
+  if (!provider) {
+    return { status: 'failed', error: `No provider for channel "${message.channel}"` };
+  }
+
+  try {
+    const { providerMessageId = null } = await provider.send({
+      to: message.recipient,
+      subject: message.subject,
+      body: message.body
+    }) ?? {};
+    return { status: 'sent', providerMessageId };
+  } catch (error) {
+    if (error.permanent || message.attempts >= maxAttempts) {
+      return { status: 'failed', error: error.message };
+    }
+    return { status: 'pending', retryInMs: outboxRetryDelay(message.attempts, delayOptions), error: error.message };
+  }
+}
+
+let providers = null;
+
+/**
+ * Providers messages are sent with (from EMAIL_PROVIDER / SMS_PROVIDER on first use)
+ * @returns {{email: Object, sms: Object}}
+ */
+export function getMessageProviders() {
+  if (!providers) {
+    providers = {
+      email: createProviderFromEnv('email'),
+      sms: createProviderFromEnv('sms')
+    };
+  }
+  return providers;
+}
+
+/**
+ * Replace the providers (tests, or a different service)
+ * @param {Object|null} replacement - { email, sms }; null goes back to the environment
+ */
+export function setMessageProviders(replacement) {
+  providers = replacement;
+}
+
+/**
+ * Write messages to the outbox
+ * Run it on the connection of the change they report so both commit together.
+ * Messages whose dedupeKey is already queued are skipped.
+ *
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {Array<Object>} messages - From buildOrderMessages()
+ * @returns {Promise<number>} Messages queued
+ */
+export async function enqueueMessages(executor, messages) {
+  let queued = 0;
+  for (const message of messages) {
+    const [result] = await executor.execute(
+      `INSERT IGNORE INTO MessageOutbox
+        (channel, recipient, template, locale, subject, body, orderId, dedupeKey, status, attempts, nextAttemptAt, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, NOW(), NOW(), NOW())`,
+      [
+        message.channel,
+        message.recipient,
+        message.template,
+        message.locale,
+        message.subject,
+        message.body,
+        message.orderId ?? null,
+        message.dedupeKey ?? null
+      ]
+    );
+    queued += result.affectedRows;
+  }
+  return queued;
+}
+
+/**
+ * Queue an order's email/SMS for a template
+ *
+ * @param {Object} executor - Connection of the change (or the pool)
+ * @param {number} orderId
+ * @param {string} template - One of MESSAGE_TEMPLATES
+ * @returns {Promise<number>} Messages queued
+ */
+export async function enqueueOrderMessages(executor, orderId, template) {
+  const [rows] = await executor.execute(
+    `SELECT o.id, o.orderNumber, o.customerName, o.customerPhone, o.total, o.paymentMethod, o.locale, u.email
+     FROM \`Order\` o
+     LEFT JOIN User u ON u.id = o.userId
+     WHERE o.id = ?
+     LIMIT 1`,
+    [orderId]
+  );
+  const order = Array.isArray(rows) ? rows[0] : null;
+  if (!order) return 0;
+
+  const messages = buildOrderMessages(order, template, { storeName: process.env.MESSAGE_STORE_NAME || 'ShopEase' });
+  const queued = await enqueueMessages(executor, messages);
+  if (queued > 0) {
+    logger.debug('Order messages queued', { orderId, template, queued });
+  }
+  return queued;
+}
+
+/**
+ * Queue the messages for an order status change, if any are due
+ *
+ * @param {Object} executor - Connection of the status change
+ * @param {Object} change - { order: { id }, toStatus, actor }
+ * @returns {Promise<number>} Messages queued
+ */
+export async function queueOrderStatusMessages(executor, { order, toStatus, actor }) {
+  const template = orderTemplateFor(toStatus, actor);
+  if (!template) return 0;
+  return enqueueOrderMessages(executor, order.id, template);
+}
+
+/**
+ * Put messages interrupted mid-send (process died) back in the queue
+ * @param {number} minutes - How long "sending" counts as interrupted
+ * @returns {Promise<number>} Messages requeued
+ */
+export async function recoverStuckMessages(minutes = OUTBOX_DEFAULTS.stuckAfterMinutes) {
+  const result = await runQuery(
+    `UPDATE MessageOutbox SET status = 'pending', nextAttemptAt = NOW(), updatedAt = NOW()
+     WHERE status = 'sending' AND updatedAt < NOW() - INTERVAL ? MINUTE`,
+    [minutes]
+  );
+  return result.affectedRows;
+}
+
+let processing = null;
+
+async function processDueMessages(limit) {
+  const due = await runQuery(
+    `SELECT id FROM MessageOutbox
+     WHERE status = 'pending' AND nextAttemptAt <= NOW()
+     ORDER BY nextAttemptAt ASC, id ASC
+     LIMIT ${limit}`
+  );
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (const { id } of due) {
+    // Claim the message so a second worker (another instance) skips it
+    const claim = await runQuery(
+      "UPDATE MessageOutbox SET status = 'sending', attempts = attempts + 1, updatedAt = NOW() WHERE id = ? AND status = 'pending'",
+      [id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    const [message] = await runQuery('SELECT * FROM MessageOutbox WHERE id = ? LIMIT 1', [id]);
+    const outcome = await deliverMessage(message, getMessageProviders());
+
+    if (outcome.status === 'sent') {
+      summary.sent++;
+      await runQuery(
+        "UPDATE MessageOutbox SET status = 'sent', providerMessageId = ?, lastError = NULL, sentAt = NOW(), updatedAt = NOW() WHERE id = ?",
+        [outcome.providerMessageId, id]
+      );
+    } else if (outcome.status === 'pending') {
+      summary.retrying++;
+      await runQuery(
+        "UPDATE MessageOutbox SET status = 'pending', lastError = ?, nextAttemptAt = NOW() + INTERVAL ? SECOND, updatedAt = NOW() WHERE id = ?",
+        [outcome.error, Math.ceil(outcome.retryInMs / 1000), id]
+      );
+    } else {
+      summary.failed++;
+      logger.warn('Message failed', { id, channel: message.channel, template: message.template, error: outcome.error });
+      await runQuery(
+        "UPDATE MessageOutbox SET status = 'failed', lastError = ?, updatedAt = NOW() WHERE id = ?",
+        [outcome.error, id]
+      );
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info('Outbox processed', summary);
+  }
+  return summary;
+}
+
+/**
+ * Send the messages that are due
+ * Calls made while a run is in progress share that run.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Most messages to send in this run
+ * @returns {Promise<{sent: number, retrying: number, failed: number}>}
+ */
+export async function processOutbox({ limit = OUTBOX_DEFAULTS.batchSize } = {}) {
+  if (!processing) {
+    processing = processDueMessages(limit).finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+}
+
+/**
+ * Send due messages soon without waiting for them (after queueing some)
+ */
+export function kickOutbox() {
+  setImmediate(() => {
+    processOutbox().catch(error => {
+      logger.error('Outbox run failed', { error: error.message });
+    });
+  });
+}
+
+/**
+ * Start sending queued messages in the background
+ * Messages interrupted by a previous shutdown are requeued first.
+ *
+ * @param {Object} options
+ * @param {number} options.intervalMs - How often to look for due messages
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startOutboxWorker({ intervalMs = 30000 } = {}) {
+  recoverStuckMessages()
+    .then(recovered => {
+      if (recovered > 0) logger.info('Requeued interrupted messages', { recovered });
+      kickOutbox();
+    })
+    .catch(error => {
+      logger.error('Outbox recovery failed', { error: error.message });
+    });
+
+  return setInterval(kickOutbox, intervalMs);
+}
+
+export default {
+  MESSAGE_CHANNELS,
+  OUTBOX_STATUSES,
+  OUTBOX_DEFAULTS,
+  orderTemplateFor,
+  isDeliverableEmail,
+  buildOrderMessages,
+  outboxRetryDelay,
+  deliverMessage,
+  getMessageProviders,
+  setMessageProviders,
+  enqueueMessages,
+  enqueueOrderMessages,
+  queueOrderStatusMessages,
+  recoverStuckMessages,
+  processOutbox,
+  kickOutbox,
+  startOutboxWorker
+};
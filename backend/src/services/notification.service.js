@@ -0,0 +1,341 @@
+/**
+ * Notification Service - Per-user notification inbox
+ *
+ * Notifications are stored server-side so they survive reinstalls and
+ * follow the user across devices. They are created:
+ * - by the order lifecycle whenever an order changes status (admin
+ *   updates, the Bakong webhook/status check, the expired order cleanup,
+ *   approved returns); customers aren't told about their own cancellations
+ * - by admins messaging customers
+ *
+ * Guest orders (no userId) have no inbox and are skipped.
+ */
+
+import logger from '../utils/logger.js';
+
+export const NOTIFICATION_TYPES = {
+  ORDER_UPDATE: 'order_update',
+  PAYMENT: 'payment',
+  MESSAGE: 'message'
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const MAX_TITLE_LENGTH = 255;
+export const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Error raised for notification requests that can't be served.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class NotificationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the message rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * What to tell the customer about an order status change
+ * @param {Object} change
+ * @param {string} change.orderNumber
+ * @param {string} change.toStatus
+ * @param {string} change.actor - Who changed it (admin, system, bakong, customer)
+ * @returns {{type: string, title: string, message: string}|null} null if nothing to say
+ */
+export function buildOrderNotification({ orderNumber, toStatus, actor }) {
+  const order = `Your order ${orderNumber}`;
+
+  switch (toStatus) {
+    case 'paid':
+      return { type: NOTIFICATION_TYPES.PAYMENT, title: 'Payment received', message: `We received the payment for order ${orderNumber}. Thank you!` };
+    case 'processing':
+      return { type: NOTIFICATION_TYPES.ORDER_UPDATE, title: 'Order processing', message: `${order} is being prepared.` };
+    case 'shipped':
+      return { type: NOTIFICATION_TYPES.ORDER_UPDATE, title: 'Order shipped', message: `${order} is on its way.` };
+    case 'delivered':
+      return { type: NOTIFICATION_TYPES.ORDER_UPDATE, title: 'Order delivered', message: `${order} has been delivered. Enjoy!` };
+    case 'cancelled':
+      if (actor === 'customer') return null;
+      return {
+        type: NOTIFICATION_TYPES.ORDER_UPDATE,
+        title: 'Order cancelled',
+        message: actor === 'system'
+          ? `${order} was cancelled because the payment wasn't completed in time.`
+          : `${order} has been cancelled.`
+      };
+    case 'expired':
+      return { type: NOTIFICATION_TYPES.PAYMENT, title: 'Payment window expired', message: `The payment time for order ${orderNumber} ran out.` };
+    case 'failed':
+      return { type: NOTIFICATION_TYPES.PAYMENT, title: 'Payment failed', message: `The payment for order ${orderNumber} didn't go through.` };
+    case 'returned':
+      return { type: NOTIFICATION_TYPES.ORDER_UPDATE, title: 'Return completed', message: `The return of order ${orderNumber} is complete.` };
+    case 'refunded':
+      return { type: NOTIFICATION_TYPES.PAYMENT, title: 'Refund issued', message: `The refund for order ${orderNumber} has been issued.` };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Map a Notification row to its API shape
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function mapNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data ?? null,
+    isRead: row.isRead === 1 || row.isRead === true,
+    readAt: row.readAt ?? null,
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * Validate list query parameters
+ * @param {Object} query - req.query (unreadOnly, page, limit)
+ * @returns {{unreadOnly: boolean, page: number, limit: number}}
+ */
+export function parseNotificationQuery(query = {}) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+  const unreadOnly = query.unreadOnly === 'true' || query.unreadOnly === true;
+  return { unreadOnly, page, limit };
+}
+
+/**
+ * Validate an admin message
+ * @param {Object} body - { userIds?, allCustomers?, title, message }
+ * @returns {{userIds: Array<number>, allCustomers: boolean, title: string, message: string}}
+ */
+export function parseAdminMessage(body = {}) {
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  const allCustomers = body.allCustomers === true;
+
+  if (!title) throw new NotificationError('Title is required');
+  if (title.length > MAX_TITLE_LENGTH) throw new NotificationError(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  if (!message) throw new NotificationError('Message is required');
+  if (message.length > MAX_MESSAGE_LENGTH) throw new NotificationError(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+
+  let userIds = [];
+  if (!allCustomers) {
+    if (!Array.isArray(body.userIds) || body.userIds.length === 0) {
+      throw new NotificationError('Pick the recipients (userIds) or send to allCustomers');
+    }
+    userIds = [...new Set(body.userIds.map(Number))];
+    if (userIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new NotificationError('userIds must be user IDs');
+    }
+  }
+
+  return { userIds, allCustomers, title, message };
+}
+
+/**
+ * Store a notification
+ * Run it on the connection of the change it reports so both commit together.
+ *
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {Object} notification - { userId, type, title, message, data }
+ * @returns {Promise<number>} Notification ID
+ */
+export async function createNotification(executor, { userId, type, title, message, data = null }) {
+  const [result] = await executor.execute(
+    'INSERT INTO Notification (userId, type, title, message, data, isRead, createdAt) VALUES (?, ?, ?, ?, ?, FALSE, NOW())',
+    [userId, type, title, message, data ? JSON.stringify(data) : null]
+  );
+  return result.insertId;
+}
+
+/**
+ * Tell the order's owner about a status change
+ *
+ * @param {Object} executor - Connection of the status change
+ * @param {Object} change
+ * @param {Object} change.order - { id, orderNumber, userId }
+ * @param {string} change.toStatus
+ * @param {string} change.actor
+ * @returns {Promise<number|null>} Notification ID, or null if none was due
+ */
+export async function notifyOrderStatusChange(executor, { order, toStatus, actor }) {
+  if (!order.userId) return null;
+
+  const content = buildOrderNotification({ orderNumber: order.orderNumber, toStatus, actor });
+  if (!content) return null;
+
+  const id = await createNotification(executor, {
+    userId: order.userId,
+    ...content,
+    data: { orderId: order.id, orderNumber: order.orderNumber, status: toStatus }
+  });
+  logger.debug('Order notification created', { notificationId: id, orderId: order.id, toStatus });
+  return id;
+}
+
+/**
+ * Number of unread notifications
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+export async function getUnreadCount(userId) {
+  const [{ count }] = await runQuery(
+    'SELECT COUNT(*) as count FROM Notification WHERE userId = ? AND isRead = FALSE',
+    [userId]
+  );
+  return Number(count);
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {number} userId
+ * @param {Object} options - From parseNotificationQuery()
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+export async function listNotifications(userId, { unreadOnly = false, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const where = unreadOnly ? 'userId = ? AND isRead = FALSE' : 'userId = ?';
+
+  const rows = await runQuery(
+    `SELECT * FROM Notification WHERE ${where} ORDER BY createdAt DESC, id DESC LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    [userId]
+  );
+  const [{ total }] = await runQuery(`SELECT COUNT(*) as total FROM Notification WHERE ${where}`, [userId]);
+
+  return {
+    notifications: rows.map(mapNotification),
+    unreadCount: await getUnreadCount(userId),
+    pagination: {
+      page,
+      limit,
+      total: Number(total),
+      totalPages: Math.ceil(Number(total) / limit)
+    }
+  };
+}
+
+/**
+ * Mark one of the user's notifications as read
+ * @param {number} userId
+ * @param {number} notificationId
+ * @returns {Promise<Object>} The notification
+ */
+export async function markNotificationRead(userId, notificationId) {
+  await runQuery(
+    'UPDATE Notification SET isRead = TRUE, readAt = COALESCE(readAt, NOW()) WHERE id = ? AND userId = ?',
+    [notificationId, userId]
+  );
+  const rows = await runQuery('SELECT * FROM Notification WHERE id = ? AND userId = ? LIMIT 1', [notificationId, userId]);
+  if (rows.length === 0) {
+    throw new NotificationError('Notification not found', 404);
+  }
+  return mapNotification(rows[0]);
+}
+
+/**
+ * Mark all of the user's notifications as read
+ * @param {number} userId
+ * @returns {Promise<number>} Notifications that were unread
+ */
+export async function markAllNotificationsRead(userId) {
+  const result = await runQuery(
+    'UPDATE Notification SET isRead = TRUE, readAt = NOW() WHERE userId = ? AND isRead = FALSE',
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Delete one of the user's notifications
+ * @param {number} userId
+ * @param {number} notificationId
+ */
+export async function deleteNotification(userId, notificationId) {
+  const result = await runQuery('DELETE FROM Notification WHERE id = ? AND userId = ?', [notificationId, userId]);
+  if (result.affectedRows === 0) {
+    throw new NotificationError('Notification not found', 404);
+  }
+}
+
+/**
+ * Delete all of the user's notifications
+ * @param {number} userId
+ * @returns {Promise<number>} Notifications deleted
+ */
+export async function clearNotifications(userId) {
+  const result = await runQuery('DELETE FROM Notification WHERE userId = ?', [userId]);
+  return result.affectedRows;
+}
+
+/**
+ * Send an admin message to some users or every active customer
+ * @param {Object} input - From parseAdminMessage()
+ * @param {Object} options
+ * @param {number} options.actorId - Admin sending it
+ * @returns {Promise<{sent: number}>}
+ */
+export async function sendAdminMessage({ userIds, allCustomers, title, message }, { actorId }) {
+  const data = JSON.stringify({ sentById: actorId });
+
+  let result;
+  if (allCustomers) {
+    result = await runQuery(
+      `INSERT INTO Notification (userId, type, title, message, data, isRead, createdAt)
+       SELECT id, ?, ?, ?, ?, FALSE, NOW() FROM User WHERE role = 'USER' AND isActive = TRUE`,
+      [NOTIFICATION_TYPES.MESSAGE, title, message, data]
+    );
+  } else {
+    const users = await runQuery(
+      `SELECT id FROM User WHERE id IN (${userIds.map(() => '?').join(',')})`,
+      userIds
+    );
+    const found = new Set(users.map(user => user.id));
+    const missing = userIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new NotificationError('Some users do not exist', 404, { missing });
+    }
+
+    result = await runQuery(
+      `INSERT INTO Notification (userId, type, title, message, data, isRead, createdAt)
+       SELECT id, ?, ?, ?, ?, FALSE, NOW() FROM User WHERE id IN (${userIds.map(() => '?').join(',')})`,
+      [NOTIFICATION_TYPES.MESSAGE, title, message, data, ...userIds]
+    );
+  }
+
+  logger.info('Admin message sent', { actorId, recipients: result.affectedRows, allCustomers });
+  return { sent: result.affectedRows };
+}
+
+export default {
+  NOTIFICATION_TYPES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  NotificationError,
+  buildOrderNotification,
+  mapNotification,
+  parseNotificationQuery,
+  parseAdminMessage,
+  createNotification,
+  notifyOrderStatusChange,
+  getUnreadCount,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  clearNotifications,
+  sendAdminMessage
+};
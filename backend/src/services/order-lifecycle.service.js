@@ -0,0 +1,459 @@
+/**
+ * Order Lifecycle Service
+ *
+ * Single source of truth for order status changes:
+ * - Allowed status transitions (state machine)
+ * - Stock restoration when an order leaves the fulfilment flow (logged as inventory movements)
+ * - Converting/releasing the order's stock holds (see stock-reservation.service.js)
+ * - OrderStatusHistory entries recording who made each change
+ * - Notifying the customer (see notification.service.js), queueing their
+ *   email/SMS (see messaging.service.js), plus a push once changeOrderStatus
+ *   has committed (see push.service.js)
+ * - Expiring pending payment attempts of cancelled orders (see payment.service.js)
+ * - A Refund row for whatever wasn't refunded yet when an order is marked refunded
+ *
+ * Shared by the admin status route, the Bakong webhook/status routes
+ * and the expired order cleanup job.
+ */
+
+import logger from '../utils/logger.js';
+import { convertReservations, releaseReservations } from './stock-reservation.service.js';
+import { recordMovement, restockReasonFor } from './inventory-movement.service.js';
+import { syncLowStockAlerts } from './low-stock.service.js';
+import { roundMoney } from './checkout.service.js';
+import { notifyOrderStatusChange } from './notification.service.js';
+import { dispatchOrderPush } from './push.service.js';
+import { kickOutbox, queueOrderStatusMessages } from './messaging.service.js';
+import { closePendingPayments } from './payment.service.js';
+
+/**
+ * All order statuses known to the system
+ * (expired/failed are kept for orders created before the lifecycle existed)
+ */
+export const ORDER_STATUSES = [
+  'pending',
+  'paid',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded',
+  'returned',
+  'expired',
+  'failed'
+];
+
+/**
+ * Allowed transitions: current status -> statuses it may move to
+ *
+ * pending → paid → processing → shipped → delivered
+ * Cash on Delivery orders skip "paid" and go straight to processing.
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ['paid', 'processing', 'cancelled', 'expired', 'failed'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: [],
+  refunded: [],
+  expired: [],
+  failed: []
+};
+
+/**
+ * Statuses in which the order's items are still deducted from stock
+ */
+const STOCK_HOLDING_STATUSES = ['pending', 'paid', 'processing'];
+
+/**
+ * Statuses that hand the order's items back to stock
+ * (refunded only while the items haven't shipped yet: paid/processing → refunded)
+ */
+const STOCK_RELEASING_STATUSES = ['cancelled', 'expired', 'failed', 'refunded'];
+
+/**
+ * Statuses that confirm the sale of an order's held stock
+ */
+const SALE_CONFIRMING_STATUSES = ['paid', 'processing'];
+
+/**
+ * Statuses in which customers may cancel their own order (not paid yet)
+ */
+export const CUSTOMER_CANCELLABLE_STATUSES = ['pending'];
+
+/**
+ * Who triggered a status change (stored in OrderStatusHistory.changedBy)
+ */
+export const ORDER_ACTORS = {
+  ADMIN: 'admin',
+  CUSTOMER: 'customer',
+  SYSTEM: 'system',
+  BAKONG: 'bakong'
+};
+
+/**
+ * Error raised for rejected status changes.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class OrderLifecycleError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'OrderLifecycleError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Check if a status is known
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isValidStatus(status) {
+  return ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Get the statuses an order may move to from its current status
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+export function getAllowedTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check if an order may move from one status to another
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Check if moving between two statuses hands stock back
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export function releasesStock(fromStatus, toStatus) {
+  return STOCK_HOLDING_STATUSES.includes(fromStatus) && STOCK_RELEASING_STATUSES.includes(toStatus);
+}
+
+/**
+ * Check if moving between two statuses turns the order's holds into a sale
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export function confirmsSale(fromStatus, toStatus) {
+  return fromStatus === 'pending' && SALE_CONFIRMING_STATUSES.includes(toStatus);
+}
+
+/**
+ * Throw if a transition is not allowed
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ */
+export function assertTransition(fromStatus, toStatus) {
+  if (!isValidStatus(toStatus)) {
+    throw new OrderLifecycleError(
+      `Invalid status "${toStatus}". Valid statuses: ${ORDER_STATUSES.join(', ')}`,
+      400
+    );
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    const allowed = getAllowedTransitions(fromStatus);
+    throw new OrderLifecycleError(
+      `Cannot change order status from ${fromStatus} to ${toStatus}. ` +
+        (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `${fromStatus} is a final status`),
+      409,
+      { currentStatus: fromStatus, allowedStatuses: allowed }
+    );
+  }
+}
+
+/**
+ * Record the refund of an order marked refunded by hand
+ * Approved returns may have refunded part of it already (Refund rows with a
+ * returnId); only the rest is recorded, so revenue minus refunds nets the
+ * order to zero.
+ *
+ * @param {Object} connection - mysql2 connection with an open transaction
+ * @param {number} orderId
+ * @param {Object} options - { actorId, note }
+ * @returns {Promise<number>} Amount recorded (0 when nothing was left)
+ */
+async function recordOrderRefund(connection, orderId, { actorId = null, note = null } = {}) {
+  const [rows] = await connection.execute(
+    `SELECT o.total, COALESCE((SELECT SUM(r.amount) FROM Refund r WHERE r.orderId = o.id), 0) AS refunded
+     FROM \`Order\` o WHERE o.id = ?`,
+    [orderId]
+  );
+  const outstanding = rows[0] ? roundMoney(Number(rows[0].total) - Number(rows[0].refunded)) : 0;
+  if (outstanding <= 0) return 0;
+
+  await connection.execute(
+    `INSERT INTO Refund (orderId, returnId, amount, method, reference, createdById, createdAt)
+     VALUES (?, NULL, ?, 'original_payment', ?, ?, NOW())`,
+    [orderId, outstanding, note ? String(note).slice(0, 255) : null, actorId]
+  );
+  return outstanding;
+}
+
+/**
+ * Move an order to a new status inside the caller's transaction
+ * Locks the order row, validates the transition, restores stock and releases
+ * its holds when the order is cancelled/expired/failed (or refunded before
+ * shipping), converts holds to a sale when it is paid/confirmed, and records
+ * the change in history.
+ *
+ * @param {Object} connection - mysql2 connection with an open transaction
+ * @param {number} orderId - Order ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {string} options.actor - One of ORDER_ACTORS
+ * @param {number} options.actorId - User ID of the actor (if any)
+ * @param {string} options.note - History note (defaults to "Status changed from X to Y")
+ * @param {string} options.expectedStatus - Reject unless the order is currently in this status
+ * @returns {Promise<{order: Object, fromStatus: string, toStatus: string, restoredItems: Array}>}
+ */
+export async function transitionOrder(connection, orderId, toStatus, options = {}) {
+  const {
+    actor = ORDER_ACTORS.SYSTEM,
+    actorId = null,
+    note = null,
+    expectedStatus = null
+  } = options;
+
+  const [orderRows] = await connection.execute(
+    'SELECT id, orderNumber, status, userId FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE',
+    [orderId]
+  );
+  const order = orderRows[0];
+
+  if (!order) {
+    throw new OrderLifecycleError('Order not found', 404);
+  }
+
+  const fromStatus = order.status;
+
+  if (expectedStatus && fromStatus !== expectedStatus) {
+    throw new OrderLifecycleError(
+      `Order is ${fromStatus}, expected ${expectedStatus}`,
+      409,
+      { currentStatus: fromStatus, allowedStatuses: getAllowedTransitions(fromStatus) }
+    );
+  }
+
+  assertTransition(fromStatus, toStatus);
+
+  // Hand items back to stock when the order leaves the fulfilment flow
+  const restoredItems = [];
+  if (releasesStock(fromStatus, toStatus)) {
+    const [orderItems] = await connection.execute(
+      'SELECT productId, variantId, quantity FROM OrderItem WHERE orderId = ?',
+      [orderId]
+    );
+
+    for (const item of orderItems) {
+      if (item.productId && item.quantity > 0) {
+        await connection.execute(
+          'UPDATE Product SET stock = stock + ? WHERE id = ?',
+          [item.quantity, item.productId]
+        );
+        if (item.variantId) {
+          await connection.execute(
+            'UPDATE ProductVariant SET stock = stock + ? WHERE id = ?',
+            [item.quantity, item.variantId]
+          );
+        }
+        await recordMovement(connection, {
+          productId: item.productId,
+          variantId: item.variantId,
+          delta: item.quantity,
+          reason: restockReasonFor(toStatus),
+          actor,
+          actorId,
+          orderId,
+          note
+        });
+        restoredItems.push(item);
+      }
+    }
+
+    await releaseReservations(connection, orderId, toStatus);
+    await syncLowStockAlerts(connection, restoredItems.map(item => item.productId));
+    await closePendingPayments(connection, orderId, toStatus);
+  } else if (confirmsSale(fromStatus, toStatus)) {
+    await convertReservations(connection, orderId);
+  }
+
+  if (toStatus === 'refunded') {
+    await recordOrderRefund(connection, orderId, { actorId, note });
+  }
+
+  await connection.execute(
+    'UPDATE `Order` SET status = ?, updatedAt = NOW() WHERE id = ?',
+    [toStatus, orderId]
+  );
+
+  await connection.execute(
+    `INSERT INTO OrderStatusHistory (orderId, status, fromStatus, note, changedBy, changedById, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [orderId, toStatus, fromStatus, note || `Status changed from ${fromStatus} to ${toStatus}`, actor, actorId]
+  );
+
+  await notifyOrderStatusChange(connection, { order, toStatus, actor });
+  await queueOrderStatusMessages(connection, { order, toStatus, actor });
+
+  logger.logOrder('STATUS_CHANGE', order.orderNumber, toStatus);
+  logger.debug('Order status changed', {
+    orderId,
+    fromStatus,
+    toStatus,
+    actor,
+    actorId,
+    restoredItems: restoredItems.length
+  });
+
+  return {
+    order: { ...order, status: toStatus },
+    fromStatus,
+    toStatus,
+    restoredItems
+  };
+}
+
+/**
+ * Side effects of a status change that must wait for its commit:
+ * the customer's push, an immediate outbox run for the queued email/SMS and,
+ * when stock went back, fresh product lists/search for the storefront
+ * Not awaited: retries must not hold up the response.
+ *
+ * @param {Object} result - From transitionOrder()
+ * @param {string} actor - One of ORDER_ACTORS
+ */
+export function afterStatusCommit(result, actor = ORDER_ACTORS.SYSTEM) {
+  dispatchOrderPush({ order: result.order, toStatus: result.toStatus, actor });
+  kickOutbox();
+
+  if (result.restoredItems?.length > 0) {
+    // Imported lazily: the cache layer pulls in the Prisma product queries
+    import('./products-cached.service.js')
+      .then(({ invalidateProductsCache }) => invalidateProductsCache(result.restoredItems.map(item => item.productId)))
+      .catch(error => logger.error('Product cache invalidation failed', { orderId: result.order.id, error: error.message }));
+  }
+}
+
+/**
+ * Move an order to a new status in its own transaction
+ * The customer gets a push for it once it is committed.
+ *
+ * @param {number} orderId - Order ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options - See transitionOrder
+ * @returns {Promise<{order: Object, fromStatus: string, toStatus: string, restoredItems: Array}>}
+ */
+export async function changeOrderStatus(orderId, toStatus, options = {}) {
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await transitionOrder(connection, orderId, toStatus, options);
+    await connection.commit();
+
+    afterStatusCommit(result, options.actor ?? ORDER_ACTORS.SYSTEM);
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Cancel an order on behalf of its owner
+ * Only unpaid (pending) orders can be cancelled; stock is restored and the
+ * reason is recorded in the history, all in one transaction.
+ *
+ * @param {number} orderId - Order ID
+ * @param {number} userId - Customer asking for the cancellation
+ * @param {string} reason - Why the customer cancels (required)
+ * @returns {Promise<{order: Object, fromStatus: string, toStatus: string, restoredItems: Array}>}
+ */
+export async function cancelOrderByCustomer(orderId, userId, reason) {
+  const trimmedReason = typeof reason === 'string' ? reason.trim().slice(0, 500) : '';
+  if (!trimmedReason) {
+    throw new OrderLifecycleError('A cancellation reason is required', 400);
+  }
+
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [orderRows] = await connection.execute(
+      'SELECT id, userId, status FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE',
+      [orderId]
+    );
+    const order = orderRows[0];
+
+    if (!order) {
+      throw new OrderLifecycleError('Order not found', 404);
+    }
+    if (!order.userId || order.userId !== userId) {
+      throw new OrderLifecycleError('You do not have permission to cancel this order', 403);
+    }
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new OrderLifecycleError(
+        'This order can no longer be cancelled. Please contact support.',
+        409,
+        { currentStatus: order.status }
+      );
+    }
+
+    const result = await transitionOrder(connection, orderId, 'cancelled', {
+      actor: ORDER_ACTORS.CUSTOMER,
+      actorId: userId,
+      note: `Cancelled by customer: ${trimmedReason}`,
+      expectedStatus: order.status
+    });
+
+    await connection.commit();
+
+    afterStatusCommit(result, ORDER_ACTORS.CUSTOMER);
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  ORDER_ACTORS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  OrderLifecycleError,
+  isValidStatus,
+  getAllowedTransitions,
+  canTransition,
+  releasesStock,
+  confirmsSale,
+  assertTransition,
+  transitionOrder,
+  afterStatusCommit,
+  changeOrderStatus,
+  cancelOrderByCustomer
+};
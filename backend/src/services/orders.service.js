@@ -10,6 +10,7 @@
 
 import { query } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { ORDER_STATUSES, getAllowedTransitions } from './order-lifecycle.service.js';
 
 /**
  * Get orders with optional filtering
@@ -55,7 +56,7 @@ export async function getOrdersList(options = {}) {
     }
 
     // Filter by status
-    if (status && ['pending', 'processing', 'delivered', 'cancelled'].includes(status)) {
+    if (status && ORDER_STATUSES.includes(status)) {
       whereConditions.push('status = ?');
       queryParams.push(status);
     }
@@ -108,7 +109,10 @@ export async function getOrdersList(options = {}) {
     });
 
     return {
-      data: orders,
+      data: orders.map(order => ({
+        ...order,
+        allowedStatuses: getAllowedTransitions(order.status)
+      })),
       pagination: {
         page: safePage,
         limit: safeLimit,
@@ -175,6 +179,59 @@ export async function getOrderById(orderId, userId = null, isAdmin = false) {
   }
 }
 
+/**
+ * Build the WHERE clause for order search filters
+ * Shared by searchOrders and the admin order export so both match the same orders
+ *
+ * @param {Object} filters - Search filters
+ * @param {string} filters.search - Order number, customer name or phone
+ * @param {string} filters.status - Status filter
+ * @param {number} filters.minAmount - Minimum order total
+ * @param {number} filters.maxAmount - Maximum order total
+ * @returns {{whereClause: string, params: Array}}
+ */
+export function buildOrderSearchFilters(filters = {}) {
+  const {
+    search = '',
+    status = null,
+    minAmount = null,
+    maxAmount = null
+  } = filters;
+
+  const whereConditions = [];
+  const params = [];
+
+  // Search
+  if (search) {
+    whereConditions.push(
+      '(orderNumber LIKE ? OR customerName LIKE ? OR customerPhone LIKE ?)'
+    );
+    const searchPattern = `%${search}%`;
+    params.push(searchPattern, searchPattern, searchPattern);
+  }
+
+  // Status filter
+  if (status && ORDER_STATUSES.includes(status)) {
+    whereConditions.push('status = ?');
+    params.push(status);
+  }
+
+  // Amount filters
+  if (minAmount !== null && minAmount !== undefined) {
+    whereConditions.push('total >= ?');
+    params.push(minAmount);
+  }
+  if (maxAmount !== null && maxAmount !== undefined) {
+    whereConditions.push('total <= ?');
+    params.push(maxAmount);
+  }
+
+  return {
+    whereClause: whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '',
+    params
+  };
+}
+
 /**
  * Search orders with advanced filters
  * ✅ OPTIMIZED: Efficient SQL with proper conditions
@@ -199,40 +256,9 @@ export async function searchOrders(filters = {}) {
   } = filters;
 
   const skip = (page - 1) * limit;
-  let whereConditions = [];
-  let queryParams = [];
 
   try {
-    // Search
-    if (search) {
-      whereConditions.push(
-        '(orderNumber LIKE ? OR customerName LIKE ? OR customerEmail LIKE ? OR customerPhone LIKE ?)'
-      );
-      const searchPattern = `%${search}%`;
-      queryParams.push(searchPattern, searchPattern, searchPattern, searchPattern);
-    }
-
-    // Status filter
-    if (status && ['pending', 'processing', 'delivered', 'cancelled'].includes(status)) {
-      whereConditions.push('status = ?');
-      queryParams.push(status);
-    }
-
-    // Amount filters
-    if (minAmount !== null) {
-      whereConditions.push('totalAmount >= ?');
-      queryParams.push(minAmount);
-    }
-    if (maxAmount !== null) {
-      whereConditions.push('totalAmount <= ?');
-      queryParams.push(maxAmount);
-    }
-
-    // Build WHERE clause
-    let whereClause = '';
-    if (whereConditions.length > 0) {
-      whereClause = ' WHERE ' + whereConditions.join(' AND ');
-    }
+    const { whereClause, params: queryParams } = buildOrderSearchFilters(filters);
 
     // Get total
     const countResult = await query(
@@ -362,6 +388,7 @@ export async function getOrderStats(userId = null) {
 export default {
   getOrdersList,
   getOrderById,
+  buildOrderSearchFilters,
   searchOrders,
   getUserOrders,
   getOrderStats
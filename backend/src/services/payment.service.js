@@ -0,0 +1,351 @@
+/**
+ * Payment Service - Ledger of payment attempts, separate from orders
+ *
+ * Every Bakong QR code issued for an order is a Payment row (pending) with
+ * its KHQR md5. Issuing a new QR supersedes the previous one; the status
+ * poll or the webhook settles it (paid, with the provider's transaction hash
+ * and raw response), a payment that doesn't match the order is recorded as
+ * failed, and pending rows expire when the order is cancelled.
+ *
+ * Admins reconcile each order against its payments (see summarizePayments).
+ */
+
+import logger from '../utils/logger.js';
+import { roundMoney } from './checkout.service.js';
+
+export const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'expired', 'superseded'];
+
+export const PAYMENT_SOURCES = {
+  CHECKOUT: 'checkout',
+  QR: 'qr',
+  REGENERATE: 'regenerate',
+  POLL: 'poll',
+  WEBHOOK: 'webhook'
+};
+
+// Order statuses that mean the customer has paid (or been paid back)
+const PAID_ORDER_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'returned', 'refunded'];
+
+// Order statuses that end a pending payment attempt
+const CLOSING_ORDER_STATUSES = ['cancelled', 'expired', 'failed'];
+
+const MAX_PAYLOAD_LENGTH = 65535;
+
+/**
+ * Error raised when payments can't be looked up.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the reconciliation rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+function serializePayload(payload) {
+  if (payload === undefined || payload === null) return null;
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return text.slice(0, MAX_PAYLOAD_LENGTH);
+}
+
+/**
+ * Shape a Payment row for API responses
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function mapPayment(row) {
+  let payload = row.rawPayload ?? null;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      // Not JSON: keep the text as received
+    }
+  }
+
+  return {
+    id: row.id,
+    orderId: row.orderId,
+    method: row.method,
+    amount: Number(row.amount),
+    currency: row.currency,
+    khqrMd5: row.khqrMd5 ?? null,
+    providerRef: row.providerRef ?? null,
+    status: row.status,
+    source: row.source,
+    error: row.error ?? null,
+    rawPayload: payload,
+    expiresAt: row.expiresAt ?? null,
+    paidAt: row.paidAt ?? null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * Whether a payment is for exactly the order's total
+ * KHR amounts are compared in whole riel, USD amounts in cents.
+ *
+ * @param {number|string} orderTotal - Order.total (USD)
+ * @param {Object} payment - { amount, currency }
+ * @param {number} khrRate - Riel per US dollar
+ * @returns {boolean}
+ */
+export function paymentCoversTotal(orderTotal, { amount, currency }, khrRate) {
+  if (currency === 'KHR') return Math.round(Number(amount)) === Math.round(Number(orderTotal) * khrRate);
+  if (currency === 'USD') return Math.round(Number(amount) * 100) === Math.round(Number(orderTotal) * 100);
+  return false;
+}
+
+/**
+ * Reconcile an order with its payments
+ *
+ * status is one of:
+ * - matched: one paid payment for the order total
+ * - unpaid: nothing paid yet and the order doesn't claim otherwise
+ * - missing: the order is paid but no payment was recorded
+ * - mismatch: the paid amount differs from the order total
+ * - duplicate: the order was paid more than once
+ * - refund_due: paid, but the order was cancelled
+ * - untracked: the payment method isn't recorded in the ledger (e.g. cash on delivery)
+ *
+ * @param {Object} order - { total, status, paymentMethod }
+ * @param {Array} payments - From mapPayment()
+ * @param {number} khrRate - Riel per US dollar
+ * @returns {{status: string, expected: Object, paidCount: number, paid: Array}}
+ */
+export function summarizePayments(order, payments, khrRate) {
+  const total = Number(order.total);
+  const expected = { USD: roundMoney(total), KHR: Math.round(total * khrRate) };
+  const paid = payments.filter(payment => payment.status === 'paid');
+  const summary = {
+    expected,
+    paidCount: paid.length,
+    paid: paid.map(payment => ({ amount: payment.amount, currency: payment.currency }))
+  };
+
+  let status;
+  if (paid.length === 0) {
+    if (payments.length === 0 && order.paymentMethod !== 'Bakong') {
+      status = 'untracked';
+    } else {
+      status = PAID_ORDER_STATUSES.includes(order.status) ? 'missing' : 'unpaid';
+    }
+  } else if (paid.length > 1) {
+    status = 'duplicate';
+  } else if (!paymentCoversTotal(total, paid[0], khrRate)) {
+    status = 'mismatch';
+  } else if (CLOSING_ORDER_STATUSES.includes(order.status)) {
+    status = 'refund_due';
+  } else {
+    status = 'matched';
+  }
+
+  return { status, ...summary };
+}
+
+/**
+ * Record a KHQR code issued for an order
+ * Earlier pending codes of the order are superseded: only the latest one is polled.
+ *
+ * @param {Object} input
+ * @param {number} input.orderId
+ * @param {number} input.amount - Amount encoded in the QR
+ * @param {string} input.currency
+ * @param {string} input.khqrMd5
+ * @param {string} input.expiresAt - ISO date
+ * @param {string} input.source - PAYMENT_SOURCES value
+ * @returns {Promise<number>} Payment id
+ */
+export async function recordQrPayment({ orderId, amount, currency = 'KHR', khqrMd5, expiresAt = null, source = PAYMENT_SOURCES.QR }) {
+  await runQuery(
+    `UPDATE Payment SET status = 'superseded', updatedAt = NOW()
+     WHERE orderId = ? AND status = 'pending'`,
+    [orderId]
+  );
+
+  const result = await runQuery(
+    `INSERT INTO Payment (orderId, method, amount, currency, khqrMd5, status, source, expiresAt, createdAt, updatedAt)
+     VALUES (?, 'Bakong', ?, ?, ?, 'pending', ?, ?, NOW(), NOW())`,
+    [orderId, amount, currency, khqrMd5 ?? null, source, expiresAt ? new Date(expiresAt) : null]
+  );
+  return result.insertId;
+}
+
+/**
+ * Latest pending payment of an order (the QR code customers are paying)
+ * @param {number} orderId
+ * @returns {Promise<Object|null>}
+ */
+export async function findPendingPayment(orderId) {
+  const [row] = await runQuery(
+    `SELECT * FROM Payment WHERE orderId = ? AND status = 'pending'
+     ORDER BY createdAt DESC, id DESC LIMIT 1`,
+    [orderId]
+  );
+  return row ? mapPayment(row) : null;
+}
+
+/**
+ * Mark a Bakong payment as paid
+ *
+ * Matches the attempt by KHQR md5, else the order's latest pending attempt,
+ * else records a new one. A transaction hash is settled only once, so the
+ * status poll and the webhook can both report the same payment.
+ *
+ * @param {Object} input
+ * @param {number} input.orderId
+ * @param {string} input.providerRef - Bakong transaction hash
+ * @param {string} input.khqrMd5 - When known (status poll)
+ * @param {number} input.amount - Paid amount
+ * @param {string} input.currency
+ * @param {string} input.source - PAYMENT_SOURCES value
+ * @param {Object|string} input.payload - Provider response or webhook body
+ * @returns {Promise<{paymentId: number, alreadySettled: boolean}>}
+ */
+export async function settleBakongPayment({ orderId, providerRef, khqrMd5 = null, amount, currency, source, payload }) {
+  if (providerRef) {
+    const [settled] = await runQuery('SELECT id FROM Payment WHERE providerRef = ? LIMIT 1', [providerRef]);
+    if (settled) return { paymentId: settled.id, alreadySettled: true };
+  }
+
+  const [attempt] = await runQuery(
+    `SELECT id FROM Payment
+     WHERE orderId = ? AND method = 'Bakong' AND status IN ('pending', 'superseded', 'expired')
+       AND (khqrMd5 = ? OR status = 'pending')
+     ORDER BY khqrMd5 = ? DESC, createdAt DESC, id DESC LIMIT 1`,
+    [orderId, khqrMd5, khqrMd5]
+  );
+
+  const hasAmount = Number.isFinite(Number(amount)) && currency;
+  try {
+    if (attempt) {
+      await runQuery(
+        `UPDATE Payment SET status = 'paid', providerRef = ?, source = ?, rawPayload = ?, error = NULL,
+           amount = COALESCE(?, amount), currency = COALESCE(?, currency), paidAt = NOW(), updatedAt = NOW()
+         WHERE id = ?`,
+        [providerRef ?? null, source, serializePayload(payload), hasAmount ? Number(amount) : null, hasAmount ? currency : null, attempt.id]
+      );
+      return { paymentId: attempt.id, alreadySettled: false };
+    }
+
+    const result = await runQuery(
+      `INSERT INTO Payment (orderId, method, amount, currency, khqrMd5, providerRef, status, source, rawPayload, paidAt, createdAt, updatedAt)
+       VALUES (?, 'Bakong', ?, ?, ?, ?, 'paid', ?, ?, NOW(), NOW(), NOW())`,
+      [orderId, hasAmount ? Number(amount) : 0, hasAmount ? currency : 'KHR', khqrMd5, providerRef ?? null, source, serializePayload(payload)]
+    );
+    return { paymentId: result.insertId, alreadySettled: false };
+  } catch (error) {
+    // Settled concurrently by the other channel
+    if (error.code !== 'ER_DUP_ENTRY' || !providerRef) throw error;
+    const [settled] = await runQuery('SELECT id FROM Payment WHERE providerRef = ? LIMIT 1', [providerRef]);
+    return { paymentId: settled?.id ?? null, alreadySettled: true };
+  }
+}
+
+/**
+ * Record a payment that was received but not applied to the order
+ * (e.g. the amount doesn't match), so admins can refund or reconcile it
+ *
+ * @param {Object} input - { orderId, providerRef, amount, currency, source, error, payload }
+ * @returns {Promise<number|null>} Payment id (null when the transaction was already recorded)
+ */
+export async function recordFailedPayment({ orderId, providerRef = null, amount, currency, source, error, payload }) {
+  try {
+    const result = await runQuery(
+      `INSERT INTO Payment (orderId, method, amount, currency, providerRef, status, source, error, rawPayload, createdAt, updatedAt)
+       VALUES (?, 'Bakong', ?, ?, ?, 'failed', ?, ?, ?, NOW(), NOW())`,
+      [
+        orderId,
+        Number.isFinite(Number(amount)) ? Number(amount) : 0,
+        typeof currency === 'string' ? currency.slice(0, 3) : 'KHR',
+        providerRef,
+        source,
+        error ? String(error).slice(0, 255) : null,
+        serializePayload(payload)
+      ]
+    );
+    return result.insertId;
+  } catch (insertError) {
+    if (insertError.code !== 'ER_DUP_ENTRY') throw insertError;
+    return null;
+  }
+}
+
+/**
+ * Expire an order's pending payment attempts
+ * Called by the order lifecycle, inside its transaction, when the order is cancelled.
+ *
+ * @param {Object} executor - mysql2 connection (or pool)
+ * @param {number} orderId
+ * @param {string} toStatus - New order status
+ */
+export async function closePendingPayments(executor, orderId, toStatus) {
+  if (!CLOSING_ORDER_STATUSES.includes(toStatus)) return;
+
+  const [result] = await executor.execute(
+    `UPDATE Payment SET status = 'expired', updatedAt = NOW()
+     WHERE orderId = ? AND status = 'pending'`,
+    [orderId]
+  );
+  if (result?.affectedRows > 0) {
+    logger.debug('Pending payments expired', { orderId, count: result.affectedRows });
+  }
+}
+
+/**
+ * Payments of an order with the reconciliation summary (admin view)
+ * @param {number} orderId
+ * @param {Object} options - { khrRate }
+ * @returns {Promise<{order: Object, payments: Array, summary: Object}>}
+ */
+export async function getOrderPayments(orderId, { khrRate }) {
+  const [order] = await runQuery(
+    'SELECT id, orderNumber, status, paymentMethod, total, bakongTransactionId FROM `Order` WHERE id = ? LIMIT 1',
+    [orderId]
+  );
+  if (!order) {
+    throw new PaymentError('Order not found', 404);
+  }
+
+  const rows = await runQuery('SELECT * FROM Payment WHERE orderId = ? ORDER BY createdAt ASC, id ASC', [orderId]);
+  const payments = rows.map(mapPayment);
+
+  return {
+    order: {
+      id: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentMethod: order.paymentMethod,
+      total: Number(order.total)
+    },
+    payments,
+    summary: summarizePayments(order, payments, khrRate)
+  };
+}
+
+export default {
+  PAYMENT_STATUSES,
+  PAYMENT_SOURCES,
+  PaymentError,
+  mapPayment,
+  paymentCoversTotal,
+  summarizePayments,
+  recordQrPayment,
+  findPendingPayment,
+  settleBakongPayment,
+  recordFailedPayment,
+  closePendingPayments,
+  getOrderPayments
+};
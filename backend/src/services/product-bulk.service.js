@@ -0,0 +1,232 @@
+/**
+ * Product Bulk Service - One change applied to many products at once
+ *
+ * Actions:
+ * - archive / activate: set Product.status
+ * - move_category: set the (leaf) category
+ * - adjust_price: by a percentage or a fixed amount; variant price
+ *   overrides are adjusted the same way
+ * - set_stock: set the stock (logged as an inventory adjustment)
+ *
+ * A bulk change is atomic: every product is locked and checked first,
+ * and nothing is written if one of them can't take the change.
+ */
+
+import logger from '../utils/logger.js';
+import { MOVEMENT_REASONS, recordMovement } from './inventory-movement.service.js';
+import { syncLowStockAlerts } from './low-stock.service.js';
+
+export const BULK_ACTIONS = ['archive', 'activate', 'move_category', 'adjust_price', 'set_stock'];
+export const PRICE_ADJUSTMENT_MODES = ['percent', 'fixed'];
+export const MAX_BULK_PRODUCTS = 500;
+
+/**
+ * Error raised for a bulk change that can't be applied.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ProductBulkError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ProductBulkError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate a bulk request body
+ * @param {Object} body - { ids, action, category?, mode?, value?, stock? }
+ * @returns {{ids: Array<number>, action: string, params: Object}}
+ */
+export function parseBulkRequest(body = {}) {
+  const { ids, action } = body;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new ProductBulkError('Select at least one product');
+  }
+  const uniqueIds = [...new Set(ids.map(Number))];
+  if (uniqueIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ProductBulkError('ids must be product IDs');
+  }
+  if (uniqueIds.length > MAX_BULK_PRODUCTS) {
+    throw new ProductBulkError(`Change at most ${MAX_BULK_PRODUCTS} products at a time`);
+  }
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new ProductBulkError(`Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  const params = {};
+  if (action === 'move_category') {
+    params.category = typeof body.category === 'string' ? body.category.trim() : '';
+    if (!params.category) {
+      throw new ProductBulkError('Pick the category to move the products to');
+    }
+  } else if (action === 'adjust_price') {
+    if (!PRICE_ADJUSTMENT_MODES.includes(body.mode)) {
+      throw new ProductBulkError(`mode must be one of: ${PRICE_ADJUSTMENT_MODES.join(', ')}`);
+    }
+    const value = Number(body.value);
+    if (body.value === '' || body.value === null || !Number.isFinite(value) || value === 0) {
+      throw new ProductBulkError('value must be a number other than 0 (negative lowers prices)');
+    }
+    if (body.mode === 'percent' && value <= -100) {
+      throw new ProductBulkError('A percentage cut must be less than 100%');
+    }
+    params.mode = body.mode;
+    params.value = value;
+  } else if (action === 'set_stock') {
+    const stock = Number(body.stock);
+    if (body.stock === '' || body.stock === null || !Number.isInteger(stock) || stock < 0) {
+      throw new ProductBulkError('Stock must be a positive whole number');
+    }
+    params.stock = stock;
+  }
+
+  return { ids: uniqueIds, action, params };
+}
+
+/**
+ * New price after an adjustment (rounded to cents)
+ * @param {number} price
+ * @param {string} mode - percent | fixed
+ * @param {number} value - Percentage or amount; negative lowers the price
+ * @returns {number}
+ */
+export function adjustPrice(price, mode, value) {
+  const adjusted = mode === 'percent'
+    ? Number(price) * (1 + value / 100)
+    : Number(price) + value;
+  return Math.round(adjusted * 100) / 100;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+/**
+ * Apply a bulk change in one transaction
+ *
+ * @param {Object} request - From parseBulkRequest
+ * @param {Object} options
+ * @param {number} options.actorId - Admin user ID
+ * @param {Function} options.validateCategory - async (name) => error message or null
+ * @returns {Promise<Object>} { action, updated, productIds }
+ */
+export async function applyBulkAction({ ids, action, params }, { actorId, validateCategory }) {
+  if (action === 'move_category') {
+    const categoryError = await validateCategory(params.category);
+    if (categoryError) throw new ProductBulkError(categoryError);
+  }
+
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [products] = await connection.execute(
+      `SELECT id, price, stock FROM Product WHERE id IN (${placeholders(ids)}) FOR UPDATE`,
+      ids
+    );
+    const found = new Set(products.map(product => product.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new ProductBulkError('Some products no longer exist', 404, { missing });
+    }
+
+    if (action === 'archive' || action === 'activate') {
+      await connection.execute(
+        `UPDATE Product SET status = ?, updatedById = ?, updatedAt = NOW() WHERE id IN (${placeholders(ids)})`,
+        [action === 'archive' ? 'ARCHIVED' : 'ACTIVE', actorId, ...ids]
+      );
+    } else if (action === 'move_category') {
+      await connection.execute(
+        `UPDATE Product SET category = ?, updatedById = ?, updatedAt = NOW() WHERE id IN (${placeholders(ids)})`,
+        [params.category, actorId, ...ids]
+      );
+    } else if (action === 'adjust_price') {
+      await adjustPrices(connection, products, params, actorId);
+    } else if (action === 'set_stock') {
+      await setStock(connection, products, params.stock, actorId);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  logger.info('Products changed in bulk', { action, count: ids.length, actorId });
+  return { action, updated: ids.length, productIds: ids };
+}
+
+async function adjustPrices(connection, products, { mode, value }, actorId) {
+  const ids = products.map(product => product.id);
+  const [variants] = await connection.execute(
+    `SELECT id, productId, price FROM ProductVariant WHERE price IS NOT NULL AND productId IN (${placeholders(ids)}) FOR UPDATE`,
+    ids
+  );
+
+  const newPrices = products.map(product => ({ id: product.id, price: adjustPrice(product.price, mode, value) }));
+  const newVariantPrices = variants.map(variant => ({ id: variant.id, price: adjustPrice(variant.price, mode, value) }));
+
+  const belowZero = newPrices.filter(product => product.price < 0).map(product => product.id);
+  if (belowZero.length > 0 || newVariantPrices.some(variant => variant.price < 0)) {
+    throw new ProductBulkError('The adjustment would make some prices negative', 400, { productIds: belowZero });
+  }
+
+  for (const product of newPrices) {
+    await connection.execute(
+      'UPDATE Product SET price = ?, updatedById = ?, updatedAt = NOW() WHERE id = ?',
+      [product.price, actorId, product.id]
+    );
+  }
+  for (const variant of newVariantPrices) {
+    await connection.execute('UPDATE ProductVariant SET price = ? WHERE id = ?', [variant.price, variant.id]);
+  }
+}
+
+async function setStock(connection, products, stock, actorId) {
+  const ids = products.map(product => product.id);
+
+  // Products sold in variants take their stock from the variants
+  const [withVariants] = await connection.execute(
+    `SELECT DISTINCT productId FROM ProductVariant WHERE isActive = TRUE AND productId IN (${placeholders(ids)})`,
+    ids
+  );
+  if (withVariants.length > 0) {
+    throw new ProductBulkError(
+      'Stock of products sold in variants is set per variant',
+      409,
+      { productIds: withVariants.map(row => row.productId) }
+    );
+  }
+
+  await connection.execute(
+    `UPDATE Product SET stock = ?, updatedById = ?, updatedAt = NOW() WHERE id IN (${placeholders(ids)})`,
+    [stock, actorId, ...ids]
+  );
+  for (const product of products) {
+    await recordMovement(connection, {
+      productId: product.id,
+      delta: stock - Number(product.stock),
+      reason: MOVEMENT_REASONS.ADJUSTMENT,
+      actor: 'admin',
+      actorId,
+      note: 'Bulk stock update'
+    });
+  }
+  await syncLowStockAlerts(connection, ids);
+}
+
+export default {
+  BULK_ACTIONS,
+  PRICE_ADJUSTMENT_MODES,
+  MAX_BULK_PRODUCTS,
+  ProductBulkError,
+  parseBulkRequest,
+  adjustPrice,
+  applyBulkAction
+};
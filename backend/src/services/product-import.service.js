@@ -0,0 +1,448 @@
+/**
+ * Product Import Service - Bulk create/update products from a CSV file
+ *
+ * Columns (header row required, any order):
+ *   name, price            required
+ *   description, stock, category, images
+ *   id                     optional; updates that product
+ * Rows without an id update the product with the same name (case-insensitive)
+ * or create a new one. images holds image URLs separated by "|".
+ *
+ * Every row is validated first (planProductImport) and the report is shown
+ * to the admin as a dry run. The import is applied all-or-nothing in one
+ * transaction, and only when no row has errors.
+ */
+
+import logger from '../utils/logger.js';
+import { MOVEMENT_REASONS, recordMovement } from './inventory-movement.service.js';
+import { syncLowStockAlerts } from './low-stock.service.js';
+
+export const IMPORT_COLUMNS = ['id', 'name', 'description', 'price', 'stock', 'category', 'images'];
+export const REQUIRED_COLUMNS = ['name', 'price'];
+export const MAX_IMPORT_ROWS = 1000;
+
+const MAX_NAME_LENGTH = 255;
+const MAX_IMAGES = 10;
+
+/**
+ * Error raised for an import that can't be read or applied.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ProductImportError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ProductImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so CSV parsing and validation can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of fields; blank lines are skipped
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ProductImportError('The CSV file has an unclosed quote');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn parsed CSV rows into records keyed by column name
+ * @param {Array<Array<string>>} rows - Header row first
+ * @returns {Array<Object>} [{ line, values }] (line = line number in the file)
+ */
+export function readImportRecords(rows) {
+  if (rows.length === 0) {
+    throw new ProductImportError('The CSV file is empty');
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new ProductImportError(`Missing column(s): ${missing.join(', ')}`, 400, { columns: IMPORT_COLUMNS });
+  }
+  const unknown = headers.filter(header => header && !IMPORT_COLUMNS.includes(header));
+  if (unknown.length > 0) {
+    throw new ProductImportError(`Unknown column(s): ${unknown.join(', ')}`, 400, { columns: IMPORT_COLUMNS });
+  }
+
+  const records = rows.slice(1).map((fields, index) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = (fields[column] ?? '').trim();
+    });
+    return { line: index + 2, values };
+  });
+
+  if (records.length === 0) {
+    throw new ProductImportError('The CSV file has no product rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ProductImportError(`Import at most ${MAX_IMPORT_ROWS} products at a time`);
+  }
+  return records;
+}
+
+function isImageUrl(value) {
+  return /^https?:\/\/\S+$/i.test(value) || /^\/uploads\/\S+$/.test(value);
+}
+
+/**
+ * Validate the fields of one record (rules of POST /admin/products)
+ * @param {Object} values - Column → text
+ * @returns {{product: Object, errors: Array<string>}}
+ */
+export function validateImportValues(values) {
+  const errors = [];
+  const product = {
+    id: null,
+    name: values.name || '',
+    description: values.description || '',
+    price: null,
+    stock: 0,
+    category: values.category ? values.category : null,
+    images: []
+  };
+
+  if (values.id) {
+    const id = Number(values.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      errors.push('id must be a product ID');
+    } else {
+      product.id = id;
+    }
+  }
+
+  if (!product.name) {
+    errors.push('Name is required');
+  } else if (product.name.length > MAX_NAME_LENGTH) {
+    errors.push(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (!values.price) {
+    errors.push('Price is required');
+  } else {
+    const price = Number(values.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push('Price must be a positive number');
+    } else {
+      product.price = Math.round(price * 100) / 100;
+    }
+  }
+
+  if (values.stock) {
+    const stock = Number(values.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push('Stock must be a positive whole number');
+    } else {
+      product.stock = stock;
+    }
+  }
+
+  if (values.images) {
+    const images = values.images.split('|').map(url => url.trim()).filter(Boolean);
+    const invalid = images.filter(url => !isImageUrl(url));
+    if (invalid.length > 0) {
+      errors.push(`Invalid image URL(s): ${invalid.join(', ')}`);
+    } else if (images.length > MAX_IMAGES) {
+      errors.push(`At most ${MAX_IMAGES} images per product`);
+    } else {
+      product.images = images;
+    }
+  }
+
+  return { product, errors };
+}
+
+/**
+ * Validate an import and work out what it would do (nothing is written)
+ *
+ * @param {string} csvText
+ * @param {Object} options
+ * @param {Function} options.validateCategory - async (name) => error message or null
+ *   (server.js passes validateLeafCategory so imports follow the create route)
+ * @returns {Promise<Object>} { summary, rows } - rows: [{ line, action, productId, name, errors, warnings }]
+ */
+export async function planProductImport(csvText, { validateCategory }) {
+  const records = readImportRecords(parseCsv(csvText));
+  const validated = records.map(record => ({ ...record, ...validateImportValues(record.values) }));
+
+  // Existing products matched by id or name
+  const ids = [...new Set(validated.map(row => row.product.id).filter(Boolean))];
+  const names = [...new Set(validated.filter(row => !row.product.id && row.product.name).map(row => row.product.name.toLowerCase()))];
+  const byId = new Map();
+  const byName = new Map();
+
+  if (ids.length > 0) {
+    const rows = await runQuery(`SELECT id, name, stock FROM Product WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+    rows.forEach(row => byId.set(row.id, row));
+  }
+  if (names.length > 0) {
+    const rows = await runQuery(`SELECT id, name, stock FROM Product WHERE LOWER(name) IN (${names.map(() => '?').join(',')})`, names);
+    rows.forEach(row => {
+      const key = row.name.toLowerCase();
+      byName.set(key, [...(byName.get(key) || []), row]);
+    });
+  }
+
+  // Products with any variant row, active or not, take their stock from the
+  // variants (same rule as syncProductStock)
+  const variantProductIds = new Set();
+  const matchedIds = [...byId.keys(), ...[...byName.values()].flat().map(row => row.id)];
+  if (matchedIds.length > 0) {
+    const rows = await runQuery(
+      `SELECT DISTINCT productId FROM ProductVariant WHERE productId IN (${matchedIds.map(() => '?').join(',')})`,
+      matchedIds
+    );
+    rows.forEach(row => variantProductIds.add(row.productId));
+  }
+
+  const categoryErrors = new Map();
+  const seen = new Map();
+  const planned = [];
+
+  for (const row of validated) {
+    const { line, product } = row;
+    const errors = [...row.errors];
+    const warnings = [];
+    let existing = null;
+
+    if (product.id) {
+      existing = byId.get(product.id) || null;
+      if (!existing) errors.push(`Product ${product.id} not found`);
+    } else if (product.name) {
+      const matches = byName.get(product.name.toLowerCase()) || [];
+      if (matches.length > 1) {
+        errors.push(`Multiple products are named "${product.name}". Add the id column to pick one.`);
+      } else {
+        existing = matches[0] || null;
+      }
+    }
+
+    // The same product twice in one file would be applied twice
+    const key = existing ? `id:${existing.id}` : `name:${product.name.toLowerCase()}`;
+    if (product.name && seen.has(key)) {
+      errors.push(`Same product as line ${seen.get(key)}`);
+    } else if (product.name) {
+      seen.set(key, line);
+    }
+
+    if (product.category) {
+      if (!categoryErrors.has(product.category)) {
+        categoryErrors.set(product.category, await validateCategory(product.category));
+      }
+      const categoryError = categoryErrors.get(product.category);
+      if (categoryError) errors.push(categoryError);
+    }
+
+    const usesVariants = existing && variantProductIds.has(existing.id);
+    if (usesVariants && row.values.stock !== undefined && row.values.stock !== '') {
+      warnings.push('Stock is managed per variant for this product and was not changed');
+    }
+
+    planned.push({
+      line,
+      action: errors.length > 0 ? 'error' : (existing ? 'update' : 'create'),
+      productId: existing ? existing.id : null,
+      name: product.name,
+      errors,
+      warnings,
+      product,
+      columns: Object.keys(row.values),
+      updateStock: !usesVariants && row.values.stock !== undefined && row.values.stock !== ''
+    });
+  }
+
+  return { summary: summarizeImport(planned), rows: planned };
+}
+
+/**
+ * Count planned rows per action
+ * @param {Array} rows - From planProductImport
+ * @returns {Object} { total, creates, updates, errors }
+ */
+export function summarizeImport(rows) {
+  return {
+    total: rows.length,
+    creates: rows.filter(row => row.action === 'create').length,
+    updates: rows.filter(row => row.action === 'update').length,
+    errors: rows.filter(row => row.action === 'error').length
+  };
+}
+
+/**
+ * Report sent to the admin (without the normalized product payloads)
+ * @param {Object} plan - From planProductImport
+ * @param {boolean} dryRun
+ * @returns {Object}
+ */
+export function toImportReport(plan, dryRun) {
+  return {
+    dryRun,
+    summary: plan.summary,
+    rows: plan.rows.map(({ line, action, productId, name, errors, warnings }) => ({
+      line, action, productId, name, errors, warnings
+    }))
+  };
+}
+
+/**
+ * Apply a validated import in one transaction
+ * Nothing is written when any row has errors.
+ *
+ * @param {Object} plan - From planProductImport
+ * @param {Object} options
+ * @param {number} options.actorId - Admin user ID
+ * @returns {Promise<Array<number>>} IDs of created and updated products
+ */
+export async function applyProductImport(plan, { actorId }) {
+  if (plan.summary.errors > 0) {
+    throw new ProductImportError(`Fix the ${plan.summary.errors} row(s) with errors before importing`, 422);
+  }
+
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+  const productIds = [];
+
+  try {
+    await connection.beginTransaction();
+
+    for (const row of plan.rows) {
+      const { product } = row;
+
+      if (row.action === 'create') {
+        const [result] = await connection.execute(
+          `INSERT INTO Product (name, description, price, stock, status, images, category, offer, color, updatedById, createdAt, updatedAt)
+           VALUES (?, ?, ?, ?, 'ACTIVE', ?, ?, NULL, NULL, ?, NOW(), NOW())`,
+          [product.name, product.description, product.price, product.stock, JSON.stringify(product.images), product.category, actorId]
+        );
+        productIds.push(result.insertId);
+        await recordMovement(connection, {
+          productId: result.insertId,
+          delta: product.stock,
+          reason: MOVEMENT_REASONS.INITIAL,
+          actor: 'admin',
+          actorId,
+          note: 'CSV import'
+        });
+        continue;
+      }
+
+      const [current] = await connection.execute('SELECT stock FROM Product WHERE id = ? FOR UPDATE', [row.productId]);
+      if (current.length === 0) {
+        throw new ProductImportError(`Product ${row.productId} was deleted during the import`, 409);
+      }
+
+      // Columns missing from the file (and empty image lists) keep their current values
+      const sets = ['name = ?', 'price = ?', 'updatedById = ?', 'updatedAt = NOW()'];
+      const params = [product.name, product.price, actorId];
+      if (row.columns.includes('description')) {
+        sets.push('description = ?');
+        params.push(product.description);
+      }
+      if (row.columns.includes('category')) {
+        sets.push('category = ?');
+        params.push(product.category);
+      }
+      if (product.images.length > 0) {
+        sets.push('images = ?');
+        params.push(JSON.stringify(product.images));
+      }
+      if (row.updateStock) {
+        sets.push('stock = ?');
+        params.push(product.stock);
+      }
+      await connection.execute(`UPDATE Product SET ${sets.join(', ')} WHERE id = ?`, [...params, row.productId]);
+      productIds.push(row.productId);
+
+      if (row.updateStock) {
+        await recordMovement(connection, {
+          productId: row.productId,
+          delta: product.stock - Number(current[0].stock),
+          reason: MOVEMENT_REASONS.ADJUSTMENT,
+          actor: 'admin',
+          actorId,
+          note: 'CSV import'
+        });
+      }
+    }
+
+    await syncLowStockAlerts(connection, productIds);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  logger.info('Products imported', { ...plan.summary, actorId });
+  return productIds;
+}
+
+export default {
+  IMPORT_COLUMNS,
+  REQUIRED_COLUMNS,
+  MAX_IMPORT_ROWS,
+  ProductImportError,
+  parseCsv,
+  readImportRecords,
+  validateImportValues,
+  planProductImport,
+  summarizeImport,
+  toImportReport,
+  applyProductImport
+};
@@ -0,0 +1,346 @@
+/**
+ * Product Search Service - Full-text search over the catalog
+ *
+ * An in-process inverted index over the name, category and description
+ * of active products:
+ * - Relevance: BM25 per field, name weighted above category above description
+ * - Typo tolerance: query words also match indexed words one edit away
+ *   (two for long words); the last word also matches as a prefix
+ * - Every query word must match; if no product matches them all,
+ *   products matching any of them are returned, ranked
+ * - Snippets: name and description with matches wrapped in <mark>
+ *
+ * MySQL FULLTEXT was not used because it can't match misspellings and
+ * ignores words shorter than its minimum token size. The catalog is small
+ * enough to index in memory; the index is rebuilt when the Product table
+ * changes (row count, id sum or newest updatedAt).
+ */
+
+import logger from '../utils/logger.js';
+
+export const SEARCH_FIELDS = {
+  name: 3,
+  category: 2,
+  description: 1
+};
+
+// Weight of a query word's expansions relative to an exact match
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.75,
+  typo1: 0.6,
+  typo2: 0.4
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words shorter than this must match exactly (or as a prefix)
+const MIN_TYPO_LENGTH = 4;
+const MIN_TWO_TYPO_LENGTH = 8;
+const MIN_PREFIX_LENGTH = 2;
+
+export const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the index can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Lower-case a word and strip accents ("Café" -> "cafe")
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into words with their positions
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text ?? '').matchAll(WORD_PATTERN)) {
+    const term = normalizeWord(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent swaps count as one edit),
+ * giving up once it exceeds maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number} Distance, or maxDistance + 1 if further apart
+ */
+export function editDistance(a, b, maxDistance = 2) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = current;
+  }
+
+  return row[b.length] > maxDistance ? maxDistance + 1 : row[b.length];
+}
+
+/**
+ * Build the inverted index
+ * @param {Array<Object>} products - Rows with id, name, category, description
+ * @returns {Object} Index for searchIndex()
+ */
+export function buildSearchIndex(products) {
+  const postings = new Map();
+  const lengths = new Map();
+  const totalLength = Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 0]));
+
+  for (const product of products) {
+    const docLengths = {};
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      const tokens = tokenize(product[field]);
+      docLengths[field] = tokens.length;
+      totalLength[field] += tokens.length;
+
+      for (const { term } of tokens) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(product.id)) docs.set(product.id, {});
+        const counts = docs.get(product.id);
+        counts[field] = (counts[field] || 0) + 1;
+      }
+    }
+    lengths.set(product.id, docLengths);
+  }
+
+  const size = products.length;
+  const averageLength = Object.fromEntries(
+    Object.entries(totalLength).map(([field, total]) => [field, size > 0 ? total / size : 0])
+  );
+
+  return { postings, lengths, averageLength, size };
+}
+
+/**
+ * Indexed words a query word matches, with their weights
+ * @param {Object} index
+ * @param {string} word - Normalized query word
+ * @param {boolean} allowPrefix - Also match words starting with it
+ * @returns {Array<{term: string, weight: number}>}
+ */
+export function expandWord(index, word, allowPrefix = false) {
+  const maxDistance = word.length >= MIN_TWO_TYPO_LENGTH ? 2 : word.length >= MIN_TYPO_LENGTH ? 1 : 0;
+  const expansions = [];
+
+  for (const term of index.postings.keys()) {
+    if (term === word) {
+      expansions.push({ term, weight: MATCH_WEIGHTS.exact });
+    } else if (allowPrefix && word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      expansions.push({ term, weight: MATCH_WEIGHTS.prefix });
+    } else if (maxDistance > 0) {
+      const distance = editDistance(word, term, maxDistance);
+      if (distance <= maxDistance) {
+        expansions.push({ term, weight: distance === 1 ? MATCH_WEIGHTS.typo1 : MATCH_WEIGHTS.typo2 });
+      }
+    }
+  }
+
+  return expansions;
+}
+
+function bm25(index, term, productId) {
+  const docs = index.postings.get(term);
+  const counts = docs.get(productId);
+  const idf = Math.log(1 + (index.size - docs.size + 0.5) / (docs.size + 0.5));
+  const docLengths = index.lengths.get(productId);
+
+  let score = 0;
+  for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+    const tf = counts[field];
+    if (!tf) continue;
+    const lengthRatio = index.averageLength[field] > 0 ? docLengths[field] / index.averageLength[field] : 1;
+    score += weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+  }
+  return score;
+}
+
+/**
+ * Rank products for a query
+ * @param {Object} index - From buildSearchIndex()
+ * @param {string} query
+ * @returns {Array<{id: number, score: number, terms: Array<string>}>} Best match first
+ */
+export function searchIndex(index, query) {
+  const words = [...new Set(tokenize(query).map(token => token.term))];
+  if (words.length === 0) return [];
+
+  // Per product: score and matched words for each query word
+  const matches = new Map();
+  words.forEach((word, position) => {
+    const expansions = expandWord(index, word, position === words.length - 1);
+    const best = new Map();
+
+    for (const { term, weight } of expansions) {
+      for (const productId of index.postings.get(term).keys()) {
+        const score = weight * bm25(index, term, productId);
+        const current = best.get(productId);
+        if (!current) {
+          best.set(productId, { score, terms: [term] });
+        } else {
+          current.terms.push(term);
+          current.score = Math.max(current.score, score);
+        }
+      }
+    }
+
+    for (const [productId, { score, terms }] of best) {
+      if (!matches.has(productId)) matches.set(productId, { id: productId, score: 0, words: 0, terms: [] });
+      const match = matches.get(productId);
+      match.score += score;
+      match.words++;
+      match.terms.push(...terms);
+    }
+  });
+
+  let results = [...matches.values()];
+  const matchingAll = results.filter(match => match.words === words.length);
+  if (matchingAll.length > 0) results = matchingAll;
+
+  return results
+    .map(({ id, score, terms }) => ({ id, score: Math.round(score * 1000) / 1000, terms: [...new Set(terms)] }))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap matched words in <mark>; the rest of the text is HTML-escaped
+ * Long text is cut to a window around the first match.
+ *
+ * @param {string} text
+ * @param {Array<string>} terms - Normalized words to mark
+ * @param {number} maxLength - Longest snippet (0 = whole text)
+ * @returns {string|null} Snippet, or null if no word matched
+ */
+export function highlightText(text, terms, maxLength = 0) {
+  if (!text) return null;
+  const wanted = new Set(terms);
+  const hits = tokenize(text).filter(token => wanted.has(token.term));
+  if (hits.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (maxLength > 0 && text.length > maxLength) {
+    const [first] = hits;
+    start = Math.max(0, first.start - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+    if (end === text.length) start = end - maxLength;
+
+    // Don't cut words in half
+    const firstSpace = text.indexOf(' ', start);
+    if (start > 0 && firstSpace !== -1 && firstSpace < first.start) start = firstSpace + 1;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > first.end) end = lastSpace;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const hit of hits) {
+    if (hit.start < start || hit.end > end) continue;
+    snippet += escapeHtml(text.slice(cursor, hit.start)) + `<mark>${escapeHtml(text.slice(hit.start, hit.end))}</mark>`;
+    cursor = hit.end;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Highlighted name and description snippet for a result
+ * @param {Object} product - Row with name, description
+ * @param {Array<string>} terms - Matched words from searchIndex()
+ * @returns {{name: string|null, description: string|null}}
+ */
+export function highlightProduct(product, terms) {
+  return {
+    name: highlightText(product.name, terms),
+    description: highlightText(product.description, terms, SNIPPET_LENGTH)
+  };
+}
+
+let cachedIndex = null;
+let cachedSignature = null;
+let building = null;
+
+async function loadIndex() {
+  const [signatureRow] = await runQuery(
+    "SELECT COUNT(*) as total, COALESCE(SUM(id), 0) as idSum, MAX(updatedAt) as lastUpdated FROM Product WHERE status = 'ACTIVE'"
+  );
+  const signature = `${signatureRow.total}:${signatureRow.idSum}:${new Date(signatureRow.lastUpdated ?? 0).getTime()}`;
+  if (cachedIndex && signature === cachedSignature) return cachedIndex;
+
+  const rows = await runQuery("SELECT id, name, category, description FROM Product WHERE status = 'ACTIVE'");
+  cachedIndex = buildSearchIndex(rows);
+  cachedSignature = signature;
+  logger.info('Product search index built', { products: rows.length, terms: cachedIndex.postings.size });
+  return cachedIndex;
+}
+
+/**
+ * The search index, rebuilt if active products changed since it was built
+ * @returns {Promise<Object>}
+ */
+export async function getSearchIndex() {
+  // Concurrent searches share one rebuild
+  if (!building) {
+    building = loadIndex().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+}
+
+export default {
+  SEARCH_FIELDS,
+  SNIPPET_LENGTH,
+  normalizeWord,
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  expandWord,
+  searchIndex,
+  highlightText,
+  highlightProduct,
+  getSearchIndex
+};
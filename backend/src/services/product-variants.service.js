@@ -0,0 +1,266 @@
+/**
+ * Product Variants Service
+ *
+ * A product can be sold in several variants (e.g. size M / color Red),
+ * each with its own SKU, stock and optional price override.
+ * When a product has active variants, Product.stock is kept equal to the
+ * sum of their stock so listings and stock reports stay correct.
+ */
+
+import logger from '../utils/logger.js';
+import { MOVEMENT_REASONS, recordMovement } from './inventory-movement.service.js';
+import { syncLowStockAlerts } from './low-stock.service.js';
+
+/**
+ * Error raised when variants can't be saved.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class VariantError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'VariantError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse the options JSON column ({ size: 'M', color: 'Red' })
+ */
+function parseOptions(value) {
+  if (!value) return {};
+  try {
+    const options = typeof value === 'string' ? JSON.parse(value) : value;
+    return options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a readable label from variant options
+ * @param {Object|string} options - e.g. { size: 'M', color: 'Red' }
+ * @returns {string} e.g. "Size: M / Color: Red"
+ */
+export function formatVariantLabel(options) {
+  return Object.entries(parseOptions(options))
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${name.charAt(0).toUpperCase()}${name.slice(1)}: ${value}`)
+    .join(' / ');
+}
+
+/**
+ * Map a ProductVariant row to its API shape
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function mapVariant(row) {
+  const options = parseOptions(row.options);
+  return {
+    id: row.id,
+    productId: row.productId,
+    sku: row.sku,
+    options,
+    label: formatVariantLabel(options),
+    price: row.price !== null && row.price !== undefined ? Number(row.price) : null,
+    stock: row.stock,
+    isActive: Boolean(row.isActive),
+    sortOrder: row.sortOrder
+  };
+}
+
+/**
+ * Validate variants submitted by the variant editor
+ * @param {Array} variants
+ * @returns {Array} Normalized variants
+ */
+export function sanitizeVariants(variants) {
+  if (!Array.isArray(variants)) {
+    throw new VariantError('variants must be an array');
+  }
+
+  const seenSkus = new Set();
+
+  return variants.map((variant, index) => {
+    const sku = String(variant?.sku || '').trim();
+    if (!sku || sku.length > 100) {
+      throw new VariantError(`Variant ${index + 1}: SKU is required (max 100 characters)`);
+    }
+    if (seenSkus.has(sku.toLowerCase())) {
+      throw new VariantError(`Duplicate SKU: ${sku}`);
+    }
+    seenSkus.add(sku.toLowerCase());
+
+    const options = {};
+    for (const [name, value] of Object.entries(parseOptions(variant.options))) {
+      const trimmed = String(value ?? '').trim();
+      if (trimmed) options[String(name).trim().toLowerCase()] = trimmed.slice(0, 50);
+    }
+
+    let price = null;
+    if (variant.price !== undefined && variant.price !== null && variant.price !== '') {
+      price = Number(variant.price);
+      if (isNaN(price) || price < 0) {
+        throw new VariantError(`Variant ${sku}: price must be a positive number`);
+      }
+    }
+
+    const stock = Number(variant.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new VariantError(`Variant ${sku}: stock must be a positive integer`);
+    }
+
+    return {
+      id: variant.id ? Number(variant.id) : null,
+      sku,
+      options,
+      price,
+      stock,
+      isActive: variant.isActive === undefined ? true : Boolean(variant.isActive),
+      sortOrder: index
+    };
+  });
+}
+
+/**
+ * Keep Product.stock equal to the stock of its active variants
+ * Products without variants keep their own stock; saveVariants() decides
+ * what happens to it when the last variant is removed.
+ *
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {number} productId
+ * @returns {Promise<{hasVariants: boolean}>}
+ */
+export async function syncProductStock(executor, productId) {
+  const [rows] = await executor.execute(
+    `SELECT COUNT(*) AS count, COALESCE(SUM(CASE WHEN isActive THEN stock ELSE 0 END), 0) AS total
+     FROM ProductVariant WHERE productId = ?`,
+    [productId]
+  );
+  if (!rows[0] || Number(rows[0].count) === 0) {
+    return { hasVariants: false };
+  }
+
+  await executor.execute('UPDATE Product SET stock = ? WHERE id = ?', [Number(rows[0].total), productId]);
+  return { hasVariants: true };
+}
+
+/**
+ * Get the variants of a product
+ * @param {number} productId
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Skip disabled variants (storefront)
+ * @returns {Promise<Array>}
+ */
+export async function getVariantsByProductId(productId, { activeOnly = false } = {}) {
+  const { query } = await import('../config/database.js');
+  const rows = await query(
+    `SELECT * FROM ProductVariant WHERE productId = ?${activeOnly ? ' AND isActive = TRUE' : ''}
+     ORDER BY sortOrder ASC, id ASC`,
+    [productId]
+  );
+  return rows.map(mapVariant);
+}
+
+/**
+ * Replace the variants of a product with the editor's list
+ * Variants missing from the list are deleted (order history keeps its SKU/label).
+ *
+ * @param {number} productId
+ * @param {Array} variants - [{ id?, sku, options, price, stock, isActive }]
+ * @param {Object} options
+ * @param {number} options.actorId - Admin saving the variants (inventory ledger)
+ * @returns {Promise<Array>} Saved variants
+ */
+export async function saveVariants(productId, variants, { actorId = null } = {}) {
+  const normalized = sanitizeVariants(variants);
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [products] = await connection.execute('SELECT id, stock FROM Product WHERE id = ? LIMIT 1 FOR UPDATE', [productId]);
+    if (products.length === 0) {
+      throw new VariantError('Product not found', 404);
+    }
+
+    const [existingRows] = await connection.execute('SELECT id FROM ProductVariant WHERE productId = ?', [productId]);
+    const existingIds = new Set(existingRows.map(row => row.id));
+
+    for (const variant of normalized) {
+      if (variant.id && !existingIds.has(variant.id)) {
+        throw new VariantError(`Variant ${variant.id} does not belong to this product`);
+      }
+    }
+
+    const keptIds = normalized.filter(v => v.id).map(v => v.id);
+    const removedIds = [...existingIds].filter(id => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      await connection.execute(
+        `DELETE FROM ProductVariant WHERE productId = ? AND id IN (${removedIds.map(() => '?').join(', ')})`,
+        [productId, ...removedIds]
+      );
+    }
+
+    for (const variant of normalized) {
+      const values = [variant.sku, JSON.stringify(variant.options), variant.price, variant.stock, variant.isActive, variant.sortOrder];
+      if (variant.id) {
+        await connection.execute(
+          'UPDATE ProductVariant SET sku = ?, options = ?, price = ?, stock = ?, isActive = ?, sortOrder = ?, updatedAt = NOW() WHERE id = ?',
+          [...values, variant.id]
+        );
+      } else {
+        await connection.execute(
+          `INSERT INTO ProductVariant (sku, options, price, stock, isActive, sortOrder, productId, createdAt, updatedAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [...values, productId]
+        );
+      }
+    }
+
+    const { hasVariants } = await syncProductStock(connection, productId);
+
+    // The variants' units went with them: don't leave their total sellable
+    // as base stock, the admin sets it again for the plain product
+    const lastVariantRemoved = !hasVariants && existingIds.size > 0;
+    if (lastVariantRemoved) {
+      await connection.execute('UPDATE Product SET stock = 0 WHERE id = ?', [productId]);
+    }
+
+    const [updatedProducts] = await connection.execute('SELECT stock FROM Product WHERE id = ? LIMIT 1', [productId]);
+    await recordMovement(connection, {
+      productId,
+      delta: updatedProducts[0].stock - products[0].stock,
+      reason: MOVEMENT_REASONS.ADJUSTMENT,
+      actor: 'admin',
+      actorId,
+      note: lastVariantRemoved ? 'Last variant removed, base stock reset to 0' : 'Variant stock updated'
+    });
+    await syncLowStockAlerts(connection, [productId]);
+
+    await connection.commit();
+
+    logger.info('Product variants saved', { productId, count: normalized.length, removed: removedIds.length });
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new VariantError('SKU already used by another product', 409);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getVariantsByProductId(productId);
+}
+
+export default {
+  VariantError,
+  formatVariantLabel,
+  mapVariant,
+  sanitizeVariants,
+  syncProductStock,
+  getVariantsByProductId,
+  saveVariants
+};
@@ -10,6 +10,10 @@
  * - System RPS: 200-300 → 2000-3000+
  * 
  * Invalidation Strategy:
+ * - Admin product edits, and stock/rating changes from orders, returns and
+ *   reviews, clear the affected entries right away (invalidateProductsCache)
+ * - Every invalidation also starts a new catalog version, which the public
+ *   routes turn into ETag/Last-Modified (utils/http-cache.js)
  * - List endpoints: 30 min TTL (product changes propagate quickly)
  * - Detail endpoints: 30 min TTL (stable references)
  * - Search: 30 min TTL (user-independent queries)
@@ -21,6 +25,7 @@ import * as productsService from './products.service.js';
 import { cache } from './cacheService.js';
 import { getCacheKeys, getInvalidationPatterns } from './cacheKeys.js';
 import logger from '../utils/logger.js';
+import { bumpCatalogVersion } from '../utils/http-cache.js';
 
 /**
  * Get all products with caching
@@ -59,7 +64,7 @@ export async function getProductsList(options = {}) {
  */
 export async function searchProducts(filters = {}) {
   // Create cache key from filters
-  const query = `${filters.query || ''}-${filters.category || ''}-${filters.minPrice || ''}-${filters.maxPrice || ''}-${filters.sort || 'name'}`;
+  const query = `${filters.query || ''}-${filters.category || ''}-${filters.minPrice || ''}-${filters.maxPrice || ''}-${filters.minRating || ''}-${filters.sort || ''}`;
   const { key, ttl } = getCacheKeys.productSearch(
     query,
     filters.page,
@@ -177,6 +182,27 @@ export async function invalidateProductCache(productId) {
   for (const pattern of patterns) {
     await cache.delPattern(pattern);
   }
+  await bumpCatalogVersion('products');
+}
+
+/**
+ * Invalidate caches after the stock or rating of several products changed
+ * (checkout, order cancellations/refunds, returns, reviews)
+ * The shared list/search patterns are cleared once, not once per product.
+ *
+ * @param {Array<number>} productIds
+ */
+export async function invalidateProductsCache(productIds = []) {
+  const ids = [...new Set(productIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) return;
+
+  const patterns = new Set(ids.flatMap(id => getInvalidationPatterns('productChanged', id)));
+  logger.debug('[CACHE INVALIDATION] Invalidating products', { productIds: ids });
+
+  for (const pattern of patterns) {
+    await cache.delPattern(pattern);
+  }
+  await bumpCatalogVersion('products');
 }
 
 /**
@@ -186,7 +212,7 @@ export async function invalidateProductCache(productId) {
 export async function invalidateCategoryCache(categoryId = null) {
   const patterns = categoryId 
     ? getInvalidationPatterns('categoryChanged', categoryId)
-    : ['products:categories*', 'products:list:*'];
+    : ['categories:*', 'products:categories*', 'products:list:*'];
   
   logger.info(`[CACHE INVALIDATION] Invalidating categories`, {
     categoryId,
@@ -196,6 +222,23 @@ export async function invalidateCategoryCache(categoryId = null) {
   for (const pattern of patterns) {
     await cache.delPattern(pattern);
   }
+  // Product lists are cleared too (see the patterns above)
+  await bumpCatalogVersion('categories', 'products');
+}
+
+/**
+ * Invalidate the public banner lists
+ * Call this when a banner is created, updated, or deleted
+ */
+export async function invalidateBannerCache() {
+  const patterns = getInvalidationPatterns('bannerChanged');
+
+  logger.info('[CACHE INVALIDATION] Invalidating banners', { patterns });
+
+  for (const pattern of patterns) {
+    await cache.delPattern(pattern);
+  }
+  await bumpCatalogVersion('banners');
 }
 
 /**
@@ -215,6 +258,7 @@ export async function clearProductCaches() {
   for (const pattern of patterns) {
     await cache.delPattern(pattern);
   }
+  await bumpCatalogVersion('products');
 }
 
 /**
@@ -238,7 +282,9 @@ export default {
   getProductSuggestions,
   getCategories,
   invalidateProductCache,
+  invalidateProductsCache,
   invalidateCategoryCache,
+  invalidateBannerCache,
   clearProductCaches,
   getCacheStats,
   disconnect
@@ -15,6 +15,7 @@
 
 import { PrismaClient } from '@prisma/client';
 import logger from '../utils/logger.js';
+import { formatVariantLabel } from './product-variants.service.js';
 
 const prisma = new PrismaClient({
   // Uncomment to see queries in logs (debug mode)
@@ -57,6 +58,8 @@ export async function getProductsList(options = {}) {
           category: true,
           color: true,
           images: true,
+          ratingAverage: true,
+          ratingCount: true,
           createdAt: true,
           updatedAt: true,
           updatedBy: {
@@ -108,12 +111,17 @@ export async function getProductsList(options = {}) {
  * Search products with filters
  * ✅ OPTIMIZED: Single query with where conditions
  * 
+ * Text queries go through the full-text index (product-search.service.js):
+ * results carry a relevance `score` and a `highlight` ({ name, description }
+ * with matches in <mark>), and sort by relevance unless another sort is given.
+ * 
  * @param {Object} filters - Search filters
- * @param {string} filters.query - Search query (name, description)
+ * @param {string} filters.query - Search query (name, category, description)
  * @param {string} filters.category - Category filter
  * @param {number} filters.minPrice - Minimum price
  * @param {number} filters.maxPrice - Maximum price
- * @param {string} filters.sort - Sort by: name, price_asc, price_desc, newest
+ * @param {number} filters.minRating - Minimum average rating (1-5)
+ * @param {string} filters.sort - Sort by: relevance, name, price_asc, price_desc, newest, rating
  * @param {number} filters.page - Page number
  * @param {number} filters.limit - Items per page
  * @returns {Promise<{data: Array, pagination: Object}>}
@@ -124,31 +132,39 @@ export async function searchProducts(filters = {}) {
     category = '',
     minPrice = null,
     maxPrice = null,
-    sort = 'name',
+    minRating = null,
+    sort = null,
     page = 1,
     limit = 20
   } = filters;
 
   const skip = (page - 1) * limit;
+  const text = (query || '').trim();
+  const sortBy = sort || (text ? 'relevance' : 'name');
 
   try {
     // Build where clause dynamically
+    const price = {
+      ...(minPrice !== null && { gte: minPrice }),
+      ...(maxPrice !== null && { lte: maxPrice })
+    };
     const where = {
       status: 'ACTIVE',
-      ...(query && {
-        OR: [
-          { name: { contains: query, mode: 'insensitive' } },
-          { description: { contains: query, mode: 'insensitive' } }
-        ]
-      }),
       ...(category && category.toLowerCase() !== 'all' && { category }),
-      ...(minPrice !== null && { price: { gte: minPrice } }),
-      ...(maxPrice !== null && { price: { ...where?.price, lte: maxPrice } })
+      ...(Object.keys(price).length > 0 && { price }),
+      ...(minRating !== null && !isNaN(minRating) && { ratingAverage: { gte: minRating } })
     };
 
+    // Full-text matches, best first
+    let ranked = null;
+    if (text) {
+      ranked = new Map(searchIndex(await getSearchIndex(), text).map((match, rank) => [match.id, { ...match, rank }]));
+      where.id = { in: [...ranked.keys()] };
+    }
+
     // Map sort parameter to orderBy
     let orderBy = { name: 'asc' };
-    switch (sort) {
+    switch (sortBy) {
       case 'price_asc':
         orderBy = { price: 'asc' };
         break;
@@ -158,38 +174,67 @@ export async function searchProducts(filters = {}) {
       case 'newest':
         orderBy = { createdAt: 'desc' };
         break;
+      case 'rating':
+        // Best rated first; among equal averages, the most reviewed
+        orderBy = [{ ratingAverage: 'desc' }, { ratingCount: 'desc' }, { name: 'asc' }];
+        break;
       case 'name':
       default:
         orderBy = { name: 'asc' };
     }
 
-    // ✅ OPTIMIZED QUERY: Single database call
-    const [products, total] = await Promise.all([
-      prisma.product.findMany({
-        where,
-        select: {
-          id: true,
-          name: true,
-          description: true,
-          price: true,
-          stock: true,
-          category: true,
-          color: true,
-          images: true,
-          createdAt: true
-        },
-        skip,
-        take: limit,
-        orderBy
-      }),
-      prisma.product.count({ where })
-    ]);
+    const select = {
+      id: true,
+      name: true,
+      description: true,
+      price: true,
+      stock: true,
+      category: true,
+      color: true,
+      images: true,
+      ratingAverage: true,
+      ratingCount: true,
+      createdAt: true
+    };
+
+    let products;
+    let total;
+    if (ranked && sortBy === 'relevance') {
+      // Filter in the database, order and page by rank here
+      const matching = await prisma.product.findMany({ where, select: { id: true } });
+      total = matching.length;
+      const pageIds = matching
+        .map(product => product.id)
+        .sort((a, b) => ranked.get(a).rank - ranked.get(b).rank)
+        .slice(skip, skip + limit);
+      const rows = await prisma.product.findMany({ where: { id: { in: pageIds } }, select });
+      products = pageIds.map(id => rows.find(row => row.id === id)).filter(Boolean);
+    } else {
+      // ✅ OPTIMIZED QUERY: Single database call
+      [products, total] = await Promise.all([
+        prisma.product.findMany({
+          where,
+          select,
+          skip,
+          take: limit,
+          orderBy
+        }),
+        prisma.product.count({ where })
+      ]);
+    }
+
+    if (ranked) {
+      products = products.map(product => {
+        const match = ranked.get(product.id);
+        return { ...product, score: match.score, highlight: highlightProduct(product, match.terms) };
+      });
+    }
 
     logger.debug('Products searched', {
       query,
       resultsCount: products.length,
       total,
-      filters: { category, minPrice, maxPrice, sort }
+      filters: { category, minPrice, maxPrice, minRating, sort: sortBy }
     });
 
     return {
@@ -207,7 +252,8 @@ export async function searchProducts(filters = {}) {
       query,
       category,
       minPrice,
-      maxPrice
+      maxPrice,
+      minRating
     });
     throw error;
   }
@@ -228,14 +274,29 @@ export async function getProductById(id) {
         description: true,
         price: true,
         stock: true,
+        status: true,
         category: true,
         color: true,
         offer: true,
         images: true,
+        ratingAverage: true,
+        ratingCount: true,
+        ratingDistribution: true,
         createdAt: true,
         updatedAt: true,
         updatedBy: {
           select: { id: true }
+        },
+        variants: {
+          where: { isActive: true },
+          orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+          select: {
+            id: true,
+            sku: true,
+            options: true,
+            price: true,
+            stock: true
+          }
         }
       }
     });
@@ -244,7 +305,14 @@ export async function getProductById(id) {
       throw new Error('Product not found');
     }
 
-    return product;
+    return {
+      ...product,
+      variants: product.variants.map(variant => ({
+        ...variant,
+        label: formatVariantLabel(variant.options),
+        price: variant.price !== null ? Number(variant.price) : null
+      }))
+    };
   } catch (error) {
     logger.error('Error fetching product', {
       error: error.message,
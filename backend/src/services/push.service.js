@@ -0,0 +1,418 @@
+/**
+ * Push Service - Firebase Cloud Messaging delivery for order updates
+ *
+ * - Device tokens are registered per user (DeviceToken table)
+ * - Customers get a push when their order moves to processing, shipped or
+ *   delivered, or when a Bakong payment is confirmed
+ * - Transient FCM errors are retried with exponential backoff; tokens FCM
+ *   reports as invalid or unregistered are deleted
+ *
+ * Messages go through a pluggable transport:
+ * - fcm: firebase-admin (default; falls back to log if the Admin SDK isn't set up)
+ * - log: writes the message to the log instead of sending it
+ * - none: drops messages
+ * Tests use createFakeTransport() with setPushTransport().
+ */
+
+import logger from '../utils/logger.js';
+import { buildOrderNotification } from './notification.service.js';
+
+export const PUSH_PLATFORMS = ['android', 'ios', 'web'];
+
+// Order statuses customers get a push for (paid only when confirmed by Bakong)
+export const PUSH_ORDER_STATUSES = ['processing', 'shipped', 'delivered'];
+
+// FCM accepts at most 500 tokens per multicast
+export const FCM_BATCH_SIZE = 500;
+
+export const RETRY_DEFAULTS = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Token is gone for good: delete it
+const INVALID_TOKEN_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]);
+
+// FCM is temporarily unable to deliver: try again later
+const TRANSIENT_CODES = new Set([
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'messaging/quota-exceeded'
+]);
+
+/**
+ * Error raised for push requests that can't be served.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class PushError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PushError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the dispatcher can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * How to handle a failed delivery
+ * @param {string} code - FCM error code
+ * @returns {'invalid'|'transient'|'permanent'}
+ */
+export function classifyPushError(code) {
+  if (INVALID_TOKEN_CODES.has(code)) return 'invalid';
+  if (TRANSIENT_CODES.has(code)) return 'transient';
+  return 'permanent';
+}
+
+/**
+ * Delay before a retry: baseDelayMs, doubled per attempt, capped at maxDelayMs
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempt, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs } = {}) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Validate a device token registration
+ * @param {Object} body - { token, platform }
+ * @returns {{token: string, platform: string}}
+ */
+export function parseDeviceToken(body = {}) {
+  const token = typeof body.token === 'string' ? body.token.trim() : '';
+  const platform = body.platform ? String(body.platform).toLowerCase() : 'android';
+
+  if (!token) throw new PushError('Device token is required');
+  if (token.length > 255) throw new PushError('Device token is too long');
+  if (!PUSH_PLATFORMS.includes(platform)) {
+    throw new PushError(`Invalid platform. Valid platforms: ${PUSH_PLATFORMS.join(', ')}`);
+  }
+  return { token, platform };
+}
+
+/**
+ * The push for an order status change
+ * @param {Object} change
+ * @param {Object} change.order - { id, orderNumber }
+ * @param {string} change.toStatus
+ * @param {string} change.actor
+ * @returns {{title: string, body: string, data: Object}|null} null if no push is due
+ */
+export function buildOrderPush({ order, toStatus, actor }) {
+  const due = PUSH_ORDER_STATUSES.includes(toStatus) || (toStatus === 'paid' && actor === 'bakong');
+  if (!due) return null;
+
+  const content = buildOrderNotification({ orderNumber: order.orderNumber, toStatus, actor });
+  if (!content) return null;
+
+  return {
+    title: content.title,
+    body: content.message,
+    // FCM data values must be strings
+    data: {
+      type: content.type,
+      orderId: String(order.id),
+      orderNumber: order.orderNumber,
+      status: toStatus
+    }
+  };
+}
+
+/**
+ * Transport that records messages instead of sending them
+ * `failures` maps a token to the error codes its successive attempts
+ * should fail with (e.g. { abc: ['messaging/unavailable'] } fails once).
+ *
+ * @param {Object} options
+ * @param {Object<string, Array<string>>} options.failures
+ * @returns {{name: string, sent: Array, send: Function}}
+ */
+export function createFakeTransport({ failures = {} } = {}) {
+  const remaining = Object.fromEntries(Object.entries(failures).map(([token, codes]) => [token, [...codes]]));
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+    async send(tokens, message) {
+      return tokens.map(token => {
+        const code = remaining[token]?.shift();
+        if (code) return { token, success: false, error: { code, message: code } };
+        sent.push({ token, message });
+        return { token, success: true };
+      });
+    }
+  };
+}
+
+/**
+ * Transport that logs messages instead of sending them (local development)
+ */
+export function createLogTransport() {
+  return {
+    name: 'log',
+    async send(tokens, message) {
+      logger.info('Push (not sent)', { tokens: tokens.length, title: message.title, data: message.data });
+      return tokens.map(token => ({ token, success: true }));
+    }
+  };
+}
+
+/**
+ * Transport that drops messages
+ */
+export function createNullTransport() {
+  return {
+    name: 'none',
+    async send(tokens) {
+      return tokens.map(token => ({ token, success: true }));
+    }
+  };
+}
+
+/**
+ * Firebase Cloud Messaging transport
+ * @param {Object} messaging - firebase-admin Messaging client
+ */
+export function createFcmTransport(messaging) {
+  return {
+    name: 'fcm',
+    async send(tokens, message) {
+      const results = [];
+      for (let i = 0; i < tokens.length; i += FCM_BATCH_SIZE) {
+        const batch = tokens.slice(i, i + FCM_BATCH_SIZE);
+        const response = await messaging.sendEachForMulticast({
+          tokens: batch,
+          notification: { title: message.title, body: message.body },
+          data: message.data,
+          android: { priority: 'high' },
+          apns: { payload: { aps: { sound: 'default' } } }
+        });
+        response.responses.forEach((item, index) => {
+          results.push(item.success
+            ? { token: batch[index], success: true }
+            : { token: batch[index], success: false, error: { code: item.error?.code, message: item.error?.message } });
+        });
+      }
+      return results;
+    }
+  };
+}
+
+let transport = null;
+
+async function createConfiguredTransport() {
+  const name = (process.env.PUSH_TRANSPORT || 'fcm').toLowerCase();
+  if (name === 'none') return createNullTransport();
+  if (name === 'log') return createLogTransport();
+
+  const { getMessaging } = await import('./firebase.service.js');
+  const messaging = getMessaging();
+  if (!messaging) {
+    logger.warn('Firebase Admin SDK not initialized, push notifications will only be logged');
+    return createLogTransport();
+  }
+  return createFcmTransport(messaging);
+}
+
+/**
+ * The transport pushes go through (from PUSH_TRANSPORT on first use)
+ * @returns {Promise<Object>}
+ */
+export async function getPushTransport() {
+  if (!transport) {
+    transport = await createConfiguredTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (tests, or a different provider)
+ * @param {Object|null} replacement - null goes back to PUSH_TRANSPORT
+ */
+export function setPushTransport(replacement) {
+  transport = replacement;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a message to tokens, retrying transient failures with backoff
+ * A transport that throws counts as a transient failure of every token.
+ *
+ * @param {Object} pushTransport - Transport with send(tokens, message)
+ * @param {Array<string>} tokens
+ * @param {Object} message - { title, body, data }
+ * @param {Object} options - RETRY_DEFAULTS overrides, plus `wait(ms)` for tests
+ * @returns {Promise<{sent: number, failed: number, invalidTokens: Array<string>, attempts: number}>}
+ */
+export async function sendWithRetry(pushTransport, tokens, message, options = {}) {
+  const { maxAttempts = RETRY_DEFAULTS.maxAttempts, wait = sleep, ...delayOptions } = options;
+
+  let pending = [...new Set(tokens)];
+  const invalidTokens = [];
+  let sent = 0;
+  let failed = 0;
+  let attempts = 0;
+
+  while (pending.length > 0 && attempts < maxAttempts) {
+    attempts++;
+    let results;
+    try {
+      results = await pushTransport.send(pending, message);
+    } catch (error) {
+      logger.warn('Push transport error', { attempt: attempts, error: error.message });
+      results = pending.map(token => ({ token, success: false, error: { code: 'messaging/unavailable', message: error.message } }));
+    }
+
+    const retry = [];
+    for (const result of results) {
+      if (result.success) {
+        sent++;
+        continue;
+      }
+      const kind = classifyPushError(result.error?.code);
+      if (kind === 'invalid') {
+        invalidTokens.push(result.token);
+      } else if (kind === 'transient') {
+        retry.push(result.token);
+      } else {
+        failed++;
+        logger.warn('Push delivery failed', { code: result.error?.code, error: result.error?.message });
+      }
+    }
+
+    pending = retry;
+    if (pending.length > 0 && attempts < maxAttempts) {
+      await wait(retryDelay(attempts, delayOptions));
+    }
+  }
+
+  failed += pending.length;
+  return { sent, failed, invalidTokens, attempts };
+}
+
+/**
+ * Register a device token for a user
+ * A token already registered to someone else (shared phone) moves to this user.
+ *
+ * @param {number} userId
+ * @param {Object} device - From parseDeviceToken()
+ */
+export async function registerDeviceToken(userId, { token, platform }) {
+  await runQuery(
+    `INSERT INTO DeviceToken (userId, token, platform, createdAt, updatedAt)
+     VALUES (?, ?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE userId = VALUES(userId), platform = VALUES(platform), updatedAt = NOW()`,
+    [userId, token, platform]
+  );
+}
+
+/**
+ * Remove one of the user's device tokens (e.g. on logout)
+ * @param {number} userId
+ * @param {string} token
+ * @returns {Promise<boolean>} Whether a token was removed
+ */
+export async function unregisterDeviceToken(userId, token) {
+  const result = await runQuery('DELETE FROM DeviceToken WHERE userId = ? AND token = ?', [userId, token]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete tokens FCM no longer accepts
+ * @param {Array<string>} tokens
+ * @returns {Promise<number>} Tokens deleted
+ */
+export async function pruneDeviceTokens(tokens) {
+  if (tokens.length === 0) return 0;
+  const result = await runQuery(
+    `DELETE FROM DeviceToken WHERE token IN (${tokens.map(() => '?').join(',')})`,
+    tokens
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Push a message to every device of a user
+ * @param {number} userId
+ * @param {Object} message - { title, body, data }
+ * @param {Object} options - See sendWithRetry
+ * @returns {Promise<Object>} Delivery summary
+ */
+export async function sendPushToUser(userId, message, options = {}) {
+  const rows = await runQuery('SELECT token FROM DeviceToken WHERE userId = ?', [userId]);
+  if (rows.length === 0) {
+    return { sent: 0, failed: 0, invalidTokens: [], attempts: 0 };
+  }
+
+  const summary = await sendWithRetry(await getPushTransport(), rows.map(row => row.token), message, options);
+  if (summary.invalidTokens.length > 0) {
+    const pruned = await pruneDeviceTokens(summary.invalidTokens);
+    logger.info('Pruned invalid device tokens', { userId, pruned });
+  }
+  return summary;
+}
+
+/**
+ * Push an order status change to its owner, if one is due
+ * Call after the change is committed. Never throws: a failed push must not
+ * fail the status change.
+ *
+ * @param {Object} change - { order: { id, orderNumber, userId }, toStatus, actor }
+ * @returns {Promise<Object|null>} Delivery summary, or null if no push was due
+ */
+export async function dispatchOrderPush({ order, toStatus, actor }) {
+  if (!order?.userId) return null;
+  const message = buildOrderPush({ order, toStatus, actor });
+  if (!message) return null;
+
+  try {
+    const summary = await sendPushToUser(order.userId, message);
+    logger.debug('Order push dispatched', { orderId: order.id, toStatus, ...summary });
+    return summary;
+  } catch (error) {
+    logger.error('Order push failed', { orderId: order.id, toStatus, error: error.message });
+    return null;
+  }
+}
+
+export default {
+  PUSH_PLATFORMS,
+  PUSH_ORDER_STATUSES,
+  RETRY_DEFAULTS,
+  PushError,
+  classifyPushError,
+  retryDelay,
+  parseDeviceToken,
+  buildOrderPush,
+  createFakeTransport,
+  createLogTransport,
+  createNullTransport,
+  createFcmTransport,
+  getPushTransport,
+  setPushTransport,
+  sendWithRetry,
+  registerDeviceToken,
+  unregisterDeviceToken,
+  pruneDeviceTokens,
+  sendPushToUser,
+  dispatchOrderPush
+};
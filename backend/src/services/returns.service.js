@@ -0,0 +1,523 @@
+/**
+ * Returns Service - Return requests and refunds for delivered orders
+ *
+ * Customers open a return (ReturnRequest + ReturnItem) for some or all
+ * items of a delivered order. Admins approve or reject it:
+ * - approved: items go back to stock (unless damaged), a Refund is recorded
+ *   and, once every item is returned, the order moves to "returned"
+ * - rejected: nothing changes, the items can be requested again
+ *
+ * Refunds are subtracted from revenue in the dashboard statistics.
+ */
+
+import logger from '../utils/logger.js';
+import { roundMoney } from './checkout.service.js';
+import { MOVEMENT_REASONS, recordMovement } from './inventory-movement.service.js';
+import { syncLowStockAlerts } from './low-stock.service.js';
+import { ORDER_ACTORS, afterStatusCommit, transitionOrder } from './order-lifecycle.service.js';
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected'];
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'size_fit',
+  'changed_mind',
+  'other'
+];
+
+export const REFUND_METHODS = ['original_payment', 'cash', 'bank_transfer', 'bakong', 'store_credit'];
+
+/**
+ * Error raised when a return can't be opened or reviewed.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ReturnError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ReturnError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the return rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+async function getConnection() {
+  const { getConnection: connect } = await import('../config/database.js');
+  return connect();
+}
+
+/**
+ * Quantity of each order item that can still be returned
+ * @param {Array} orderItems - [{ id, quantity }]
+ * @param {Array} returnedItems - [{ orderItemId, quantity }] in requested/approved returns
+ * @returns {Map<number, number>} orderItemId -> returnable quantity
+ */
+export function getReturnableQuantities(orderItems, returnedItems = []) {
+  const returnable = new Map(orderItems.map(item => [item.id, item.quantity]));
+  for (const returned of returnedItems) {
+    if (returnable.has(returned.orderItemId)) {
+      returnable.set(returned.orderItemId, Math.max(0, returnable.get(returned.orderItemId) - Number(returned.quantity)));
+    }
+  }
+  return returnable;
+}
+
+/**
+ * Validate the items a customer wants to return
+ * @param {Array} requested - [{ orderItemId, quantity }] from the request body
+ * @param {Array} orderItems - OrderItem rows of the order
+ * @param {Array} returnedItems - Items already in requested/approved returns
+ * @returns {Array} [{ orderItemId, productId, variantId, productName, quantity, unitPrice }]
+ */
+export function validateReturnItems(requested, orderItems, returnedItems = []) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ReturnError('Select at least one item to return');
+  }
+
+  const returnable = getReturnableQuantities(orderItems, returnedItems);
+  const quantities = new Map();
+
+  for (const entry of requested) {
+    const orderItemId = Number(entry?.orderItemId);
+    const quantity = Number(entry?.quantity ?? 1);
+    if (!returnable.has(orderItemId)) {
+      throw new ReturnError(`Item ${entry?.orderItemId} is not part of this order`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ReturnError('Quantity must be a positive whole number', 400, { orderItemId });
+    }
+    quantities.set(orderItemId, (quantities.get(orderItemId) || 0) + quantity);
+  }
+
+  return [...quantities.entries()].map(([orderItemId, quantity]) => {
+    const item = orderItems.find(orderItem => orderItem.id === orderItemId);
+    const available = returnable.get(orderItemId);
+    if (quantity > available) {
+      throw new ReturnError(
+        `Only ${available} of ${item.productName} can be returned`,
+        400,
+        { orderItemId, returnable: available }
+      );
+    }
+    return {
+      orderItemId,
+      productId: item.productId,
+      variantId: item.variantId ?? null,
+      productName: item.productName,
+      quantity,
+      unitPrice: Number(item.price)
+    };
+  });
+}
+
+/**
+ * Default refund for returned items
+ * Items are refunded at the price paid (order discount shared out
+ * proportionally, shipping kept) and never above what is left to refund.
+ *
+ * @param {Object} order - { subtotal, discount, total }
+ * @param {Array} items - [{ unitPrice, quantity }]
+ * @param {number} alreadyRefunded - Sum of earlier refunds of the order
+ * @returns {number}
+ */
+export function calculateRefundAmount(order, items, alreadyRefunded = 0) {
+  const itemsValue = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const subtotal = Number(order.subtotal) || 0;
+  const discount = Number(order.discount) || 0;
+  const share = subtotal > 0 ? Math.min(1, Math.max(0, (subtotal - discount) / subtotal)) : 1;
+  const refundable = Math.max(0, roundMoney(Number(order.total) - alreadyRefunded));
+
+  return Math.min(roundMoney(itemsValue * share), refundable);
+}
+
+/**
+ * Items of an order already in requested/approved returns
+ */
+async function getReturnedItems(executor, orderId, statuses = ['requested', 'approved']) {
+  const [rows] = await executor.execute(
+    `SELECT ri.orderItemId, SUM(ri.quantity) AS quantity
+     FROM ReturnItem ri
+     JOIN ReturnRequest r ON ri.returnId = r.id
+     WHERE r.orderId = ? AND r.status IN (${statuses.map(() => '?').join(', ')})
+     GROUP BY ri.orderItemId`,
+    [orderId, ...statuses]
+  );
+  return rows;
+}
+
+/**
+ * Map ReturnRequest rows (with their items and refunds) to the API shape
+ */
+async function mapReturns(rows) {
+  if (rows.length === 0) return [];
+  const ids = rows.map(row => row.id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const items = await runQuery(
+    `SELECT ri.id, ri.returnId, ri.orderItemId, ri.productId, ri.variantId, oi.productName, oi.productImage,
+            oi.variantLabel, ri.quantity, ri.unitPrice
+     FROM ReturnItem ri
+     JOIN OrderItem oi ON ri.orderItemId = oi.id
+     WHERE ri.returnId IN (${placeholders})
+     ORDER BY ri.id ASC`,
+    ids
+  );
+  const refunds = await runQuery(
+    `SELECT id, returnId, amount, method, reference, createdAt FROM Refund WHERE returnId IN (${placeholders})`,
+    ids
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    orderId: row.orderId,
+    orderNumber: row.orderNumber,
+    userId: row.userId,
+    customerName: row.customerName,
+    status: row.status,
+    reason: row.reason,
+    comment: row.comment,
+    adminNote: row.adminNote,
+    restocked: Boolean(row.restocked),
+    items: items
+      .filter(item => item.returnId === row.id)
+      .map(item => ({
+        id: item.id,
+        orderItemId: item.orderItemId,
+        productId: item.productId,
+        variantId: item.variantId,
+        productName: item.productName,
+        productImage: item.productImage,
+        variantLabel: item.variantLabel,
+        quantity: item.quantity,
+        unitPrice: Number(item.unitPrice)
+      })),
+    refund: refunds
+      .filter(refund => refund.returnId === row.id)
+      .map(refund => ({ ...refund, amount: Number(refund.amount) }))[0] || null,
+    reviewedById: row.reviewedById,
+    reviewedAt: row.reviewedAt,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  }));
+}
+
+const RETURN_SELECT = `
+  SELECT r.*, o.orderNumber, o.customerName
+  FROM ReturnRequest r
+  JOIN \`Order\` o ON r.orderId = o.id`;
+
+/**
+ * Get a return by ID
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+export async function getReturnById(id) {
+  const rows = await runQuery(`${RETURN_SELECT} WHERE r.id = ? LIMIT 1`, [id]);
+  if (rows.length === 0) {
+    throw new ReturnError('Return not found', 404);
+  }
+  const [mapped] = await mapReturns(rows);
+  return mapped;
+}
+
+/**
+ * Returns of an order (shown in the order details)
+ * @param {number} orderId
+ * @returns {Promise<Array>}
+ */
+export async function getReturnsForOrder(orderId) {
+  const rows = await runQuery(`${RETURN_SELECT} WHERE r.orderId = ? ORDER BY r.createdAt DESC`, [orderId]);
+  return mapReturns(rows);
+}
+
+/**
+ * List returns for the admin dashboard (newest first)
+ * @param {Object} options
+ * @param {string} options.status - requested, approved, rejected (all if omitted)
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export async function listReturns({ status, page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const filterStatus = RETURN_STATUSES.includes(status) ? status : null;
+  const where = filterStatus ? 'WHERE r.status = ?' : '';
+  const params = filterStatus ? [filterStatus] : [];
+
+  const [{ total }] = await runQuery(`SELECT COUNT(*) AS total FROM ReturnRequest r ${where}`, params);
+  const rows = await runQuery(
+    `${RETURN_SELECT} ${where} ORDER BY r.createdAt DESC LIMIT ${pageSize} OFFSET ${(pageNumber - 1) * pageSize}`,
+    params
+  );
+
+  return {
+    data: await mapReturns(rows),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total: Number(total),
+      pages: Math.ceil(Number(total) / pageSize)
+    }
+  };
+}
+
+/**
+ * Open a return for items of a delivered order
+ * @param {number} orderId
+ * @param {number} userId - Customer opening the return (must own the order)
+ * @param {Object} input - { items: [{ orderItemId, quantity }], reason, comment }
+ * @returns {Promise<Object>} The new return
+ */
+export async function createReturn(orderId, userId, { items, reason, comment = null } = {}) {
+  if (!RETURN_REASONS.includes(reason)) {
+    throw new ReturnError(`Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+  }
+  const trimmedComment = typeof comment === 'string' ? comment.trim().slice(0, 1000) : '';
+  if (reason === 'other' && !trimmedComment) {
+    throw new ReturnError('Please describe the reason for the return');
+  }
+
+  const connection = await getConnection();
+  let returnId;
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the order so two requests can't return the same items
+    const [orders] = await connection.execute(
+      'SELECT id, orderNumber, status, userId FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE',
+      [orderId]
+    );
+    const order = orders[0];
+    if (!order) {
+      throw new ReturnError('Order not found', 404);
+    }
+    if (!order.userId || order.userId !== userId) {
+      throw new ReturnError('You do not have permission to return items of this order', 403);
+    }
+    if (order.status !== 'delivered') {
+      throw new ReturnError('Only delivered orders can be returned', 409, { currentStatus: order.status });
+    }
+
+    const [orderItems] = await connection.execute(
+      'SELECT id, productId, variantId, productName, price, quantity FROM OrderItem WHERE orderId = ?',
+      [orderId]
+    );
+    const returnItems = validateReturnItems(items, orderItems, await getReturnedItems(connection, orderId));
+
+    const [result] = await connection.execute(
+      `INSERT INTO ReturnRequest (orderId, userId, status, reason, comment, createdAt, updatedAt)
+       VALUES (?, ?, 'requested', ?, ?, NOW(), NOW())`,
+      [orderId, userId, reason, trimmedComment || null]
+    );
+    returnId = result.insertId;
+
+    for (const item of returnItems) {
+      await connection.execute(
+        `INSERT INTO ReturnItem (returnId, orderItemId, productId, variantId, quantity, unitPrice)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [returnId, item.orderItemId, item.productId, item.variantId, item.quantity, item.unitPrice]
+      );
+    }
+
+    await connection.commit();
+    logger.info('Return requested', { returnId, orderId, orderNumber: order.orderNumber, reason, items: returnItems.length });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getReturnById(returnId);
+}
+
+/**
+ * Lock a return that is waiting for review
+ */
+async function lockRequestedReturn(connection, id) {
+  const [rows] = await connection.execute('SELECT * FROM ReturnRequest WHERE id = ? LIMIT 1 FOR UPDATE', [id]);
+  const request = rows[0];
+  if (!request) {
+    throw new ReturnError('Return not found', 404);
+  }
+  if (request.status !== 'requested') {
+    throw new ReturnError(`Return is already ${request.status}`, 409, { currentStatus: request.status });
+  }
+  return request;
+}
+
+/**
+ * Approve a return: restock, record the refund and close the order when fully returned
+ * @param {number} id - Return ID
+ * @param {number} adminId
+ * @param {Object} input
+ * @param {number} input.amount - Refund amount (defaults to calculateRefundAmount)
+ * @param {string} input.method - One of REFUND_METHODS
+ * @param {string} input.reference - Transaction/receipt reference
+ * @param {boolean} input.restock - Put the items back in stock (false for damaged goods)
+ * @param {string} input.note - Admin note shown to the customer
+ * @returns {Promise<Object>} The approved return
+ */
+export async function approveReturn(id, adminId, { amount, method = 'original_payment', reference = null, restock = true, note = null } = {}) {
+  if (!REFUND_METHODS.includes(method)) {
+    throw new ReturnError(`Refund method must be one of: ${REFUND_METHODS.join(', ')}`);
+  }
+
+  const connection = await getConnection();
+  let transition = null;
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the order before the return, in the same order as createReturn,
+    // so a concurrent request and approval can't deadlock
+    const [requests] = await connection.execute('SELECT orderId FROM ReturnRequest WHERE id = ? LIMIT 1', [id]);
+    if (!requests[0]) {
+      throw new ReturnError('Return not found', 404);
+    }
+    const [orders] = await connection.execute(
+      'SELECT id, orderNumber, status, subtotal, discount, total FROM `Order` WHERE id = ? LIMIT 1 FOR UPDATE',
+      [requests[0].orderId]
+    );
+    const order = orders[0];
+
+    await lockRequestedReturn(connection, id);
+
+    const [items] = await connection.execute(
+      'SELECT orderItemId, productId, variantId, quantity, unitPrice FROM ReturnItem WHERE returnId = ?',
+      [id]
+    );
+    const returnItems = items.map(item => ({ ...item, unitPrice: Number(item.unitPrice) }));
+
+    if (restock) {
+      for (const item of returnItems) {
+        if (!item.productId) continue;
+        await connection.execute('UPDATE Product SET stock = stock + ? WHERE id = ?', [item.quantity, item.productId]);
+        if (item.variantId) {
+          await connection.execute('UPDATE ProductVariant SET stock = stock + ? WHERE id = ?', [item.quantity, item.variantId]);
+        }
+        await recordMovement(connection, {
+          productId: item.productId,
+          variantId: item.variantId,
+          delta: item.quantity,
+          reason: MOVEMENT_REASONS.RETURN,
+          actor: ORDER_ACTORS.ADMIN,
+          actorId: adminId,
+          orderId: order.id,
+          note: `Return #${id}`
+        });
+      }
+      await syncLowStockAlerts(connection, returnItems.map(item => item.productId));
+    }
+
+    const [[{ refunded }]] = await connection.execute(
+      'SELECT COALESCE(SUM(amount), 0) AS refunded FROM Refund WHERE orderId = ?',
+      [order.id]
+    );
+    const refundable = Math.max(0, roundMoney(Number(order.total) - Number(refunded)));
+
+    let refundAmount = calculateRefundAmount(order, returnItems, Number(refunded));
+    if (amount !== undefined && amount !== null && amount !== '') {
+      refundAmount = roundMoney(amount);
+      if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > refundable) {
+        throw new ReturnError(`Refund amount must be between 0 and ${refundable}`, 400, { refundable });
+      }
+    }
+
+    await connection.execute(
+      `INSERT INTO Refund (orderId, returnId, amount, method, reference, createdById, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [order.id, id, refundAmount, method, reference ? String(reference).trim().slice(0, 255) : null, adminId]
+    );
+
+    await connection.execute(
+      `UPDATE ReturnRequest SET status = 'approved', restocked = ?, adminNote = ?, reviewedById = ?, reviewedAt = NOW(), updatedAt = NOW()
+       WHERE id = ?`,
+      [Boolean(restock), note ? String(note).trim() : null, adminId, id]
+    );
+
+    // Close the order once every item has come back
+    const [orderItems] = await connection.execute('SELECT id, quantity FROM OrderItem WHERE orderId = ?', [order.id]);
+    const remaining = getReturnableQuantities(orderItems, await getReturnedItems(connection, order.id, ['approved']));
+    if (order.status === 'delivered' && [...remaining.values()].every(quantity => quantity === 0)) {
+      transition = await transitionOrder(connection, order.id, 'returned', {
+        actor: ORDER_ACTORS.ADMIN,
+        actorId: adminId,
+        note: `All items returned (return #${id})`
+      });
+    }
+
+    await connection.commit();
+    logger.info('Return approved', { returnId: id, orderId: order.id, refundAmount, method, restock: Boolean(restock) });
+
+    if (transition) {
+      afterStatusCommit(transition, ORDER_ACTORS.ADMIN);
+    }
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getReturnById(id);
+}
+
+/**
+ * Reject a return
+ * @param {number} id - Return ID
+ * @param {number} adminId
+ * @param {Object} input - { note } explaining the rejection to the customer
+ * @returns {Promise<Object>} The rejected return
+ */
+export async function rejectReturn(id, adminId, { note = null } = {}) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await lockRequestedReturn(connection, id);
+    await connection.execute(
+      `UPDATE ReturnRequest SET status = 'rejected', adminNote = ?, reviewedById = ?, reviewedAt = NOW(), updatedAt = NOW()
+       WHERE id = ?`,
+      [note ? String(note).trim() : null, adminId, id]
+    );
+    await connection.commit();
+    logger.info('Return rejected', { returnId: id });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getReturnById(id);
+}
+
+export default {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  REFUND_METHODS,
+  ReturnError,
+  getReturnableQuantities,
+  validateReturnItems,
+  calculateRefundAmount,
+  getReturnById,
+  getReturnsForOrder,
+  listReturns,
+  createReturn,
+  approveReturn,
+  rejectReturn
+};
@@ -0,0 +1,167 @@
+/**
+ * Review Moderation Service - Automated screening and the moderation queue
+ *
+ * New reviews are screened before they go live. A review is held as
+ * "pending" (hidden from the product page) when it:
+ * - contains a blocked word (built-in list + REVIEW_BLOCKED_WORDS)
+ * - contains more links than REVIEW_MAX_LINKS
+ * - repeats the text of another review word for word
+ * Clean reviews are approved right away. Admins work through the queue
+ * with moderateReviews() in reviews.service.js; rejections carry one of
+ * REJECTION_REASONS.
+ */
+
+import crypto from 'crypto';
+
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const REJECTION_REASONS = [
+  'spam',
+  'profanity',
+  'off_topic',
+  'fake',
+  'personal_info',
+  'duplicate',
+  'other'
+];
+
+// Always blocked; extend with REVIEW_BLOCKED_WORDS (comma-separated)
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick', 'viagra', 'casino'];
+
+// Short texts like "Great!" are legitimately repeated and aren't checked for duplicates
+const MIN_DUPLICATE_LENGTH = 20;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|xyz|ru|cn|info|biz|top|shop)\b/gi;
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the screening rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Words that hold a review for moderation
+ * @returns {Array<string>} Lowercase words
+ */
+export function getBlockedWords() {
+  const extra = (process.env.REVIEW_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set([...DEFAULT_BLOCKED_WORDS, ...extra])];
+}
+
+/**
+ * Number of links a review may contain before it is held
+ * @returns {number}
+ */
+export function getMaxLinks() {
+  const value = parseInt(process.env.REVIEW_MAX_LINKS);
+  return isNaN(value) || value < 0 ? 0 : value;
+}
+
+/**
+ * Text compared for duplicates: lowercase, letters and digits only
+ * @param {string|null} text
+ * @returns {string}
+ */
+export function normalizeReviewText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Hash stored on Review.contentHash to find repeated texts
+ * @param {string|null} text
+ * @returns {string|null} Null for texts too short to count as duplicates
+ */
+export function hashReviewText(text) {
+  const normalized = normalizeReviewText(text);
+  if (normalized.length < MIN_DUPLICATE_LENGTH) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Screen a review text
+ * @param {string|null} text
+ * @param {Object} options
+ * @param {boolean} options.isDuplicate - Another review has the same text
+ * @param {Array<string>} options.blockedWords
+ * @param {number} options.maxLinks
+ * @returns {Array} Flags [{ code, detail }] (empty = clean)
+ */
+export function screenReviewText(text, {
+  isDuplicate = false,
+  blockedWords = getBlockedWords(),
+  maxLinks = getMaxLinks()
+} = {}) {
+  const flags = [];
+  const content = text || '';
+  const words = new Set(normalizeReviewText(content).split(' '));
+
+  const matched = blockedWords.filter(word => (word.includes(' ')
+    ? normalizeReviewText(content).includes(word)
+    : words.has(word)));
+  if (matched.length > 0) {
+    flags.push({ code: 'blocked_word', detail: matched.join(', ') });
+  }
+
+  const links = content.match(LINK_PATTERN) || [];
+  if (links.length > maxLinks) {
+    flags.push({ code: 'link', detail: `${links.length} link(s)` });
+  }
+
+  if (isDuplicate) {
+    flags.push({ code: 'duplicate', detail: 'Same text as another review' });
+  }
+
+  return flags;
+}
+
+/**
+ * Screen a new review, including the duplicate check against stored reviews
+ * @param {string|null} comment
+ * @returns {Promise<Object>} { status, flags, contentHash }
+ */
+export async function screenReview(comment) {
+  const contentHash = hashReviewText(comment);
+  let isDuplicate = false;
+
+  if (contentHash) {
+    const rows = await runQuery('SELECT id FROM Review WHERE contentHash = ? LIMIT 1', [contentHash]);
+    isDuplicate = rows.length > 0;
+  }
+
+  const flags = screenReviewText(comment, { isDuplicate });
+  return { status: flags.length > 0 ? 'pending' : 'approved', flags, contentHash };
+}
+
+/**
+ * Number of reviews per moderation status
+ * @returns {Promise<Object>} { pending, approved, rejected }
+ */
+export async function getModerationCounts() {
+  const rows = await runQuery('SELECT moderationStatus, COUNT(*) as count FROM Review GROUP BY moderationStatus');
+  const counts = { pending: 0, approved: 0, rejected: 0 };
+  for (const row of rows) {
+    counts[row.moderationStatus] = Number(row.count);
+  }
+  return counts;
+}
+
+export default {
+  MODERATION_STATUSES,
+  REJECTION_REASONS,
+  getBlockedWords,
+  getMaxLinks,
+  normalizeReviewText,
+  hashReviewText,
+  screenReviewText,
+  screenReview,
+  getModerationCounts
+};
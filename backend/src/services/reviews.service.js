@@ -0,0 +1,640 @@
+/**
+ * Reviews Service - Product reviews, photos, helpful votes and replies
+ *
+ * A review is a verified purchase when its author has a delivered order
+ * containing the product. Reviews can carry photos (uploaded through the
+ * shared multer `upload` util), collect one "helpful" vote per shopper
+ * (Review.helpfulCount keeps the total) and get replies from the store,
+ * shown as a thread under the review.
+ *
+ * The product row carries the rating aggregates of its approved reviews
+ * (ratingAverage, ratingCount, ratingDistribution) so listings can show
+ * and sort by rating without touching Review; refreshProductRating()
+ * must run whenever a review is created, approved/unapproved or deleted.
+ * It also starts a new version of the product's public review list (the
+ * ETag/Last-Modified of GET /products/:id/reviews), as do votes and replies.
+ *
+ * New reviews go through the screening in review-moderation.service.js
+ * and may wait in the moderation queue ("pending") before they show up.
+ */
+
+import logger from '../utils/logger.js';
+import { bumpCatalogVersion } from '../utils/http-cache.js';
+import { REJECTION_REASONS, screenReview } from './review-moderation.service.js';
+
+export const MAX_REVIEW_PHOTOS = 5;
+export const MAX_REVIEW_LENGTH = 2000;
+export const MAX_REPLY_LENGTH = 1000;
+
+// Sort keys accepted by GET /products/:id/reviews
+export const REVIEW_SORTS = {
+  newest: 'r.createdAt DESC, r.id DESC',
+  oldest: 'r.createdAt ASC, r.id ASC',
+  highest: 'r.rating DESC, r.createdAt DESC',
+  lowest: 'r.rating ASC, r.createdAt DESC',
+  helpful: 'r.helpfulCount DESC, r.createdAt DESC'
+};
+
+/**
+ * Error raised when a review, vote or reply is rejected.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ReviewError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the review rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+function parseBooleanFlag(value) {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+}
+
+/**
+ * Read sort, filters and paging from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} { sort, rating, verified, withPhotos, page, limit }
+ */
+export function parseReviewQuery(query = {}) {
+  const rating = parseInt(query.rating);
+
+  return {
+    sort: Object.hasOwn(REVIEW_SORTS, query.sort) ? query.sort : 'newest',
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    verified: parseBooleanFlag(query.verified),
+    withPhotos: parseBooleanFlag(query.withPhotos) === true,
+    page: Math.max(1, parseInt(query.page) || 1),
+    limit: Math.min(50, Math.max(1, parseInt(query.limit) || 20))
+  };
+}
+
+/**
+ * WHERE clause for the approved reviews of a product matching the filters
+ * @param {number} productId
+ * @param {Object} filters - From parseReviewQuery
+ * @returns {Object} { where, params }
+ */
+export function buildReviewFilters(productId, { rating = null, verified = null, withPhotos = false } = {}) {
+  const conditions = ['r.productId = ?', 'r.isApproved = TRUE'];
+  const params = [productId];
+
+  if (rating) {
+    conditions.push('r.rating = ?');
+    params.push(rating);
+  }
+  if (verified !== null) {
+    conditions.push('r.isVerifiedPurchase = ?');
+    params.push(verified);
+  }
+  if (withPhotos) {
+    conditions.push('EXISTS (SELECT 1 FROM ReviewPhoto rp WHERE rp.reviewId = r.id)');
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Validate the rating and comment of a new review
+ * @param {Object} input - { rating, comment }
+ * @returns {Object} { rating, comment }
+ */
+export function validateReviewInput({ rating, comment } = {}) {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new ReviewError('Rating must be between 1 and 5');
+  }
+
+  const text = typeof comment === 'string' ? comment.trim() : '';
+  if (text.length > MAX_REVIEW_LENGTH) {
+    throw new ReviewError(`Review must be at most ${MAX_REVIEW_LENGTH} characters`);
+  }
+
+  return { rating: value, comment: text || null };
+}
+
+/**
+ * Check if a user received the product in a delivered order
+ * @param {number} userId
+ * @param {number} productId
+ * @returns {Promise<boolean>}
+ */
+export async function hasDeliveredPurchase(userId, productId) {
+  const rows = await runQuery(
+    `SELECT 1 FROM OrderItem oi
+     JOIN \`Order\` o ON oi.orderId = o.id
+     WHERE o.userId = ? AND oi.productId = ? AND o.status = 'delivered'
+     LIMIT 1`,
+    [userId, productId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Rating aggregates from per-star counts
+ * @param {Array} rows - [{ rating, count }] of approved reviews
+ * @returns {Object} { average, count, distribution } (average rounded to 2 decimals)
+ */
+export function summarizeRatings(rows = []) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+
+  for (const row of rows) {
+    const rating = Number(row.rating);
+    if (!Object.hasOwn(distribution, rating)) continue;
+    const rowCount = Number(row.count) || 0;
+    distribution[rating] += rowCount;
+    count += rowCount;
+    sum += rating * rowCount;
+  }
+
+  return {
+    average: count > 0 ? Math.round((sum / count) * 100) / 100 : 0,
+    count,
+    distribution
+  };
+}
+
+/**
+ * Recompute the rating aggregates stored on a product
+ * @param {number} productId
+ * @returns {Promise<Object>} { average, count, distribution }
+ */
+export async function refreshProductRating(productId) {
+  const rows = await runQuery(
+    'SELECT rating, COUNT(*) as count FROM Review WHERE productId = ? AND isApproved = TRUE GROUP BY rating',
+    [productId]
+  );
+  const summary = summarizeRatings(rows);
+
+  // Keep updatedAt: a new review isn't an edit of the product
+  await runQuery(
+    `UPDATE Product SET ratingAverage = ?, ratingCount = ?, ratingDistribution = ?, updatedAt = updatedAt
+     WHERE id = ?`,
+    [summary.average, summary.count, JSON.stringify(summary.distribution), productId]
+  );
+
+  // Cached lists and search show the rating (imported lazily: it pulls in Prisma)
+  try {
+    const { invalidateProductsCache } = await import('./products-cached.service.js');
+    await invalidateProductsCache([productId]);
+  } catch (error) {
+    logger.error('Product cache invalidation failed', { productId, error: error.message });
+  }
+  await bumpCatalogVersion(`reviews:${productId}`);
+
+  return summary;
+}
+
+function parseFlags(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function parseDistribution(value) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  for (const rating of Object.keys(distribution)) {
+    distribution[rating] = Number(parsed?.[rating]) || 0;
+  }
+  return distribution;
+}
+
+/**
+ * Add photos, replies and the viewer's vote to review rows
+ * @param {Array} rows - Review rows
+ * @param {number|null} viewerId - Logged-in user, if any
+ * @param {boolean} includeModeration - Keep moderation fields (admin views only)
+ * @returns {Promise<Array>}
+ */
+async function attachReviewDetails(rows, viewerId = null, includeModeration = false) {
+  if (rows.length === 0) return [];
+  const ids = rows.map(row => row.id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const photos = await runQuery(
+    `SELECT id, reviewId, url FROM ReviewPhoto WHERE reviewId IN (${placeholders}) ORDER BY id ASC`,
+    ids
+  );
+  const replies = await runQuery(
+    `SELECT id, reviewId, body, createdAt, updatedAt FROM ReviewReply WHERE reviewId IN (${placeholders}) ORDER BY createdAt ASC, id ASC`,
+    ids
+  );
+  const votes = viewerId
+    ? await runQuery(`SELECT reviewId FROM ReviewVote WHERE userId = ? AND reviewId IN (${placeholders})`, [viewerId, ...ids])
+    : [];
+  const votedIds = new Set(votes.map(vote => vote.reviewId));
+
+  return rows.map(({ contentHash, moderationFlags, rejectionReason, moderationNote, moderatedById, moderatedAt, ...row }) => ({
+    ...row,
+    ...(includeModeration && {
+      moderationFlags: parseFlags(moderationFlags),
+      rejectionReason,
+      moderationNote,
+      moderatedById,
+      moderatedAt
+    }),
+    isApproved: row.isApproved === 1 || row.isApproved === true,
+    isVerifiedPurchase: row.isVerifiedPurchase === 1 || row.isVerifiedPurchase === true,
+    helpfulCount: Number(row.helpfulCount) || 0,
+    votedHelpful: votedIds.has(row.id),
+    photos: photos.filter(photo => photo.reviewId === row.id).map(photo => ({ id: photo.id, url: photo.url })),
+    replies: replies
+      .filter(reply => reply.reviewId === row.id)
+      .map(reply => ({ id: reply.id, body: reply.body, createdAt: reply.createdAt, updatedAt: reply.updatedAt }))
+  }));
+}
+
+/**
+ * Get a review with its photos and replies
+ * @param {number} id
+ * @param {number|null} viewerId
+ * @returns {Promise<Object|null>}
+ */
+export async function getReviewById(id, viewerId = null) {
+  const rows = await runQuery('SELECT * FROM Review WHERE id = ? LIMIT 1', [id]);
+  if (rows.length === 0) return null;
+  const [review] = await attachReviewDetails(rows, viewerId);
+  return review;
+}
+
+/**
+ * Approved reviews of a product, sorted and filtered
+ * The rating summary always covers every approved review of the
+ * product; `pagination.total` is the number matching the filters.
+ *
+ * @param {number} productId
+ * @param {Object} query - req.query (sort, rating, verified, withPhotos, page, limit)
+ * @param {Object} options
+ * @param {number|null} options.viewerId - Logged-in user, to flag their helpful votes
+ * @returns {Promise<Object>} { reviews, averageRating, totalReviews, verifiedReviews, ratingBreakdown, filters, pagination }
+ */
+export async function getProductReviews(productId, query = {}, { viewerId = null } = {}) {
+  const filters = parseReviewQuery(query);
+  const { where, params } = buildReviewFilters(productId, filters);
+
+  const rows = await runQuery(
+    `SELECT r.*, u.email as userEmail
+     FROM Review r
+     LEFT JOIN User u ON r.userId = u.id
+     WHERE ${where}
+     ORDER BY ${REVIEW_SORTS[filters.sort]}
+     LIMIT ${filters.limit} OFFSET ${(filters.page - 1) * filters.limit}`,
+    params
+  );
+  const [{ total }] = await runQuery(`SELECT COUNT(*) as total FROM Review r WHERE ${where}`, params);
+
+  const products = await runQuery(
+    'SELECT ratingAverage, ratingCount, ratingDistribution FROM Product WHERE id = ? LIMIT 1',
+    [productId]
+  );
+  const product = products[0];
+  const [{ verifiedReviews }] = await runQuery(
+    'SELECT COUNT(*) as verifiedReviews FROM Review WHERE productId = ? AND isApproved = TRUE AND isVerifiedPurchase = TRUE',
+    [productId]
+  );
+
+  return {
+    reviews: await attachReviewDetails(rows, viewerId),
+    averageRating: Number(product?.ratingAverage || 0).toFixed(1),
+    totalReviews: product?.ratingCount || 0,
+    verifiedReviews: Number(verifiedReviews),
+    ratingBreakdown: parseDistribution(product?.ratingDistribution),
+    filters: { sort: filters.sort, rating: filters.rating, verified: filters.verified, withPhotos: filters.withPhotos },
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      total: Number(total),
+      totalPages: Math.ceil(Number(total) / filters.limit)
+    }
+  };
+}
+
+/**
+ * Insert a review and its photos
+ * Run it inside a transaction so a review never exists without its photos.
+ * The unique (productId, userId) index turns a second review from the same
+ * customer, e.g. a double submit, into a 409.
+ *
+ * @param {Object} executor - mysql2 connection (or pool)
+ * @param {Object} review - { productId, userId, userName, rating, comment, verified, screening }
+ * @param {Array<string>} photoUrls
+ * @returns {Promise<number>} The new review's id
+ */
+export async function insertReview(executor, { productId, userId, userName, rating, comment, verified, screening }, photoUrls = []) {
+  let result;
+  try {
+    [result] = await executor.execute(
+      `INSERT INTO Review (productId, userId, userName, rating, comment, isApproved, isVerifiedPurchase,
+                           moderationStatus, moderationFlags, contentHash, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        productId,
+        userId,
+        userName || null,
+        rating,
+        comment,
+        screening.status === 'approved',
+        verified,
+        screening.status,
+        screening.flags.length > 0 ? JSON.stringify(screening.flags) : null,
+        screening.contentHash
+      ]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ReviewError('You have already reviewed this product', 409);
+    }
+    throw error;
+  }
+
+  for (const url of photoUrls) {
+    await executor.execute('INSERT INTO ReviewPhoto (reviewId, url, createdAt) VALUES (?, ?, NOW())', [result.insertId, url]);
+  }
+  return result.insertId;
+}
+
+/**
+ * Create a review (one per user and product)
+ * @param {number} productId
+ * @param {number} userId
+ * @param {Object} input
+ * @param {number} input.rating
+ * @param {string} input.comment
+ * @param {string} input.userName - Display name
+ * @param {Array<string>} input.photoUrls - URLs of uploaded photos
+ * @returns {Promise<Object>} Created review with photos (moderationStatus "pending" if held)
+ */
+export async function createReview(productId, userId, { rating, comment, userName, photoUrls = [] } = {}) {
+  const input = validateReviewInput({ rating, comment });
+
+  if (photoUrls.length > MAX_REVIEW_PHOTOS) {
+    throw new ReviewError(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+  }
+
+  const products = await runQuery('SELECT id FROM Product WHERE id = ? LIMIT 1', [productId]);
+  if (products.length === 0) {
+    throw new ReviewError('Product not found', 404);
+  }
+
+  const existing = await runQuery('SELECT id FROM Review WHERE productId = ? AND userId = ? LIMIT 1', [productId, userId]);
+  if (existing.length > 0) {
+    throw new ReviewError('You have already reviewed this product', 409);
+  }
+
+  const verified = await hasDeliveredPurchase(userId, productId);
+  const screening = await screenReview(input.comment);
+
+  const { getConnection } = await import('../config/database.js');
+  const connection = await getConnection();
+  let reviewId;
+  try {
+    await connection.beginTransaction();
+    reviewId = await insertReview(connection, {
+      productId,
+      userId,
+      userName,
+      rating: input.rating,
+      comment: input.comment,
+      verified,
+      screening
+    }, photoUrls);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (screening.status === 'pending') {
+    logger.info('Review held for moderation', { reviewId, productId, flags: screening.flags.map(flag => flag.code) });
+  }
+
+  await refreshProductRating(productId);
+
+  return getReviewById(reviewId, userId);
+}
+
+/**
+ * Add or remove a user's "helpful" vote on a review
+ * @param {number} reviewId
+ * @param {number} userId
+ * @param {boolean} helpful - True to vote, false to take the vote back
+ * @returns {Promise<Object>} { reviewId, helpfulCount, votedHelpful }
+ */
+export async function setHelpfulVote(reviewId, userId, helpful = true) {
+  const reviews = await runQuery('SELECT id, userId, productId FROM Review WHERE id = ? AND isApproved = TRUE LIMIT 1', [reviewId]);
+  if (reviews.length === 0) {
+    throw new ReviewError('Review not found', 404);
+  }
+  if (reviews[0].userId === userId) {
+    throw new ReviewError('You cannot vote on your own review', 403);
+  }
+
+  if (helpful) {
+    await runQuery('INSERT IGNORE INTO ReviewVote (reviewId, userId, createdAt) VALUES (?, ?, NOW())', [reviewId, userId]);
+  } else {
+    await runQuery('DELETE FROM ReviewVote WHERE reviewId = ? AND userId = ?', [reviewId, userId]);
+  }
+
+  // Recount instead of +1/-1 so repeated or concurrent votes can't drift
+  await runQuery(
+    'UPDATE Review SET helpfulCount = (SELECT COUNT(*) FROM ReviewVote WHERE reviewId = ?) WHERE id = ?',
+    [reviewId, reviewId]
+  );
+  const [{ helpfulCount }] = await runQuery('SELECT helpfulCount FROM Review WHERE id = ?', [reviewId]);
+  await bumpCatalogVersion(`reviews:${reviews[0].productId}`);
+
+  return { reviewId, helpfulCount: Number(helpfulCount), votedHelpful: helpful };
+}
+
+/**
+ * Reply to a review as the store
+ * @param {number} reviewId
+ * @param {number} adminId
+ * @param {string} body
+ * @returns {Promise<Object>} Review with its replies
+ */
+export async function addReply(reviewId, adminId, body) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw new ReviewError('Reply cannot be empty');
+  }
+  if (text.length > MAX_REPLY_LENGTH) {
+    throw new ReviewError(`Reply must be at most ${MAX_REPLY_LENGTH} characters`);
+  }
+
+  const reviews = await runQuery('SELECT id, productId FROM Review WHERE id = ? LIMIT 1', [reviewId]);
+  if (reviews.length === 0) {
+    throw new ReviewError('Review not found', 404);
+  }
+
+  await runQuery(
+    'INSERT INTO ReviewReply (reviewId, userId, body, createdAt, updatedAt) VALUES (?, ?, ?, NOW(), NOW())',
+    [reviewId, adminId, text]
+  );
+  await bumpCatalogVersion(`reviews:${reviews[0].productId}`);
+
+  return getReviewById(reviewId);
+}
+
+/**
+ * Delete a store reply
+ * @param {number} replyId
+ * @returns {Promise<boolean>} False if the reply doesn't exist
+ */
+export async function deleteReply(replyId) {
+  const replies = await runQuery(
+    'SELECT r.productId FROM ReviewReply rr JOIN Review r ON rr.reviewId = r.id WHERE rr.id = ? LIMIT 1',
+    [replyId]
+  );
+  if (replies.length === 0) return false;
+
+  const result = await runQuery('DELETE FROM ReviewReply WHERE id = ?', [replyId]);
+  await bumpCatalogVersion(`reviews:${replies[0].productId}`);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Reviews for the admin moderation queue (newest first)
+ * @param {Object} options
+ * @param {string} options.status - pending, approved, rejected or all
+ * @param {number} options.productId
+ * @param {string} options.search - Matches the comment, product or reviewer email
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export async function listReviews({ status = 'all', productId = null, search = '', page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const conditions = [];
+  const params = [];
+
+  if (['pending', 'approved', 'rejected'].includes(status)) {
+    conditions.push('r.moderationStatus = ?');
+    params.push(status);
+  }
+  if (productId) {
+    conditions.push('r.productId = ?');
+    params.push(Number(productId));
+  }
+  if (search) {
+    conditions.push('(r.comment LIKE ? OR p.name LIKE ? OR u.email LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const from = `FROM Review r
+     LEFT JOIN Product p ON r.productId = p.id
+     LEFT JOIN User u ON r.userId = u.id
+     ${where}`;
+
+  const rows = await runQuery(
+    `SELECT r.*, p.name as productName, u.email as userEmail
+     ${from}
+     ORDER BY r.createdAt DESC, r.id DESC
+     LIMIT ${pageSize} OFFSET ${(pageNumber - 1) * pageSize}`,
+    params
+  );
+  const [{ total }] = await runQuery(`SELECT COUNT(*) as total ${from}`, params);
+
+  return {
+    data: await attachReviewDetails(rows, null, true),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total: Number(total),
+      pages: Math.ceil(Number(total) / pageSize)
+    }
+  };
+}
+
+/**
+ * Approve or reject reviews in bulk
+ * Rating aggregates are refreshed for every product touched.
+ *
+ * @param {Array<number>} ids - Review IDs
+ * @param {string} action - approve or reject
+ * @param {number} adminId
+ * @param {Object} options
+ * @param {string} options.reason - One of REJECTION_REASONS (required to reject)
+ * @param {string|null} options.note - Internal note
+ * @returns {Promise<Object>} { action, updated, ids }
+ */
+export async function moderateReviews(ids, action, adminId, { reason = null, note = null } = {}) {
+  const reviewIds = [...new Set((Array.isArray(ids) ? ids : []).map(Number))];
+  if (reviewIds.length === 0 || reviewIds.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new ReviewError('Select at least one valid review');
+  }
+  if (reviewIds.length > 200) {
+    throw new ReviewError('You can moderate at most 200 reviews at once');
+  }
+  if (action !== 'approve' && action !== 'reject') {
+    throw new ReviewError('Action must be approve or reject');
+  }
+  if (action === 'reject' && !REJECTION_REASONS.includes(reason)) {
+    throw new ReviewError('A rejection reason is required', 400, { reasons: REJECTION_REASONS });
+  }
+
+  const rows = await runQuery(
+    `SELECT id, productId FROM Review WHERE id IN (${reviewIds.map(() => '?').join(', ')})`,
+    reviewIds
+  );
+  if (rows.length === 0) {
+    throw new ReviewError('Reviews not found', 404);
+  }
+
+  const approve = action === 'approve';
+  const foundIds = rows.map(row => row.id);
+
+  await runQuery(
+    `UPDATE Review
+     SET moderationStatus = ?, isApproved = ?, rejectionReason = ?, moderationNote = ?,
+         moderatedById = ?, moderatedAt = NOW(), updatedAt = NOW()
+     WHERE id IN (${foundIds.map(() => '?').join(', ')})`,
+    [approve ? 'approved' : 'rejected', approve, approve ? null : reason, note || null, adminId, ...foundIds]
+  );
+
+  for (const productId of new Set(rows.map(row => row.productId))) {
+    await refreshProductRating(productId);
+  }
+
+  logger.info('Reviews moderated', { action, count: foundIds.length, adminId, reason: approve ? null : reason });
+  return { action, updated: foundIds.length, ids: foundIds };
+}
+
+export default {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_SORTS,
+  ReviewError,
+  parseReviewQuery,
+  buildReviewFilters,
+  validateReviewInput,
+  hasDeliveredPurchase,
+  summarizeRatings,
+  refreshProductRating,
+  getReviewById,
+  getProductReviews,
+  insertReview,
+  createReview,
+  setHelpfulVote,
+  addReply,
+  deleteReply,
+  listReviews,
+  moderateReviews
+};
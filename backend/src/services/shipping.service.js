@@ -0,0 +1,347 @@
+/**
+ * Shipping Service - Delivery fees by city/district
+ *
+ * Each ShippingZone covers one district of a city, a whole city
+ * (district NULL) or everywhere else (city NULL, the default zone).
+ * The most specific active zone wins.
+ *
+ * A zone charges its flat baseRate, or a tiered rate based on total
+ * weight (kg) or item count, and is free above freeShippingThreshold.
+ */
+
+import logger from '../utils/logger.js';
+import { roundMoney } from './checkout.service.js';
+
+export const TIER_BASES = ['none', 'weight', 'items'];
+
+/**
+ * Error raised when shipping can't be quoted or a zone can't be saved.
+ * `statusCode` is the HTTP status routes should respond with.
+ */
+export class ShippingError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ShippingError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the rate rules can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Parse the tiers JSON column
+ */
+function parseTiers(value) {
+  if (!value) return [];
+  try {
+    const tiers = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(tiers)
+      ? tiers.map(tier => ({ min: Number(tier.min), rate: Number(tier.rate) }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map a ShippingZone row to its API shape
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function mapZone(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    city: row.city,
+    district: row.district,
+    baseRate: Number(row.baseRate),
+    tierBasis: row.tierBasis,
+    tiers: parseTiers(row.tiers),
+    freeShippingThreshold: row.freeShippingThreshold !== null ? Number(row.freeShippingThreshold) : null,
+    estimatedDays: row.estimatedDays,
+    isActive: Boolean(row.isActive),
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * Calculate the shipping fee of an order in a zone
+ * With tiers, the highest tier whose `min` is reached replaces the base rate.
+ *
+ * @param {Object} zone - Mapped zone
+ * @param {Object} order
+ * @param {number} order.subtotal - Order subtotal (for the free shipping threshold)
+ * @param {number} order.itemCount - Total quantity
+ * @param {number} order.weight - Total weight in kg
+ * @returns {{shipping: number, freeShipping: boolean}}
+ */
+export function calculateShippingRate(zone, { subtotal = 0, itemCount = 0, weight = 0 }) {
+  if (zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined &&
+      subtotal >= zone.freeShippingThreshold) {
+    return { shipping: 0, freeShipping: true };
+  }
+
+  let rate = zone.baseRate;
+
+  if (zone.tierBasis === 'weight' || zone.tierBasis === 'items') {
+    const measure = zone.tierBasis === 'weight' ? weight : itemCount;
+    const tiers = [...(zone.tiers || [])].sort((a, b) => a.min - b.min);
+    for (const tier of tiers) {
+      if (measure >= tier.min) rate = tier.rate;
+    }
+  }
+
+  return { shipping: roundMoney(rate), freeShipping: false };
+}
+
+/**
+ * Find the zone that delivers to a city/district
+ * @param {Object} executor - Pool or connection (anything with execute())
+ * @param {string} city
+ * @param {string} district
+ * @returns {Promise<Object|null>} Mapped zone
+ */
+export async function findZone(executor, city, district) {
+  const [rows] = await executor.execute(
+    `SELECT * FROM ShippingZone
+     WHERE isActive = TRUE
+       AND (city IS NULL OR LOWER(city) = LOWER(?))
+       AND (district IS NULL OR LOWER(district) = LOWER(?))
+     ORDER BY (city IS NOT NULL) DESC, (district IS NOT NULL) DESC, id ASC
+     LIMIT 1`,
+    [String(city || '').trim(), String(district || '').trim()]
+  );
+  return rows[0] ? mapZone(rows[0]) : null;
+}
+
+/**
+ * Quote shipping for validated items delivered to a city/district
+ * @param {Object} executor - Pool or connection
+ * @param {Object} order
+ * @param {string} order.city
+ * @param {string} order.district
+ * @param {Array} order.items - Validated items ({ price, quantity, weight })
+ * @param {number} order.subtotal
+ * @returns {Promise<Object>} { zone, shipping, freeShipping, freeShippingThreshold, amountToFreeShipping, itemCount, weight }
+ */
+export async function quoteShipping(executor, { city, district, items = [], subtotal = 0 }) {
+  const zone = await findZone(executor, city, district);
+  if (!zone) {
+    throw new ShippingError(
+      `Delivery is not available to ${[district, city].filter(Boolean).join(', ') || 'this address'}`,
+      400,
+      { city, district }
+    );
+  }
+
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  const weight = Math.round(
+    items.reduce((sum, item) => sum + (Number(item.weight) || 0) * item.quantity, 0) * 1000
+  ) / 1000;
+
+  const { shipping, freeShipping } = calculateShippingRate(zone, { subtotal, itemCount, weight });
+  const threshold = zone.freeShippingThreshold;
+
+  return {
+    zone: { id: zone.id, name: zone.name, estimatedDays: zone.estimatedDays },
+    shipping,
+    freeShipping,
+    freeShippingThreshold: threshold,
+    amountToFreeShipping: threshold !== null && !freeShipping ? roundMoney(threshold - subtotal) : null,
+    itemCount,
+    weight
+  };
+}
+
+/**
+ * Validate and normalize zone input from the admin dashboard
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {Object} Column values
+ */
+export function sanitizeZoneInput(input = {}, partial = false) {
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || '').trim();
+    if (!name) throw new ShippingError('Zone name is required');
+    data.name = name;
+  }
+
+  for (const field of ['city', 'district']) {
+    if (input[field] !== undefined) {
+      const value = typeof input[field] === 'string' ? input[field].trim() : '';
+      data[field] = value || null;
+    }
+  }
+  if (data.district && !data.city && !partial) {
+    throw new ShippingError('A district zone needs a city');
+  }
+
+  if (!partial || input.baseRate !== undefined) {
+    const baseRate = Number(input.baseRate ?? 0);
+    if (isNaN(baseRate) || baseRate < 0) throw new ShippingError('baseRate must be a positive number');
+    data.baseRate = baseRate;
+  }
+
+  if (input.freeShippingThreshold !== undefined) {
+    if (input.freeShippingThreshold === null || input.freeShippingThreshold === '') {
+      data.freeShippingThreshold = null;
+    } else {
+      const threshold = Number(input.freeShippingThreshold);
+      if (isNaN(threshold) || threshold < 0) {
+        throw new ShippingError('freeShippingThreshold must be a positive number');
+      }
+      data.freeShippingThreshold = threshold;
+    }
+  }
+
+  if (input.tierBasis !== undefined) {
+    if (!TIER_BASES.includes(input.tierBasis)) {
+      throw new ShippingError(`tierBasis must be one of: ${TIER_BASES.join(', ')}`);
+    }
+    data.tierBasis = input.tierBasis;
+  }
+
+  if (input.tiers !== undefined) {
+    if (input.tiers !== null && !Array.isArray(input.tiers)) {
+      throw new ShippingError('tiers must be an array of { min, rate }');
+    }
+    const tiers = (input.tiers || []).map(tier => ({ min: Number(tier?.min), rate: Number(tier?.rate) }));
+    if (tiers.some(tier => isNaN(tier.min) || isNaN(tier.rate) || tier.min < 0 || tier.rate < 0)) {
+      throw new ShippingError('Each tier needs a positive min and rate');
+    }
+    data.tiers = tiers.length > 0 ? JSON.stringify(tiers.sort((a, b) => a.min - b.min)) : null;
+  }
+
+  if (input.estimatedDays !== undefined) data.estimatedDays = input.estimatedDays || null;
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  return data;
+}
+
+/**
+ * List all zones (most specific first)
+ * @returns {Promise<Array>}
+ */
+export async function listZones() {
+  const rows = await runQuery(
+    'SELECT * FROM ShippingZone ORDER BY (city IS NULL) ASC, city ASC, (district IS NULL) DESC, district ASC'
+  );
+  return rows.map(mapZone);
+}
+
+/**
+ * Get a zone by ID
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+export async function getZoneById(id) {
+  const rows = await runQuery('SELECT * FROM ShippingZone WHERE id = ? LIMIT 1', [id]);
+  if (rows.length === 0) {
+    throw new ShippingError('Shipping zone not found', 404);
+  }
+  return mapZone(rows[0]);
+}
+
+/**
+ * Throw if another zone already covers the same city/district
+ */
+async function assertZoneUnique(city, district, excludeId = null) {
+  const rows = await runQuery(
+    `SELECT id FROM ShippingZone
+     WHERE ${city === null ? 'city IS NULL' : 'LOWER(city) = LOWER(?)'}
+       AND ${district === null ? 'district IS NULL' : 'LOWER(district) = LOWER(?)'}
+       AND id <> ?
+     LIMIT 1`,
+    [...(city === null ? [] : [city]), ...(district === null ? [] : [district]), excludeId || 0]
+  );
+  if (rows.length > 0) {
+    throw new ShippingError('A shipping zone for this city/district already exists', 409, { zoneId: rows[0].id });
+  }
+}
+
+/**
+ * Create a zone
+ * @param {Object} input - Request body
+ * @returns {Promise<Object>}
+ */
+export async function createZone(input) {
+  const data = sanitizeZoneInput(input);
+  await assertZoneUnique(data.city ?? null, data.district ?? null);
+
+  const columns = Object.keys(data);
+  const result = await runQuery(
+    `INSERT INTO ShippingZone (${columns.join(', ')}, createdAt, updatedAt)
+     VALUES (${columns.map(() => '?').join(', ')}, NOW(), NOW())`,
+    columns.map(column => data[column])
+  );
+
+  logger.info('Shipping zone created', { zoneId: result.insertId, name: data.name });
+  return getZoneById(result.insertId);
+}
+
+/**
+ * Update a zone
+ * @param {number} id
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>}
+ */
+export async function updateZone(id, input) {
+  const existing = await getZoneById(id);
+  const data = sanitizeZoneInput(input, true);
+
+  const city = data.city !== undefined ? data.city : existing.city;
+  const district = data.district !== undefined ? data.district : existing.district;
+  if (district && !city) {
+    throw new ShippingError('A district zone needs a city');
+  }
+  if (data.city !== undefined || data.district !== undefined) {
+    await assertZoneUnique(city, district, id);
+  }
+
+  const columns = Object.keys(data);
+  if (columns.length > 0) {
+    await runQuery(
+      `UPDATE ShippingZone SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = NOW() WHERE id = ?`,
+      [...columns.map(column => data[column]), id]
+    );
+  }
+
+  logger.info('Shipping zone updated', { zoneId: id });
+  return getZoneById(id);
+}
+
+/**
+ * Delete a zone
+ * @param {number} id
+ */
+export async function deleteZone(id) {
+  await getZoneById(id);
+  await runQuery('DELETE FROM ShippingZone WHERE id = ?', [id]);
+  logger.info('Shipping zone deleted', { zoneId: id });
+}
+
+export default {
+  TIER_BASES,
+  ShippingError,
+  mapZone,
+  calculateShippingRate,
+  findZone,
+  quoteShipping,
+  sanitizeZoneInput,
+  listZones,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone
+};
@@ -0,0 +1,219 @@
+/**
+ * Stock Reservation Service - Inventory holds for unpaid orders
+ *
+ * Every order places a hold (StockReservation) on its items at checkout:
+ * - held: stock is set aside for an unpaid order (Bakong holds expire)
+ * - converted: the order was paid/confirmed, the hold became a sale
+ * - released: the order was cancelled/expired and stock went back
+ *
+ * Product.stock is what can still be sold (holds are already deducted),
+ * so on-hand stock = Product.stock + held quantity.
+ * Hold changes take the caller's connection so they happen in the same
+ * transaction as the order itself.
+ */
+
+export const RESERVATION_STATUSES = ['held', 'converted', 'released'];
+
+/**
+ * Run a query on the shared pool
+ * (imported lazily so the hold functions can be used without a database)
+ */
+async function runQuery(sql, params = []) {
+  const { query } = await import('../config/database.js');
+  return query(sql, params);
+}
+
+/**
+ * Minutes an unpaid Bakong order keeps its hold
+ * @returns {number}
+ */
+export function getReservationExpiryMinutes() {
+  return parseInt(process.env.ORDER_EXPIRY_MINUTES) || 15;
+}
+
+/**
+ * Place holds for an order's items
+ * @param {Object} connection - mysql2 connection with an open transaction
+ * @param {number} orderId
+ * @param {Array} items - Validated items ({ productId, variantId, quantity })
+ * @param {Object} options
+ * @param {number|null} options.expiresInMinutes - Hold lifetime (null = until the order is confirmed or cancelled)
+ */
+export async function createReservations(connection, orderId, items, { expiresInMinutes = null } = {}) {
+  for (const item of items) {
+    await connection.execute(
+      `INSERT INTO StockReservation (orderId, productId, variantId, quantity, status, expiresAt, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, 'held', ${expiresInMinutes ? 'DATE_ADD(NOW(), INTERVAL ? MINUTE)' : '?'}, NOW(), NOW())`,
+      [orderId, item.productId, item.variantId ?? null, item.quantity, expiresInMinutes || null]
+    );
+  }
+}
+
+/**
+ * Turn an order's holds into a sale (payment confirmed)
+ * @param {Object} connection
+ * @param {number} orderId
+ * @returns {Promise<number>} Number of holds converted
+ */
+export async function convertReservations(connection, orderId) {
+  const [result] = await connection.execute(
+    `UPDATE StockReservation SET status = 'converted', convertedAt = NOW(), updatedAt = NOW()
+     WHERE orderId = ? AND status = 'held'`,
+    [orderId]
+  );
+  return result?.affectedRows || 0;
+}
+
+/**
+ * Close an order's holds after its stock went back (cancel/expiry)
+ * @param {Object} connection
+ * @param {number} orderId
+ * @param {string} reason - Order status that caused the release
+ * @returns {Promise<number>} Number of holds released
+ */
+export async function releaseReservations(connection, orderId, reason) {
+  const [result] = await connection.execute(
+    `UPDATE StockReservation SET status = 'released', releasedAt = NOW(), releaseReason = ?, updatedAt = NOW()
+     WHERE orderId = ? AND status IN ('held', 'converted')`,
+    [reason, orderId]
+  );
+  return result?.affectedRows || 0;
+}
+
+/**
+ * Keep an order's expiring holds until at least `expiresAt`
+ * A regenerated Bakong QR is payable until its own expiry, so the order's
+ * stock must not be released before then.
+ * @param {Object} connection - mysql2 connection with an open transaction
+ * @param {number} orderId
+ * @param {Date|string} expiresAt
+ * @returns {Promise<number>} Number of holds extended
+ */
+export async function extendReservations(connection, orderId, expiresAt) {
+  const [result] = await connection.execute(
+    `UPDATE StockReservation SET expiresAt = GREATEST(expiresAt, ?), updatedAt = NOW()
+     WHERE orderId = ? AND status = 'held' AND expiresAt IS NOT NULL`,
+    [new Date(expiresAt), orderId]
+  );
+  return result?.affectedRows || 0;
+}
+
+/**
+ * SQL condition on `Order` o: pending with expired holds
+ * Orders placed before holds existed fall back to their age.
+ * @param {number} expiryMinutes - Fallback age for orders without holds
+ * @returns {string}
+ */
+function expiredHoldCondition(expiryMinutes) {
+  return `o.status = 'pending'
+       AND (
+         EXISTS (SELECT 1 FROM StockReservation r
+                 WHERE r.orderId = o.id AND r.status = 'held' AND r.expiresAt IS NOT NULL AND r.expiresAt < NOW())
+         OR (
+           o.paymentMethod = 'Bakong'
+           AND NOT EXISTS (SELECT 1 FROM StockReservation r WHERE r.orderId = o.id)
+           AND o.createdAt < DATE_SUB(NOW(), INTERVAL ${parseInt(expiryMinutes) || 15} MINUTE)
+         )
+       )`;
+}
+
+/**
+ * Find pending orders whose holds have expired
+ * @param {number} expiryMinutes - Fallback age for orders without holds
+ * @returns {Promise<Array>} [{ id, orderNumber, createdAt }]
+ */
+export async function findExpiredReservationOrders(expiryMinutes = getReservationExpiryMinutes()) {
+  return runQuery(
+    `SELECT o.id, o.orderNumber, o.createdAt
+     FROM \`Order\` o
+     WHERE ${expiredHoldCondition(expiryMinutes)}`
+  );
+}
+
+/**
+ * Check whether one order's holds have expired
+ * (same rule as the cleanup job, see findExpiredReservationOrders)
+ * @param {number} orderId
+ * @param {number} expiryMinutes - Fallback age for orders without holds
+ * @param {Object} connection - Check inside this transaction (default: shared pool)
+ * @returns {Promise<boolean>}
+ */
+export async function isOrderReservationExpired(orderId, expiryMinutes = getReservationExpiryMinutes(), connection = null) {
+  const sql = `SELECT o.id FROM \`Order\` o WHERE o.id = ? AND ${expiredHoldCondition(expiryMinutes)} LIMIT 1`;
+  const rows = connection ? (await connection.execute(sql, [orderId]))[0] : await runQuery(sql, [orderId]);
+  return rows.length > 0;
+}
+
+/**
+ * Reserved vs available stock per product
+ * @param {Object} options
+ * @param {string} options.search - Filter by product name
+ * @param {boolean} options.reservedOnly - Only products with active holds
+ * @returns {Promise<Array>}
+ */
+export async function getStockSummary({ search = '', reservedOnly = false } = {}) {
+  const params = [];
+  let where = 'WHERE 1=1';
+
+  if (search) {
+    where += ' AND p.name LIKE ?';
+    params.push(`%${search}%`);
+  }
+
+  const rows = await runQuery(
+    `SELECT p.id, p.name, p.status, p.stock AS available,
+            COALESCE(r.reserved, 0) AS reserved,
+            COALESCE(r.holds, 0) AS holds,
+            r.nextExpiry
+     FROM Product p
+     LEFT JOIN (
+       SELECT productId, SUM(quantity) AS reserved, COUNT(DISTINCT orderId) AS holds, MIN(expiresAt) AS nextExpiry
+       FROM StockReservation WHERE status = 'held'
+       GROUP BY productId
+     ) r ON r.productId = p.id
+     ${where}
+     ${reservedOnly ? 'HAVING reserved > 0' : ''}
+     ORDER BY reserved DESC, p.name ASC`,
+    params
+  );
+
+  return rows.map(row => ({
+    productId: row.id,
+    name: row.name,
+    status: row.status,
+    available: row.available,
+    reserved: Number(row.reserved),
+    onHand: row.available + Number(row.reserved),
+    holds: Number(row.holds),
+    nextExpiry: row.nextExpiry
+  }));
+}
+
+/**
+ * Active holds of a product (which orders are holding stock)
+ * @param {number} productId
+ * @returns {Promise<Array>}
+ */
+export async function getProductReservations(productId) {
+  return runQuery(
+    `SELECT r.id, r.orderId, o.orderNumber, o.paymentMethod, r.variantId, r.quantity, r.expiresAt, r.createdAt
+     FROM StockReservation r
+     JOIN \`Order\` o ON r.orderId = o.id
+     WHERE r.productId = ? AND r.status = 'held'
+     ORDER BY r.createdAt ASC`,
+    [productId]
+  );
+}
+
+export default {
+  RESERVATION_STATUSES,
+  getReservationExpiryMinutes,
+  createReservations,
+  convertReservations,
+  releaseReservations,
+  extendReservations,
+  findExpiredReservationOrders,
+  isOrderReservationExpired,
+  getStockSummary,
+  getProductReservations
+};
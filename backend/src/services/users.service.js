@@ -123,7 +123,8 @@ export async function getUserById(userId) {
  * 
  * @param {Object} options - Filter options
  * @param {string} options.role - Filter by role (USER, ADMIN)
- * @param {string} options.search - Search by email
+ * @param {boolean} options.isActive - Filter by active status
+ * @param {string} options.search - Search by email or phone
  * @param {number} options.page - Page number
  * @param {number} options.limit - Items per page
  * @returns {Promise<{data: Array, pagination: Object}>}
@@ -131,6 +132,7 @@ export async function getUserById(userId) {
 export async function listUsers(options = {}) {
   const {
     role = null,
+    isActive = null,
     search = null,
     page = 1,
     limit = 20
@@ -147,10 +149,16 @@ export async function listUsers(options = {}) {
       queryParams.push(role);
     }
 
-    // Search by email
+    // Filter by active status
+    if (isActive !== null && isActive !== undefined) {
+      whereConditions.push('isActive = ?');
+      queryParams.push(isActive ? 1 : 0);
+    }
+
+    // Search by email or phone
     if (search) {
-      whereConditions.push('email LIKE ?');
-      queryParams.push(`%${search}%`);
+      whereConditions.push('(email LIKE ? OR phoneNumber LIKE ?)');
+      queryParams.push(`%${search}%`, `%${search}%`);
     }
 
     // Build WHERE clause
@@ -168,7 +176,7 @@ export async function listUsers(options = {}) {
 
     // Get users (without password hashes)
     const users = await query(
-      `SELECT id, email, role, createdAt, updatedAt FROM User${whereClause}
+      `SELECT id, email, phoneNumber, isPhoneVerified, role, isActive, createdAt, updatedAt FROM User${whereClause}
        ORDER BY createdAt DESC
        LIMIT ? OFFSET ?`,
       [...queryParams, limit, skip]
@@ -177,7 +185,7 @@ export async function listUsers(options = {}) {
     logger.debug('Users listed', {
       count: users.length,
       total,
-      filters: { role, search }
+      filters: { role, isActive, search }
     });
 
     return {
@@ -192,7 +200,7 @@ export async function listUsers(options = {}) {
   } catch (error) {
     logger.error('Error listing users', {
       error: error.message,
-      filters: { role, search }
+      filters: { role, isActive, search }
     });
     throw error;
   }
@@ -0,0 +1,107 @@
+/**
+ * HTTP caching helpers for public catalog endpoints
+ *
+ * Responses carry an ETag, a Last-Modified date and a Cache-Control
+ * policy so clients can revalidate with If-None-Match / If-Modified-Since
+ * and get an empty 304 when nothing changed.
+ *
+ * Both validators come from a catalog version kept in the cache service
+ * rather than from the rows: stock and rating updates don't always bump
+ * updatedAt, and deleted rows leave no timestamp behind. The cache
+ * invalidation that follows every product, category, banner and review
+ * change also starts a new version, stamped with the time of the change.
+ * Routes read the version before their list query, so a 304 costs one
+ * cache read. With caching disabled every request gets a new version.
+ */
+
+import crypto from 'crypto';
+import { cache } from '../services/cacheService.js';
+import { getCacheKeys } from '../services/cacheKeys.js';
+
+export const CACHE_POLICIES = {
+  // Stock changes often: short freshness, then revalidate
+  PRODUCT_LIST: 'public, max-age=60, must-revalidate',
+  CATEGORIES: 'public, max-age=300, must-revalidate',
+  BANNERS: 'public, max-age=300, must-revalidate',
+  REVIEWS: 'public, max-age=60, must-revalidate',
+  // Responses that depend on who is asking
+  PRIVATE: 'private, no-cache'
+};
+
+function newVersion() {
+  return { id: crypto.randomUUID(), changedAt: new Date().toISOString() };
+}
+
+/**
+ * Current version of a catalog resource (started on first use)
+ * @param {string} scope - products, categories, banners or reviews:<productId>
+ * @returns {Promise<{id: string, changedAt: string}>}
+ */
+export async function getCatalogVersion(scope) {
+  const { key, ttl } = getCacheKeys.catalogVersion(scope);
+  return cache.getOrSet(key, async () => newVersion(), ttl);
+}
+
+/**
+ * Start a new version of catalog resources after they changed
+ * Call it after clearing their cached data, so a client can't store
+ * stale data under the new version.
+ * @param {...string} scopes
+ */
+export async function bumpCatalogVersion(...scopes) {
+  for (const scope of scopes) {
+    const { key, ttl } = getCacheKeys.catalogVersion(scope);
+    await cache.set(key, newVersion(), ttl);
+  }
+}
+
+/**
+ * ETag and Last-Modified for a response at a catalog version
+ * @param {Object} version - From getCatalogVersion()
+ * @param {Array} variant - Anything else the body depends on (e.g. the viewer)
+ * @returns {{etag: string, lastModified: Date}}
+ */
+export function versionValidators(version, variant = []) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify([version.id, ...variant])).digest('base64url');
+  return { etag: `W/"${hash}"`, lastModified: new Date(version.changedAt) };
+}
+
+/**
+ * Set the validators and answer 304 if the client's copy is current
+ * Call it before loading the body, and send the body only when it returns false.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.etag
+ * @param {Date|null} options.lastModified
+ * @param {string} options.cacheControl - One of CACHE_POLICIES
+ * @param {Array<string>} options.vary - Request headers the body depends on
+ * @returns {boolean} Whether a 304 was sent
+ */
+export function answerIfFresh(req, res, { etag, lastModified = null, cacheControl, vary = [] }) {
+  res.set('Cache-Control', cacheControl);
+  res.set('ETag', etag);
+  if (lastModified) {
+    // HTTP dates have whole-second precision
+    res.set('Last-Modified', new Date(Math.floor(lastModified.getTime() / 1000) * 1000).toUTCString());
+  }
+  for (const header of vary) {
+    res.vary(header);
+  }
+
+  // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+export default {
+  CACHE_POLICIES,
+  getCatalogVersion,
+  bumpCatalogVersion,
+  versionValidators,
+  answerIfFresh
+};
@@ -0,0 +1,460 @@
+/**
+ * Spreadsheet writers - stream rows out as CSV or XLSX
+ *
+ * Both formats share one interface so an export doesn't care which one
+ * the admin picked:
+ *
+ *   const sheet = createSheetWriter('xlsx', res, { sheetName: 'Orders' });
+ *   await sheet.writeHeader(['Order', 'Total']);
+ *   await sheet.writeRow(['ORD-1', 12.5]);
+ *   await sheet.end();
+ *
+ * Rows are flushed in small chunks as they are written, so an export never
+ * holds the whole file in memory. The XLSX file is a zip written with data
+ * descriptors (sizes follow each entry) and deflated chunk by chunk.
+ */
+
+import zlib from 'zlib';
+import { once } from 'events';
+
+export const SPREADSHEET_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const FLUSH_SIZE = 64 * 1024;
+
+// Excel's cell limit; longer texts are cut
+const MAX_CELL_LENGTH = 32767;
+
+// Texts starting with these run as formulas in Excel (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC_TEXT = /^[+-]?\d[\d\s.,]*$/;
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+async function writeToStream(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error('Output stream closed');
+  }
+  if (stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Date as "YYYY-MM-DD HH:MM:SS" in server time (how MySQL DATETIME values read)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Neutralise texts a spreadsheet would run as a formula.
+ * Signed numbers and phone numbers (+855...) are left alone.
+ * @param {string} text
+ * @returns {string}
+ */
+export function protectFormula(text) {
+  if (FORMULA_PREFIX.test(text) && !NUMERIC_TEXT.test(text)) {
+    return `'${text}`;
+  }
+  return text;
+}
+
+/**
+ * One CSV field
+ * @param {*} value - string, number, boolean, Date, null
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDateTime(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+  const text = protectFormula(String(value));
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * One CSV line (with the trailing CRLF)
+ * @param {Array} values
+ * @returns {string}
+ */
+export function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+function createCsvWriter(stream) {
+  // BOM so Excel opens UTF-8 (Khmer names) correctly
+  let buffer = '\uFEFF';
+
+  async function flush() {
+    if (buffer.length === 0) return;
+    const chunk = buffer;
+    buffer = '';
+    await writeToStream(stream, chunk);
+  }
+
+  return {
+    async writeHeader(headers) {
+      buffer += toCsvRow(headers);
+    },
+    async writeRow(values) {
+      buffer += toCsvRow(values);
+      if (buffer.length >= FLUSH_SIZE) await flush();
+    },
+    async end() {
+      await flush();
+      stream.end();
+    }
+  };
+}
+
+/**
+ * Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA
+ * @param {number} index - Zero-based column
+ * @returns {string}
+ */
+export function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rest = (n - 1) % 26;
+    name = String.fromCharCode(65 + rest) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Escape text for XML, dropping characters XML can't hold
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+/**
+ * Excel serial date in server time
+ * @param {Date} date
+ * @returns {number}
+ */
+export function toExcelDate(date) {
+  const localMs = date.getTime() - date.getTimezoneOffset() * 60 * 1000;
+  return localMs / (24 * 60 * 60 * 1000) + EXCEL_EPOCH_OFFSET;
+}
+
+// Style ids in STYLES_XML: 1 = date-time, 2 = bold header
+const DATE_STYLE = 1;
+const HEADER_STYLE = 2;
+
+/**
+ * One <c> element
+ * @param {*} value
+ * @param {string} ref - Cell reference (A1)
+ * @param {number} style - Style id (0 = default)
+ * @returns {string}
+ */
+export function toXlsxCell(value, ref, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    return `<c r="${ref}" s="${DATE_STYLE}"><v>${toExcelDate(value)}</v></c>`;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"${styleAttr}><v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * One <row> element
+ * @param {Array} values
+ * @param {number} rowNumber - One-based
+ * @param {number} style
+ * @returns {string}
+ */
+export function toXlsxRow(values, rowNumber, style = 0) {
+  const cells = values.map((value, index) => toXlsxCell(value, `${columnName(index)}${rowNumber}`, style));
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES_XML = XML_HEADER +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML = XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS_XML = XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+const STYLES_XML = XML_HEADER +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+function workbookXml(sheetName) {
+  return XML_HEADER +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+}
+
+/**
+ * Sheet names: max 31 characters, none of : \ / ? * [ ]
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeSheetName(name) {
+  const cleaned = String(name || '').replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31);
+  return cleaned || 'Sheet1';
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// General purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const ZIP_DEFLATE = 8;
+const ZIP_VERSION = 20;
+// An empty, final fixed-Huffman deflate block; ends a chain of sync-flushed chunks
+const DEFLATE_FINAL_BLOCK = Buffer.from([0x03, 0x00]);
+
+/**
+ * Minimal streaming zip writer (one entry open at a time)
+ * @param {import('stream').Writable} stream
+ */
+export function createZipWriter(stream) {
+  const entries = [];
+  const { time, day } = dosDateTime(new Date());
+  let offset = 0;
+  let current = null;
+
+  async function write(chunk) {
+    offset += chunk.length;
+    await writeToStream(stream, chunk);
+  }
+
+  async function startEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(ZIP_DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    // crc and sizes (14-25) stay 0; they follow in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    current = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+    await write(Buffer.concat([header, nameBuffer]));
+  }
+
+  async function writeData(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    if (buffer.length === 0) return;
+    // Each chunk is deflated on its own and sync-flushed, so the pieces chain into one stream
+    const compressed = zlib.deflateRawSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    current.crc = zlib.crc32(buffer, current.crc);
+    current.size += buffer.length;
+    current.compressedSize += compressed.length;
+    await write(compressed);
+  }
+
+  async function endEntry() {
+    current.compressedSize += DEFLATE_FINAL_BLOCK.length;
+    await write(DEFLATE_FINAL_BLOCK);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(current.crc >>> 0, 4);
+    descriptor.writeUInt32LE(current.compressedSize, 8);
+    descriptor.writeUInt32LE(current.size, 12);
+    await write(descriptor);
+
+    entries.push(current);
+    current = null;
+  }
+
+  async function addEntry(name, content) {
+    await startEntry(name);
+    await writeData(content);
+    await endEntry();
+  }
+
+  async function finish() {
+    const centralOffset = offset;
+    const records = entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(ZIP_VERSION, 4);
+      record.writeUInt16LE(ZIP_VERSION, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(ZIP_DEFLATE, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(day, 14);
+      record.writeUInt32LE(entry.crc >>> 0, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // extra, comment, disk, attributes stay 0
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBuffer]);
+    });
+    const centralDirectory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(centralOffset, 16);
+
+    await write(Buffer.concat([centralDirectory, end]));
+    stream.end();
+  }
+
+  return { startEntry, writeData, endEntry, addEntry, finish };
+}
+
+function createXlsxWriter(stream, { sheetName }) {
+  const zip = createZipWriter(stream);
+  let started = false;
+  let rowNumber = 0;
+  let buffer = '';
+
+  async function start() {
+    if (started) return;
+    started = true;
+    await zip.addEntry('[Content_Types].xml', CONTENT_TYPES_XML);
+    await zip.addEntry('_rels/.rels', ROOT_RELS_XML);
+    await zip.addEntry('xl/workbook.xml', workbookXml(sanitizeSheetName(sheetName)));
+    await zip.addEntry('xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML);
+    await zip.addEntry('xl/styles.xml', STYLES_XML);
+    await zip.startEntry('xl/worksheets/sheet1.xml');
+    buffer = XML_HEADER +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+  }
+
+  async function flush() {
+    if (buffer.length === 0) return;
+    const chunk = buffer;
+    buffer = '';
+    await zip.writeData(chunk);
+  }
+
+  return {
+    async writeHeader(headers) {
+      await start();
+      rowNumber += 1;
+      buffer += toXlsxRow(headers, rowNumber, HEADER_STYLE);
+    },
+    async writeRow(values) {
+      await start();
+      rowNumber += 1;
+      buffer += toXlsxRow(values, rowNumber);
+      if (buffer.length >= FLUSH_SIZE) await flush();
+    },
+    async end() {
+      await start();
+      buffer += '</sheetData></worksheet>';
+      await flush();
+      await zip.endEntry();
+      await zip.finish();
+    }
+  };
+}
+
+/**
+ * Create a row writer for the given format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {import('stream').Writable} stream - Usually the HTTP response
+ * @param {Object} options
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @returns {{writeHeader: Function, writeRow: Function, end: Function}}
+ */
+export function createSheetWriter(format, stream, { sheetName = 'Sheet1' } = {}) {
+  if (format === 'xlsx') return createXlsxWriter(stream, { sheetName });
+  if (format === 'csv') return createCsvWriter(stream);
+  throw new Error(`Unsupported spreadsheet format: ${format}`);
+}
+
+export default {
+  SPREADSHEET_FORMATS,
+  formatDateTime,
+  protectFormula,
+  escapeCsvValue,
+  toCsvRow,
+  columnName,
+  escapeXml,
+  toExcelDate,
+  toXlsxCell,
+  toXlsxRow,
+  sanitizeSheetName,
+  createZipWriter,
+  createSheetWriter
+};
@@ -77,6 +77,20 @@ export const uploadBanner = multer({
   fileFilter: fileFilter
 });
 
+// Configure multer for CSV files (bulk product import) - kept in memory, never saved
+export const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || /^(text\/csv|text\/plain|application\/vnd\.ms-excel)$/i.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
+
 // Helper function to get public URL for uploaded file
 export function getImageUrl(filename) {
   return `/uploads/products/${filename}`;
@@ -88,6 +88,11 @@ export function validateEnv() {
     }
   }
 
+  // Bakong webhooks are rejected in production unless they can be verified
+  if (process.env.NODE_ENV === 'production' && !process.env.BAKONG_WEBHOOK_SECRET && !process.env.BAKONG_API_SECRET) {
+    console.warn('⚠️  WARNING: BAKONG_WEBHOOK_SECRET is not set - Bakong webhooks will be rejected\n');
+  }
+
   // Validate DATABASE_URL format
   if (process.env.DATABASE_URL) {
     if (!process.env.DATABASE_URL.startsWith('mysql://')) {
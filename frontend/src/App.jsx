@@ -11,6 +11,9 @@ import ReportsPage from './pages/ReportsPage';
 import CategoriesPage from './pages/CategoriesPage';
 import UsersPage from './pages/UsersPage';
 import BannersPage from './pages/BannersPage';
+import InventoryPage from './pages/InventoryPage';
+import ReturnsPage from './pages/ReturnsPage';
+import ReviewsPage from './pages/ReviewsPage';
 
 function App() {
   return (
@@ -37,6 +40,16 @@ function App() {
             </AdminRoute>
           }
         />
+        <Route
+          path="/inventory"
+          element={
+            <AdminRoute>
+              <Layout>
+                <InventoryPage />
+              </Layout>
+            </AdminRoute>
+          }
+        />
         <Route
           path="/orders"
           element={
@@ -47,6 +60,26 @@ function App() {
             </AdminRoute>
           }
         />
+        <Route
+          path="/returns"
+          element={
+            <AdminRoute>
+              <Layout>
+                <ReturnsPage />
+              </Layout>
+            </AdminRoute>
+          }
+        />
+        <Route
+          path="/reviews"
+          element={
+            <AdminRoute>
+              <Layout>
+                <ReviewsPage />
+              </Layout>
+            </AdminRoute>
+          }
+        />
         <Route
           path="/cancelled-orders"
           element={
@@ -0,0 +1,88 @@
+// src/ExportButton.jsx
+import { useState } from 'react';
+import { api } from '../services/api';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+];
+
+// Read the file name the backend picked from Content-Disposition
+function fileNameFrom(headers, fallback) {
+  const match = /filename="?([^";]+)"?/.exec(headers['content-disposition'] || '');
+  return match ? match[1] : fallback;
+}
+
+// Downloads /admin/export/:resource with the page's current filters
+export default function ExportButton({ resource, params = {} }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  async function handleExport(format) {
+    setOpen(false);
+    setExporting(true);
+    setError('');
+    try {
+      const query = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      );
+      const response = await api.get(`/admin/export/${resource}`, {
+        params: { ...query, format },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameFrom(response.headers, `${resource}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      // Error bodies arrive as a Blob because of responseType
+      let message = 'Export failed';
+      if (err.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await err.response.data.text()).error || message;
+        } catch {
+          // not JSON; keep the generic message
+        }
+      }
+      setError(message);
+      console.error('Export error:', err);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        className="inline-flex items-center rounded-lg border border-slate-300 bg-white text-slate-700 font-medium px-4 py-2 shadow-sm hover:bg-slate-50 transition disabled:opacity-50"
+      >
+        {exporting ? 'Exporting...' : 'Export'}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-40 rounded-lg border border-slate-200 bg-white shadow-lg py-1">
+          {FORMATS.map(format => (
+            <button
+              key={format.value}
+              type="button"
+              onClick={() => handleExport(format.value)}
+              className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && (
+        <p className="absolute right-0 mt-1 whitespace-nowrap text-xs text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// src/ProductImportDialog.jsx
+import { useState } from 'react';
+import { api } from '../services/api';
+
+const COLUMNS = 'id, name, description, price, stock, category, images';
+
+const ACTION_STYLES = {
+  create: 'bg-emerald-50 text-emerald-700',
+  update: 'bg-indigo-50 text-indigo-700',
+  error: 'bg-red-50 text-red-700',
+};
+
+// Upload a CSV, review the dry-run report, then apply it
+export default function ProductImportDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  async function submit(dryRun) {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      const { data } = await api.post('/admin/products/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setReport(data);
+      if (!dryRun) {
+        setDone(true);
+        onImported();
+      }
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.rows) setReport(data);
+      setError(data?.error || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleFileChange(e) {
+    setFile(e.target.files?.[0] ?? null);
+    setReport(null);
+    setDone(false);
+    setError('');
+  }
+
+  const canApply = report && !done && report.summary.errors === 0 && report.summary.creates + report.summary.updates > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-semibold text-slate-900 mb-1">Import Products from CSV</h3>
+        <p className="text-sm text-slate-500 mb-4">
+          Columns: {COLUMNS}. Name and price are required. Rows with an id (or the name of an existing product) update it;
+          other rows create new products. Separate image URLs with "|".
+        </p>
+
+        <div className="flex items-center gap-3 mb-4">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-slate-600 file:mr-3 file:rounded-lg file:border-0 file:bg-slate-100 file:px-4 file:py-2 file:text-sm file:font-medium file:text-slate-700 hover:file:bg-slate-200"
+          />
+          <button
+            onClick={() => submit(true)}
+            disabled={!file || busy}
+            className="shrink-0 px-4 py-2 text-sm font-medium text-slate-700 bg-slate-100 rounded-lg hover:bg-slate-200 transition disabled:opacity-50"
+          >
+            {busy && !report ? 'Checking...' : 'Check File'}
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {report && (
+          <>
+            <div className="flex flex-wrap gap-2 mb-3 text-sm">
+              <span className="rounded-full bg-emerald-50 text-emerald-700 px-3 py-1">{report.summary.creates} to create</span>
+              <span className="rounded-full bg-indigo-50 text-indigo-700 px-3 py-1">{report.summary.updates} to update</span>
+              <span className="rounded-full bg-red-50 text-red-700 px-3 py-1">{report.summary.errors} with errors</span>
+              {done && <span className="rounded-full bg-slate-900 text-white px-3 py-1">Imported</span>}
+            </div>
+            <div className="overflow-y-auto border border-slate-200 rounded-lg">
+              <table className="min-w-full divide-y divide-slate-200 text-sm">
+                <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Line</th>
+                    <th className="px-3 py-2 text-left">Product</th>
+                    <th className="px-3 py-2 text-left">Action</th>
+                    <th className="px-3 py-2 text-left">Notes</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {report.rows.map(row => (
+                    <tr key={row.line}>
+                      <td className="px-3 py-2 text-slate-500">{row.line}</td>
+                      <td className="px-3 py-2 text-slate-900">
+                        {row.name || '-'}
+                        {row.productId && <span className="text-slate-400"> #{row.productId}</span>}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                          {row.action}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2">
+                        {row.errors.map(message => <p key={message} className="text-red-600">{message}</p>)}
+                        {row.warnings.map(message => <p key={message} className="text-amber-600">{message}</p>)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-slate-700 bg-slate-100 rounded-lg hover:bg-slate-200 transition"
+          >
+            {done ? 'Close' : 'Cancel'}
+          </button>
+          <button
+            onClick={() => submit(false)}
+            disabled={!canApply || busy}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            {busy && report ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -8,7 +8,11 @@ export default function Sidebar({ isOpen, onClose }) {
   const menuItems = [
     { path: '/dashboard', label: 'Dashboard', icon: '📊' },
     { path: '/products', label: 'Products', icon: '📦' },
+    { path: '/inventory', label: 'Inventory', icon: '📋' },
     { path: '/orders', label: 'Orders', icon: '🛒' },
+    { path: '/reports', label: 'Reports', icon: '📈' },
+    { path: '/returns', label: 'Returns', icon: '↩️' },
+    { path: '/reviews', label: 'Reviews', icon: '⭐' },
     { path: '/categories', label: 'Categories', icon: '🏷️' },
     { path: '/banners', label: 'Banners', icon: '🖼️' },
     { path: '/users', label: 'Users', icon: '👥' },
@@ -16,14 +16,17 @@ export default function DashboardPage() {
     failedOrders: 0,
     recentOrders: 0,
     recentRevenue: 0,
+    refunds: 0,
   });
   const [recentOrders, setRecentOrders] = useState([]);
+  const [lowStock, setLowStock] = useState({ count: 0, products: [] });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
   useEffect(() => {
     loadStats();
     loadRecentOrders();
+    loadLowStock();
   }, []);
 
   async function loadStats() {
@@ -50,6 +53,7 @@ export default function DashboardPage() {
         failedOrders: data.failedOrders ?? orders.failed ?? 0,
         recentOrders: data.recentOrders ?? orders.recent ?? 0,
         recentRevenue: data.recentRevenue ?? revenue.recent ?? 0,
+        refunds: revenue.refunds ?? 0,
       });
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to load statistics');
@@ -80,6 +84,15 @@ export default function DashboardPage() {
     }
   }
 
+  async function loadLowStock() {
+    try {
+      const { data } = await api.get('/admin/inventory/low-stock');
+      setLowStock({ count: data.count ?? 0, products: data.products || [] });
+    } catch (err) {
+      console.error('Error loading low stock:', err);
+    }
+  }
+
   function formatCurrency(amount) {
     if (typeof amount === 'string') {
       return `$${parseFloat(amount).toFixed(2)}`;
@@ -141,6 +154,13 @@ export default function DashboardPage() {
       icon: '💰',
       color: 'bg-emerald-500',
     },
+    {
+      label: 'Refunds',
+      value: formatCurrency(stats.refunds),
+      icon: '↩️',
+      color: 'bg-slate-500',
+      link: '/returns',
+    },
     {
       label: 'Pending Orders',
       value: stats.pendingOrders,
@@ -238,6 +258,48 @@ export default function DashboardPage() {
           ))}
         </div>
 
+        {/* Low Stock */}
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-slate-900">
+              Low Stock
+              {lowStock.count > 0 && (
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-700">
+                  {lowStock.count}
+                </span>
+              )}
+            </h2>
+            <a
+              href="/inventory"
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              Inventory →
+            </a>
+          </div>
+          {lowStock.products.length === 0 ? (
+            <p className="text-sm text-slate-500 py-4 text-center">All products are above their reorder threshold</p>
+          ) : (
+            <ul className="divide-y divide-slate-200">
+              {lowStock.products.slice(0, 8).map(product => (
+                <li key={product.productId} className="flex items-center justify-between py-3 text-sm">
+                  <div>
+                    <p className="font-medium text-slate-900">{product.name}</p>
+                    <p className="text-xs text-slate-500">
+                      Reorder at {product.threshold}
+                      {product.alertedAt && ` · alerted ${formatDate(product.alertedAt)}`}
+                    </p>
+                  </div>
+                  <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold ${
+                    product.outOfStock ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                  }`}>
+                    {product.outOfStock ? 'Out of stock' : `${product.stock} left`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Recent Orders */}
         <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
           <div className="flex items-center justify-between mb-4">
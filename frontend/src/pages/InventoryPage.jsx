@@ -0,0 +1,276 @@
+// src/pages/InventoryPage.jsx
+import { useEffect, useState } from 'react';
+import { api } from '../services/api';
+
+const REASON_LABELS = {
+  initial: 'Initial stock',
+  sale: 'Sale',
+  order_cancelled: 'Order cancelled',
+  order_expired: 'Order expired',
+  order_failed: 'Payment failed',
+  order_refunded: 'Order refunded',
+  return: 'Customer return',
+  adjustment: 'Manual adjustment'
+};
+
+export default function InventoryPage() {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [reservedOnly, setReservedOnly] = useState(false);
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+
+  const limit = 25;
+
+  async function loadStock() {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await api.get('/admin/inventory/stock', {
+        params: { search: search || undefined, reservedOnly: reservedOnly || undefined }
+      });
+      setProducts(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load stock');
+      console.error('Error loading stock:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadHistory(productId, pageNum = 1) {
+    try {
+      setLoadingHistory(true);
+      setError('');
+      const { data } = await api.get(`/admin/inventory/movements/${productId}`, {
+        params: { page: pageNum, limit }
+      });
+      setHistory(data);
+      setSelectedProduct(productId);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load stock history');
+      console.error('Error loading stock history:', err);
+    } finally {
+      setLoadingHistory(false);
+    }
+  }
+
+  useEffect(() => {
+    loadStock();
+  }, [reservedOnly]);
+
+  function handleSearch(e) {
+    e.preventDefault();
+    loadStock();
+  }
+
+  function formatDate(dateString) {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  const reconciliation = history?.reconciliation;
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-semibold text-slate-900">Inventory</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Available and reserved stock per product, with the history of every stock change
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSearch} className="mb-4 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            placeholder="Search products..."
+            className="w-64 rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700"
+          >
+            Search
+          </button>
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={reservedOnly}
+              onChange={e => setReservedOnly(e.target.checked)}
+            />
+            Only products with reserved stock
+          </label>
+        </form>
+
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center text-slate-500">
+              <div className="animate-pulse">Loading stock...</div>
+            </div>
+          ) : products.length === 0 ? (
+            <div className="p-8 text-center text-sm text-slate-500">No products found</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-200 text-sm">
+                <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide">
+                  <tr>
+                    <th className="px-6 py-3 text-left">Product</th>
+                    <th className="px-6 py-3 text-left">Available</th>
+                    <th className="px-6 py-3 text-left">Reserved</th>
+                    <th className="px-6 py-3 text-left">On Hand</th>
+                    <th className="px-6 py-3 text-left">Next Hold Expiry</th>
+                    <th className="px-6 py-3 text-left">Action</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200 bg-white">
+                  {products.map(product => (
+                    <tr
+                      key={product.productId}
+                      className={selectedProduct === product.productId ? 'bg-indigo-50' : 'hover:bg-slate-50'}
+                    >
+                      <td className="px-6 py-4 text-slate-900 font-medium">
+                        {product.name}
+                        {product.status === 'ARCHIVED' && (
+                          <span className="ml-2 text-xs text-slate-400">(archived)</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-slate-700">{product.available}</td>
+                      <td className="px-6 py-4 text-amber-600">
+                        {product.reserved > 0 ? `${product.reserved} (${product.holds} orders)` : '-'}
+                      </td>
+                      <td className="px-6 py-4 text-slate-700">{product.onHand}</td>
+                      <td className="px-6 py-4 text-slate-700 text-xs">{formatDate(product.nextExpiry)}</td>
+                      <td className="px-6 py-4">
+                        <button
+                          onClick={() => loadHistory(product.productId)}
+                          className="text-indigo-600 hover:text-indigo-800 font-medium text-sm"
+                        >
+                          History
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Stock history of the selected product */}
+        {selectedProduct && history && (
+          <div className="mt-8 bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+            <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+              <div>
+                <h2 className="text-lg font-semibold text-slate-900">{history.product.name}</h2>
+                <p className="text-sm text-slate-500">Current stock: {history.product.stock}</p>
+              </div>
+              <button
+                onClick={() => { setSelectedProduct(null); setHistory(null); }}
+                className="text-slate-400 hover:text-slate-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            {reconciliation && (
+              <div className={`mx-6 mt-4 p-4 rounded-lg border text-sm ${
+                reconciliation.reconciled
+                  ? 'bg-emerald-50 border-emerald-200 text-emerald-700'
+                  : 'bg-amber-50 border-amber-200 text-amber-700'
+              }`}>
+                {reconciliation.reconciled ? (
+                  <span>Stock matches the ledger ({reconciliation.openingBalance} opening + movements = {reconciliation.ledgerStock}).</span>
+                ) : (
+                  <span>
+                    Ledger says {reconciliation.ledgerStock}, product has {reconciliation.currentStock}
+                    {' '}({reconciliation.difference > 0 ? '+' : ''}{reconciliation.difference}).
+                    {reconciliation.gaps.length > 0 && ` ${reconciliation.gaps.length} unrecorded change(s) between movements.`}
+                  </span>
+                )}
+              </div>
+            )}
+
+            {loadingHistory ? (
+              <div className="p-8 text-center text-slate-500 animate-pulse">Loading history...</div>
+            ) : history.movements.length === 0 ? (
+              <div className="p-8 text-center text-sm text-slate-500">No stock movements recorded yet</div>
+            ) : (
+              <div className="overflow-x-auto mt-4">
+                <table className="min-w-full divide-y divide-slate-200 text-sm">
+                  <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide">
+                    <tr>
+                      <th className="px-6 py-3 text-left">Date</th>
+                      <th className="px-6 py-3 text-left">Reason</th>
+                      <th className="px-6 py-3 text-left">Change</th>
+                      <th className="px-6 py-3 text-left">Balance</th>
+                      <th className="px-6 py-3 text-left">Order</th>
+                      <th className="px-6 py-3 text-left">By</th>
+                      <th className="px-6 py-3 text-left">Note</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 bg-white">
+                    {history.movements.map(movement => (
+                      <tr key={movement.id}>
+                        <td className="px-6 py-3 text-slate-700 text-xs">{formatDate(movement.createdAt)}</td>
+                        <td className="px-6 py-3 text-slate-700">{REASON_LABELS[movement.reason] || movement.reason}</td>
+                        <td className={`px-6 py-3 font-semibold ${movement.delta > 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+                          {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                        </td>
+                        <td className="px-6 py-3 text-slate-700">{movement.balanceAfter}</td>
+                        <td className="px-6 py-3 text-slate-700">{movement.orderNumber || '-'}</td>
+                        <td className="px-6 py-3 text-slate-700">{movement.actorEmail || <span className="capitalize">{movement.actor}</span>}</td>
+                        <td className="px-6 py-3 text-slate-500 text-xs max-w-xs truncate">{movement.note || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {history.pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between px-6 py-4 border-t border-slate-200 bg-slate-50">
+                <div className="text-sm text-slate-600">
+                  Page {history.pagination.page} of {history.pagination.totalPages}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => loadHistory(selectedProduct, history.pagination.page - 1)}
+                    disabled={history.pagination.page === 1}
+                    className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => loadHistory(selectedProduct, history.pagination.page + 1)}
+                    disabled={history.pagination.page >= history.pagination.totalPages}
+                    className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,26 @@
 // src/OrdersPage.jsx
 import { useEffect, useState } from 'react';
 import { api } from '../services/api';
+import ExportButton from '../components/ExportButton';
 
-const STATUSES = ['pending', 'processing', 'delivered', 'cancelled', 'expired', 'failed'];
+const STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned', 'expired', 'failed'];
+
+// Reconciliation outcome of an order's payments (see payment.service.js)
+const RECONCILIATION_LABELS = {
+  matched: ['Matched', 'bg-emerald-100 text-emerald-700'],
+  unpaid: ['Unpaid', 'bg-slate-100 text-slate-700'],
+  missing: ['Paid without payment record', 'bg-rose-100 text-rose-700'],
+  mismatch: ['Amount mismatch', 'bg-rose-100 text-rose-700'],
+  duplicate: ['Paid more than once', 'bg-orange-100 text-orange-700'],
+  refund_due: ['Paid after cancellation', 'bg-orange-100 text-orange-700'],
+  untracked: ['Not tracked', 'bg-slate-100 text-slate-500']
+};
+
+// Current status first, then the statuses the backend allows moving to
+function statusOptions(order) {
+  const allowed = order.allowedStatuses ?? STATUSES.filter(status => status !== order.status);
+  return [order.status, ...allowed];
+}
 
 export default function OrdersPage() {
   const [orders, setOrders] = useState([]);
@@ -12,6 +30,7 @@ export default function OrdersPage() {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [orderDetails, setOrderDetails] = useState(null);
   const [loadingDetails, setLoadingDetails] = useState(false);
+  const [orderPayments, setOrderPayments] = useState(null);
   const [updatingStatus, setUpdatingStatus] = useState(null);
 
   async function load() {
@@ -57,8 +76,12 @@ export default function OrdersPage() {
     switch (status) {
       case 'pending':
         return 'bg-yellow-100 text-yellow-700';
+      case 'paid':
+        return 'bg-teal-100 text-teal-700';
       case 'processing':
         return 'bg-blue-100 text-blue-700';
+      case 'shipped':
+        return 'bg-indigo-100 text-indigo-700';
       case 'delivered':
         return 'bg-emerald-100 text-emerald-700';
       case 'cancelled':
@@ -67,11 +90,34 @@ export default function OrdersPage() {
         return 'bg-orange-100 text-orange-700';
       case 'failed':
         return 'bg-rose-100 text-rose-700';
+      case 'refunded':
+      case 'returned':
+        return 'bg-purple-100 text-purple-700';
       default:
         return 'bg-slate-100 text-slate-700';
     }
   }
 
+  function formatPaymentAmount(amount, currency) {
+    if (currency === 'KHR') {
+      return `${Number(amount).toLocaleString('en-US')} ៛`;
+    }
+    return formatCurrency(amount);
+  }
+
+  function getPaymentStatusColor(status) {
+    switch (status) {
+      case 'paid':
+        return 'bg-emerald-100 text-emerald-700';
+      case 'pending':
+        return 'bg-yellow-100 text-yellow-700';
+      case 'failed':
+        return 'bg-rose-100 text-rose-700';
+      default:
+        return 'bg-slate-100 text-slate-500';
+    }
+  }
+
   function formatCurrency(amount) {
     if (typeof amount === 'string') {
       return `$${parseFloat(amount).toFixed(2)}`;
@@ -83,8 +129,16 @@ export default function OrdersPage() {
     try {
       setLoadingDetails(true);
       setError('');
-      const { data } = await api.get(`/orders/${orderId}`);
+      const [{ data }, payments] = await Promise.all([
+        api.get(`/orders/${orderId}`),
+        // The payment ledger is optional for the modal: show the order even if it fails
+        api.get(`/admin/orders/${orderId}/payments`).then(res => res.data).catch(err => {
+          console.error('Error loading order payments:', err);
+          return null;
+        })
+      ]);
       setOrderDetails(data);
+      setOrderPayments(payments);
       setSelectedOrder(orderId);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to load order details');
@@ -97,6 +151,7 @@ export default function OrdersPage() {
   function closeOrderDetails() {
     setSelectedOrder(null);
     setOrderDetails(null);
+    setOrderPayments(null);
   }
 
   async function updateOrderStatus(orderId, newStatus) {
@@ -155,12 +210,15 @@ export default function OrdersPage() {
                 </option>
               ))}
             </select>
-            <button
-              onClick={load}
-              className="ml-auto inline-flex items-center rounded-lg bg-indigo-600 text-white font-medium px-4 py-2 shadow-sm hover:bg-indigo-700 transition"
-            >
-              Refresh
-            </button>
+            <div className="ml-auto flex items-center gap-3">
+              <ExportButton resource="orders" params={{ status: statusFilter }} />
+              <button
+                onClick={load}
+                className="inline-flex items-center rounded-lg bg-indigo-600 text-white font-medium px-4 py-2 shadow-sm hover:bg-indigo-700 transition"
+              >
+                Refresh
+              </button>
+            </div>
           </div>
         </section>
 
@@ -254,7 +312,7 @@ export default function OrdersPage() {
                               updatingStatus === order.id ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:shadow-sm'
                             }`}
                           >
-                            {STATUSES.map(status => (
+                            {statusOptions(order).map(status => (
                               <option key={status} value={status}>
                                 {status.charAt(0).toUpperCase() + status.slice(1)}
                               </option>
@@ -363,7 +421,7 @@ export default function OrdersPage() {
                               updatingStatus === orderDetails.id ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:shadow-sm'
                             }`}
                           >
-                            {STATUSES.map(status => (
+                            {statusOptions(orderDetails).map(status => (
                               <option key={status} value={status}>
                                 {status.charAt(0).toUpperCase() + status.slice(1)}
                               </option>
@@ -390,6 +448,12 @@ export default function OrdersPage() {
                         <span className="text-slate-500">Shipping:</span>
                         <span className="ml-2 text-slate-900">{formatCurrency(orderDetails.shipping)}</span>
                       </div>
+                      {Number(orderDetails.discount) > 0 && (
+                        <div>
+                          <span className="text-slate-500">Discount{orderDetails.couponCode ? ` (${orderDetails.couponCode})` : ''}:</span>
+                          <span className="ml-2 text-green-700">-{formatCurrency(orderDetails.discount)}</span>
+                        </div>
+                      )}
                       <div className="pt-2 border-t border-slate-200">
                         <span className="text-slate-900 font-semibold">Total:</span>
                         <span className="ml-2 text-slate-900 font-bold text-lg">{formatCurrency(orderDetails.total)}</span>
@@ -454,6 +518,63 @@ export default function OrdersPage() {
                   </div>
                 </div>
 
+                {/* Payments (ledger) */}
+                {orderPayments && (
+                  <div className="mt-6">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-sm font-semibold text-slate-900">Payments</h3>
+                      {(() => {
+                        const [label, color] = RECONCILIATION_LABELS[orderPayments.summary.status] ?? [orderPayments.summary.status, 'bg-slate-100 text-slate-700'];
+                        return (
+                          <span className={`inline-flex rounded-full px-2 py-1 text-xs font-semibold ${color}`}>
+                            {label}
+                          </span>
+                        );
+                      })()}
+                    </div>
+                    {orderPayments.payments.length > 0 ? (
+                      <div className="border border-slate-200 rounded-lg overflow-hidden">
+                        <table className="min-w-full divide-y divide-slate-200 text-sm">
+                          <thead className="bg-slate-50">
+                            <tr>
+                              <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600">Date</th>
+                              <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600">Source</th>
+                              <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600">Amount</th>
+                              <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600">Status</th>
+                              <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600">Reference</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-200 bg-white">
+                            {orderPayments.payments.map((payment) => (
+                              <tr key={payment.id}>
+                                <td className="px-4 py-3 text-slate-700">{formatDate(payment.paidAt || payment.createdAt)}</td>
+                                <td className="px-4 py-3 text-slate-700">{payment.method} · {payment.source}</td>
+                                <td className="px-4 py-3 text-slate-900 font-medium">{formatPaymentAmount(payment.amount, payment.currency)}</td>
+                                <td className="px-4 py-3">
+                                  <span className={`inline-flex rounded-full px-2 py-1 text-xs font-semibold ${getPaymentStatusColor(payment.status)}`}>
+                                    {payment.status}
+                                  </span>
+                                  {payment.error && (
+                                    <div className="text-xs text-rose-600 mt-1">{payment.error}</div>
+                                  )}
+                                </td>
+                                <td className="px-4 py-3 text-xs text-slate-500 font-mono break-all">
+                                  {payment.providerRef || payment.khqrMd5 || '-'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-slate-500">No payment attempts recorded</p>
+                    )}
+                    <p className="text-xs text-slate-500 mt-2">
+                      Expected {formatCurrency(orderPayments.summary.expected.USD)} or {formatPaymentAmount(orderPayments.summary.expected.KHR, 'KHR')}
+                    </p>
+                  </div>
+                )}
+
                 {/* Close Button */}
                 <div className="mt-6 flex justify-end">
                   <button
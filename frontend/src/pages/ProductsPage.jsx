@@ -1,8 +1,11 @@
 // src/ProductsPage.jsx
 import { useEffect, useState } from 'react';
 import { api } from '../services/api';
+import ExportButton from '../components/ExportButton';
+import ProductImportDialog from '../components/ProductImportDialog';
 
 const STATUSES = ['ACTIVE', 'ARCHIVED'];
+const emptyVariant = { sku: '', size: '', color: '', price: '', stock: '', isActive: true };
 const imageFallback = `data:image/svg+xml;utf8,${encodeURIComponent(
   '<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">' +
     '<rect width="128" height="128" fill="#f1f5f9"/>' +
@@ -27,13 +30,22 @@ export default function ProductsPage() {
     description: '',
     price: '',
     stock: '',
+    weight: '',
+    lowStockThreshold: '',
     status: 'ACTIVE',
     images: [],
     category: ''
   });
   const [editingId, setEditingId] = useState(null);
+  const [variants, setVariants] = useState([]);
   const [error, setError] = useState('');
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulk, setBulk] = useState({ category: '', priceMode: 'percent', priceValue: '', stock: '' });
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkMessage, setBulkMessage] = useState('');
+  const [bulkError, setBulkError] = useState('');
 
   const leafCategories = categories.filter(cat => !categories.some(c => c.parentCategoryId === cat.id));
   const formatCategoryLabel = (cat) => {
@@ -78,26 +90,54 @@ export default function ProductsPage() {
       description: '',
       price: '',
       stock: '',
+      weight: '',
+      lowStockThreshold: '',
       status: 'ACTIVE',
       images: [],
       category: ''
     });
     setEditingId(null);
+    setVariants([]);
     setError('');
   }
 
+  async function loadVariants(productId) {
+    try {
+      const { data } = await api.get(`/admin/products/${productId}/variants`);
+      setVariants(ensureArray(data).map(v => ({
+        id: v.id,
+        sku: v.sku,
+        size: v.options?.size || '',
+        color: v.options?.color || '',
+        price: v.price ?? '',
+        stock: v.stock,
+        isActive: v.isActive
+      })));
+    } catch (err) {
+      console.error('Failed to load variants:', err);
+      setVariants([]);
+    }
+  }
+
+  function updateVariant(idx, field, value) {
+    setVariants(variants.map((v, i) => (i === idx ? { ...v, [field]: value } : v)));
+  }
+
   function startEdit(product) {
     setForm({
       name: product.name || '',
       description: product.description || '',
       price: product.price || '',
       stock: product.stock || '',
+      weight: product.weight ?? '',
+      lowStockThreshold: product.lowStockThreshold ?? '',
       status: product.status || 'ACTIVE',
       images: Array.isArray(product.images) ? product.images : [],
       category: product.category || ''
     });
     setEditingId(product.id);
     setError('');
+    loadVariants(product.id);
   }
 
   async function handleImageUpload(e) {
@@ -182,16 +222,34 @@ export default function ProductsPage() {
         description: form.description,
         price: Number(form.price),
         stock: Number(form.stock) || 0,
+        weight: form.weight === '' ? null : Number(form.weight),
+        lowStockThreshold: form.lowStockThreshold === '' ? null : Number(form.lowStockThreshold),
         status: form.status,
         images: form.images,
         category: form.category || null
       };
 
+      let productId = editingId;
       if (editingId) {
         const response = await api.put(`/admin/products/${editingId}`, payload);
         console.log('Update successful:', response.data);
       } else {
-        await api.post('/admin/products', payload);
+        const { data } = await api.post('/admin/products', payload);
+        productId = data.id;
+      }
+
+      // Variants are saved as a whole list (removed rows are deleted)
+      if (editingId || variants.length > 0) {
+        await api.put(`/admin/products/${productId}/variants`, {
+          variants: variants.map(v => ({
+            id: v.id,
+            sku: v.sku,
+            options: { size: v.size, color: v.color },
+            price: v.price === '' ? null : Number(v.price),
+            stock: Number(v.stock) || 0,
+            isActive: v.isActive
+          }))
+        });
       }
       
       resetForm();
@@ -218,6 +276,33 @@ export default function ProductsPage() {
     }
   }
 
+  function toggleSelected(id) {
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(x => x !== id) : [...selectedIds, id]);
+  }
+
+  function toggleSelectAll() {
+    setSelectedIds(selectedIds.length === items.length ? [] : items.map(p => p.id));
+  }
+
+  // Apply one change to every selected product (the backend applies all or nothing)
+  async function runBulkAction(action, params = {}) {
+    setBulkBusy(true);
+    setBulkMessage('');
+    setBulkError('');
+    try {
+      const { data } = await api.post('/admin/products/bulk', { ids: selectedIds, action, ...params });
+      setBulkMessage(`${data.updated} product${data.updated !== 1 ? 's' : ''} updated`);
+      setSelectedIds([]);
+      load();
+    } catch (err) {
+      const ids = err.response?.data?.productIds || err.response?.data?.missing;
+      const message = err.response?.data?.error || 'Bulk update failed';
+      setBulkError(ids?.length ? `${message} (IDs: ${ids.join(', ')})` : message);
+    } finally {
+      setBulkBusy(false);
+    }
+  }
+
   return (
     <div className="min-h-screen bg-slate-50">
       <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
@@ -286,8 +371,38 @@ export default function ProductsPage() {
                 placeholder="0"
                 type="number"
                 value={form.stock}
+                disabled={variants.length > 0}
                 onChange={e => setForm({ ...form, stock: e.target.value })}
               />
+              {variants.length > 0 && (
+                <p className="text-xs text-slate-500 mt-1">Stock is the total of the variants below.</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Weight (kg)</label>
+              <input
+                className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                placeholder="Used for weight based shipping"
+                type="number"
+                step="0.001"
+                min="0"
+                value={form.weight}
+                onChange={e => setForm({ ...form, weight: e.target.value })}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Low Stock Alert At</label>
+              <input
+                className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                placeholder="Store default"
+                type="number"
+                step="1"
+                min="0"
+                value={form.lowStockThreshold}
+                onChange={e => setForm({ ...form, lowStockThreshold: e.target.value })}
+              />
             </div>
 
             <div>
@@ -396,6 +511,87 @@ export default function ProductsPage() {
                 </div>
               )}
             </div>
+
+            <div className="md:col-span-2">
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-slate-700">Variants</label>
+                <button
+                  type="button"
+                  onClick={() => setVariants([...variants, { ...emptyVariant }])}
+                  className="px-3 py-1 text-xs rounded-lg border border-slate-300 bg-white text-slate-700 hover:bg-slate-50"
+                >
+                  + Add variant
+                </button>
+              </div>
+              <p className="text-xs text-slate-500 mb-2">Sizes/colors with their own SKU and stock. Leave price empty to use the product price.</p>
+              {variants.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-semibold text-slate-500 uppercase">
+                        <th className="px-2 py-1">SKU *</th>
+                        <th className="px-2 py-1">Size</th>
+                        <th className="px-2 py-1">Color</th>
+                        <th className="px-2 py-1">Price</th>
+                        <th className="px-2 py-1">Stock</th>
+                        <th className="px-2 py-1">Active</th>
+                        <th className="px-2 py-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {variants.map((v, idx) => (
+                        <tr key={v.id ?? `new-${idx}`}>
+                          {['sku', 'size', 'color'].map(field => (
+                            <td key={field} className="px-2 py-1">
+                              <input
+                                className="w-full rounded border border-slate-200 bg-slate-50 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                value={v[field]}
+                                onChange={e => updateVariant(idx, field, e.target.value)}
+                              />
+                            </td>
+                          ))}
+                          <td className="px-2 py-1">
+                            <input
+                              className="w-24 rounded border border-slate-200 bg-slate-50 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                              type="number"
+                              step="0.01"
+                              placeholder={form.price || '0.00'}
+                              value={v.price}
+                              onChange={e => updateVariant(idx, 'price', e.target.value)}
+                            />
+                          </td>
+                          <td className="px-2 py-1">
+                            <input
+                              className="w-20 rounded border border-slate-200 bg-slate-50 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                              type="number"
+                              min="0"
+                              value={v.stock}
+                              onChange={e => updateVariant(idx, 'stock', e.target.value)}
+                            />
+                          </td>
+                          <td className="px-2 py-1 text-center">
+                            <input
+                              type="checkbox"
+                              checked={v.isActive}
+                              onChange={e => updateVariant(idx, 'isActive', e.target.checked)}
+                            />
+                          </td>
+                          <td className="px-2 py-1">
+                            <button
+                              type="button"
+                              onClick={() => setVariants(variants.filter((_, i) => i !== idx))}
+                              className="px-2 py-1 text-xs bg-red-500 text-white rounded hover:bg-red-600"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
           </div>
 
           <div className="flex justify-end gap-2">
@@ -424,12 +620,121 @@ export default function ProductsPage() {
               <h3 className="text-lg font-semibold text-slate-900">Products List</h3>
               <p className="text-sm text-slate-500">Latest items by update date</p>
             </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setShowImport(true)}
+                className="inline-flex items-center rounded-lg border border-slate-300 bg-white text-slate-700 font-medium px-4 py-2 shadow-sm hover:bg-slate-50 transition"
+              >
+                Import CSV
+              </button>
+              <ExportButton resource="products" />
+            </div>
           </div>
+          {bulkMessage && selectedIds.length === 0 && (
+            <p className="mb-4 text-sm text-emerald-600">{bulkMessage}</p>
+          )}
+          {bulkError && selectedIds.length > 0 && (
+            <p className="mb-2 text-sm text-red-600">{bulkError}</p>
+          )}
+          {selectedIds.length > 0 && (
+            <div className="mb-4 flex flex-wrap items-center gap-3 rounded-xl border border-indigo-200 bg-indigo-50 px-4 py-3 text-sm">
+              <span className="font-medium text-indigo-900">{selectedIds.length} selected</span>
+              <button
+                onClick={() => runBulkAction('activate')}
+                disabled={bulkBusy}
+                className="rounded-lg bg-white border border-slate-300 px-3 py-1.5 font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+              >
+                Activate
+              </button>
+              <button
+                onClick={() => runBulkAction('archive')}
+                disabled={bulkBusy}
+                className="rounded-lg bg-white border border-slate-300 px-3 py-1.5 font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+              >
+                Archive
+              </button>
+              <div className="flex items-center gap-1">
+                <select
+                  value={bulk.category}
+                  onChange={(e) => setBulk({ ...bulk, category: e.target.value })}
+                  className="rounded-lg border border-slate-300 bg-white px-2 py-1.5"
+                >
+                  <option value="">Move to category...</option>
+                  {leafCategories.map(cat => (
+                    <option key={cat.id} value={cat.name}>{formatCategoryLabel(cat)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => runBulkAction('move_category', { category: bulk.category })}
+                  disabled={bulkBusy || !bulk.category}
+                  className="rounded-lg bg-indigo-600 px-3 py-1.5 font-medium text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Move
+                </button>
+              </div>
+              <div className="flex items-center gap-1">
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="±"
+                  value={bulk.priceValue}
+                  onChange={(e) => setBulk({ ...bulk, priceValue: e.target.value })}
+                  className="w-20 rounded-lg border border-slate-300 bg-white px-2 py-1.5"
+                />
+                <select
+                  value={bulk.priceMode}
+                  onChange={(e) => setBulk({ ...bulk, priceMode: e.target.value })}
+                  className="rounded-lg border border-slate-300 bg-white px-2 py-1.5"
+                >
+                  <option value="percent">%</option>
+                  <option value="fixed">$</option>
+                </select>
+                <button
+                  onClick={() => runBulkAction('adjust_price', { mode: bulk.priceMode, value: bulk.priceValue })}
+                  disabled={bulkBusy || bulk.priceValue === ''}
+                  className="rounded-lg bg-indigo-600 px-3 py-1.5 font-medium text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Adjust Price
+                </button>
+              </div>
+              <div className="flex items-center gap-1">
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Stock"
+                  value={bulk.stock}
+                  onChange={(e) => setBulk({ ...bulk, stock: e.target.value })}
+                  className="w-20 rounded-lg border border-slate-300 bg-white px-2 py-1.5"
+                />
+                <button
+                  onClick={() => runBulkAction('set_stock', { stock: bulk.stock === '' ? '' : Number(bulk.stock) })}
+                  disabled={bulkBusy || bulk.stock === ''}
+                  className="rounded-lg bg-indigo-600 px-3 py-1.5 font-medium text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Set Stock
+                </button>
+              </div>
+              <button
+                onClick={() => setSelectedIds([])}
+                className="ml-auto text-slate-600 hover:text-slate-900"
+              >
+                Clear
+              </button>
+            </div>
+          )}
           <div className="overflow-x-auto">
             <div className="overflow-hidden rounded-xl border border-slate-200">
               <table className="min-w-full divide-y divide-slate-200 text-sm">
                 <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide">
                   <tr>
+                    <th className="px-4 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        checked={items.length > 0 && selectedIds.length === items.length}
+                        onChange={toggleSelectAll}
+                        aria-label="Select all products"
+                      />
+                    </th>
                     <th className="px-4 py-3 text-left">ID</th>
                     <th className="px-4 py-3 text-left">Image</th>
                     <th className="px-4 py-3 text-left">Name</th>
@@ -443,7 +748,15 @@ export default function ProductsPage() {
                 </thead>
                 <tbody className="divide-y divide-slate-200 bg-white">
                   {items.map(p => (
-                    <tr key={p.id} className="hover:bg-slate-50">
+                    <tr key={p.id} className={selectedIds.includes(p.id) ? 'bg-indigo-50/50' : 'hover:bg-slate-50'}>
+                      <td className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(p.id)}
+                          onChange={() => toggleSelected(p.id)}
+                          aria-label={`Select ${p.name}`}
+                        />
+                      </td>
                       <td className="px-4 py-3 text-slate-700">{p.id}</td>
                       <td className="px-4 py-3">
                         {Array.isArray(p.images) && p.images.length > 0 ? (
@@ -463,7 +776,12 @@ export default function ProductsPage() {
                       <td className="px-4 py-3 text-slate-900 font-medium">{p.name}</td>
                       <td className="px-4 py-3 text-slate-700 max-w-xs truncate">{p.description || '-'}</td>
                       <td className="px-4 py-3 text-slate-700">${Number(p.price).toFixed(2)}</td>
-                      <td className="px-4 py-3 text-slate-700">{p.stock}</td>
+                      <td className="px-4 py-3 text-slate-700">
+                        <div>{p.stock} available</div>
+                        {p.reservedStock > 0 && (
+                          <div className="text-xs text-amber-600">{p.reservedStock} reserved</div>
+                        )}
+                      </td>
                       <td className="px-4 py-3 text-slate-700">{p.category || '-'}</td>
                       <td className="px-4 py-3">
                         <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold ${
@@ -505,6 +823,10 @@ export default function ProductsPage() {
         </div>
       </div>
 
+      {showImport && (
+        <ProductImportDialog onClose={() => setShowImport(false)} onImported={load} />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
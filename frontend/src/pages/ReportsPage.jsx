@@ -2,15 +2,122 @@
 import { useEffect, useState } from 'react';
 import { api } from '../services/api';
 
+const INTERVALS = ['day', 'week', 'month'];
+
+const CHART_COLORS = ['bg-indigo-500', 'bg-emerald-500', 'bg-amber-500', 'bg-sky-500', 'bg-rose-500', 'bg-slate-400'];
+
+function toInputDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function defaultRange() {
+  const to = new Date();
+  const from = new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+  return { from: toInputDate(from), to: toInputDate(to), interval: 'day' };
+}
+
+function formatPeriod(period, interval) {
+  const date = new Date(`${period}T00:00:00`);
+  if (interval === 'month') {
+    return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// Vertical bars, one per period
+function ColumnChart({ series, valueKey, interval, formatValue, color = 'bg-indigo-500' }) {
+  const max = Math.max(...series.map(point => point[valueKey]), 0);
+  // Label roughly 8 periods so long ranges stay readable
+  const labelEvery = Math.max(1, Math.ceil(series.length / 8));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-48 border-b border-slate-200">
+        {series.map(point => (
+          <div key={point.period} className="group relative flex-1 h-full flex items-end">
+            <div
+              className={`w-full rounded-t ${color} opacity-80 group-hover:opacity-100`}
+              style={{ height: max > 0 ? `${(point[valueKey] / max) * 100}%` : '0%', minHeight: point[valueKey] > 0 ? '2px' : 0 }}
+            />
+            <div className="pointer-events-none absolute bottom-full left-1/2 mb-1 -translate-x-1/2 whitespace-nowrap rounded bg-slate-900 px-2 py-1 text-xs text-white opacity-0 group-hover:opacity-100 z-10">
+              {formatPeriod(point.period, interval)}: {formatValue(point[valueKey])}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {series.map((point, index) => (
+          <div key={point.period} className="flex-1 text-center text-[10px] text-slate-500 truncate">
+            {index % labelEvery === 0 ? formatPeriod(point.period, interval) : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars for ranked lists
+function RankedBars({ rows, labelKey, valueKey, formatValue, color = 'bg-indigo-500' }) {
+  const max = Math.max(...rows.map(row => row[valueKey]), 0);
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-slate-500">No sales in this period</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {rows.map(row => (
+        <li key={row[labelKey]}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-slate-700 truncate pr-2">{row[labelKey]}</span>
+            <span className="text-slate-900 font-medium whitespace-nowrap">{formatValue(row[valueKey])}</span>
+          </div>
+          <div className="h-2 rounded-full bg-slate-100">
+            <div
+              className={`h-2 rounded-full ${color}`}
+              style={{ width: max > 0 ? `${(row[valueKey] / max) * 100}%` : '0%' }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 export default function ReportsPage() {
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [range, setRange] = useState(defaultRange);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(true);
+  const [analyticsError, setAnalyticsError] = useState('');
+  const [productMetric, setProductMetric] = useState('byRevenue');
 
   useEffect(() => {
     loadReport();
+    loadAnalytics(range);
   }, []);
 
+  async function loadAnalytics(nextRange) {
+    try {
+      setAnalyticsLoading(true);
+      setAnalyticsError('');
+      const { data } = await api.get('/admin/analytics', { params: nextRange });
+      setAnalytics(data);
+    } catch (err) {
+      setAnalyticsError(err.response?.data?.error || 'Failed to load sales analytics');
+      console.error('Error loading analytics:', err);
+    } finally {
+      setAnalyticsLoading(false);
+    }
+  }
+
+  function handleRangeSubmit(e) {
+    e.preventDefault();
+    loadAnalytics(range);
+  }
+
   async function loadReport() {
     try {
       setLoading(true);
@@ -41,7 +148,7 @@ export default function ReportsPage() {
         month: 'short',
         day: 'numeric'
       });
-    } catch (e) {
+    } catch {
       return dateString;
     }
   }
@@ -59,8 +166,209 @@ export default function ReportsPage() {
             <span className="text-sm font-medium text-slate-900">Reports</span>
           </div>
           <h1 className="text-2xl font-semibold text-slate-900 mt-4">
-            Payment Timeout Impact Report
+            Sales Analytics
           </h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Revenue, orders and best sellers over any date range. Only paid or fulfilled orders count as sales.
+          </p>
+        </div>
+
+        <form onSubmit={handleRangeSubmit} className="mb-6 flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">From</label>
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={e => setRange({ ...range, from: e.target.value })}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">To</label>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={e => setRange({ ...range, to: e.target.value })}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">Group by</label>
+            <select
+              value={range.interval}
+              onChange={e => setRange({ ...range, interval: e.target.value })}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm capitalize focus:border-indigo-500 focus:outline-none"
+            >
+              {INTERVALS.map(interval => (
+                <option key={interval} value={interval}>{interval}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700"
+          >
+            Apply
+          </button>
+        </form>
+
+        {analyticsError && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">
+            {analyticsError}
+          </div>
+        )}
+
+        {analyticsLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-pulse text-slate-500">Loading analytics...</div>
+          </div>
+        ) : analytics && (
+          <>
+            {/* Totals for the range */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <p className="text-sm font-medium text-slate-600 mb-2">Revenue</p>
+                <p className="text-3xl font-semibold text-slate-900">
+                  {formatCurrency(analytics.sales.totals.revenue)}
+                </p>
+                <p className="text-xs text-slate-500 mt-2">
+                  {formatCurrency(analytics.sales.totals.refunds)} refunded
+                </p>
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <p className="text-sm font-medium text-slate-600 mb-2">Orders</p>
+                <p className="text-3xl font-semibold text-slate-900">{analytics.sales.totals.orders}</p>
+                <p className="text-xs text-slate-500 mt-2">{formatDate(analytics.sales.from)} – {formatDate(analytics.sales.to)}</p>
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <p className="text-sm font-medium text-slate-600 mb-2">Average Order Value</p>
+                <p className="text-3xl font-semibold text-slate-900">
+                  {formatCurrency(analytics.sales.totals.averageOrderValue)}
+                </p>
+                <p className="text-xs text-slate-500 mt-2">Revenue per order</p>
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <p className="text-sm font-medium text-slate-600 mb-2">Net Revenue</p>
+                <p className="text-3xl font-semibold text-emerald-600">
+                  {formatCurrency(analytics.sales.totals.netRevenue)}
+                </p>
+                <p className="text-xs text-slate-500 mt-2">After refunds paid in the period</p>
+              </div>
+            </div>
+
+            {/* Revenue and orders over time */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">Revenue per {analytics.sales.interval}</h2>
+                <ColumnChart
+                  series={analytics.sales.series}
+                  valueKey="revenue"
+                  interval={analytics.sales.interval}
+                  formatValue={formatCurrency}
+                />
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">Orders per {analytics.sales.interval}</h2>
+                <ColumnChart
+                  series={analytics.sales.series}
+                  valueKey="orders"
+                  interval={analytics.sales.interval}
+                  formatValue={value => `${value} orders`}
+                  color="bg-emerald-500"
+                />
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6 lg:col-span-2">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">Average order value per {analytics.sales.interval}</h2>
+                <ColumnChart
+                  series={analytics.sales.series}
+                  valueKey="averageOrderValue"
+                  interval={analytics.sales.interval}
+                  formatValue={formatCurrency}
+                  color="bg-sky-500"
+                />
+              </div>
+            </div>
+
+            {/* Best sellers */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-slate-900">Top Products</h2>
+                  <div className="flex gap-1">
+                    {[['byRevenue', 'Revenue'], ['byUnits', 'Units']].map(([metric, label]) => (
+                      <button
+                        key={metric}
+                        onClick={() => setProductMetric(metric)}
+                        className={`px-3 py-1 rounded-lg text-xs font-medium ${
+                          productMetric === metric ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <RankedBars
+                  rows={analytics.topProducts[productMetric]}
+                  labelKey="name"
+                  valueKey={productMetric === 'byUnits' ? 'units' : 'revenue'}
+                  formatValue={productMetric === 'byUnits' ? value => `${value} units` : formatCurrency}
+                />
+              </div>
+              <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-slate-900 mb-4">Top Categories</h2>
+                <RankedBars
+                  rows={analytics.topCategories}
+                  labelKey="category"
+                  valueKey="revenue"
+                  formatValue={formatCurrency}
+                  color="bg-amber-500"
+                />
+              </div>
+            </div>
+
+            {/* Payment method mix */}
+            <div className="bg-white border border-slate-200 rounded-xl shadow-sm p-6 mb-12">
+              <h2 className="text-lg font-semibold text-slate-900 mb-4">Payment Methods</h2>
+              {analytics.paymentMix.length === 0 ? (
+                <p className="text-sm text-slate-500">No sales in this period</p>
+              ) : (
+                <>
+                  <div className="flex h-4 rounded-full overflow-hidden mb-4">
+                    {analytics.paymentMix.map((method, index) => (
+                      <div
+                        key={method.method}
+                        title={`${method.method}: ${method.revenueShare}%`}
+                        className={CHART_COLORS[index % CHART_COLORS.length]}
+                        style={{ width: `${method.revenueShare}%` }}
+                      />
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    {analytics.paymentMix.map((method, index) => (
+                      <div key={method.method} className="flex items-start gap-2 text-sm">
+                        <span className={`mt-1 h-3 w-3 rounded-full ${CHART_COLORS[index % CHART_COLORS.length]}`} />
+                        <div>
+                          <p className="font-medium text-slate-900">{method.method}</p>
+                          <p className="text-slate-600">
+                            {formatCurrency(method.revenue)} ({method.revenueShare}%) · {method.orders} orders ({method.orderShare}%)
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className="mb-8">
+          <h2 className="text-xl font-semibold text-slate-900">
+            Payment Timeout Impact Report
+          </h2>
           <p className="text-sm text-slate-500 mt-1">
             Analytics on orders lost due to payment timeout
           </p>
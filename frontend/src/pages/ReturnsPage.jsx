@@ -0,0 +1,347 @@
+// src/pages/ReturnsPage.jsx
+import { useEffect, useState } from 'react';
+import { api } from '../services/api';
+
+const STATUS_TABS = ['requested', 'approved', 'rejected'];
+
+const REASON_LABELS = {
+  damaged: 'Damaged',
+  defective: 'Defective',
+  wrong_item: 'Wrong item',
+  not_as_described: 'Not as described',
+  size_fit: 'Size / fit',
+  changed_mind: 'Changed mind',
+  other: 'Other'
+};
+
+const REFUND_METHODS = [
+  { value: 'original_payment', label: 'Original payment' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank_transfer', label: 'Bank transfer' },
+  { value: 'bakong', label: 'Bakong' },
+  { value: 'store_credit', label: 'Store credit' }
+];
+
+const EMPTY_REVIEW = { amount: '', method: 'original_payment', reference: '', restock: true, note: '' };
+
+export default function ReturnsPage() {
+  const [returns, setReturns] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('requested');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [review, setReview] = useState(EMPTY_REVIEW);
+  const [saving, setSaving] = useState(false);
+
+  async function loadReturns(pageNum = 1) {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await api.get('/admin/returns', {
+        params: { status: statusFilter, page: pageNum, limit: 20 }
+      });
+      setReturns(data.data || []);
+      setTotalPages(data.pagination?.pages || 1);
+      setPage(pageNum);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load returns');
+      console.error('Error loading returns:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadReturns(1);
+  }, [statusFilter]);
+
+  function openReview(item) {
+    setSelected(item);
+    setReview(EMPTY_REVIEW);
+  }
+
+  async function submitReview(action) {
+    try {
+      setSaving(true);
+      setError('');
+      const payload = action === 'approve'
+        ? {
+            amount: review.amount === '' ? undefined : Number(review.amount),
+            method: review.method,
+            reference: review.reference || null,
+            restock: review.restock,
+            note: review.note || null
+          }
+        : { note: review.note || null };
+      await api.post(`/admin/returns/${selected.id}/${action}`, payload);
+      setSelected(null);
+      await loadReturns(page);
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} return`);
+      console.error(`Error trying to ${action} return:`, err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function formatDate(dateString) {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  function formatCurrency(amount) {
+    return `$${Number(amount || 0).toFixed(2)}`;
+  }
+
+  function itemsValue(item) {
+    return item.items.reduce((sum, returned) => sum + returned.unitPrice * returned.quantity, 0);
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-semibold text-slate-900">Returns</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Review customer return requests for delivered orders and record refunds
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-4 flex gap-2">
+          {STATUS_TABS.map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium capitalize ${
+                statusFilter === status
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white border border-slate-200 text-slate-700 hover:bg-slate-50'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center text-slate-500">
+              <div className="animate-pulse">Loading returns...</div>
+            </div>
+          ) : returns.length === 0 ? (
+            <div className="p-8 text-center text-sm text-slate-500">No {statusFilter} returns</div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-slate-200 text-sm">
+                  <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide">
+                    <tr>
+                      <th className="px-6 py-3 text-left">Return</th>
+                      <th className="px-6 py-3 text-left">Order</th>
+                      <th className="px-6 py-3 text-left">Customer</th>
+                      <th className="px-6 py-3 text-left">Reason</th>
+                      <th className="px-6 py-3 text-left">Items</th>
+                      <th className="px-6 py-3 text-left">{statusFilter === 'approved' ? 'Refund' : 'Value'}</th>
+                      <th className="px-6 py-3 text-left">Requested</th>
+                      <th className="px-6 py-3 text-left">Action</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 bg-white">
+                    {returns.map(item => (
+                      <tr key={item.id} className="hover:bg-slate-50">
+                        <td className="px-6 py-4 text-slate-900 font-medium">#{item.id}</td>
+                        <td className="px-6 py-4 text-slate-700">{item.orderNumber}</td>
+                        <td className="px-6 py-4 text-slate-700">{item.customerName}</td>
+                        <td className="px-6 py-4 text-slate-700">{REASON_LABELS[item.reason] || item.reason}</td>
+                        <td className="px-6 py-4 text-slate-700">
+                          {item.items.reduce((sum, returned) => sum + returned.quantity, 0)} items
+                        </td>
+                        <td className="px-6 py-4 text-slate-900 font-semibold">
+                          {item.refund ? formatCurrency(item.refund.amount) : formatCurrency(itemsValue(item))}
+                        </td>
+                        <td className="px-6 py-4 text-slate-700 text-xs">{formatDate(item.createdAt)}</td>
+                        <td className="px-6 py-4">
+                          <button
+                            onClick={() => openReview(item)}
+                            className="text-indigo-600 hover:text-indigo-800 font-medium text-sm"
+                          >
+                            {item.status === 'requested' ? 'Review' : 'View'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {totalPages > 1 && (
+                <div className="flex items-center justify-between px-6 py-4 border-t border-slate-200 bg-slate-50">
+                  <div className="text-sm text-slate-600">
+                    Page {page} of {totalPages}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => loadReturns(page - 1)}
+                      disabled={page === 1}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => loadReturns(page + 1)}
+                      disabled={page >= totalPages}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Review Modal */}
+        {selected && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+              <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+                <div>
+                  <h2 className="text-lg font-semibold text-slate-900">Return #{selected.id}</h2>
+                  <p className="text-sm text-slate-500">
+                    Order {selected.orderNumber} · {selected.customerName} · {formatDate(selected.createdAt)}
+                  </p>
+                </div>
+                <button onClick={() => setSelected(null)} className="text-slate-400 hover:text-slate-600">✕</button>
+              </div>
+
+              <div className="px-6 py-4 space-y-4">
+                <div>
+                  <p className="text-sm font-medium text-slate-700">Reason: {REASON_LABELS[selected.reason] || selected.reason}</p>
+                  {selected.comment && <p className="text-sm text-slate-600 mt-1">“{selected.comment}”</p>}
+                </div>
+
+                <ul className="divide-y divide-slate-200 border border-slate-200 rounded-lg">
+                  {selected.items.map(returned => (
+                    <li key={returned.id} className="flex items-center justify-between px-4 py-3 text-sm">
+                      <div>
+                        <p className="font-medium text-slate-900">{returned.productName}</p>
+                        {returned.variantLabel && <p className="text-xs text-slate-500">{returned.variantLabel}</p>}
+                      </div>
+                      <span className="text-slate-700">
+                        {returned.quantity} × {formatCurrency(returned.unitPrice)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                {selected.status === 'requested' ? (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Refund amount</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={review.amount}
+                        onChange={e => setReview({ ...review, amount: e.target.value })}
+                        placeholder={`Auto (${formatCurrency(itemsValue(selected))} before discount)`}
+                        className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Refund method</label>
+                      <select
+                        value={review.method}
+                        onChange={e => setReview({ ...review, method: e.target.value })}
+                        className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      >
+                        {REFUND_METHODS.map(method => (
+                          <option key={method.value} value={method.value}>{method.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Reference</label>
+                      <input
+                        value={review.reference}
+                        onChange={e => setReview({ ...review, reference: e.target.value })}
+                        placeholder="Transaction or receipt number"
+                        className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-700 mt-6">
+                      <input
+                        type="checkbox"
+                        checked={review.restock}
+                        onChange={e => setReview({ ...review, restock: e.target.checked })}
+                      />
+                      Put items back in stock
+                    </label>
+                    <div className="sm:col-span-2">
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Note to customer</label>
+                      <textarea
+                        rows={2}
+                        value={review.note}
+                        onChange={e => setReview({ ...review, note: e.target.value })}
+                        className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-sm text-slate-700 space-y-1">
+                    <p>
+                      <span className="capitalize font-medium">{selected.status}</span> on {formatDate(selected.reviewedAt)}
+                      {selected.status === 'approved' && (selected.restocked ? ' · items restocked' : ' · items not restocked')}
+                    </p>
+                    {selected.refund && (
+                      <p>
+                        Refund {formatCurrency(selected.refund.amount)} via{' '}
+                        {REFUND_METHODS.find(method => method.value === selected.refund.method)?.label || selected.refund.method}
+                        {selected.refund.reference && ` (ref ${selected.refund.reference})`}
+                      </p>
+                    )}
+                    {selected.adminNote && <p className="text-slate-500">Note: {selected.adminNote}</p>}
+                  </div>
+                )}
+              </div>
+
+              {selected.status === 'requested' && (
+                <div className="flex justify-end gap-3 px-6 py-4 border-t border-slate-200 bg-slate-50">
+                  <button
+                    onClick={() => submitReview('reject')}
+                    disabled={saving}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => submitReview('approve')}
+                    disabled={saving}
+                    className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Approve & Refund'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,329 @@
+// src/pages/ReviewsPage.jsx
+import { useEffect, useState } from 'react';
+import { api } from '../services/api';
+
+const STATUS_TABS = ['pending', 'approved', 'rejected', 'all'];
+
+const FLAG_LABELS = {
+  blocked_word: 'Blocked word',
+  link: 'Link',
+  duplicate: 'Duplicate text'
+};
+
+const REJECTION_LABELS = {
+  spam: 'Spam',
+  profanity: 'Profanity',
+  off_topic: 'Off topic',
+  fake: 'Fake review',
+  personal_info: 'Personal info',
+  duplicate: 'Duplicate',
+  other: 'Other'
+};
+
+export default function ReviewsPage() {
+  const [reviews, setReviews] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, approved: 0, rejected: 0 });
+  const [rejectionReasons, setRejectionReasons] = useState(Object.keys(REJECTION_LABELS));
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [rejectReason, setRejectReason] = useState('spam');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  async function loadReviews(pageNum = 1) {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await api.get('/admin/reviews', {
+        params: { status: statusFilter, search: search || undefined, page: pageNum, limit: 20 }
+      });
+      setReviews(data.data || []);
+      setCounts(data.counts || { pending: 0, approved: 0, rejected: 0 });
+      if (data.rejectionReasons) setRejectionReasons(data.rejectionReasons);
+      setTotalPages(data.pagination?.pages || 1);
+      setPage(pageNum);
+      setSelectedIds([]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load reviews');
+      console.error('Error loading reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadReviews(1);
+  }, [statusFilter]);
+
+  function handleSearch(e) {
+    e.preventDefault();
+    loadReviews(1);
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  }
+
+  function toggleAll() {
+    setSelectedIds(selectedIds.length === reviews.length ? [] : reviews.map(review => review.id));
+  }
+
+  async function moderate(action) {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const { data } = await api.post('/admin/reviews/moderate', {
+        ids: selectedIds,
+        action,
+        reason: action === 'reject' ? rejectReason : undefined,
+        note: note || null
+      });
+      setSuccess(`${data.updated} review(s) ${action === 'approve' ? 'approved' : 'rejected'}`);
+      setNote('');
+      await loadReviews(page);
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} reviews`);
+      console.error(`Error trying to ${action} reviews:`, err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function formatDate(dateString) {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  const allSelected = reviews.length > 0 && selectedIds.length === reviews.length;
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-semibold text-slate-900">Reviews</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Approve or reject customer reviews. Reviews with blocked words, links or repeated text wait here before they go live.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-6 p-4 bg-emerald-50 border border-emerald-200 rounded-lg text-sm text-emerald-700">
+            {success}
+          </div>
+        )}
+
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex gap-2">
+            {STATUS_TABS.map(status => (
+              <button
+                key={status}
+                onClick={() => setStatusFilter(status)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium capitalize ${
+                  statusFilter === status
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-white border border-slate-200 text-slate-700 hover:bg-slate-50'
+                }`}
+              >
+                {status}
+                {status !== 'all' && <span className="ml-1 opacity-75">({counts[status] || 0})</span>}
+              </button>
+            ))}
+          </div>
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="text"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Search text, product or email..."
+              className="w-64 rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700"
+            >
+              Search
+            </button>
+          </form>
+        </div>
+
+        {/* Bulk actions for the selected reviews */}
+        {selectedIds.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-3 p-4 bg-indigo-50 border border-indigo-200 rounded-xl">
+            <span className="text-sm font-medium text-indigo-900">{selectedIds.length} selected</span>
+            <button
+              onClick={() => moderate('approve')}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+            >
+              Approve
+            </button>
+            <select
+              value={rejectReason}
+              onChange={e => setRejectReason(e.target.value)}
+              className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            >
+              {rejectionReasons.map(reason => (
+                <option key={reason} value={reason}>{REJECTION_LABELS[reason] || reason}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => moderate('reject')}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-white border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50"
+            >
+              Reject
+            </button>
+            <input
+              type="text"
+              value={note}
+              onChange={e => setNote(e.target.value)}
+              placeholder="Internal note (optional)"
+              className="flex-1 min-w-48 rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+        )}
+
+        <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center text-slate-500">
+              <div className="animate-pulse">Loading reviews...</div>
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="p-8 text-center text-sm text-slate-500">
+              {statusFilter === 'all' ? 'No reviews found' : `No ${statusFilter} reviews`}
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-slate-200 text-sm">
+                  <thead className="bg-slate-50 text-slate-600 uppercase text-xs tracking-wide">
+                    <tr>
+                      <th className="px-4 py-3 text-left">
+                        <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                      </th>
+                      <th className="px-4 py-3 text-left">Product</th>
+                      <th className="px-4 py-3 text-left">Rating</th>
+                      <th className="px-4 py-3 text-left">Review</th>
+                      <th className="px-4 py-3 text-left">Reviewer</th>
+                      <th className="px-4 py-3 text-left">Status</th>
+                      <th className="px-4 py-3 text-left">Date</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 bg-white">
+                    {reviews.map(review => (
+                      <tr
+                        key={review.id}
+                        className={selectedIds.includes(review.id) ? 'bg-indigo-50' : 'hover:bg-slate-50'}
+                      >
+                        <td className="px-4 py-4 align-top">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(review.id)}
+                            onChange={() => toggleSelected(review.id)}
+                          />
+                        </td>
+                        <td className="px-4 py-4 align-top text-slate-900 font-medium">{review.productName || '-'}</td>
+                        <td className="px-4 py-4 align-top text-amber-500 whitespace-nowrap">
+                          {'★'.repeat(review.rating)}
+                          <span className="text-slate-300">{'★'.repeat(5 - review.rating)}</span>
+                        </td>
+                        <td className="px-4 py-4 align-top text-slate-700 max-w-md">
+                          <p className="whitespace-pre-line break-words">{review.comment || <span className="text-slate-400">No comment</span>}</p>
+                          {review.photos.length > 0 && (
+                            <div className="mt-2 flex gap-2">
+                              {review.photos.map(photo => (
+                                <a key={photo.id} href={photo.url} target="_blank" rel="noreferrer">
+                                  <img src={photo.url} alt="" className="h-12 w-12 rounded object-cover border border-slate-200" />
+                                </a>
+                              ))}
+                            </div>
+                          )}
+                          {review.moderationFlags.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-1">
+                              {review.moderationFlags.map(flag => (
+                                <span
+                                  key={flag.code}
+                                  title={flag.detail}
+                                  className="inline-flex rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800"
+                                >
+                                  {FLAG_LABELS[flag.code] || flag.code}: {flag.detail}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-4 align-top text-slate-700">
+                          <div>{review.userName || review.userEmail || '-'}</div>
+                          {review.userName && review.userEmail && <div className="text-xs text-slate-500">{review.userEmail}</div>}
+                          {review.isVerifiedPurchase && <div className="text-xs text-emerald-600 font-medium">Verified purchase</div>}
+                        </td>
+                        <td className="px-4 py-4 align-top">
+                          <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium capitalize ${
+                            review.moderationStatus === 'approved'
+                              ? 'bg-emerald-100 text-emerald-800'
+                              : review.moderationStatus === 'rejected'
+                                ? 'bg-red-100 text-red-800'
+                                : 'bg-amber-100 text-amber-800'
+                          }`}>
+                            {review.moderationStatus}
+                          </span>
+                          {review.rejectionReason && (
+                            <div className="mt-1 text-xs text-slate-500">{REJECTION_LABELS[review.rejectionReason] || review.rejectionReason}</div>
+                          )}
+                          {review.moderationNote && <div className="mt-1 text-xs text-slate-400">{review.moderationNote}</div>}
+                        </td>
+                        <td className="px-4 py-4 align-top text-slate-700 text-xs">{formatDate(review.createdAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {totalPages > 1 && (
+                <div className="flex items-center justify-between px-6 py-4 border-t border-slate-200 bg-slate-50">
+                  <div className="text-sm text-slate-600">
+                    Page {page} of {totalPages}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => loadReviews(page - 1)}
+                      disabled={page === 1}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => loadReviews(page + 1)}
+                      disabled={page >= totalPages}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-300"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 // src/UsersPage.jsx
 import { useEffect, useState } from 'react';
 import { api } from '../services/api';
+import ExportButton from '../components/ExportButton';
 
 export default function UsersPage() {
   const [users, setUsers] = useState([]);
@@ -116,16 +117,26 @@ export default function UsersPage() {
     <div className="min-h-screen bg-slate-50">
       <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
         {/* Page Header */}
-        <div className="mb-8">
-          <p className="text-xs font-semibold text-indigo-600 uppercase tracking-[0.2em]">
-            Users
-          </p>
-          <h1 className="text-2xl font-semibold text-slate-900 mt-1">
-            Users Management
-          </h1>
-          <p className="text-sm text-slate-500 mt-1">
-            Manage customer accounts and admin users
-          </p>
+        <div className="mb-8 flex items-end justify-between gap-4">
+          <div>
+            <p className="text-xs font-semibold text-indigo-600 uppercase tracking-[0.2em]">
+              Users
+            </p>
+            <h1 className="text-2xl font-semibold text-slate-900 mt-1">
+              Users Management
+            </h1>
+            <p className="text-sm text-slate-500 mt-1">
+              Manage customer accounts and admin users
+            </p>
+          </div>
+          <ExportButton
+            resource="users"
+            params={{
+              role: roleFilter !== 'all' ? roleFilter : '',
+              isActive: statusFilter !== 'all' ? String(statusFilter === 'active') : '',
+              search: searchQuery.trim(),
+            }}
+          />
         </div>
 
         {error && (
@@ -2,6 +2,8 @@ enum NotificationType {
   orderUpdate,
   orderDelivered,
   orderProcessing,
+  payment,
+  message,
   general,
 }
 
@@ -25,17 +27,44 @@ class AppNotification {
   });
 
   factory AppNotification.fromJson(Map<String, dynamic> json) {
+    final data = json['data'] is Map
+        ? Map<String, dynamic>.from(json['data'] as Map)
+        : null;
+
     return AppNotification(
-      id: json['id'] as String,
-      type: NotificationType.values.firstWhere(
-        (e) => e.toString() == 'NotificationType.${json['type']}',
-        orElse: () => NotificationType.general,
-      ),
+      // Server IDs are numeric; locally cached ones are strings
+      id: json['id'].toString(),
+      type: _parseType(json['type'] as String?, data),
       title: json['title'] as String,
       message: json['message'] as String,
-      createdAt: DateTime.parse(json['createdAt'] as String),
+      createdAt: DateTime.parse(json['createdAt'] as String).toLocal(),
       isRead: json['isRead'] == true || json['isRead'] == 1,
-      data: json['data'] as Map<String, dynamic>?,
+      data: data,
+    );
+  }
+
+  // Accepts both the server types (order_update, payment, message)
+  // and the enum names stored in the local cache
+  static NotificationType _parseType(String? type, Map<String, dynamic>? data) {
+    switch (type) {
+      case 'order_update':
+        switch (data?['status']) {
+          case 'delivered':
+            return NotificationType.orderDelivered;
+          case 'processing':
+          case 'shipped':
+            return NotificationType.orderProcessing;
+          default:
+            return NotificationType.orderUpdate;
+        }
+      case 'payment':
+        return NotificationType.payment;
+      case 'message':
+        return NotificationType.message;
+    }
+    return NotificationType.values.firstWhere(
+      (e) => e.toString() == 'NotificationType.$type',
+      orElse: () => NotificationType.general,
     );
   }
 
@@ -1,3 +1,23 @@
+class ReviewReply {
+  final int id;
+  final String body;
+  final DateTime createdAt;
+
+  ReviewReply({required this.id, required this.body, required this.createdAt});
+
+  factory ReviewReply.fromJson(Map<String, dynamic> json) {
+    return ReviewReply(
+      id: json['id'] as int,
+      body: json['body'] as String,
+      createdAt: DateTime.parse(json['createdAt'] as String),
+    );
+  }
+
+  Map<String, dynamic> toJson() {
+    return {'id': id, 'body': body, 'createdAt': createdAt.toIso8601String()};
+  }
+}
+
 class Review {
   final int id;
   final int productId;
@@ -7,6 +27,11 @@ class Review {
   final int rating; // 1-5
   final String? comment;
   final bool isApproved;
+  final bool isVerifiedPurchase;
+  final int helpfulCount;
+  final bool votedHelpful;
+  final List<String> photos;
+  final List<ReviewReply> replies;
   final DateTime createdAt;
   final DateTime updatedAt;
 
@@ -19,6 +44,11 @@ class Review {
     required this.rating,
     this.comment,
     required this.isApproved,
+    this.isVerifiedPurchase = false,
+    this.helpfulCount = 0,
+    this.votedHelpful = false,
+    this.photos = const [],
+    this.replies = const [],
     required this.createdAt,
     required this.updatedAt,
   });
@@ -33,6 +63,16 @@ class Review {
       rating: json['rating'] as int,
       comment: json['comment'] as String?,
       isApproved: json['isApproved'] == 1 || json['isApproved'] == true,
+      isVerifiedPurchase:
+          json['isVerifiedPurchase'] == 1 || json['isVerifiedPurchase'] == true,
+      helpfulCount: json['helpfulCount'] as int? ?? 0,
+      votedHelpful: json['votedHelpful'] == true,
+      photos: (json['photos'] as List? ?? [])
+          .map((photo) => photo['url'] as String)
+          .toList(),
+      replies: (json['replies'] as List? ?? [])
+          .map((reply) => ReviewReply.fromJson(reply))
+          .toList(),
       createdAt: DateTime.parse(json['createdAt'] as String),
       updatedAt: DateTime.parse(json['updatedAt'] as String),
     );
@@ -48,6 +88,11 @@ class Review {
       'rating': rating,
       'comment': comment,
       'isApproved': isApproved,
+      'isVerifiedPurchase': isVerifiedPurchase,
+      'helpfulCount': helpfulCount,
+      'votedHelpful': votedHelpful,
+      'photos': photos.map((url) => {'url': url}).toList(),
+      'replies': replies.map((reply) => reply.toJson()).toList(),
       'createdAt': createdAt.toIso8601String(),
       'updatedAt': updatedAt.toIso8601String(),
     };
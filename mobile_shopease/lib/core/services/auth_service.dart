@@ -7,6 +7,7 @@ import 'package:http/http.dart' as http;
 import 'package:http_parser/http_parser.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import '../../config/api_config.dart';
+import 'push_service.dart';
 
 class AuthService extends ChangeNotifier {
   static final AuthService _instance = AuthService._internal();
@@ -92,6 +93,7 @@ class AuthService extends ChangeNotifier {
 
   Future<void> logout() async {
     _profileImageUrl = null;
+    await PushService().unregister();
     await _clearAuthData();
   }
 
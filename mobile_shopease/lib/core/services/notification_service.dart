@@ -1,13 +1,18 @@
 import 'dart:convert';
 import 'package:flutter/foundation.dart';
 import 'package:shared_preferences/shared_preferences.dart';
+import 'package:http/http.dart' as http;
 import '../models/notification.dart';
+import '../../config/api_config.dart';
+import 'auth_service.dart';
 
 class NotificationService extends ChangeNotifier {
   static final NotificationService _instance = NotificationService._internal();
   factory NotificationService() => _instance;
   NotificationService._internal();
 
+  static String get _apiBaseUrl => ApiConfig.apiBaseUrl;
+
   static const String _notificationsKey = 'app_notifications';
   List<AppNotification> _notifications = [];
   int _unreadCount = 0;
@@ -16,7 +21,7 @@ class NotificationService extends ChangeNotifier {
   int get unreadCount => _unreadCount;
   bool get hasUnread => _unreadCount > 0;
 
-  // Load notifications from local storage
+  // Load notifications from local storage (offline copy of the server inbox)
   Future<void> loadNotifications() async {
     try {
       final prefs = await SharedPreferences.getInstance();
@@ -54,7 +59,78 @@ class NotificationService extends ChangeNotifier {
     _unreadCount = _notifications.where((n) => !n.isRead).length;
   }
 
-  // Add a new notification
+  Map<String, String>? _authHeaders() {
+    final authService = AuthService();
+    if (!authService.isAuthenticated || authService.token == null) {
+      return null;
+    }
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': 'Bearer ${authService.token}',
+    };
+  }
+
+  // Fetch the inbox from the backend and replace the local copy
+  Future<void> syncFromBackend() async {
+    final headers = _authHeaders();
+    if (headers == null) {
+      debugPrint('Not authenticated, skipping notifications sync');
+      return;
+    }
+
+    try {
+      final response = await http.get(
+        Uri.parse('$_apiBaseUrl/notifications?limit=100'),
+        headers: headers,
+      ).timeout(
+        const Duration(seconds: 10),
+        onTimeout: () {
+          throw Exception('Connection timeout');
+        },
+      );
+
+      if (response.statusCode == 200) {
+        final Map<String, dynamic> body = json.decode(response.body);
+        final List<dynamic> items = body['notifications'] ?? [];
+        _notifications = items
+            .map((item) => AppNotification.fromJson(item))
+            .toList();
+        _unreadCount = body['unreadCount'] is int
+            ? body['unreadCount']
+            : _notifications.where((n) => !n.isRead).length;
+        notifyListeners();
+        await _saveNotifications();
+        debugPrint('Synced ${_notifications.length} notifications from backend');
+      } else {
+        debugPrint('Notifications sync failed: ${response.statusCode}');
+      }
+    } catch (e) {
+      debugPrint('Error syncing notifications: $e');
+    }
+  }
+
+  // Send a change to the backend; the local copy is already updated
+  Future<void> _sendToBackend(String method, String path) async {
+    final headers = _authHeaders();
+    if (headers == null) return;
+
+    try {
+      final uri = Uri.parse('$_apiBaseUrl$path');
+      final response = switch (method) {
+        'PATCH' => await http.patch(uri, headers: headers),
+        'POST' => await http.post(uri, headers: headers),
+        _ => await http.delete(uri, headers: headers),
+      };
+      if (response.statusCode != 200) {
+        debugPrint('Notification $method $path failed: ${response.statusCode}');
+      }
+    } catch (e) {
+      debugPrint('Error syncing notification change: $e');
+      // Continue even if backend sync fails
+    }
+  }
+
+  // Add a local-only notification (not stored on the server)
   Future<void> addNotification({
     required NotificationType type,
     required String title,
@@ -83,10 +159,12 @@ class NotificationService extends ChangeNotifier {
   Future<void> markAsRead(String notificationId) async {
     final index = _notifications.indexWhere((n) => n.id == notificationId);
     if (index != -1) {
+      if (_notifications[index].isRead) return;
       _notifications[index] = _notifications[index].copyWith(isRead: true);
       _updateUnreadCount();
       notifyListeners();
       await _saveNotifications();
+      await _sendToBackend('PATCH', '/notifications/$notificationId/read');
     }
   }
 
@@ -98,6 +176,7 @@ class NotificationService extends ChangeNotifier {
     _updateUnreadCount();
     notifyListeners();
     await _saveNotifications();
+    await _sendToBackend('POST', '/notifications/read-all');
   }
 
   // Delete notification
@@ -106,6 +185,7 @@ class NotificationService extends ChangeNotifier {
     _updateUnreadCount();
     notifyListeners();
     await _saveNotifications();
+    await _sendToBackend('DELETE', '/notifications/$notificationId');
   }
 
   // Clear all notifications
@@ -114,46 +194,11 @@ class NotificationService extends ChangeNotifier {
     _unreadCount = 0;
     notifyListeners();
     await _saveNotifications();
+    await _sendToBackend('DELETE', '/notifications');
   }
 
   // Get notifications by type
   List<AppNotification> getNotificationsByType(NotificationType type) {
     return _notifications.where((n) => n.type == type).toList();
   }
-
-  // Create order update notification
-  Future<void> notifyOrderUpdate({
-    required String orderNumber,
-    required String status,
-    int? orderId,
-  }) async {
-    String title;
-    String message;
-    NotificationType type;
-
-    switch (status.toLowerCase()) {
-      case 'processing':
-        title = 'Order Processing';
-        message = 'Your order $orderNumber is now being processed';
-        type = NotificationType.orderProcessing;
-        break;
-      case 'delivered':
-        title = 'Order Delivered! 🎉';
-        message = 'Your order $orderNumber has been delivered';
-        type = NotificationType.orderDelivered;
-        break;
-      default:
-        title = 'Order Updated';
-        message = 'Your order $orderNumber status has been updated to $status';
-        type = NotificationType.orderUpdate;
-    }
-
-    await addNotification(
-      type: type,
-      title: title,
-      message: message,
-      data: orderId != null ? {'orderId': orderId, 'orderNumber': orderNumber} : null,
-    );
-  }
 }
-
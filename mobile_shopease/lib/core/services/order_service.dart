@@ -1,5 +1,6 @@
 import 'dart:convert';
 import 'dart:io';
+import 'dart:ui' show PlatformDispatcher;
 import 'package:flutter/foundation.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 import 'package:http/http.dart' as http;
@@ -187,45 +188,6 @@ class OrderService extends ChangeNotifier {
         // Since backend returns ALL orders for the user, we can replace our local list
         // This ensures orders deleted on backend (e.g. via terminal script) are removed locally
 
-        final notificationService = NotificationService();
-
-        // Check for new orders or status changes to notify
-        for (final backendOrder in backendOrders) {
-          // Try to find matching existing order
-          int index = _orders.indexWhere(
-            (order) => order.id == backendOrder.id,
-          );
-          if (index < 0) {
-            index = _orders.indexWhere(
-              (order) => order.orderNumber == backendOrder.orderNumber,
-            );
-          }
-
-          if (index >= 0) {
-            // Check if status changed
-            final oldStatus = _orders[index].status;
-            final newStatus = backendOrder.status;
-
-            if (oldStatus != newStatus) {
-              debugPrint(
-                'Order status changed: ${backendOrder.orderNumber} - ${oldStatus.toString()} -> ${newStatus.toString()}',
-              );
-
-              // Trigger notification
-              try {
-                final orderId = int.tryParse(backendOrder.id);
-                await notificationService.notifyOrderUpdate(
-                  orderNumber: backendOrder.orderNumber,
-                  status: backendOrder.statusText,
-                  orderId: orderId,
-                );
-              } catch (e) {
-                debugPrint('Error creating notification: $e');
-              }
-            }
-          }
-        }
-
         // FULL SYNC: Replace existing orders with backend orders
         // This correctly handles:
         // 1. New orders added (will be in list)
@@ -236,6 +198,9 @@ class OrderService extends ChangeNotifier {
         // Save to local storage
         await _saveOrders();
         notifyListeners();
+
+        // Status changes are announced by the backend inbox
+        await NotificationService().syncFromBackend();
         debugPrint(
           'Orders synced successfully. Total orders: ${_orders.length}',
         );
@@ -306,6 +271,7 @@ class OrderService extends ChangeNotifier {
       // Get userId from AuthService if available
       final authService = AuthService();
       final userId = authService.currentUserId;
+      final token = authService.token;
       int? userIdInt;
       if (userId != null) {
         userIdInt = int.tryParse(userId);
@@ -342,6 +308,8 @@ class OrderService extends ChangeNotifier {
         'customerDistrict': customerDistrict,
         'paymentMethod': backendPaymentMethod,
         if (userIdInt != null) 'userId': userIdInt,
+        // Language of the email/SMS receipt
+        'locale': PlatformDispatcher.instance.locale.languageCode,
       };
 
       debugPrint('Creating order via API: $_apiBaseUrl/orders');
@@ -351,7 +319,11 @@ class OrderService extends ChangeNotifier {
       final response = await http
           .post(
             Uri.parse('$_apiBaseUrl/orders'),
-            headers: {'Content-Type': 'application/json'},
+            headers: {
+              'Content-Type': 'application/json',
+              // Coupons with a per-customer limit need the signed in user
+              if (token != null) 'Authorization': 'Bearer $token',
+            },
             body: jsonEncode(requestBody),
           )
           .timeout(
@@ -495,6 +467,83 @@ class OrderService extends ChangeNotifier {
     }
   }
 
+  /// Ask the backend for the shipping fee to [customerCity]/[customerDistrict].
+  /// Returns null if no quote is available (e.g. offline or no delivery zone).
+  Future<double?> getShippingQuote({
+    required List<CartItem> items,
+    required String customerCity,
+    required String customerDistrict,
+  }) async {
+    if (customerCity.isEmpty || items.isEmpty) return null;
+
+    try {
+      final response = await http
+          .post(
+            Uri.parse('$_apiBaseUrl/shipping/quote'),
+            headers: {'Content-Type': 'application/json'},
+            body: jsonEncode({
+              'city': customerCity,
+              'district': customerDistrict,
+              'items': items
+                  .map(
+                    (item) => {
+                      'productId': int.tryParse(item.id),
+                      'quantity': item.quantity,
+                    },
+                  )
+                  .toList(),
+            }),
+          )
+          .timeout(const Duration(seconds: 10));
+
+      if (response.statusCode != 200) {
+        debugPrint('Shipping quote failed: ${response.body}');
+        return null;
+      }
+
+      final data = jsonDecode(response.body) as Map<String, dynamic>;
+      final shipping = data['shipping'];
+      if (shipping is num) return shipping.toDouble();
+      return double.tryParse(shipping?.toString() ?? '');
+    } catch (e) {
+      debugPrint('Error fetching shipping quote: $e');
+      return null;
+    }
+  }
+
+  /// Cancel an unpaid order on the backend with the customer's [reason].
+  /// Throws with the backend's message if the order can't be cancelled.
+  Future<void> cancelOrder(String orderId, String reason) async {
+    final token = AuthService().token;
+    if (token == null) {
+      throw Exception('Please log in to cancel this order');
+    }
+
+    final response = await http
+        .post(
+          Uri.parse('$_apiBaseUrl/orders/$orderId/cancel'),
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer $token',
+          },
+          body: jsonEncode({'reason': reason}),
+        )
+        .timeout(const Duration(seconds: 10));
+
+    if (response.statusCode != 200) {
+      String errorMsg = 'Failed to cancel order';
+      try {
+        final errorData = jsonDecode(response.body);
+        if (errorData['error'] != null) {
+          errorMsg = errorData['error'] as String;
+        }
+      } catch (_) {}
+      throw Exception(errorMsg);
+    }
+
+    await updateOrderStatus(orderId, OrderStatus.cancelled);
+  }
+
   Future<void> updateOrderStatus(String orderId, OrderStatus status) async {
     final index = _orders.indexWhere((order) => order.id == orderId);
     if (index >= 0) {
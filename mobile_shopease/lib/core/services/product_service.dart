@@ -17,7 +17,12 @@ class ProductService extends ChangeNotifier {
   bool _isLoading = false;
   String? _error;
   DateTime? _lastFetchTime;
+  // Validators of the cached list, sent back so the backend can answer 304
+  String? _etag;
+  String? _lastModified;
   static const String _productsKey = 'cached_products';
+  static const String _etagKey = 'cached_products_etag';
+  static const String _lastModifiedKey = 'cached_products_last_modified';
   static const Duration _cacheExpiry = Duration(minutes: 5);
 
   List<Product> get products => List.unmodifiable(_products);
@@ -69,6 +74,8 @@ class ProductService extends ChangeNotifier {
       if (productsJson != null) {
         final List<dynamic> decoded = json.decode(productsJson);
         _products = decoded.map((json) => Product.fromJson(json)).toList();
+        _etag = prefs.getString(_etagKey);
+        _lastModified = prefs.getString(_lastModifiedKey);
         notifyListeners();
         debugPrint('Loaded ${_products.length} cached products');
       }
@@ -83,6 +90,16 @@ class ProductService extends ChangeNotifier {
       final prefs = await SharedPreferences.getInstance();
       final productsJson = json.encode(_products.map((p) => p.toJson()).toList());
       await prefs.setString(_productsKey, productsJson);
+      if (_etag != null) {
+        await prefs.setString(_etagKey, _etag!);
+      } else {
+        await prefs.remove(_etagKey);
+      }
+      if (_lastModified != null) {
+        await prefs.setString(_lastModifiedKey, _lastModified!);
+      } else {
+        await prefs.remove(_lastModifiedKey);
+      }
     } catch (e) {
       debugPrint('Error saving products to cache: $e');
     }
@@ -107,11 +124,21 @@ class ProductService extends ChangeNotifier {
     notifyListeners();
 
     try {
+      // Revalidate the saved list instead of downloading it again
+      if (_products.isEmpty) {
+        await loadCachedProducts();
+      }
+      final headers = {'Content-Type': 'application/json'};
+      if (_products.isNotEmpty) {
+        if (_etag != null) headers['If-None-Match'] = _etag!;
+        if (_lastModified != null) headers['If-Modified-Since'] = _lastModified!;
+      }
+
       debugPrint('Fetching products from: $_apiBaseUrl/products');
 
       final response = await http.get(
         Uri.parse('$_apiBaseUrl/products'),
-        headers: {'Content-Type': 'application/json'},
+        headers: headers,
       ).timeout(
         const Duration(seconds: 10),
         onTimeout: () {
@@ -121,7 +148,13 @@ class ProductService extends ChangeNotifier {
 
       debugPrint('Products API response status: ${response.statusCode}');
 
-      if (response.statusCode == 200) {
+      if (response.statusCode == 304) {
+        // Nothing changed since the cached list was fetched
+        _lastFetchTime = DateTime.now();
+        _error = null;
+        debugPrint('Products not modified: ${_products.length}');
+        notifyListeners();
+      } else if (response.statusCode == 200) {
         final decoded = jsonDecode(response.body);
         // Backend returns { data: [...], pagination: {...} }
         // but keep compatibility if it ever returns a raw list.
@@ -136,6 +169,8 @@ class ProductService extends ChangeNotifier {
         debugPrint('Fetched ${productsData.length} products from backend');
         
         _products = productsData.map((json) => Product.fromJson(json)).toList();
+        _etag = response.headers['etag'];
+        _lastModified = response.headers['last-modified'];
         _lastFetchTime = DateTime.now();
         _error = null;
 
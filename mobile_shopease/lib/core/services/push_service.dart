@@ -0,0 +1,103 @@
+import 'dart:async';
+import 'dart:convert';
+import 'package:flutter/foundation.dart';
+import 'package:firebase_messaging/firebase_messaging.dart';
+import 'package:http/http.dart' as http;
+import '../../config/api_config.dart';
+import 'auth_service.dart';
+import 'notification_service.dart';
+
+/// Registers this device with the backend for order update pushes
+class PushService {
+  static final PushService _instance = PushService._internal();
+  factory PushService() => _instance;
+  PushService._internal();
+
+  static String get _apiBaseUrl => ApiConfig.apiBaseUrl;
+
+  // Token registered for the current session (avoids re-posting it)
+  String? _registeredToken;
+  String? _registeredFor;
+  StreamSubscription<String>? _tokenRefreshSubscription;
+  StreamSubscription<RemoteMessage>? _messageSubscription;
+
+  String get _platform {
+    if (kIsWeb) return 'web';
+    return defaultTargetPlatform == TargetPlatform.iOS ? 'ios' : 'android';
+  }
+
+  // Ask for permission, then send the FCM token to the backend
+  Future<void> register() async {
+    final authService = AuthService();
+    if (!authService.isAuthenticated || authService.token == null) return;
+    if (_registeredFor == authService.token) return;
+
+    try {
+      final messaging = FirebaseMessaging.instance;
+      final settings = await messaging.requestPermission();
+      if (settings.authorizationStatus == AuthorizationStatus.denied) {
+        debugPrint('Push notifications not allowed');
+        return;
+      }
+
+      final token = await messaging.getToken();
+      if (token != null) {
+        await _sendToken(token);
+      }
+
+      _tokenRefreshSubscription ??= messaging.onTokenRefresh.listen(_sendToken);
+
+      // A push arriving while the app is open: refresh the inbox
+      _messageSubscription ??= FirebaseMessaging.onMessage.listen((message) {
+        NotificationService().syncFromBackend();
+      });
+    } catch (e) {
+      debugPrint('Error registering for push notifications: $e');
+    }
+  }
+
+  Future<void> _sendToken(String token) async {
+    final authToken = AuthService().token;
+    if (authToken == null) return;
+    if (token == _registeredToken && authToken == _registeredFor) return;
+
+    final response = await http.post(
+      Uri.parse('$_apiBaseUrl/devices'),
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer $authToken',
+      },
+      body: jsonEncode({'token': token, 'platform': _platform}),
+    ).timeout(const Duration(seconds: 10));
+
+    if (response.statusCode == 201) {
+      _registeredToken = token;
+      _registeredFor = authToken;
+      debugPrint('Device registered for push notifications');
+    } else {
+      debugPrint('Device registration failed: ${response.statusCode}');
+    }
+  }
+
+  // Stop pushes to this device; call before the auth token is cleared
+  Future<void> unregister() async {
+    final authToken = AuthService().token;
+    final token = _registeredToken;
+    _registeredToken = null;
+    _registeredFor = null;
+    if (authToken == null || token == null) return;
+
+    try {
+      await http.delete(
+        Uri.parse('$_apiBaseUrl/devices'),
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer $authToken',
+        },
+        body: jsonEncode({'token': token}),
+      ).timeout(const Duration(seconds: 10));
+    } catch (e) {
+      debugPrint('Error unregistering device: $e');
+    }
+  }
+}
@@ -19,15 +19,34 @@ class ReviewService extends ChangeNotifier {
   String? get error => _error;
 
   // Get reviews for a product
-  Future<Map<String, dynamic>> getProductReviews(int productId) async {
+  // sort: newest, oldest, highest, lowest or helpful
+  Future<Map<String, dynamic>> getProductReviews(
+    int productId, {
+    String sort = 'newest',
+    int? rating,
+    bool verifiedOnly = false,
+    bool withPhotos = false,
+  }) async {
     _isLoading = true;
     _error = null;
     notifyListeners();
 
     try {
+      final token = AuthService().token;
       final response = await http.get(
-        Uri.parse('$_apiBaseUrl/products/$productId/reviews'),
-        headers: {'Content-Type': 'application/json'},
+        Uri.parse('$_apiBaseUrl/products/$productId/reviews').replace(
+          queryParameters: {
+            'sort': sort,
+            if (rating != null) 'rating': '$rating',
+            if (verifiedOnly) 'verified': 'true',
+            if (withPhotos) 'withPhotos': 'true',
+          },
+        ),
+        headers: {
+          'Content-Type': 'application/json',
+          // Lets the backend flag reviews this user already voted helpful
+          if (token != null) 'Authorization': 'Bearer $token',
+        },
       ).timeout(
         const Duration(seconds: 10),
         onTimeout: () {
@@ -46,6 +65,8 @@ class ReviewService extends ChangeNotifier {
           'reviews': reviews,
           'averageRating': data['averageRating'] ?? '0.0',
           'totalReviews': data['totalReviews'] ?? 0,
+          'verifiedReviews': data['verifiedReviews'] ?? 0,
+          'ratingBreakdown': data['ratingBreakdown'] ?? {},
         };
       } else {
         _error = 'Failed to load reviews';
@@ -81,6 +102,7 @@ class ReviewService extends ChangeNotifier {
     required int rating,
     String? comment,
     String? userName,
+    List<File> photos = const [],
   }) async {
     final authService = AuthService();
     if (!authService.isAuthenticated || authService.token == null) {
@@ -94,23 +116,47 @@ class ReviewService extends ChangeNotifier {
     notifyListeners();
 
     try {
-      final response = await http.post(
-        Uri.parse('$_apiBaseUrl/products/$productId/reviews'),
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': 'Bearer ${authService.token}',
-        },
-        body: jsonEncode({
-          'rating': rating,
-          'comment': comment,
-          'userName': userName,
-        }),
-      ).timeout(
-        const Duration(seconds: 10),
-        onTimeout: () {
-          throw Exception('Connection timeout');
-        },
-      );
+      final http.Response response;
+      if (photos.isEmpty) {
+        response = await http.post(
+          Uri.parse('$_apiBaseUrl/products/$productId/reviews'),
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer ${authService.token}',
+          },
+          body: jsonEncode({
+            'rating': rating,
+            'comment': comment,
+            'userName': userName,
+          }),
+        ).timeout(
+          const Duration(seconds: 10),
+          onTimeout: () {
+            throw Exception('Connection timeout');
+          },
+        );
+      } else {
+        final request = http.MultipartRequest(
+          'POST',
+          Uri.parse('$_apiBaseUrl/products/$productId/reviews'),
+        );
+        request.headers['Authorization'] = 'Bearer ${authService.token}';
+        request.fields['rating'] = '$rating';
+        if (comment != null) request.fields['comment'] = comment;
+        if (userName != null) request.fields['userName'] = userName;
+        for (final photo in photos) {
+          request.files.add(
+            await http.MultipartFile.fromPath('photos', photo.path),
+          );
+        }
+        final streamedResponse = await request.send().timeout(
+          const Duration(seconds: 30),
+          onTimeout: () {
+            throw Exception('Connection timeout');
+          },
+        );
+        response = await http.Response.fromStream(streamedResponse);
+      }
 
       if (response.statusCode == 201) {
         _error = null;
@@ -135,5 +181,45 @@ class ReviewService extends ChangeNotifier {
       notifyListeners();
     }
   }
-}
 
+  // Mark a review as helpful, or take the vote back
+  // Returns the new helpful count, or null if the vote failed
+  Future<int?> setHelpful(int reviewId, {bool helpful = true}) async {
+    final authService = AuthService();
+    if (!authService.isAuthenticated || authService.token == null) {
+      _error = 'Please login to vote on reviews';
+      notifyListeners();
+      return null;
+    }
+
+    try {
+      final uri = Uri.parse('$_apiBaseUrl/reviews/$reviewId/helpful');
+      final headers = {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer ${authService.token}',
+      };
+      final response = await (helpful
+              ? http.post(uri, headers: headers)
+              : http.delete(uri, headers: headers))
+          .timeout(
+        const Duration(seconds: 10),
+        onTimeout: () {
+          throw Exception('Connection timeout');
+        },
+      );
+
+      final data = jsonDecode(response.body);
+      if (response.statusCode == 200) {
+        _error = null;
+        return data['helpfulCount'] as int;
+      }
+      _error = data['error'] ?? 'Failed to vote';
+      notifyListeners();
+      return null;
+    } catch (e) {
+      _error = 'Error voting on review: $e';
+      notifyListeners();
+      return null;
+    }
+  }
+}
@@ -1,3 +1,4 @@
+import 'dart:async';
 import 'package:flutter/material.dart';
 import '../../../theme/app_theme.dart';
 import '../../../core/services/cart_service.dart';
@@ -25,10 +26,14 @@ class _CheckoutPageState extends State<CheckoutPage> {
   String _selectedPaymentMethod = 'Cash on Delivery (COD)';
   String? _selectedBank; // Track selected bank when "Bank" is chosen
   bool _isLoading = false;
+  double _shipping = 0.00;
+  Timer? _shippingQuoteDebounce;
 
   @override
   void initState() {
     super.initState();
+    _cityController.addListener(_scheduleShippingQuote);
+    _districtController.addListener(_scheduleShippingQuote);
     _loadCustomerInfo();
   }
 
@@ -45,8 +50,31 @@ class _CheckoutPageState extends State<CheckoutPage> {
     }
   }
 
+  // Re-quote shipping once the user stops typing the city/district
+  void _scheduleShippingQuote() {
+    _shippingQuoteDebounce?.cancel();
+    _shippingQuoteDebounce = Timer(
+      const Duration(milliseconds: 600),
+      _updateShippingQuote,
+    );
+  }
+
+  Future<void> _updateShippingQuote() async {
+    final shipping = await _orderService.getShippingQuote(
+      items: _cartService.selectedItemsList,
+      customerCity: _cityController.text.trim(),
+      customerDistrict: _districtController.text.trim(),
+    );
+    if (mounted) {
+      setState(() {
+        _shipping = shipping ?? 0.00;
+      });
+    }
+  }
+
   @override
   void dispose() {
+    _shippingQuoteDebounce?.cancel();
     _nameController.dispose();
     _phoneController.dispose();
     _addressController.dispose();
@@ -715,9 +743,9 @@ class _CheckoutPageState extends State<CheckoutPage> {
                 'Shipping',
                 style: TextStyle(fontSize: 16, color: Colors.black87),
               ),
-              const Text(
-                '\$0.00',
-                style: TextStyle(fontSize: 16, color: Colors.black87),
+              Text(
+                _shipping == 0 ? 'Free' : '\$${_shipping.toStringAsFixed(2)}',
+                style: const TextStyle(fontSize: 16, color: Colors.black87),
               ),
             ],
           ),
@@ -734,7 +762,7 @@ class _CheckoutPageState extends State<CheckoutPage> {
                 ),
               ),
               Text(
-                '\$${(_cartService.selectedTotalPrice + 0.00).toStringAsFixed(2)}',
+                '\$${(_cartService.selectedTotalPrice + _shipping).toStringAsFixed(2)}',
                 style: TextStyle(
                   fontSize: 20,
                   fontWeight: FontWeight.bold,
@@ -790,7 +818,7 @@ class _CheckoutPageState extends State<CheckoutPage> {
                       try {
                         final selectedItems = _cartService.selectedItemsList;
                         final subtotal = _cartService.selectedTotalPrice;
-                        final shipping = 0.00;
+                        final shipping = _shipping;
                         final total = subtotal + shipping;
 
                         // Map payment method: if Bank is selected, use the selected bank name
@@ -828,7 +856,7 @@ class _CheckoutPageState extends State<CheckoutPage> {
                                   builder: (context) => BakongPaymentPage(
                                     orderId: orderId,
                                     orderNumber: order.orderNumber,
-                                    totalAmount: total,
+                                    totalAmount: order.total,
                                   ),
                                 ),
                               );
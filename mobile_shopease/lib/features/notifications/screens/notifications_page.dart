@@ -17,6 +17,7 @@ class _NotificationsPageState extends State<NotificationsPage> {
   void initState() {
     super.initState();
     _notificationService.addListener(_onNotificationsChanged);
+    _notificationService.syncFromBackend();
   }
 
   @override
@@ -37,6 +38,10 @@ class _NotificationsPageState extends State<NotificationsPage> {
         return Icons.local_shipping;
       case NotificationType.orderUpdate:
         return Icons.update;
+      case NotificationType.payment:
+        return Icons.payment;
+      case NotificationType.message:
+        return Icons.mail;
       default:
         return Icons.notifications;
     }
@@ -50,6 +55,10 @@ class _NotificationsPageState extends State<NotificationsPage> {
         return Colors.blue;
       case NotificationType.orderUpdate:
         return Colors.orange;
+      case NotificationType.payment:
+        return Colors.teal;
+      case NotificationType.message:
+        return Colors.purple;
       default:
         return Colors.grey;
     }
@@ -4,15 +4,46 @@ import '../../../core/services/order_service.dart';
 import '../../../core/models/order.dart';
 import '../../../config/api_config.dart';
 
-class OrderDetailPage extends StatelessWidget {
+class OrderDetailPage extends StatefulWidget {
   final String orderId;
 
   const OrderDetailPage({super.key, required this.orderId});
 
+  @override
+  State<OrderDetailPage> createState() => _OrderDetailPageState();
+}
+
+class _OrderDetailPageState extends State<OrderDetailPage> {
+  static const List<String> _cancelReasons = [
+    'Changed my mind',
+    'Ordered by mistake',
+    'Found a better price',
+    'Want to change items or address',
+    'Other',
+  ];
+
+  final OrderService _orderService = OrderService();
+  bool _isCancelling = false;
+
+  @override
+  void initState() {
+    super.initState();
+    _orderService.addListener(_onOrdersChanged);
+  }
+
+  @override
+  void dispose() {
+    _orderService.removeListener(_onOrdersChanged);
+    super.dispose();
+  }
+
+  void _onOrdersChanged() {
+    if (mounted) setState(() {});
+  }
+
   @override
   Widget build(BuildContext context) {
-    final orderService = OrderService();
-    final order = orderService.getOrderById(orderId);
+    final order = _orderService.getOrderById(widget.orderId);
 
     if (order == null) {
       return Scaffold(
@@ -37,6 +68,7 @@ class OrderDetailPage extends StatelessWidget {
             _buildDeliveryInfo(order),
             _buildPaymentInfo(order),
             _buildOrderSummary(order),
+            if (order.status == OrderStatus.pending) _buildCancelButton(order),
             const SizedBox(height: 24),
           ],
         ),
@@ -44,6 +76,70 @@ class OrderDetailPage extends StatelessWidget {
     );
   }
 
+  Widget _buildCancelButton(Order order) {
+    return Padding(
+      padding: const EdgeInsets.symmetric(horizontal: 16),
+      child: SizedBox(
+        width: double.infinity,
+        child: OutlinedButton.icon(
+          onPressed: _isCancelling ? null : () => _confirmCancel(order),
+          icon: _isCancelling
+              ? const SizedBox(
+                  width: 18,
+                  height: 18,
+                  child: CircularProgressIndicator(strokeWidth: 2),
+                )
+              : const Icon(Icons.cancel_outlined),
+          label: Text(_isCancelling ? 'Cancelling...' : 'Cancel Order'),
+          style: OutlinedButton.styleFrom(
+            foregroundColor: Colors.red,
+            side: const BorderSide(color: Colors.red),
+            padding: const EdgeInsets.symmetric(vertical: 14),
+            shape: RoundedRectangleBorder(
+              borderRadius: BorderRadius.circular(12),
+            ),
+          ),
+        ),
+      ),
+    );
+  }
+
+  Future<void> _confirmCancel(Order order) async {
+    final reason = await showDialog<String>(
+      context: context,
+      builder: (dialogContext) => _CancelReasonDialog(reasons: _cancelReasons),
+    );
+    if (reason == null || !mounted) return;
+
+    setState(() {
+      _isCancelling = true;
+    });
+    try {
+      await _orderService.cancelOrder(order.id, reason);
+      if (!mounted) return;
+      ScaffoldMessenger.of(context).showSnackBar(
+        const SnackBar(
+          content: Text('Order cancelled'),
+          backgroundColor: Colors.green,
+        ),
+      );
+    } catch (e) {
+      if (!mounted) return;
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: Text(e.toString().replaceFirst('Exception: ', '')),
+          backgroundColor: Colors.red,
+        ),
+      );
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isCancelling = false;
+        });
+      }
+    }
+  }
+
   Widget _buildStatusCard(Order order) {
     return Container(
       margin: const EdgeInsets.all(16),
@@ -528,3 +624,85 @@ class OrderDetailPage extends StatelessWidget {
     return '${cambodiaTime.day.toString().padLeft(2, '0')}/${cambodiaTime.month.toString().padLeft(2, '0')}/${cambodiaTime.year} ${cambodiaTime.hour.toString().padLeft(2, '0')}:${cambodiaTime.minute.toString().padLeft(2, '0')}';
   }
 }
+
+class _CancelReasonDialog extends StatefulWidget {
+  final List<String> reasons;
+
+  const _CancelReasonDialog({required this.reasons});
+
+  @override
+  State<_CancelReasonDialog> createState() => _CancelReasonDialogState();
+}
+
+class _CancelReasonDialogState extends State<_CancelReasonDialog> {
+  final TextEditingController _otherController = TextEditingController();
+  String? _selected;
+
+  @override
+  void dispose() {
+    _otherController.dispose();
+    super.dispose();
+  }
+
+  String? get _reason {
+    if (_selected == null) return null;
+    if (_selected != 'Other') return _selected;
+    final text = _otherController.text.trim();
+    return text.isEmpty ? null : text;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: const Text('Cancel this order?'),
+      content: SingleChildScrollView(
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            const Text('Please tell us why you are cancelling.'),
+            const SizedBox(height: 8),
+            RadioGroup<String>(
+              groupValue: _selected,
+              onChanged: (value) => setState(() => _selected = value),
+              child: Column(
+                children: widget.reasons
+                    .map(
+                      (reason) => RadioListTile<String>(
+                        value: reason,
+                        title: Text(reason),
+                        contentPadding: EdgeInsets.zero,
+                        dense: true,
+                      ),
+                    )
+                    .toList(),
+              ),
+            ),
+            if (_selected == 'Other')
+              TextField(
+                controller: _otherController,
+                maxLength: 500,
+                decoration: const InputDecoration(
+                  hintText: 'Describe the reason',
+                ),
+                onChanged: (_) => setState(() {}),
+              ),
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.of(context).pop(),
+          child: const Text('Keep Order'),
+        ),
+        TextButton(
+          onPressed: _reason == null
+              ? null
+              : () => Navigator.of(context).pop(_reason),
+          style: TextButton.styleFrom(foregroundColor: Colors.red),
+          child: const Text('Cancel Order'),
+        ),
+      ],
+    );
+  }
+}
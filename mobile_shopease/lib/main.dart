@@ -9,6 +9,7 @@ import 'core/services/product_service.dart';
 import 'core/services/category_service.dart';
 import 'core/services/banner_service.dart';
 import 'core/services/notification_service.dart';
+import 'core/services/push_service.dart';
 import 'routes/app_routes.dart';
 import 'features/home/screens/home_page.dart';
 import 'features/auth/screens/auth_page.dart';
@@ -78,6 +79,10 @@ class _AuthWrapperState extends State<AuthWrapper> {
         OrderService().syncOrdersFromBackend().catchError((e) {
           debugPrint('Orders sync error: $e');
         });
+        NotificationService().syncFromBackend().catchError((e) {
+          debugPrint('Notifications sync error: $e');
+        });
+        PushService().register();
       }
     } catch (e) {
       debugPrint('Error initializing services: $e');
@@ -97,6 +102,10 @@ class _AuthWrapperState extends State<AuthWrapper> {
   }
 
   void _onAuthChanged() {
+    // Signed in: register this device for pushes (no-op if already registered)
+    if (_authService.isAuthenticated) {
+      PushService().register();
+    }
     setState(() {});
   }
 